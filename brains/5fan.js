@@ -3,13 +3,21 @@
  * Constants, channels, routing modes, and helpers shared across all brains.
  */
 
+import { createMatcher } from './lexicon.js';
+
+export { createMatcher, matchesTerm, startsWord, tokenize, CUE_WEIGHTS } from './lexicon.js';
+
 export const FIVEFAN_CHANNEL = '5fan-internal';
 export const STATE_TOPIC = '5fan-state';
 export const USER_CHANNEL_PREFIX = '5fan-user-';
 export const DM_CHANNEL_PREFIX = '5fan-dm-';
+/** Registered brain names in scan order — kept live by brains/registry.js */
 export const BRAINS = ['hear', 'inspyre', 'flow', 'you', 'view'];
 export const COOLDOWN_MS = 4000;
 
+/** Skill protocol version — stamped on skill messages, checked against plugin manifests */
+export const PROTOCOL_VERSION = '2.0.0';
+
 export const MODE = {
   FEED: 'feed',
   DM: 'dm',
@@ -74,18 +82,124 @@ export function feedEnvelope(brain, text, meta = {}) {
 
 /**
  * Compute a simple signal strength (0-1) from keyword hits.
+ * Keywords match whole words (see lexicon.js); each hit counts its weight,
+ * so "really sad" counts more than "a bit sad".
  * @param {string} text
  * @param {string[]} keywords
+ * @param {object} [matcher] - createMatcher(text), when the caller already has one
  * @returns {number}
  */
-export function signalStrength(text, keywords) {
+export function signalStrength(text, keywords, matcher) {
   if (!text || !keywords.length) return 0;
-  const lower = text.toLowerCase();
-  let hits = 0;
+  matcher ??= createMatcher(text);
+  const hits = keywords.reduce((sum, kw) => sum + matcher.weight(kw), 0);
+  return Math.min(hits / Math.max(keywords.length * 0.3, 1), 1);
+}
+
+/**
+ * Score a scan's keyword lists. Each term found adds its weight (negation,
+ * intensity, contrast — see lexicon.js) to its own list's score; a negated
+ * term in a list with an opposite adds to the opposite instead, so "not sad
+ * anymore" leans joy rather than pain.
+ * @param {object} matcher - createMatcher(text)
+ * @param {object} lists - { listName: words }
+ * @param {object} [opposites] - { listName: otherListName } for polar lists
+ * @returns {{ scores: object, hits: string[] }} - scores per list; hits are the terms found, `not:<term>` when flipped
+ */
+export function scoreLists(matcher, lists, opposites = {}) {
+  const scores = Object.fromEntries(Object.keys(lists).map(list => [list, 0]));
+  const hits = [];
+  for (const [list, words] of Object.entries(lists)) {
+    for (const term of words) {
+      const found = matcher.assess(term);
+      if (!found) continue;
+      const flipped = found.negated && opposites[list];
+      scores[flipped || list] = Math.round((scores[flipped || list] + found.weight) * 100) / 100;
+      hits.push(flipped ? `not:${term}` : term);
+    }
+  }
+  return { scores, hits };
+}
+
+/**
+ * Every occurrence of a term in the text — the same word-boundary test the
+ * scans use — as [start, end) character offsets. Explain mode
+ * (`explain: true`) reports these so a reviewer can audit a decision.
+ * @param {string} text
+ * @param {string} term
+ * @returns {Array<[number, number]>}
+ */
+export function findSpans(text, term) {
+  if (!term) return [];
+  return createMatcher(text).spans(term);
+}
+
+/**
+ * Which keywords drove signalStrength(), and how much each added.
+ * @param {string} text
+ * @param {string[]} keywords
+ * @param {string} list - provenance for the matches, e.g. 'hear.triggers'
+ * @returns {{ value: number, hits: number, divisor: number, capped: boolean, rule: string, matches: object[] }}
+ */
+export function explainSignal(text, keywords, list) {
+  const matcher = createMatcher(text);
+  const divisor = Math.max(keywords.length * 0.3, 1);
+  const delta = Math.round((1 / divisor) * 1000) / 1000;
+  const matches = [];
   for (const kw of keywords) {
-    if (lower.includes(kw.toLowerCase())) hits++;
+    const found = matcher.assess(kw);
+    if (found) matches.push({ term: kw, spans: found.spans, list, cues: found.cues, contribution: { field: 'signal', delta: Math.round(delta * found.weight * 1000) / 1000 } });
   }
-  return Math.min(hits / Math.max(keywords.length * 0.3, 1), 1);
+  return {
+    value: signalStrength(text, keywords, matcher),
+    hits: matches.length,
+    divisor: Math.round(divisor * 100) / 100,
+    capped: matches.length > divisor,
+    rule: `min(weighted hits / ${Math.round(divisor * 100) / 100}, 1) — each trigger counts once, by its weight`,
+    matches,
+  };
+}
+
+/**
+ * Spans + provenance for the keyword lists a scan checks. Each match adds
+ * its weight to a list's score, as in scoreLists().
+ * @param {string} text
+ * @param {string} brain
+ * @param {object} lists - { listName: words } in the order the scan checks them
+ * @param {object} [opposites] - see scoreLists()
+ * @returns {object[]} - [{ term, spans, list: 'brain.listName', cues, contribution: { field, delta } }]
+ */
+export function explainMatches(text, brain, lists, opposites = {}) {
+  const matcher = createMatcher(text);
+  const matches = [];
+  for (const [list, words] of Object.entries(lists)) {
+    for (const term of words) {
+      const found = matcher.assess(term);
+      if (!found) continue;
+      const field = `${(found.negated && opposites[list]) || list}Score`;
+      matches.push({ term, spans: found.spans, list: `${brain}.${list}`, cues: found.cues, contribution: { field, delta: found.weight } });
+    }
+  }
+  return matches;
+}
+
+/**
+ * The explain block a brain scan returns.
+ * @param {string} text
+ * @param {string} brain
+ * @param {object} lists - see explainMatches()
+ * @param {string[]} triggers - the brain's roleConfig.triggers
+ * @param {{ value: string, scores: object, rule: string }} category - how the category was picked
+ * @param {object} [opposites] - see scoreLists()
+ * @returns {{ matches: object[], signal: object, category: object }}
+ */
+export function explainScan(text, brain, lists, triggers, category, opposites) {
+  const { matches: triggerMatches, ...signal } = explainSignal(text, triggers, `${brain}.triggers`);
+  return {
+    matches: [...explainMatches(text, brain, lists, opposites), ...triggerMatches],
+    signal,
+    category,
+  };
 }
 
 /**
@@ -3,7 +3,7 @@
  * Habit tracking, consistency scanning, activity detection.
  */
 
-import { signalStrength, pick, COOLDOWN_MS } from '../5fan.js';
+import { signalStrength, pick, COOLDOWN_MS, explainScan, createMatcher } from '../5fan.js';
 import roleConfig from './roleConfig.js';
 
 let lastResponseTime = 0;
@@ -11,11 +11,11 @@ let lastResponseTime = 0;
 /**
  * Scan text for habit/consistency/activity signals.
  * @param {string} text
- * @param {object} [meta]
- * @returns {{ brain: string, signal: number, patterns: string[], category: string, summary: string }}
+ * @param {object} [meta] - `explain: true` adds `explain` (see explainScan in 5fan.js)
+ * @returns {{ brain: string, signal: number, patterns: string[], category: string, summary: string, explain?: object }}
  */
 export function scan(text, meta = {}) {
-  const lower = text.toLowerCase();
+  const matcher = createMatcher(text);
   const patterns = [];
   let category = 'neutral';
 
@@ -47,16 +47,20 @@ export function scan(text, meta = {}) {
   let consistencyScore = 0, activityScore = 0, recoveryScore = 0, flowScore = 0;
 
   for (const w of consistencyWords) {
-    if (lower.includes(w)) { consistencyScore++; patterns.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { consistencyScore += weight; patterns.push(w); }
   }
   for (const w of activityWords) {
-    if (lower.includes(w)) { activityScore++; patterns.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { activityScore += weight; patterns.push(w); }
   }
   for (const w of recoveryWords) {
-    if (lower.includes(w)) { recoveryScore++; patterns.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { recoveryScore += weight; patterns.push(w); }
   }
   for (const w of flowStateWords) {
-    if (lower.includes(w)) { flowScore++; patterns.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { flowScore += weight; patterns.push(w); }
   }
 
   const scores = { consistency: consistencyScore, activity: activityScore, recovery: recoveryScore, flow: flowScore };
@@ -69,7 +73,7 @@ export function scan(text, meta = {}) {
     else category = 'flow';
   }
 
-  const signal = signalStrength(text, roleConfig.triggers);
+  const signal = signalStrength(text, roleConfig.triggers, matcher);
 
   return {
     brain: 'flow',
@@ -80,6 +84,15 @@ export function scan(text, meta = {}) {
     summary: patterns.length > 0
       ? `Habit/flow signals: ${category} — ${patterns.slice(0, 5).join(', ')}`
       : 'No strong habit or routine signals detected.',
+    ...(meta.explain && {
+      explain: explainScan(text, 'flow', {
+        consistency: consistencyWords, activity: activityWords, recovery: recoveryWords, flow: flowStateWords,
+      }, roleConfig.triggers, {
+        value: category,
+        scores,
+        rule: 'highest score wins; ties favour recovery, then consistency, activity, flow',
+      }),
+    }),
   };
 }
 
@@ -9,6 +9,9 @@ const roleConfig = {
   emoji: '🌊',
   description: 'Habit guardian — tracks consistency, encourages routine, speaks in nature and water metaphors.',
 
+  /** Scan result property listing what this brain detected — the swarm's tags */
+  tagsField: 'patterns',
+
   systemPrompt: `You are Flow — the habit guardian of a five-brain network.
 Your job: notice patterns of behavior, encourage consistency, and help people trust their rhythm.
 You speak in water and nature metaphors. Rivers, tides, seasons, currents.
@@ -3,7 +3,7 @@
  * Emotional scanning, fulfillment, logging, cross-brain routing.
  */
 
-import { signalStrength, pick, COOLDOWN_MS } from '../5fan.js';
+import { signalStrength, pick, COOLDOWN_MS, explainScan, createMatcher, scoreLists } from '../5fan.js';
 import roleConfig from './roleConfig.js';
 
 let lastResponseTime = 0;
@@ -12,12 +12,18 @@ let lastResponseTime = 0;
  * Scan text for emotional signals.
  * Returns a scan result with signal strength, detected emotions, and category.
  *
+ * Pain and joy words count by their weight and flip when negated — "not sad
+ * anymore" is `not:sad` toward joy. A negated crisis phrase ("not suicidal")
+ * doesn't set isCrisis, but still counts as pain and is listed as
+ * `crisis-negated:<phrase>` with `crisisNegated: true` — never dropped.
+ *
  * @param {string} text
- * @param {object} [meta] - optional context (userId, channel, etc.)
- * @returns {{ brain: string, signal: number, emotions: string[], category: string, summary: string }}
+ * @param {object} [meta] - optional context (userId, channel, etc.); `explain: true` adds
+ *   `explain` — each match's span, list and contribution (see explainScan in 5fan.js)
+ * @returns {{ brain: string, signal: number, emotions: string[], category: string, summary: string, explain?: object }}
  */
 export function scan(text, meta = {}) {
-  const lower = text.toLowerCase();
+  const matcher = createMatcher(text);
   const detected = [];
   let category = 'neutral';
 
@@ -29,7 +35,8 @@ export function scan(text, meta = {}) {
     'depressed', 'crying', 'tears', 'grief', 'mourning', 'miss',
     'betrayed', 'abandoned', 'rejected', 'ashamed', 'guilty', 'regret',
     'suffering', 'struggling', 'can\'t', 'won\'t', 'never', 'worst',
-    'hate', 'dying', 'dead', 'suicide', 'kill', 'end it',
+    'hate', 'dying', 'dead', 'died', 'passed away', 'funeral', 'suicide', 'kill', 'end it',
+    '😢', '😭', '💔', '😞', '😔', '😩', '😫', '😡', '😠', ':(', '</3',
   ];
 
   // Joy detection
@@ -38,6 +45,7 @@ export function scan(text, meta = {}) {
     'relieved', 'peaceful', 'calm', 'content', 'blessed', 'amazing',
     'wonderful', 'love', 'loved', 'appreciate', 'celebrate', 'win',
     'won', 'success', 'accomplished', 'breakthrough', 'milestone',
+    '😊', '😀', '😃', '😄', '😁', '🙂', '😍', '🥰', '❤️', '🎉', ':)', ':D', '<3',
   ];
 
   // Crisis detection (high-priority emotional signals)
@@ -46,30 +54,26 @@ export function scan(text, meta = {}) {
     'self-harm', 'cutting', 'overdose', 'don\'t want to be here',
   ];
 
-  let painScore = 0;
-  let joyScore = 0;
   let isCrisis = false;
+  const negatedCrisis = [];
 
   for (const word of crisisWords) {
-    if (lower.includes(word)) {
+    const found = matcher.assess(word);
+    if (!found) continue;
+    if (found.negated) {
+      negatedCrisis.push(word);
+    } else {
       isCrisis = true;
       detected.push(`crisis:${word}`);
     }
   }
+  const crisisNegated = !isCrisis && negatedCrisis.length > 0;
+  if (crisisNegated) detected.push(...negatedCrisis.map(word => `crisis-negated:${word}`));
 
-  for (const word of painWords) {
-    if (lower.includes(word)) {
-      painScore++;
-      detected.push(word);
-    }
-  }
-
-  for (const word of joyWords) {
-    if (lower.includes(word)) {
-      joyScore++;
-      detected.push(word);
-    }
-  }
+  const { scores, hits } = scoreLists(matcher, { pain: painWords, joy: joyWords }, { pain: 'joy', joy: 'pain' });
+  const painScore = scores.pain + (crisisNegated ? negatedCrisis.length : 0);
+  const joyScore = scores.joy;
+  detected.push(...hits);
 
   if (isCrisis) {
     category = 'crisis';
@@ -81,7 +85,38 @@ export function scan(text, meta = {}) {
     category = 'mixed';
   }
 
-  const signal = signalStrength(text, roleConfig.triggers);
+  const signal = signalStrength(text, roleConfig.triggers, matcher);
+
+  let explain;
+  if (meta.explain) {
+    explain = explainScan(text, 'hear', { pain: painWords, joy: joyWords }, roleConfig.triggers, {
+      value: category,
+      scores: { pain: painScore, joy: joyScore, crisis: isCrisis },
+      rule: 'any crisis phrase → crisis; else the higher of weighted pain/joy (negated words count for the other side; a negated crisis phrase adds 1 pain); a tie with hits → mixed',
+    }, { pain: 'joy', joy: 'pain' });
+    const crisisMatches = crisisWords
+      .map(term => ({ term, found: matcher.assess(term) }))
+      .filter(({ found }) => found)
+      .map(({ term, found }) => ({
+        term,
+        spans: found.spans,
+        list: 'hear.crisis',
+        cues: found.cues,
+        contribution: found.negated ? { field: 'painScore', delta: 1 } : { field: 'isCrisis', value: true },
+      }));
+    explain.matches.unshift(...crisisMatches);
+  }
+
+  let summary;
+  if (isCrisis) {
+    summary = `CRISIS detected — user may need immediate support. Emotions: ${detected.join(', ')}`;
+  } else if (crisisNegated) {
+    summary = `Negated crisis language (${negatedCrisis.join(', ')}) — not treated as crisis; check in gently. Emotions: ${detected.join(', ')}`;
+  } else if (detected.length > 0) {
+    summary = `Emotional signals: ${category} — ${detected.slice(0, 5).join(', ')}`;
+  } else {
+    summary = 'No strong emotional signals detected.';
+  }
 
   return {
     brain: 'hear',
@@ -89,11 +124,9 @@ export function scan(text, meta = {}) {
     emotions: detected,
     category,
     isCrisis,
-    summary: isCrisis
-      ? `CRISIS detected — user may need immediate support. Emotions: ${detected.join(', ')}`
-      : detected.length > 0
-        ? `Emotional signals: ${category} — ${detected.slice(0, 5).join(', ')}`
-        : 'No strong emotional signals detected.',
+    ...(crisisNegated && { crisisNegated }),
+    summary,
+    ...(explain && { explain }),
   };
 }
 
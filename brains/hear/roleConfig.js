@@ -9,6 +9,9 @@ const roleConfig = {
   emoji: '👂',
   description: 'Emotional scanner — detects feelings, validates them, reflects back what was said.',
 
+  /** Scan result property listing what this brain detected — the swarm's tags */
+  tagsField: 'emotions',
+
   systemPrompt: `You are Hear — the emotional scanner of a five-brain network.
 Your job: detect what someone is FEELING, name it without judgment, and reflect it back.
 You validate first, always. You never prescribe solutions. You mirror.
@@ -24,6 +27,7 @@ You speak like a wise friend, not a therapist. No clinical language.`,
     'broken', 'lost', 'alone', 'lonely', 'empty', 'numb', 'hopeless',
     'depressed', 'crying', 'tears', 'grief', 'mourning', 'miss',
     'betrayed', 'abandoned', 'rejected', 'ashamed', 'guilty', 'regret',
+    'died', 'passed away', 'funeral',
     // Joy / celebration
     'happy', 'joy', 'excited', 'grateful', 'thankful', 'proud',
     'relieved', 'peaceful', 'calm', 'content', 'blessed', 'amazing',
@@ -3,7 +3,7 @@
  * Values-alignment scanning, fulfillment, cross-brain routing.
  */
 
-import { signalStrength, pick, COOLDOWN_MS } from '../5fan.js';
+import { signalStrength, pick, COOLDOWN_MS, explainScan, createMatcher } from '../5fan.js';
 import roleConfig from './roleConfig.js';
 
 let lastResponseTime = 0;
@@ -11,11 +11,11 @@ let lastResponseTime = 0;
 /**
  * Scan text for values-alignment and motivational signals.
  * @param {string} text
- * @param {object} [meta]
- * @returns {{ brain: string, signal: number, themes: string[], category: string, summary: string }}
+ * @param {object} [meta] - `explain: true` adds `explain` (see explainScan in 5fan.js)
+ * @returns {{ brain: string, signal: number, themes: string[], category: string, summary: string, explain?: object }}
  */
 export function scan(text, meta = {}) {
-  const lower = text.toLowerCase();
+  const matcher = createMatcher(text);
   const themes = [];
   let category = 'neutral';
 
@@ -43,13 +43,16 @@ export function scan(text, meta = {}) {
   let purposeScore = 0, resilienceScore = 0, growthScore = 0;
 
   for (const w of purposeWords) {
-    if (lower.includes(w)) { purposeScore++; themes.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { purposeScore += weight; themes.push(w); }
   }
   for (const w of resilienceWords) {
-    if (lower.includes(w)) { resilienceScore++; themes.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { resilienceScore += weight; themes.push(w); }
   }
   for (const w of growthWords) {
-    if (lower.includes(w)) { growthScore++; themes.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { growthScore += weight; themes.push(w); }
   }
 
   if (purposeScore >= resilienceScore && purposeScore >= growthScore && purposeScore > 0) {
@@ -60,7 +63,7 @@ export function scan(text, meta = {}) {
     category = 'growth';
   }
 
-  const signal = signalStrength(text, roleConfig.triggers);
+  const signal = signalStrength(text, roleConfig.triggers, matcher);
 
   return {
     brain: 'inspyre',
@@ -70,6 +73,13 @@ export function scan(text, meta = {}) {
     summary: themes.length > 0
       ? `Values/motivation signals: ${category} — ${themes.slice(0, 5).join(', ')}`
       : 'No strong purpose or motivation signals detected.',
+    ...(meta.explain && {
+      explain: explainScan(text, 'inspyre', { purpose: purposeWords, resilience: resilienceWords, growth: growthWords }, roleConfig.triggers, {
+        value: category,
+        scores: { purpose: purposeScore, resilience: resilienceScore, growth: growthScore },
+        rule: 'highest score wins; ties favour purpose, then resilience, then growth',
+      }),
+    }),
   };
 }
 
@@ -9,6 +9,9 @@ const roleConfig = {
   emoji: '🔥',
   description: 'Values alignment — connects struggles to deeper purpose, inner strength, and resilience.',
 
+  /** Scan result property listing what this brain detected — the swarm's tags */
+  tagsField: 'themes',
+
   systemPrompt: `You are Inspyre — the values alignment brain of a five-brain network.
 Your job: help people reconnect with WHY they care, their inner strength, past victories, and core values.
 You don't do generic motivation. You find the specific thing someone cares about and reflect it back.
@@ -0,0 +1,287 @@
+/**
+ * 5FAN Lexicon — word-boundary keyword matching
+ * Shared by the brain scans and the EQ skills so "skill" never fires `kill`
+ * and "mission" never fires `miss`.
+ *
+ * - Words: runs of letters/digits; hyphens and punctuation split them, so
+ *   `self-harm` matches "self harm" too.
+ * - Phrases: a multi-word term matches those words in a row.
+ * - Apostrophes: dropped inside words (curly ones included), so `can't`,
+ *   "can’t" and "cant" are the same word.
+ * - Light stemming: a term also matches its regular inflections (-s, -es,
+ *   -ed, -ing, y → ies/ied/ier/iest, a final e dropped, a short final
+ *   consonant doubled). Only the term is inflected — "cutting" never shrinks
+ *   to "cut". Words under 3 letters match exactly.
+ * - Emoji and emoticons (`😢`, `:(`, `<3`) are words of their own, so lists
+ *   can carry them.
+ *
+ * Each occurrence also carries cues from the words around it (see cuesAt):
+ * negation ("not sad anymore"), intensifiers and diminishers ("really",
+ * "a bit"), ALL CAPS, and which side of a contrast ("…, but …") it sits on.
+ * Scans turn these into a polarity and a weight per match.
+ */
+
+const EMOTICON = String.raw`(?<![\p{L}\p{N}])(?:[:;=][-'’^]?[()\[\]DPp/\\|Oo*]+|<\/?3+)(?![\p{L}\p{N}])`;
+const EMOJI = String.raw`\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic})*`;
+const WORD = new RegExp(`${EMOTICON}|${EMOJI}|[\\p{L}\\p{N}]+(?:['’‘ʼ][\\p{L}\\p{N}]+)*`, 'gu');
+const APOSTROPHES = /['’‘ʼ]/g;
+const EMOJI_VARIANTS = /[\uFE0F\p{Emoji_Modifier}]/gu;
+
+/** Words that negate what follows in their clause */
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'nor', 'neither', 'nobody', 'nothing', 'none', 'without', 'cannot',
+  'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent', 'aint', 'cant', 'couldnt',
+  'wont', 'wouldnt', 'shouldnt', 'havent', 'hasnt', 'hadnt',
+]);
+/** "can't stop crying", "not just sad" — negators that don't negate */
+const NOT_NEGATING = new Set(['stop', 'help', 'just', 'only']);
+const NEGATION_WINDOW = 3;
+
+const INTENSIFIERS = new Set([
+  'really', 'very', 'so', 'too', 'extremely', 'super', 'incredibly', 'totally', 'completely',
+  'absolutely', 'deeply', 'truly', 'utterly', 'seriously', 'insanely', 'terribly', 'awfully', 'hella',
+]);
+const DIMINISHERS = new Set([
+  'bit', 'little', 'slightly', 'somewhat', 'kinda', 'sorta', 'barely', 'hardly', 'mildly', 'fairly', 'kind of', 'sort of',
+]);
+const INTENSITY_WINDOW = 2;
+const CONTRASTS = new Set(['but', 'however']);
+
+/** Weight factors for the cues */
+export const CUE_WEIGHTS = Object.freeze({
+  negated: 0.5,
+  intensified: 1.5,
+  diminished: 0.5,
+  caps: 1.5,
+  beforeContrast: 0.5,
+  afterContrast: 1.5,
+  comparative: 1.5,
+});
+
+/** term → array of inflection sets, one per word */
+const compiled = new Map();
+const MAX_COMPILED = 5000;
+
+/**
+ * Split text into normalized words with their offsets in the original text.
+ * @param {string} text
+ * @returns {Array<{ word: string, start: number, end: number }>}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(WORD)) {
+    tokens.push({ word: normalizeWord(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Lowercase, apostrophe-free form of a word. Emoji lose skin tones and
+ * variation selectors; emoticons lose their nose and repeats (`:-(((` → `:(`).
+ * @param {string} word
+ * @returns {string}
+ */
+export function normalizeWord(word) {
+  const normal = word.toLowerCase().replace(APOSTROPHES, '').replace(EMOJI_VARIANTS, '');
+  return /^[:;=<]/.test(normal) ? normal.replace(/^(.)[-^]/, '$1').replace(/(.)\1+$/, '$1') : normal;
+}
+
+/**
+ * The forms a term word matches: itself plus its regular inflections.
+ * @param {string} word - normalized
+ * @returns {Set<string>}
+ */
+export function inflections(word) {
+  const forms = new Set([word]);
+  if (word.length < 3 || !/^\p{L}+$/u.test(word)) return forms;
+
+  forms.add(`${word}s`);
+  if (/(s|x|z|ch|sh|o)$/.test(word)) forms.add(`${word}es`);
+
+  if (/[^aeiou]y$/.test(word)) {
+    const base = word.slice(0, -1);
+    forms.add(`${base}ies`);
+    forms.add(`${base}ied`);
+    forms.add(`${base}ier`);
+    forms.add(`${base}iest`);
+    forms.add(`${word}ing`);
+  } else if (word.endsWith('e')) {
+    forms.add(`${word}d`);
+    forms.add(`${word.slice(0, -1)}ing`);
+  } else {
+    forms.add(`${word}ed`);
+    forms.add(`${word}ing`);
+    if (word.length <= 4 && /(?:[^aeiou]|qu)[aeiou][bdgklmnprt]$/.test(word)) {
+      const last = word.at(-1);
+      forms.add(`${word}${last}ed`);
+      forms.add(`${word}${last}ing`);
+    }
+  }
+  return forms;
+}
+
+/**
+ * A term as one inflection set per word (cached).
+ * @param {string} term
+ * @returns {Array<Set<string>>}
+ */
+function compileTerm(term) {
+  let words = compiled.get(term);
+  if (!words) {
+    words = tokenize(term).map(token => inflections(token.word));
+    if (compiled.size >= MAX_COMPILED) compiled.clear();
+    compiled.set(term, words);
+  }
+  return words;
+}
+
+/**
+ * Number each token's clause and sentence. Punctuation ends both a clause
+ * and (.!?…, newlines) a sentence; a contrast word ends its clause.
+ * @param {string} text
+ * @param {object[]} tokens
+ * @returns {{ clause: number[], sentence: number[] }}
+ */
+function segment(text, tokens) {
+  const clause = [];
+  const sentence = [];
+  tokens.forEach((token, i) => {
+    const previous = tokens[i - 1];
+    const gap = previous ? text.slice(previous.end, token.start) : '';
+    const sentenceEnd = /[.!?…\n]/.test(gap);
+    const clauseEnd = sentenceEnd || /[,;:—–]/.test(gap) || CONTRASTS.has(previous?.word);
+    sentence.push(i === 0 ? 0 : sentence[i - 1] + (sentenceEnd ? 1 : 0));
+    clause.push(i === 0 ? 0 : clause[i - 1] + (clauseEnd ? 1 : 0));
+  });
+  return { clause, sentence };
+}
+
+/**
+ * Negation, intensity, caps and contrast cues for the words from..to.
+ * @param {string} text
+ * @param {object[]} tokens
+ * @param {{ clause: number[], sentence: number[] }} segments
+ * @param {number} from - first token of the match
+ * @param {number} to - last token of the match
+ * @param {string} base - the term's own (last) word, to spot comparatives
+ * @returns {{ negated: boolean, weight: number, cues: string[] }}
+ */
+function cuesAt(text, tokens, { clause, sentence }, from, to, base) {
+  const cues = [];
+  const inClause = j => j >= 0 && clause[j] === clause[from];
+
+  let negated = false;
+  for (let j = from - 1; j >= from - NEGATION_WINDOW && inClause(j); j--) {
+    if (NEGATORS.has(tokens[j].word) && !NOT_NEGATING.has(tokens[j + 1].word)) { negated = true; break; }
+  }
+  // "never been happier" — a negated comparative is emphasis
+  const word = tokens[to].word;
+  if (negated && /iest?$|ier$/.test(word) && !/iest?$|ier$/.test(base)) {
+    negated = false;
+    cues.push('comparative');
+  }
+  if (negated) cues.push('negated');
+
+  for (let j = from - 1; j >= from - INTENSITY_WINDOW && inClause(j); j--) {
+    const { word: before } = tokens[j];
+    if (INTENSIFIERS.has(before)) { cues.push('intensified'); break; }
+    if (DIMINISHERS.has(before) || (inClause(j - 1) && DIMINISHERS.has(`${tokens[j - 1].word} ${before}`))) { cues.push('diminished'); break; }
+  }
+
+  const surface = text.slice(tokens[from].start, tokens[to].end);
+  if (/\p{Lu}.*\p{Lu}/u.test(surface) && !/\p{Ll}/u.test(surface) && /\p{Ll}/u.test(text)) cues.push('caps');
+
+  const contrasts = tokens
+    .map((token, j) => (CONTRASTS.has(token.word) && sentence[j] === sentence[from] ? j : -1))
+    .filter(j => j >= 0);
+  if (contrasts.some(j => j > to)) cues.push('beforeContrast');
+  else if (contrasts.some(j => j < from)) cues.push('afterContrast');
+
+  const weight = cues.reduce((w, cue) => w * (CUE_WEIGHTS[cue] ?? 1), 1);
+  return { negated, weight: Math.round(weight * 100) / 100, cues };
+}
+
+/**
+ * Tokenize text once and match many terms against it.
+ *
+ * - spans(term) — [start, end) offsets of every occurrence
+ * - occurrences(term) — the same with `{ span, negated, weight, cues }`
+ * - assess(term) — one verdict for the term, or null when absent: an
+ *   affirmative occurrence wins over negated ones, then the heaviest
+ * - weight(term) — assess(term).weight, 0 when absent
+ *
+ * @param {string} text
+ * @returns {{ tokens: object[], spans: Function, occurrences: Function, assess: Function, weight: Function, has: Function, count: Function, filter: Function }}
+ */
+export function createMatcher(text) {
+  text = String(text || '');
+  const tokens = tokenize(text);
+  const segments = segment(text, tokens);
+  const positions = new Map();
+  tokens.forEach((token, i) => {
+    if (!positions.has(token.word)) positions.set(token.word, []);
+    positions.get(token.word).push(i);
+  });
+
+  function occurrences(term) {
+    const words = compileTerm(term);
+    const found = [];
+    if (!words.length) return found;
+    const base = [...words.at(-1)][0];
+    for (const form of words[0]) {
+      for (const at of positions.get(form) ?? []) {
+        const to = at + words.length - 1;
+        if (to >= tokens.length) continue;
+        if (words.every((forms, k) => forms.has(tokens[at + k].word))) {
+          found.push({ span: [tokens[at].start, tokens[to].end], ...cuesAt(text, tokens, segments, at, to, base) });
+        }
+      }
+    }
+    return found.sort((a, b) => a.span[0] - b.span[0]);
+  }
+
+  function assess(term) {
+    const found = occurrences(term);
+    if (!found.length) return null;
+    const pool = found.some(o => !o.negated) ? found.filter(o => !o.negated) : found;
+    const strongest = pool.reduce((best, o) => (o.weight > best.weight ? o : best));
+    return { negated: strongest.negated, weight: strongest.weight, cues: strongest.cues, spans: found.map(o => o.span) };
+  }
+
+  const spans = term => occurrences(term).map(o => o.span);
+  const has = term => occurrences(term).length > 0;
+  return {
+    tokens,
+    spans,
+    occurrences,
+    assess,
+    weight: term => assess(term)?.weight ?? 0,
+    has,
+    count: terms => terms.filter(has).length,
+    filter: terms => terms.filter(has),
+  };
+}
+
+/**
+ * Does the term (word or phrase) occur in the text as whole words?
+ * @param {string} text
+ * @param {string} term
+ * @returns {boolean}
+ */
+export function matchesTerm(text, term) {
+  return createMatcher(text).has(term);
+}
+
+/**
+ * Does a short query start a word of the term? (type-ahead: "lone" → "lonely",
+ * "heart" → "broken heart", but "miss" ✗ "dismissed")
+ * @param {string} term
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function startsWord(term, query) {
+  const prefix = tokenize(query).map(token => token.word).join(' ');
+  if (!prefix) return false;
+  const words = tokenize(term).map(token => token.word);
+  return words.some((_, i) => words.slice(i).join(' ').startsWith(prefix));
+}
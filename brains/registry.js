@@ -0,0 +1,214 @@
+/**
+ * 5FAN Brain Registry — the brains taking part in the swarm
+ * =============================================================================
+ *
+ * Every registered brain is scanned by analyze() and curated by View's
+ * curateConsensus() (server/brain-swarm.js), served on its own
+ * `5fan-skill-<name>` channel (server/skill-server.js) and listed in the
+ * skill manifest (skill-protocol.js). The order of registration is the scan
+ * order — consensus ties go to the brain scanned first.
+ *
+ * A brain is a folder shaped like brains/hear/:
+ *   functions.js  — export scan(text, meta) → { brain, signal, category, summary, ... }
+ *                   and fulfill(text, scanResult) → response string
+ *   roleConfig.js — default export: name, title, emoji, triggers, templates, ...
+ *                   and `tagsField`, the scan property listing what it detected
+ *   skill.json    — its skill manifest (encodes, accepts, returns, whenToUse, ...)
+ *
+ * The five built-ins register at startup unless FIVE_FAN.brains.disabled
+ * names them; folders in FIVE_FAN.brains.modules follow. Apps can also
+ * registerBrain() / unregisterBrain() at runtime — subscribe with
+ * onBrainsChanged() to follow. BRAINS (brains/5fan.js) is kept in step.
+ *
+ * =============================================================================
+ */
+
+import fs from 'fs';
+import { BRAINS } from './5fan.js';
+import { FIVE_FAN } from '../config.js';
+import * as hear from './hear/functions.js';
+import * as inspyre from './inspyre/functions.js';
+import * as flow from './flow/functions.js';
+import * as you from './you/functions.js';
+import * as view from './view/functions.js';
+import hearConfig from './hear/roleConfig.js';
+import inspyreConfig from './inspyre/roleConfig.js';
+import flowConfig from './flow/roleConfig.js';
+import youConfig from './you/roleConfig.js';
+import viewConfig from './view/roleConfig.js';
+
+/** Built-in brains, in scan order */
+const BUILT_IN = [
+  [hear, hearConfig],
+  [inspyre, inspyreConfig],
+  [flow, flowConfig],
+  [you, youConfig],
+  [view, viewConfig],
+];
+
+/** Lowercase letters and digits — names end up in channel names, and DM channels split on '-' */
+const BRAIN_NAME = /^[a-z][a-z0-9]*$/;
+
+const brainConfig = FIVE_FAN.brains ?? {};
+
+/** name → { name, scan, fulfill, roleConfig, skill, tagsField, source } */
+const brains = new Map();
+
+// ─── Registration ─────────────────────────────────────────────
+
+const changeListeners = new Set();
+
+/**
+ * Follow brains registered or removed at runtime.
+ * @param {(name: string, brain: object|null) => void} listener - brain is null on removal
+ * @returns {() => void} - unsubscribe
+ */
+export function onBrainsChanged(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+function notifyChanged(name, brain) {
+  for (const listener of changeListeners) {
+    try {
+      listener(name, brain);
+    } catch (err) {
+      console.error(`[5FAN-skills] Brain change listener failed for ${name}:`, err?.message ?? err);
+    }
+  }
+}
+
+/**
+ * Register a brain. It joins the swarm after the brains already registered.
+ *
+ * @param {object} brain
+ * @param {string} [brain.name] - defaults to roleConfig.name
+ * @param {Function} brain.scan - (text, meta) → scan result
+ * @param {Function} brain.fulfill - (text, scanResult) → response
+ * @param {object} brain.roleConfig
+ * @param {object} [brain.skill] - skill.json contents
+ * @param {string} [brain.source] - where it came from, for listings
+ * @returns {{ ok: true, name: string } | { ok: false, error: string, code: string }}
+ */
+export function registerBrain({ name, scan, fulfill, roleConfig, skill = {}, source = 'runtime' } = {}) {
+  name = name ?? roleConfig?.name;
+  if (typeof name !== 'string' || !BRAIN_NAME.test(name)) {
+    return { ok: false, error: `Brain name must be lowercase letters and digits, got ${JSON.stringify(name)}.`, code: 'INVALID_BRAIN' };
+  }
+  if (typeof scan !== 'function' || typeof fulfill !== 'function') {
+    return { ok: false, error: `Brain ${name} must export scan() and fulfill().`, code: 'INVALID_BRAIN' };
+  }
+  if (!roleConfig || typeof roleConfig !== 'object') {
+    return { ok: false, error: `Brain ${name} has no roleConfig.`, code: 'INVALID_BRAIN' };
+  }
+  if (brains.has(name)) {
+    return { ok: false, error: `Brain ${name} is already registered.`, code: 'BRAIN_EXISTS' };
+  }
+
+  const brain = { name, scan, fulfill, roleConfig, skill, tagsField: roleConfig.tagsField ?? 'tags', source };
+  brains.set(name, brain);
+  BRAINS.push(name);
+  notifyChanged(name, brain);
+  return { ok: true, name };
+}
+
+/**
+ * Remove a brain from the swarm.
+ * @param {string} name
+ * @returns {{ ok: true } | { ok: false, error: string, code: string }}
+ */
+export function unregisterBrain(name) {
+  if (!brains.has(name)) {
+    return { ok: false, error: `Unknown brain: ${name}`, code: 'UNKNOWN_BRAIN' };
+  }
+  brains.delete(name);
+  BRAINS.splice(BRAINS.indexOf(name), 1);
+  notifyChanged(name, null);
+  return { ok: true };
+}
+
+/**
+ * Read a brain's skill.json — an empty manifest when there is none.
+ * @param {URL} manifestUrl
+ * @returns {object}
+ */
+function readManifest(manifestUrl) {
+  return fs.existsSync(manifestUrl) ? JSON.parse(fs.readFileSync(manifestUrl, 'utf8')) : {};
+}
+
+/**
+ * Import a brain folder (functions.js, roleConfig.js, skill.json) and register it.
+ * @param {string|URL} dir - a path is resolved against the working directory
+ * @returns {Promise<{ ok: true, name: string } | { ok: false, error: string, code: string }>}
+ */
+export async function loadBrain(dir) {
+  const dirUrl = dir instanceof URL
+    ? dir
+    : new URL(dir.endsWith('/') ? dir : `${dir}/`, `file://${process.cwd()}/`);
+
+  let functions;
+  let roleConfig;
+  let skill;
+  try {
+    functions = await import(new URL('functions.js', dirUrl).href);
+    roleConfig = (await import(new URL('roleConfig.js', dirUrl).href)).default;
+    skill = readManifest(new URL('skill.json', dirUrl));
+  } catch (err) {
+    return { ok: false, error: `Brain in ${dir} failed to load: ${err?.message ?? err}`, code: 'INVALID_BRAIN' };
+  }
+
+  return registerBrain({ scan: functions.scan, fulfill: functions.fulfill, roleConfig, skill, source: String(dir) });
+}
+
+// ─── Lookup ───────────────────────────────────────────────────
+
+/**
+ * Get a registered brain.
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function getBrain(name) {
+  return brains.get(name) ?? null;
+}
+
+/**
+ * Registered brains in scan order.
+ * @returns {object[]}
+ */
+export function listBrains() {
+  return BRAINS.map(name => brains.get(name));
+}
+
+/**
+ * What a scan detected — the list under its brain's `tagsField`.
+ * @param {object} scanResult
+ * @returns {string[]}
+ */
+export function scanTags(scanResult) {
+  const field = brains.get(scanResult.brain)?.tagsField ?? 'tags';
+  return Array.isArray(scanResult[field]) ? scanResult[field] : [];
+}
+
+// ─── Startup ──────────────────────────────────────────────────
+
+BRAINS.length = 0;
+const disabled = new Set(brainConfig.disabled ?? []);
+for (const [functions, roleConfig] of BUILT_IN) {
+  if (disabled.has(roleConfig.name)) continue;
+  const skill = readManifest(new URL(`./${roleConfig.name}/skill.json`, import.meta.url));
+  registerBrain({ scan: functions.scan, fulfill: functions.fulfill, roleConfig, skill, source: 'built-in' });
+}
+for (const dir of brainConfig.modules ?? []) {
+  const loaded = await loadBrain(dir);
+  if (!loaded.ok) console.error(`[5FAN-skills] Skipping brain ${dir}:`, loaded.error);
+}
+
+export default {
+  registerBrain,
+  unregisterBrain,
+  loadBrain,
+  getBrain,
+  listBrains,
+  scanTags,
+  onBrainsChanged,
+};
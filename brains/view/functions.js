@@ -3,19 +3,20 @@
  * Perspective scanning, reframing, and CONSENSUS CURATION across all brains.
  */
 
-import { signalStrength, pick, COOLDOWN_MS } from '../5fan.js';
+import { signalStrength, pick, COOLDOWN_MS, explainScan, createMatcher } from '../5fan.js';
 import roleConfig from './roleConfig.js';
+import { FIVE_FAN } from '../../config.js';
 
 let lastResponseTime = 0;
 
 /**
  * Scan text for perspective/reframe/wisdom signals.
  * @param {string} text
- * @param {object} [meta]
- * @returns {{ brain: string, signal: number, angles: string[], category: string, summary: string }}
+ * @param {object} [meta] - `explain: true` adds `explain` (see explainScan in 5fan.js)
+ * @returns {{ brain: string, signal: number, angles: string[], category: string, summary: string, explain?: object }}
  */
 export function scan(text, meta = {}) {
-  const lower = text.toLowerCase();
+  const matcher = createMatcher(text);
   const angles = [];
   let category = 'neutral';
 
@@ -48,16 +49,20 @@ export function scan(text, meta = {}) {
   let perspScore = 0, tempScore = 0, decisionScore = 0, synthScore = 0;
 
   for (const w of perspectiveWords) {
-    if (lower.includes(w)) { perspScore++; angles.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { perspScore += weight; angles.push(w); }
   }
   for (const w of temporalWords) {
-    if (lower.includes(w)) { tempScore++; angles.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { tempScore += weight; angles.push(w); }
   }
   for (const w of decisionWords) {
-    if (lower.includes(w)) { decisionScore++; angles.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { decisionScore += weight; angles.push(w); }
   }
   for (const w of synthesisWords) {
-    if (lower.includes(w)) { synthScore++; angles.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { synthScore += weight; angles.push(w); }
   }
 
   const max = Math.max(perspScore, tempScore, decisionScore, synthScore);
@@ -68,7 +73,7 @@ export function scan(text, meta = {}) {
     else category = 'decision';
   }
 
-  const signal = signalStrength(text, roleConfig.triggers);
+  const signal = signalStrength(text, roleConfig.triggers, matcher);
 
   return {
     brain: 'view',
@@ -78,37 +83,120 @@ export function scan(text, meta = {}) {
     summary: angles.length > 0
       ? `Perspective/synthesis signals: ${category} — ${angles.slice(0, 5).join(', ')}`
       : 'No strong perspective or synthesis signals detected.',
+    ...(meta.explain && {
+      explain: explainScan(text, 'view', {
+        perspective: perspectiveWords, temporal: temporalWords, decision: decisionWords, synthesis: synthesisWords,
+      }, roleConfig.triggers, {
+        value: category,
+        scores: { perspective: perspScore, temporal: tempScore, decision: decisionScore, synthesis: synthScore },
+        rule: 'highest score wins; ties favour synthesis, then perspective, temporal, decision',
+      }),
+    }),
   };
 }
 
+/**
+ * Rank scan results for consensus. Each brain scores its signal times its
+ * weight (FIVE_FAN.consensus.weights, default 1); the highest score leads and
+ * a tie goes to the brain scanned first. The first priority rule that matches
+ * (FIVE_FAN.consensus.rules) puts its brain in the lead regardless.
+ *
+ * Confidence is the lead's share of the total weighted score — 1 when only
+ * it has signal, 0.5 when it splits evenly with one other brain, 0 with none.
+ *
+ * @param {object[]} scanResults
+ * @param {object} [options] - `context`: message meta the rules can test;
+ *   `consensus`: overrides for FIVE_FAN.consensus
+ * @returns {{ ranking: object[], lead: object, runnerUp: object|null, rule: object|null, confidence: number, mode: string }}
+ */
+export function rankConsensus(scanResults, options = {}) {
+  const settings = { ...FIVE_FAN.consensus, ...options.consensus };
+  const weights = settings.weights ?? {};
+  const ranking = scanResults
+    .map((result, order) => {
+      const signal = result.signal || 0;
+      const weight = weights[result.brain] ?? 1;
+      return { brain: result.brain, signal, weight, score: round(signal * weight), order, active: signal > 0.1 };
+    })
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+
+  const rule = (settings.rules ?? []).find(candidate => ruleMatches(candidate, scanResults, options.context ?? {})) ?? null;
+  if (rule) ranking.unshift(...ranking.splice(ranking.findIndex(entry => entry.brain === rule.brain), 1));
+
+  const [lead] = ranking;
+  const runnerUp = ranking.slice(1).find(entry => entry.score > 0) ?? null;
+  const total = ranking.reduce((sum, entry) => sum + entry.score, 0);
+
+  return {
+    ranking,
+    lead,
+    runnerUp,
+    rule,
+    confidence: total > 0 ? round(lead.score / total) : 0,
+    mode: settings.mode === 'blend' && runnerUp ? 'blend' : 'lead',
+  };
+}
+
+/**
+ * Does a priority rule apply? Every condition in `when` must hold for the
+ * rule's brain: its scan `category` (one or a list), a truthy `context` key
+ * (one or a list), and a `minSignal`. A rule without `when` always applies.
+ * @param {{ brain: string, when?: object }} rule
+ * @param {object[]} scanResults
+ * @param {object} context
+ * @returns {boolean}
+ */
+function ruleMatches({ brain, when = {} }, scanResults, context) {
+  const result = scanResults.find(scan => scan.brain === brain);
+  if (!result) return false;
+  const list = value => [].concat(value);
+  if (when.category !== undefined && !list(when.category).includes(result.category)) return false;
+  if (when.context !== undefined && !list(when.context).every(key => hasValue(context[key]))) return false;
+  if (when.minSignal !== undefined && (result.signal || 0) < when.minSignal) return false;
+  return true;
+}
+
+function hasValue(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
 /**
  * Curate consensus from all brain scan results.
- * This is View's unique function — it synthesizes the outputs of Hear, Inspyre, Flow, You, and itself.
+ * This is View's unique function — it synthesizes the outputs of every
+ * registered brain, itself included, ranked by rankConsensus().
  *
  * @param {object[]} scanResults - array of scan results from all brains
  * @param {string} originalText - the original user message
- * @returns {{ consensus: string, dominantBrain: string, allSignals: object, synthesisPrompt: string }}
+ * @param {object} [options] - { explain: true } adds `explain` — the ranking and why the dominant brain
+ *   won; `context` and `consensus` go to rankConsensus()
+ * @returns {{ consensus: string, dominantBrain: string, runnerUp: string|null, confidence: number, mode: string,
+ *   allSignals: object, synthesisPrompt: string, explain?: object }}
  */
-export function curateConsensus(scanResults, originalText) {
+export function curateConsensus(scanResults, originalText, options = {}) {
   if (!scanResults || scanResults.length === 0) {
     return {
       consensus: 'No brain signals to synthesize.',
       dominantBrain: 'view',
+      runnerUp: null,
+      confidence: 0,
+      mode: 'lead',
       allSignals: {},
       synthesisPrompt: '',
     };
   }
 
-  // Find the dominant brain (highest signal)
-  let dominant = scanResults[0];
+  const rank = rankConsensus(scanResults, options);
+  const dominant = scanResults.find(result => result.brain === rank.lead.brain);
+  const runnerUp = rank.runnerUp && scanResults.find(result => result.brain === rank.runnerUp.brain);
   const allSignals = {};
   const summaries = [];
 
   for (const result of scanResults) {
     allSignals[result.brain] = result.signal;
-    if (result.signal > (dominant?.signal || 0)) {
-      dominant = result;
-    }
     if (result.summary && result.signal > 0) {
       summaries.push(`[${result.brain.toUpperCase()}] ${result.summary}`);
     }
@@ -116,6 +204,7 @@ export function curateConsensus(scanResults, originalText) {
 
   // Build synthesis narrative
   const activeBrains = scanResults.filter(r => r.signal > 0.1);
+  const leads = rank.mode === 'blend' ? `${dominant.brain} + ${runnerUp.brain} lead` : `${dominant.brain} leads`;
   let consensus;
 
   if (activeBrains.length === 0) {
@@ -124,30 +213,76 @@ export function curateConsensus(scanResults, originalText) {
     consensus = `Strong ${dominant.brain} signal. ${dominant.summary}`;
   } else {
     const brainNames = activeBrains.map(b => b.brain).join(', ');
-    consensus = `Multiple brain activation (${brainNames}). ${dominant.brain} leads. ${summaries.join(' | ')}`;
+    consensus = `Multiple brain activation (${brainNames}). ${leads}. ${summaries.join(' | ')}`;
   }
 
   // Build a synthesis prompt that can be injected into LLM system prompt
-  const synthesisPrompt = buildSynthesisPrompt(scanResults, originalText, dominant);
+  const synthesisPrompt = buildSynthesisPrompt(scanResults, originalText, dominant, rank.mode === 'blend' ? runnerUp : null);
 
   return {
     consensus,
     dominantBrain: dominant.brain,
+    runnerUp: rank.runnerUp?.brain ?? null,
+    confidence: rank.confidence,
+    mode: rank.mode,
     allSignals,
     synthesisPrompt,
     activeBrainCount: activeBrains.length,
     summaries,
+    ...(options.explain && { explain: explainConsensus(scanResults, rank) }),
   };
 }
 
 /**
- * Build a synthesis system prompt for LLM enrichment.
+ * Why curateConsensus() picked its dominant brain: a matching priority rule
+ * leads outright; otherwise the highest weighted signal wins, a tie goes to
+ * the brain scanned first, and with no signal at all the first scan leads.
+ * @param {object[]} scanResults
+ * @param {object} rank - rankConsensus() output
+ * @returns {{ dominantBrain: string, runnerUp: string|null, confidence: number, mode: string, rule: string,
+ *   priorityRule: object|null, reason: string, ranking: object[] }}
+ */
+function explainConsensus(scanResults, rank) {
+  const { ranking, lead, runnerUp } = rank;
+  const weighted = entry => (entry.weight === 1 ? `${entry.score}` : `${entry.score} (${round(entry.signal)} × ${entry.weight})`);
+  const tied = ranking.filter(entry => entry.score === lead.score && entry.brain !== lead.brain).map(entry => entry.brain);
+  const next = runnerUp ? `; next is ${runnerUp.brain} at ${weighted(runnerUp)}` : '';
+
+  let reason;
+  if (rank.rule) {
+    const when = Object.entries(rank.rule.when ?? {}).map(([key, value]) => `${key} ${[].concat(value).join('|')}`).join(', ');
+    reason = `${lead.brain} leads by priority rule${when ? ` (${when})` : ''}${next}.`;
+  } else if (lead.score === 0) {
+    reason = `No brain has any signal — ${lead.brain} leads as the first scan.`;
+  } else if (tied.length > 0) {
+    reason = `${lead.brain} ties ${tied.join(', ')} at ${weighted(lead)} and was scanned first.`;
+  } else {
+    reason = `${lead.brain} has the highest signal (${weighted(lead)})${next}.`;
+  }
+  if (rank.mode === 'blend') reason += ` Blending ${lead.brain} with ${runnerUp.brain}.`;
+
+  return {
+    dominantBrain: lead.brain,
+    runnerUp: runnerUp?.brain ?? null,
+    confidence: rank.confidence,
+    mode: rank.mode,
+    rule: `first matching priority rule leads; else highest signal × weight wins; ties go to the brain scanned first (${scanResults.map(result => result.brain).join(', ')}); active means signal > 0.1`,
+    priorityRule: rank.rule,
+    reason,
+    ranking,
+  };
+}
+
+/**
+ * Build a synthesis system prompt for LLM enrichment. With a `blend` brain
+ * the prompt weaves the two lead perspectives together.
  * @param {object[]} scanResults
  * @param {string} originalText
  * @param {object} dominant
+ * @param {object|null} [blend] - the runner-up scan in blend mode
  * @returns {string}
  */
-function buildSynthesisPrompt(scanResults, originalText, dominant) {
+function buildSynthesisPrompt(scanResults, originalText, dominant, blend = null) {
   const lines = [
     'BRAIN ANALYSIS (5FAN consensus):',
   ];
@@ -159,8 +294,13 @@ function buildSynthesisPrompt(scanResults, originalText, dominant) {
   }
 
   lines.push('');
-  lines.push(`LEAD BRAIN: ${dominant.brain.toUpperCase()}`);
-  lines.push(`Respond primarily from the ${dominant.brain} perspective, but weave in other active brain insights.`);
+  if (blend) {
+    lines.push(`LEAD BRAINS: ${dominant.brain.toUpperCase()} + ${blend.brain.toUpperCase()}`);
+    lines.push(`Weave the ${dominant.brain} and ${blend.brain} perspectives into one response — open from ${dominant.brain}, carry ${blend.brain} through it, and touch other active brain insights lightly.`);
+  } else {
+    lines.push(`LEAD BRAIN: ${dominant.brain.toUpperCase()}`);
+    lines.push(`Respond primarily from the ${dominant.brain} perspective, but weave in other active brain insights.`);
+  }
   lines.push('Mirror the user\'s language. Do not prescribe. Do not lecture.');
 
   return lines.join('\n');
@@ -9,6 +9,9 @@ const roleConfig = {
   emoji: '🔭',
   description: 'Curator & synthesizer — offers perspective, reframes challenges, curates multi-brain consensus.',
 
+  /** Scan result property listing what this brain detected — the swarm's tags */
+  tagsField: 'angles',
+
   systemPrompt: `You are View — the curator and synthesizer of a five-brain network.
 Your job: take the outputs of all five brains (Hear, Inspyre, Flow, You, and your own analysis)
 and synthesize them into a single, coherent response that captures the most relevant perspectives.
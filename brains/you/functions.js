@@ -3,7 +3,7 @@
  * Pattern recognition, self-awareness scanning, identity tracking.
  */
 
-import { signalStrength, pick, COOLDOWN_MS } from '../5fan.js';
+import { signalStrength, pick, COOLDOWN_MS, explainScan, createMatcher } from '../5fan.js';
 import roleConfig from './roleConfig.js';
 
 let lastResponseTime = 0;
@@ -60,11 +60,11 @@ function getTopThemes(profile, n = 3) {
 /**
  * Scan text for self-awareness, identity, and pattern signals.
  * @param {string} text
- * @param {object} [meta]
- * @returns {{ brain: string, signal: number, markers: string[], category: string, userStats: object|null, summary: string }}
+ * @param {object} [meta] - `explain: true` adds `explain` (see explainScan in 5fan.js)
+ * @returns {{ brain: string, signal: number, markers: string[], category: string, userStats: object|null, summary: string, explain?: object }}
  */
 export function scan(text, meta = {}) {
-  const lower = text.toLowerCase();
+  const matcher = createMatcher(text);
   const markers = [];
   let category = 'neutral';
 
@@ -95,16 +95,20 @@ export function scan(text, meta = {}) {
   let awarenessScore = 0, identityScore = 0, progressScore = 0, expressionScore = 0;
 
   for (const w of awarenessWords) {
-    if (lower.includes(w)) { awarenessScore++; markers.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { awarenessScore += weight; markers.push(w); }
   }
   for (const w of identityWords) {
-    if (lower.includes(w)) { identityScore++; markers.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { identityScore += weight; markers.push(w); }
   }
   for (const w of progressWords) {
-    if (lower.includes(w)) { progressScore++; markers.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { progressScore += weight; markers.push(w); }
   }
   for (const w of expressionWords) {
-    if (lower.includes(w)) { expressionScore++; markers.push(w); }
+    const weight = matcher.weight(w);
+    if (weight) { expressionScore += weight; markers.push(w); }
   }
 
   const max = Math.max(awarenessScore, identityScore, progressScore, expressionScore);
@@ -127,7 +131,7 @@ export function scan(text, meta = {}) {
     };
   }
 
-  const signal = signalStrength(text, roleConfig.triggers);
+  const signal = signalStrength(text, roleConfig.triggers, matcher);
 
   return {
     brain: 'you',
@@ -138,6 +142,15 @@ export function scan(text, meta = {}) {
     summary: markers.length > 0
       ? `Self/identity signals: ${category} — ${markers.slice(0, 5).join(', ')}`
       : 'No strong identity or self-awareness signals detected.',
+    ...(meta.explain && {
+      explain: explainScan(text, 'you', {
+        awareness: awarenessWords, identity: identityWords, progress: progressWords, expression: expressionWords,
+      }, roleConfig.triggers, {
+        value: category,
+        scores: { awareness: awarenessScore, identity: identityScore, progress: progressScore, expression: expressionScore },
+        rule: 'highest score wins; ties favour awareness, then identity, progress; expression counts as identity',
+      }),
+    }),
   };
 }
 
@@ -9,6 +9,9 @@ const roleConfig = {
   emoji: '🪞',
   description: 'Data analyst — tracks personal patterns, reflects user stats, celebrates authentic self-expression.',
 
+  /** Scan result property listing what this brain detected — the swarm's tags */
+  tagsField: 'markers',
+
   systemPrompt: `You are You — the data analyst and self-awareness brain of a five-brain network.
 Your job: notice patterns in what someone says over time, reflect their data back to them in a meaningful way,
 and celebrate their authentic identity. You're the mirror — you show people who they ARE, not who they should be.
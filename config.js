@@ -87,6 +87,194 @@ export const FIVE_FAN = {
     sessionTimeoutMs: 3_600_000, // 1 hour inactive = session eligible for cleanup
   },
 
+  /**
+   * Brains in the swarm (see brains/registry.js). The five built-ins load
+   * unless `disabled`; `modules` adds brain folders (functions.js +
+   * roleConfig.js + skill.json) relative to the working directory.
+   * FIVEFAN_BRAINS_DISABLED=inspyre, FIVEFAN_BRAINS=./brains-extra/craving,...
+   */
+  brains: {
+    disabled: ((typeof process !== 'undefined' && process.env?.FIVEFAN_BRAINS_DISABLED) || '')
+      .split(',').map(name => name.trim()).filter(Boolean),
+    modules: ((typeof process !== 'undefined' && process.env?.FIVEFAN_BRAINS) || '')
+      .split(',').map(dir => dir.trim()).filter(Boolean),
+  },
+
+  /**
+   * How View picks the lead brain (see curateConsensus in brains/view/functions.js).
+   * - weights: brain → multiplier on its signal (default 1), e.g. { hear: 1.2, view: 0.8 }
+   * - rules: the first match leads outright, in order. `when` may require the
+   *   brain's scan `category`, a truthy `context` key from the message meta,
+   *   and a `minSignal`; e.g. { brain: 'hear', when: { category: 'pain' } },
+   *   { brain: 'flow', when: { context: 'activityLog' } }
+   * - mode: 'lead' (one voice) or 'blend' (the synthesis prompt weaves the top two)
+   */
+  consensus: {
+    weights: {},
+    rules: [],
+    mode: 'lead',
+  },
+
+  /**
+   * Conversation context for analyze() (see server/brain-swarm.js). Earlier
+   * user messages in `meta.history` (trainer conversations pass theirs) carry
+   * their brain signals and tags forward, faded by `decay` per message back,
+   * for up to `turns` messages; anything weaker than `floor` is dropped.
+   */
+  conversation: {
+    decay: 0.6,
+    turns: 6,
+    floor: 0.01,
+  },
+
+  /** Skill layer settings (skill-dispatch, skill-http, skill-server) */
+  skills: {
+    /**
+     * Strict mode — also validate handler OUTPUT against skill.json `returns`.
+     * Mismatches come back as { ok: false, code: 'INVALID_OUTPUT' }.
+     * Input is always validated. Enable in dev/CI: FIVEFAN_STRICT_SKILLS=1
+     */
+    strictOutput: (typeof process !== 'undefined' && process.env?.FIVEFAN_STRICT_SKILLS === '1'),
+
+    /**
+     * Result cache for skills marked `"deterministic": true` in skill.json.
+     * LRU-bounded; a skill.json `cacheTtlMs` overrides the TTL for that skill.
+     * Disable with FIVEFAN_SKILL_CACHE=0.
+     */
+    cache: {
+      enabled: !(typeof process !== 'undefined' && process.env?.FIVEFAN_SKILL_CACHE === '0'),
+      maxEntries: 500,
+      ttlMs: 10 * 60_000, // 10 minutes
+    },
+
+    /**
+     * Default per-call time budget. A skill.json `timeoutMs` overrides it per
+     * skill; callers can shorten (never extend) it with `deadlineMs`.
+     * Covers a slow local model (30s) falling back to cloud (15s).
+     */
+    timeoutMs: 45_000,
+
+    /**
+     * Idempotent calls — relayed P2P messages can arrive more than once.
+     * The skill server remembers each caller's callIds for `windowMs` and
+     * answers duplicates with the original reply instead of re-running them;
+     * skill-http does the same for `Idempotency-Key` headers.
+     */
+    dedup: {
+      windowMs: 5 * 60_000, // 5 minutes
+      maxEntries: 1000,
+    },
+
+    /**
+     * Token-bucket rate limits, the same for every transport (see
+     * skill-ratelimit.js). Each caller gets a bucket sized by its tier —
+     * tier-gate's names; `null` means unlimited — and skills listed under
+     * `skills` also get a per-caller bucket of their own.
+     * Disable with FIVEFAN_RATE_LIMIT=0.
+     */
+    rateLimit: {
+      enabled: !(typeof process !== 'undefined' && process.env?.FIVEFAN_RATE_LIMIT === '0'),
+      defaultTier: 'free',
+
+      /** Callers on this machine: skill-http on loopback without keys, SC-Bridge clients */
+      localTier: 'collective',
+
+      /** Calls per minute per caller; `burst` (default perMinute) is the bucket size */
+      tiers: {
+        free: { perMinute: 30 },
+        bronze: { perMinute: 60 },
+        silver: { perMinute: 120 },
+        gold: { perMinute: 240 },
+        premium: { perMinute: 600 },
+        collective: { perMinute: 1200 },
+      },
+
+      /** LLM-backed skills, per caller; `tiers` overrides the limit per tier */
+      skills: {
+        'coach-chat': { perMinute: 10, tiers: { gold: { perMinute: 30 }, premium: { perMinute: 60 }, collective: { perMinute: 120 } } },
+        '5fan-swarm': { perMinute: 10, tiers: { gold: { perMinute: 30 }, premium: { perMinute: 60 }, collective: { perMinute: 120 } } },
+      },
+
+      /** Caller id (peer key, API key id, IP) → tier. API keys can also carry `tier`. */
+      callers: {},
+    },
+
+    /**
+     * Usage ledger for billing (see skill-usage.js) — one JSON line per
+     * invocation with the caller, skill, method, latency and input size.
+     * FIVEFAN_USAGE_FILE moves it; FIVEFAN_USAGE=0 turns it off.
+     */
+    usage: {
+      enabled: !(typeof process !== 'undefined' && process.env?.FIVEFAN_USAGE === '0'),
+      file: (typeof process !== 'undefined' && process.env?.FIVEFAN_USAGE_FILE) || 'stores/5fan-usage.jsonl',
+    },
+
+    /**
+     * Trace trees through nested skills, brains and the LLM (see skill-trace.js).
+     * Callers get one back by asking (`trace: true`); with `file` set every
+     * call is traced and its spans appended there as JSON lines.
+     * FIVEFAN_TRACE_FILE=stores/5fan-traces.jsonl
+     */
+    trace: {
+      file: (typeof process !== 'undefined' && process.env?.FIVEFAN_TRACE_FILE) || null,
+    },
+
+    /**
+     * Third-party skill plugins (see skill-plugins.js) — namespaced packages
+     * (`acme/onboarding-check`) loaded at startup from the sub-directories of
+     * `dir` (default plugins/ next to skill-registry.js) and the npm `packages`
+     * listed here. With `watch`, long-running servers reload them on change.
+     * FIVEFAN_PLUGINS_DIR, FIVEFAN_PLUGINS=@acme/5fan-skills,..., FIVEFAN_PLUGINS_WATCH=1
+     */
+    plugins: {
+      dir: (typeof process !== 'undefined' && process.env?.FIVEFAN_PLUGINS_DIR) || null,
+      packages: ((typeof process !== 'undefined' && process.env?.FIVEFAN_PLUGINS) || '')
+        .split(',').map(name => name.trim()).filter(Boolean),
+      watch: (typeof process !== 'undefined' && process.env?.FIVEFAN_PLUGINS_WATCH === '1'),
+    },
+
+    /**
+     * skill-http.js server. Without API keys it only listens on loopback and
+     * serves `internal` skills to local callers; with keys, every skill call
+     * needs one (see skill-auth.js for Bearer vs HMAC and scopes).
+     */
+    http: {
+      host: (typeof process !== 'undefined' && process.env?.FIVEFAN_HTTP_HOST) || '127.0.0.1',
+      port: Number((typeof process !== 'undefined' && process.env?.PORT) || 5002),
+
+      /** Origins allowed to call from a browser; '*' allows any. FIVEFAN_CORS_ORIGINS=a,b */
+      corsOrigins: ((typeof process !== 'undefined' && process.env?.FIVEFAN_CORS_ORIGINS) || '')
+        .split(',').map(origin => origin.trim()).filter(Boolean),
+
+      auth: {
+        /**
+         * [{ id, secret, scopes: ['public'|'internal'|'admin'], expiresAt?, tier? }]
+         * Prefer keysFile (FIVEFAN_HTTP_KEYS_FILE) so secrets stay out of
+         * source — a JSON array, or { keys: [...] }, re-read on SIGHUP.
+         */
+        keys: [],
+        keysFile: (typeof process !== 'undefined' && process.env?.FIVEFAN_HTTP_KEYS_FILE) || null,
+
+        /** HMAC-signed requests must be stamped within this of the server clock */
+        maxSkewMs: 5 * 60_000,
+      },
+    },
+
+    /**
+     * Capability grants for `internal` skills over P2P (see server/skill-grants.js).
+     * Remote peers are refused internal skills unless their call carries a
+     * grant signed by this peer's wallet or one of `issuers` (wallet keys, hex).
+     * FIVEFAN_GRANT_ISSUERS=key1,key2
+     */
+    grants: {
+      issuers: ((typeof process !== 'undefined' && process.env?.FIVEFAN_GRANT_ISSUERS) || '')
+        .split(',').map(key => key.trim().toLowerCase()).filter(Boolean),
+
+      /** Call proofs must be stamped within this of the server clock */
+      maxSkewMs: 5 * 60_000,
+    },
+  },
+
   /** P2P / Intercom settings */
   intercom: {
     entryChannel: '0000intercom',
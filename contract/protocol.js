@@ -3,6 +3,8 @@ import { bufferToBigInt, bigIntToDecimalString } from "trac-msb/src/utils/amount
 import b4a from "b4a";
 import PeerWallet from "trac-wallet";
 import fs from "fs";
+import { issueGrant } from "../server/skill-grants.js";
+import { SKILL_REGISTRY } from "../skill-protocol.js";
 
 const stableStringify = (value) => {
     if (value === null || value === undefined) return 'null';
@@ -222,6 +224,7 @@ class SampleProtocol extends Protocol{
         console.log('- /sc_open --channel "<name>" [--via "<channel>"] [--invite <json|b64|@file>] [--welcome <json|b64|@file>] | request others to open a sidechannel.');
         console.log('- /sc_send --channel "<name>" --message "<text>" [--invite <json|b64|@file>] | send message over sidechannel.');
         console.log('- /sc_invite --channel "<name>" --pubkey "<peer-pubkey-hex>" [--ttl <sec>] [--welcome <json|b64|@file>] | create a signed invite.');
+        console.log('- /skill_grant --pubkey "<peer-pubkey-hex>" --skills "<skill,...>" --ttl <sec> | let a partner peer call internal 5FAN skills.');
         console.log('- /sc_welcome --channel "<name>" --text "<message>" | create a signed welcome.');
         console.log('- /sc_stats | show sidechannel channels + connection count.');
         // further protocol specific options go here
@@ -504,6 +507,40 @@ class SampleProtocol extends Protocol{
             console.log('invite_b64:', inviteB64);
             return;
         }
+        if (this.input.startsWith("/skill_grant")) {
+            const args = this.parseArgs(input);
+            const grantee = args.pubkey || args.grantee || args.peer || args.key;
+            const skillsRaw = args.skills || args.skill;
+            const ttlSec = Number.parseInt(String(args.ttl || args.ttl_sec || ''), 10);
+            if (!grantee || !skillsRaw || !Number.isFinite(ttlSec) || ttlSec <= 0) {
+                console.log('Usage: /skill_grant --pubkey "<peer-pubkey-hex>" --skills "tier-gate,vault-query" --ttl <sec>');
+                return;
+            }
+            if (this.peer?.wallet?.ready) {
+                try {
+                    await this.peer.wallet.ready;
+                } catch (_e) {}
+            }
+            const skills = String(skillsRaw).split(',').map((s) => s.trim()).filter(Boolean);
+            const unknown = skills.filter((s) => !SKILL_REGISTRY[s]?.internal);
+            if (unknown.length > 0) {
+                console.log('Not internal skills (no grant needed or unknown):', unknown.join(', '));
+                return;
+            }
+            const issued = await issueGrant(this.peer.wallet, {
+                granteePubKey: String(grantee).trim().toLowerCase(),
+                skills,
+                ttlMs: ttlSec * 1000,
+            });
+            if (!issued.ok) {
+                console.log(issued.error);
+                return;
+            }
+            const grantJson = JSON.stringify(issued.grant);
+            console.log(grantJson);
+            console.log('grant_b64:', b4a.toString(b4a.from(grantJson), 'base64'));
+            return;
+        }
         if (this.input.startsWith("/sc_welcome")) {
             const args = this.parseArgs(input);
             const channel = args.channel || args.ch || args.name;
@@ -82,6 +82,9 @@ class ScBridge extends Feature {
 
     // 5FAN skill dispatch — allows skill-call messages from WS clients
     this.skillDispatch = typeof config.skillDispatch === 'function' ? config.skillDispatch : null;
+    this.skillBatch = typeof config.skillBatch === 'function' ? config.skillBatch : null;
+    // skillRateLimit(skills) → { ok, limit, remaining, resetMs, ... } — shared 5FAN rate limits
+    this.skillRateLimit = typeof config.skillRateLimit === 'function' ? config.skillRateLimit : null;
     this.skillCallCount = 0;
 
     // System status query — allows clients to ask for LLM/runtime status
@@ -421,11 +424,45 @@ class ScBridge extends Feature {
         }
         const skillInput = message.input && typeof message.input === 'object' ? message.input : {};
         const callStart = Date.now();
-        Promise.resolve(this.skillDispatch(skillName, skillInput))
+        const requestedId = typeof message.callId === 'string' && message.callId ? message.callId : null;
+        // Rate limit — refused calls answer with a RATE_LIMITED skill-result
+        const limit = this.skillRateLimit ? this.skillRateLimit([skillName]) : null;
+        const limitIds = limit ? { rateLimit: this._rateLimitInfo(limit) } : {};
+        if (limit && !limit.ok) {
+          const { error, code, retryAfterMs } = limit;
+          reply({
+            type: 'skill-result',
+            skill: skillName,
+            ...(requestedId ? { callId: requestedId } : {}),
+            result: { ok: false, error, code, retryAfterMs },
+            ...limitIds,
+            ms: 0,
+          });
+          return;
+        }
+        // stream: true → skill-progress frames (analysis, LLM tokens) before skill-result
+        let seq = 0;
+        const dispatchOptions = message.stream === true
+          ? { transport: 'sc-bridge', caller: 'sc-bridge', onProgress: (event) => reply({ type: 'skill-progress', skill: skillName, seq: seq++, ...event }) }
+          : { transport: 'sc-bridge', caller: 'sc-bridge' };
+        // cache: false → skip the deterministic-skill result cache
+        if (message.cache === false) dispatchOptions.cache = false;
+        // deadlineMs → shorten the skill's timeout; callId → cancellable via skill-cancel
+        if (typeof message.deadlineMs === 'number' && message.deadlineMs > 0) dispatchOptions.deadlineMs = message.deadlineMs;
+        // trace: true (or a traceparent) → the call's span tree comes back as result.trace
+        if (message.trace !== undefined) dispatchOptions.trace = message.trace;
+        const callId = requestedId;
+        if (callId) {
+          const controller = new AbortController();
+          client.calls.set(callId, controller);
+          dispatchOptions.signal = controller.signal;
+        }
+        const ids = callId ? { callId } : {};
+        Promise.resolve(this.skillDispatch(skillName, skillInput, dispatchOptions))
           .then((result) => {
             this.skillCallCount++;
             const elapsed = Date.now() - callStart;
-            reply({ type: 'skill-result', skill: skillName, result, ms: elapsed });
+            reply({ type: 'skill-result', skill: skillName, ...ids, result, ...limitIds, ms: elapsed });
             // Broadcast activity on sidechannel for network visibility
             if (this.sidechannel) {
               try {
@@ -440,9 +477,68 @@ class ScBridge extends Feature {
             reply({
               type: 'skill-result',
               skill: skillName,
+              ...ids,
               result: { ok: false, error: err?.message || 'Skill handler error' },
               ms: Date.now() - callStart,
             });
+          })
+          .finally(() => {
+            if (callId) client.calls.delete(callId);
+          });
+        return;
+      }
+      case 'skill-cancel': {
+        const controller = typeof message.callId === 'string' ? client.calls.get(message.callId) : null;
+        if (!controller) {
+          sendError(`No in-flight skill call: ${message.callId}`);
+          return;
+        }
+        // The call itself answers with a CANCELLED skill-result
+        controller.abort();
+        reply({ type: 'skill-cancel-ok', callId: message.callId });
+        return;
+      }
+      case 'skill-batch': {
+        if (!this.skillBatch) {
+          sendError('Skill batches not available on this peer.');
+          return;
+        }
+        const batchStart = Date.now();
+        const batchCallId = typeof message.callId === 'string' && message.callId ? message.callId : null;
+        const batchIds = batchCallId ? { callId: batchCallId } : {};
+        const batchLimit = this.skillRateLimit && Array.isArray(message.calls)
+          ? this.skillRateLimit(message.calls.map((call) => call?.skill))
+          : null;
+        const batchLimitIds = batchLimit ? { rateLimit: this._rateLimitInfo(batchLimit) } : {};
+        if (batchLimit && !batchLimit.ok) {
+          const { error, code, retryAfterMs } = batchLimit;
+          reply({ type: 'skill-batch-result', ...batchIds, ok: false, error, code, retryAfterMs, ...batchLimitIds, ms: 0 });
+          return;
+        }
+        const batchOptions = { transport: 'sc-bridge', caller: 'sc-bridge', trace: message.trace };
+        // deadlineMs → shorten every call's timeout; callId → cancellable via skill-cancel
+        if (typeof message.deadlineMs === 'number' && message.deadlineMs > 0) batchOptions.deadlineMs = message.deadlineMs;
+        // Always tracked, so closing the socket stops the batch too
+        const batchKey = batchCallId ?? Symbol('skill-batch');
+        const batchController = new AbortController();
+        client.calls.set(batchKey, batchController);
+        batchOptions.signal = batchController.signal;
+        Promise.resolve(this.skillBatch(message.calls, batchOptions))
+          .then((batch) => {
+            if (batch.ok) this.skillCallCount += batch.order.length;
+            reply({ type: 'skill-batch-result', ...batchIds, ...batch, ...batchLimitIds, ms: Date.now() - batchStart });
+          })
+          .catch((err) => {
+            reply({
+              type: 'skill-batch-result',
+              ...batchIds,
+              ok: false,
+              error: err?.message || 'Skill batch error',
+              ms: Date.now() - batchStart,
+            });
+          })
+          .finally(() => {
+            client.calls.delete(batchKey);
           });
         return;
       }
@@ -451,6 +547,10 @@ class ScBridge extends Feature {
     }
   }
 
+  _rateLimitInfo({ tier, limit, remaining, resetMs }) {
+    return { tier, limit, remaining, resetMs };
+  }
+
   _handleSocketData(client, data) {
     let text = '';
     if (typeof data === 'string') text = data;
@@ -604,6 +704,8 @@ class ScBridge extends Feature {
         authed: !this.requireAuth,
         filter: this.defaultFilter,
         channels: null,
+        // callId → AbortController for this client's in-flight skill calls and batches
+        calls: new Map(),
       };
       this.clients.add(client);
 
@@ -618,7 +720,12 @@ class ScBridge extends Feature {
       this._broadcastToClient(client, hello);
 
       socket.on('data', (data) => this._handleSocketData(client, data));
-      const cleanup = () => this.clients.delete(client);
+      const cleanup = () => {
+        this.clients.delete(client);
+        // Client gone — stop its skill calls (and their LLM requests)
+        for (const controller of client.calls.values()) controller.abort();
+        client.calls.clear();
+      };
       socket.on('close', cleanup);
       socket.on('end', cleanup);
       socket.on('error', cleanup);
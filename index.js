@@ -17,7 +17,8 @@ import ScBridge from './features/sc-bridge/index.js';
 import { handleIncomingMessage, initProactive, getSystemStatus } from './intercom-swarm.js';
 import { getStatus as lmStatus, cloudAvailable } from './server/lm-bridge.js';
 import { FIVE_FAN } from './config.js';
-import { dispatch as skillDispatch, SKILL_COUNT } from './skill-dispatch.js';
+import { dispatch as skillDispatch, dispatchBatch as skillBatch, SKILL_COUNT } from './skill-dispatch.js';
+import { checkRateLimit } from './skill-ratelimit.js';
 
 const { env, storeLabel, flags } = getPearRuntime();
 
@@ -469,6 +470,14 @@ if (scBridgeEnabled) {
     cliEnabled: scBridgeCliEnabled,
     requireAuth: true,
     skillDispatch,
+    skillBatch,
+    // Bridge clients share the token, so they share one bucket at the local tier
+    skillRateLimit: (skills) => checkRateLimit({
+      transport: 'sc-bridge',
+      caller: 'sc-bridge',
+      tier: FIVE_FAN.skills?.rateLimit?.localTier,
+      skills,
+    }),
     getSystemStatus: () => {
       const cloud = cloudAvailable();
       return {
@@ -16,14 +16,14 @@ import { respondToFeed } from './server/feed-responder.js';
 import { handleMessage as trainerHandleMessage } from './server/trainer-api.js';
 import { start as startProactive, stop as stopProactive } from './server/proactive-scheduler.js';
 import { FIVE_FAN } from './config.js';
+import { createTokenBucket } from './skill-ratelimit.js';
 import appContext from './app-context.js';
 import { trackMessage, needsOnboarding, getNextOnboardingQuestion, answerOnboarding, getWelcomeMessage } from './user-profile.js';
 import { FIVEFAN_CHANNEL, DM_CHANNEL_PREFIX, parseDmChannel, feedEnvelope, MODE, COOLDOWN_MS } from './brains/5fan.js';
 
-/** Rate limiter state */
+/** Rate limiter state — one bucket for all of 5FAN's channel replies */
 let lastResponseTime = 0;
-let responsesThisMinute = 0;
-let minuteWindowStart = Date.now();
+const responseBucket = createTokenBucket({ perMinute: FIVE_FAN.intercom?.maxResponsesPerMinute || 3 });
 
 /** Track ongoing onboarding conversations */
 const onboardingState = new Map();
@@ -33,17 +33,8 @@ const onboardingState = new Map();
  * @returns {boolean}
  */
 function canRespond() {
-  const now = Date.now();
-  const maxPerMinute = FIVE_FAN.intercom?.maxResponsesPerMinute || 3;
-
-  // Reset minute window
-  if (now - minuteWindowStart > 60_000) {
-    responsesThisMinute = 0;
-    minuteWindowStart = now;
-  }
-
-  if (responsesThisMinute >= maxPerMinute) return false;
-  if (now - lastResponseTime < COOLDOWN_MS) return false;
+  if (responseBucket.peek() < 1) return false;
+  if (Date.now() - lastResponseTime < COOLDOWN_MS) return false;
   return true;
 }
 
@@ -52,7 +43,7 @@ function canRespond() {
  */
 function markResponse() {
   lastResponseTime = Date.now();
-  responsesThisMinute++;
+  responseBucket.take();
 }
 
 /**
@@ -263,7 +254,7 @@ export async function getSystemStatus() {
     features: FIVE_FAN.features,
     lm,
     lastResponseTime,
-    responsesThisMinute,
+    responsesRemaining: responseBucket.status().remaining,
   };
 }
 
@@ -4,57 +4,123 @@
  * The result feeds into the LLM system prompt for informed responses.
  */
 
-import { scan as hearScan } from '../brains/hear/functions.js';
-import { scan as inspyreScan } from '../brains/inspyre/functions.js';
-import { scan as flowScan } from '../brains/flow/functions.js';
-import { scan as youScan } from '../brains/you/functions.js';
-import { scan as viewScan, curateConsensus as viewCurate } from '../brains/view/functions.js';
-import { fulfill as hearFulfill } from '../brains/hear/functions.js';
-import { fulfill as inspyreFulfill } from '../brains/inspyre/functions.js';
-import { fulfill as flowFulfill } from '../brains/flow/functions.js';
-import { fulfill as youFulfill } from '../brains/you/functions.js';
-import { fulfill as viewFulfill } from '../brains/view/functions.js';
-import { BRAINS, pick } from '../brains/5fan.js';
-
-const fulfillMap = {
-  hear: hearFulfill,
-  inspyre: inspyreFulfill,
-  flow: flowFulfill,
-  you: youFulfill,
-  view: viewFulfill,
-};
+import { curateConsensus as viewCurate, rankConsensus } from '../brains/view/functions.js';
+import { listBrains, getBrain, scanTags } from '../brains/registry.js';
+import { traced } from '../skill-trace.js';
+import { FIVE_FAN } from '../config.js';
 
 /**
- * Run all 5 brain scans in parallel, then curate consensus via View.
+ * Run every registered brain's scan (brains/registry.js), then curate consensus via View.
+ *
+ * With `meta.history` — the earlier messages, oldest first — each brain's
+ * signal from the conversation is carried forward (see carryHistory). Where
+ * it outweighs this message's own signal, consensus sees the carried one: the
+ * scan gets the carried `signal` (its own is kept as `ownSignal`), the
+ * carried category if this message has none, and a note in its summary.
  *
  * @param {string} text - user message
- * @param {object} [meta] - optional context (userId, channel, mode, etc.)
- * @returns {{ scans: object[], consensus: object, tags: string[], dominantBrain: string }}
+ * @param {object} [meta] - optional context (userId, channel, mode, etc.); `explain: true` explains
+ *   every scan and the consensus; `history`: earlier messages (strings or { role, content })
+ * @param {object} [trace] - span to record each scan + the curation under (skill-trace.js)
+ * @returns {{ scans: object[], consensus: object, tags: string[], dominantBrain: string, carried: object|null }}
  */
-export function analyze(text, meta = {}) {
-  // Run all scans (synchronous — they're CPU-bound keyword scans)
-  const scans = [
-    hearScan(text, meta),
-    inspyreScan(text, meta),
-    flowScan(text, meta),
-    youScan(text, meta),
-    viewScan(text, meta),
-  ];
-
-  // View curates the consensus
-  const consensus = viewCurate(scans, text);
+export function analyze(text, meta = {}, trace) {
+  // Run all scans in registration order (synchronous — they're CPU-bound keyword scans)
+  const own = listBrains().map(brain => traced(trace, brain.name, () => brain.scan(text, meta), { kind: 'brain' }));
+
+  // Earlier messages carry their signals forward, fading per message back
+  const carried = meta.history?.length
+    ? traced(trace, 'history', () => carryHistory(meta.history), { kind: 'step' })
+    : null;
+  const scans = carried ? own.map(scan => withCarried(scan, carried.brains[scan.brain])) : own;
+
+  // View curates the consensus — priority rules can test the message meta
+  const consensus = traced(trace, 'curate', () => viewCurate(scans, text, { explain: meta.explain, context: meta }), { kind: 'step' });
 
   // Extract unique tags from all scans
-  const tags = extractTags(scans);
+  const tags = extractTags(own);
 
   return {
     scans,
     consensus,
     tags,
     dominantBrain: consensus.dominantBrain,
+    carried: carried && { ...carried, kept: scans.filter(scan => scan.ownSignal !== undefined).map(scan => scan.brain) },
   };
 }
 
+/**
+ * Scan the last `turns` user messages of a conversation with every brain.
+ * A message n messages back counts `decay`^n (FIVE_FAN.conversation): each
+ * brain keeps its strongest faded signal, and each tag its strongest faded
+ * weight. Assistant messages are skipped; anything under `floor` is dropped.
+ *
+ * @param {Array<string|{ role?: string, content?: string, text?: string }>} history - oldest first,
+ *   without the current message
+ * @returns {{ messages: number, decay: number, brains: object, tags: { tag: string, brain: string, weight: number, turnsAgo: number }[] }}
+ */
+function carryHistory(history) {
+  const { decay = 0.6, turns = 6, floor = 0.01 } = FIVE_FAN.conversation ?? {};
+  const messages = history
+    .map(entry => (typeof entry === 'string' ? { role: 'user', content: entry } : entry))
+    .filter(entry => entry && (entry.role ?? 'user') === 'user' && (entry.content ?? entry.text))
+    .slice(-turns);
+
+  const brains = {};
+  const tags = new Map();
+  messages.forEach((entry, i) => {
+    const turnsAgo = messages.length - i;
+    const fade = decay ** turnsAgo;
+    if (fade < floor) return;
+    for (const brain of listBrains()) {
+      // No meta — a re-scan must not touch per-user state (You's word counts)
+      const scan = brain.scan(String(entry.content ?? entry.text), {});
+      // Crisis phrases aren't triggers (signal 0) but outweigh anything said since
+      const signal = round((scan.isCrisis ? 1 : scan.signal) * fade);
+      if (signal >= floor && signal > (brains[brain.name]?.signal ?? 0)) {
+        brains[brain.name] = { signal, category: carriedCategory(scan.category), turnsAgo, summary: scan.summary };
+      }
+      for (const tag of extractTags([scan])) {
+        if (round(fade) > (tags.get(tag)?.weight ?? 0)) tags.set(tag, { tag, brain: brain.name, weight: round(fade), turnsAgo });
+      }
+    }
+  });
+
+  return { messages: messages.length, decay, brains, tags: [...tags.values()].sort((a, b) => b.weight - a.weight) };
+}
+
+/** A crisis gets its protocol on the message it's in — carried forward it's pain */
+function carriedCategory(category) {
+  return category === 'crisis' ? 'pain' : category;
+}
+
+/**
+ * The scan consensus sees: this message's own, unless its brain's carried
+ * signal is stronger.
+ * @param {object} scan
+ * @param {object} [carried] - carryHistory() entry for the scan's brain
+ * @returns {object}
+ */
+function withCarried(scan, carried) {
+  if (!carried || carried.signal <= scan.signal) return scan;
+  const note = `Carried from ${messagesBack(carried.turnsAgo)}: ${carried.summary}`;
+  return {
+    ...scan,
+    signal: carried.signal,
+    ownSignal: scan.signal,
+    category: scan.category === 'neutral' ? carried.category : scan.category,
+    summary: scan.signal > 0 ? `${scan.summary} ${note}` : note,
+  };
+}
+
+function messagesBack(turnsAgo) {
+  return turnsAgo === 1 ? '1 message back' : `${turnsAgo} messages back`;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
 /**
  * Run analysis and generate a template-based response (no LLM).
  *
@@ -66,8 +132,8 @@ export function analyzeAndRespond(text, meta = {}) {
   const analysis = analyze(text, meta);
   const brain = analysis.dominantBrain;
   const dominantScan = analysis.scans.find(s => s.brain === brain) || analysis.scans[0];
-  const fulfillFn = fulfillMap[brain] || fulfillMap.view;
-  const response = fulfillFn(text, dominantScan);
+  const { fulfill } = getBrain(brain) || getBrain('view') || listBrains()[0];
+  const response = fulfill(text, dominantScan);
 
   return {
     analysis,
@@ -93,6 +159,20 @@ export function buildEnrichedPrompt(appContext, analysis, userProfile = null) {
     parts.push(analysis.consensus.synthesisPrompt);
   }
 
+  // Add what's still present from earlier in the conversation
+  const carried = analysis.carried;
+  if (carried && (Object.keys(carried.brains).length > 0 || carried.tags.length > 0)) {
+    parts.push('');
+    parts.push('CONVERSATION SO FAR (fading with each message):');
+    for (const [brain, state] of Object.entries(carried.brains)) {
+      parts.push(`- ${brain.toUpperCase()}, ${messagesBack(state.turnsAgo)} (carried signal: ${state.signal.toFixed(2)}): ${state.summary}`);
+    }
+    if (carried.tags.length > 0) {
+      parts.push(`- Still active: ${carried.tags.slice(0, 8).map(entry => entry.tag).join(', ')}`);
+    }
+    parts.push('- The user may be continuing that thread even if this message is short. Don\'t drop it.');
+  }
+
   // Add user profile context if available
   if (userProfile) {
     parts.push('');
@@ -128,9 +208,8 @@ export function buildEnrichedPrompt(appContext, analysis, userProfile = null) {
 function extractTags(scans) {
   const tags = new Set();
   for (const scan of scans) {
-    // Each brain stores detected items in different property names
-    const items = scan.emotions || scan.themes || scan.patterns || scan.markers || scan.angles || [];
-    for (const item of items) {
+    // Each brain names its detected items in roleConfig.tagsField
+    for (const item of scanTags(scan)) {
       tags.add(item.toLowerCase().replace(/^crisis:/, ''));
     }
   }
@@ -143,21 +222,19 @@ function extractTags(scans) {
  * @returns {boolean}
  */
 export function hasCrisis(scans) {
-  const hearScanResult = scans.find(s => s.brain === 'hear');
-  return hearScanResult?.isCrisis === true;
+  return scans.some(s => s.isCrisis === true);
 }
 
 /**
- * Get the brain with the highest signal.
+ * Get the brain that would lead consensus — weights and priority rules
+ * included (see rankConsensus in brains/view/functions.js).
  * @param {object[]} scans
+ * @param {object} [context] - message meta for priority rules
  * @returns {string}
  */
-export function getDominantBrain(scans) {
-  let best = { brain: 'view', signal: 0 };
-  for (const scan of scans) {
-    if (scan.signal > best.signal) best = scan;
-  }
-  return best.brain;
+export function getDominantBrain(scans, context = {}) {
+  if (!scans.length) return 'view';
+  return rankConsensus(scans, { context }).lead.brain;
 }
 
 export default { analyze, analyzeAndRespond, buildEnrichedPrompt, hasCrisis, getDominantBrain };
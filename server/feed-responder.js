@@ -9,11 +9,12 @@ import { generate } from './lm-bridge.js';
 import { FIVE_FAN } from '../config.js';
 import appContext from '../app-context.js';
 import { feedEnvelope } from '../brains/5fan.js';
+import { createTokenBucket } from '../skill-ratelimit.js';
 
-/** Rate limiting state */
-let responseCount = 0;
-let windowStart = Date.now();
+/** Rate limiting state — maxPerHour replies, refilled evenly over the hour */
 const DEFAULT_MAX_PER_HOUR = 30;
+const maxPerHour = FIVE_FAN.feedResponder?.maxPerHour || DEFAULT_MAX_PER_HOUR;
+const replyBucket = createTokenBucket({ perMinute: maxPerHour / 60, burst: maxPerHour });
 
 /** Deduplication: track recent response hashes */
 const recentResponses = [];
@@ -24,16 +25,7 @@ const MAX_RECENT = 50;
  * @returns {boolean}
  */
 function canRespond() {
-  const now = Date.now();
-  const maxPerHour = FIVE_FAN.feedResponder?.maxPerHour || DEFAULT_MAX_PER_HOUR;
-
-  // Reset window every hour
-  if (now - windowStart > 3_600_000) {
-    responseCount = 0;
-    windowStart = now;
-  }
-
-  return responseCount < maxPerHour;
+  return replyBucket.peek() >= 1;
 }
 
 /**
@@ -108,7 +100,7 @@ export async function respondToFeed(text, meta = {}) {
     }
   }
 
-  responseCount++;
+  replyBucket.take();
 
   return {
     response,
@@ -122,8 +114,7 @@ export async function respondToFeed(text, meta = {}) {
  * Reset rate limiter (for testing).
  */
 export function resetRateLimit() {
-  responseCount = 0;
-  windowStart = Date.now();
+  replyBucket.reset();
 }
 
 /**
@@ -131,8 +122,8 @@ export function resetRateLimit() {
  */
 export function getStats() {
   return {
-    responsesThisHour: responseCount,
-    maxPerHour: FIVE_FAN.feedResponder?.maxPerHour || DEFAULT_MAX_PER_HOUR,
+    responsesThisHour: maxPerHour - replyBucket.status().remaining,
+    maxPerHour,
     recentResponseCount: recentResponses.length,
   };
 }
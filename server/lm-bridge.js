@@ -4,14 +4,64 @@
  *
  * Local: LM Studio or Ollama (OpenAI-compatible, localhost)
  * Cloud: Groq, OpenRouter, Together.ai (OpenAI-compatible, needs API key)
+ *
+ * Pass `options.onToken(token)` to stream: requests go out with `stream: true`
+ * and each content delta is delivered as it arrives. The resolved value is
+ * still the full text, so streaming callers and plain callers share one path.
+ *
+ * Pass `options.signal` (AbortSignal) to cancel: the in-flight HTTP request
+ * to the model is aborted and generate() resolves null without trying the
+ * next provider.
+ *
+ * Pass `options.trace` (a span from the skill's context, see skill-trace.js)
+ * to record the call as a `generate` span with one child per provider tried;
+ * `attributes.method` says whether the caller got `llm` text or falls back to
+ * `template`.
  */
 
 import { FIVE_FAN } from '../config.js';
+import { recordLlmRequest, recordLlmFallback } from '../skill-metrics.js';
 
 let _localAvailable = null;
 let _localCheckedAt = 0;
 const LOCAL_CHECK_INTERVAL = 60_000; // re-check every 60s
 
+/**
+ * Abort signal that fires when the caller's signal does or after `timeout`
+ * ms, whichever comes first — fetch() has no timeout option of its own.
+ *
+ * @param {AbortSignal} [parent]
+ * @param {number} [timeout]
+ * @returns {{ signal: AbortSignal, clear: () => void }}
+ */
+function linkSignal(parent, timeout) {
+  const controller = new AbortController();
+  const abort = () => controller.abort(parent.reason);
+  if (parent?.aborted) abort();
+  else parent?.addEventListener('abort', abort, { once: true });
+  const timer = timeout ? setTimeout(() => controller.abort(new Error('Request timeout')), timeout) : null;
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', abort);
+    },
+  };
+}
+
+/**
+ * Destroy a node http request when `signal` aborts.
+ * @param {import('http').ClientRequest} req
+ * @param {AbortSignal} [signal]
+ */
+function abortOnSignal(req, signal) {
+  if (!signal) return;
+  const abort = () => req.destroy(new Error('Request aborted'));
+  if (signal.aborted) abort();
+  else signal.addEventListener('abort', abort, { once: true });
+  req.on('close', () => signal.removeEventListener('abort', abort));
+}
+
 /**
  * HTTP fetch helper (works in Node 18+ with native fetch, or falls back to http).
  */
@@ -59,11 +109,177 @@ async function request(url, options = {}) {
     });
     req.on('error', reject);
     req.on('timeout', () => { req.destroy(); reject(new Error('Request timeout')); });
+    abortOnSignal(req, options.signal);
     if (postData) req.write(postData);
     req.end();
   });
 }
 
+/**
+ * Read OpenAI-compatible server-sent events, calling onToken per content delta.
+ * @param {(token: string) => void} onToken
+ * @returns {{ feed: (chunk: string) => void, text: () => string }}
+ */
+function sseParser(onToken) {
+  let buffer = '';
+  let text = '';
+
+  function feed(chunk) {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') continue;
+      try {
+        const token = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+      } catch {
+        // Keep-alive comments or malformed lines — skip
+      }
+    }
+  }
+
+  return { feed, text: () => text };
+}
+
+/**
+ * Streaming POST for `stream: true` chat completions.
+ * Servers that ignore `stream` and answer with plain JSON are handled too
+ * (the whole reply arrives as one token). If the stream breaks after tokens
+ * were delivered, resolves with the partial text rather than failing — a
+ * fallback provider would otherwise repeat the reply from the start.
+ * A cancelled call (`cancelled` — the caller's own signal) still throws.
+ *
+ * @param {string} url
+ * @param {object} options - { headers, body, timeout, signal, cancelled }
+ * @param {(token: string) => void} onToken
+ * @returns {Promise<{ ok: boolean, status: number, text: string|null }>}
+ */
+async function streamRequest(url, options, onToken) {
+  const parser = sseParser(onToken);
+  const plainReply = (data) => {
+    const content = data?.choices?.[0]?.message?.content || null;
+    if (content) onToken(content);
+    return content;
+  };
+
+  try {
+    if (typeof globalThis.fetch === 'function') {
+      const res = await globalThis.fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...options.headers },
+        body: JSON.stringify(options.body),
+        signal: options.signal,
+      });
+      if (!res.ok) return { ok: false, status: res.status, text: null };
+
+      if ((res.headers.get('content-type') || '').includes('application/json')) {
+        return { ok: true, status: res.status, text: plainReply(await res.json()) };
+      }
+
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parser.feed(decoder.decode(value, { stream: true }));
+      }
+      parser.feed('\n');
+      return { ok: true, status: res.status, text: parser.text() };
+    }
+
+    // Fallback for environments without fetch
+    const { default: http } = await import('http');
+    const { default: https } = await import('https');
+    const parsed = new URL(url);
+    const lib = parsed.protocol === 'https:' ? https : http;
+    const postData = JSON.stringify(options.body);
+
+    return await new Promise((resolve, reject) => {
+      const req = lib.request({
+        hostname: parsed.hostname,
+        port: parsed.port || (parsed.protocol === 'https:' ? 443 : 80),
+        path: parsed.pathname + parsed.search,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          'Content-Length': Buffer.byteLength(postData),
+          ...options.headers,
+        },
+        timeout: options.timeout || 30000,
+      }, (res) => {
+        const ok = res.statusCode >= 200 && res.statusCode < 300;
+        const isJson = (res.headers['content-type'] || '').includes('application/json');
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          if (isJson) body += chunk;
+          else if (ok) parser.feed(chunk);
+        });
+        res.on('end', () => {
+          if (!ok) return resolve({ ok, status: res.statusCode, text: null });
+          if (isJson) {
+            try {
+              return resolve({ ok, status: res.statusCode, text: plainReply(JSON.parse(body)) });
+            } catch {
+              return resolve({ ok: false, status: res.statusCode, text: null });
+            }
+          }
+          parser.feed('\n');
+          resolve({ ok, status: res.statusCode, text: parser.text() });
+        });
+        res.on('error', reject);
+      });
+      req.on('error', reject);
+      req.on('timeout', () => { req.destroy(); reject(new Error('Request timeout')); });
+      abortOnSignal(req, options.signal);
+      req.write(postData);
+      req.end();
+    });
+  } catch (err) {
+    if (parser.text() && !options.cancelled?.aborted) return { ok: true, status: 200, text: parser.text() };
+    throw err;
+  }
+}
+
+/**
+ * POST a chat completion and return the reply text.
+ * Streams when `options.onToken` is set. `payload.timeout` and
+ * `options.signal` both abort the request.
+ *
+ * @param {string} url
+ * @param {object} payload - { headers, body, timeout }
+ * @param {object} options - generate() options
+ * @returns {Promise<string|null>}
+ */
+async function chatCompletion(url, payload, options) {
+  const deadline = linkSignal(options.signal, payload.timeout);
+  try {
+    if (typeof options.onToken === 'function') {
+      const res = await streamRequest(url, {
+        ...payload,
+        body: { ...payload.body, stream: true },
+        signal: deadline.signal,
+        cancelled: options.signal,
+      }, options.onToken);
+      return res.ok ? res.text?.trim() || null : null;
+    }
+
+    const res = await request(url, { method: 'POST', ...payload, signal: deadline.signal });
+    if (!res.ok || !res.data) return null;
+    return res.data.choices?.[0]?.message?.content?.trim() || null;
+  } finally {
+    deadline.clear();
+  }
+}
+
 // ─── Local LLM (LM Studio / Ollama, OpenAI-compatible) ───
 
 /**
@@ -77,8 +293,13 @@ export async function localAvailable() {
   try {
     const cfg = FIVE_FAN.lm;
     const url = `http://${cfg.host}:${cfg.port}/v1/models`;
-    const res = await request(url, { method: 'GET', timeout: 5000 });
-    _localAvailable = res.ok;
+    const deadline = linkSignal(null, 5000);
+    try {
+      const res = await request(url, { method: 'GET', timeout: 5000, signal: deadline.signal });
+      _localAvailable = res.ok;
+    } finally {
+      deadline.clear();
+    }
   } catch {
     _localAvailable = false;
   }
@@ -110,8 +331,7 @@ export async function localGenerate(systemPrompt, userMessage, options = {}) {
 
     messages.push({ role: 'user', content: userMessage });
 
-    const res = await request(url, {
-      method: 'POST',
+    return await chatCompletion(url, {
       body: {
         model: options.model || cfg.model,
         messages,
@@ -120,12 +340,9 @@ export async function localGenerate(systemPrompt, userMessage, options = {}) {
         stream: false,
       },
       timeout: options.timeout || 30000,
-    });
-
-    if (!res.ok || !res.data) return null;
-    return res.data.choices?.[0]?.message?.content?.trim() || null;
+    }, options);
   } catch (err) {
-    console.error('[lm-bridge] local error:', err.message);
+    if (!options.signal?.aborted) console.error('[lm-bridge] local error:', err.message);
     return null;
   }
 }
@@ -164,8 +381,7 @@ export async function cloudGenerate(systemPrompt, userMessage, options = {}) {
 
     messages.push({ role: 'user', content: userMessage });
 
-    const res = await request(url, {
-      method: 'POST',
+    return await chatCompletion(url, {
       headers: {
         'Authorization': `Bearer ${cfg.cloudApiKey}`,
       },
@@ -177,12 +393,9 @@ export async function cloudGenerate(systemPrompt, userMessage, options = {}) {
         stream: false,
       },
       timeout: options.timeout || 15000,
-    });
-
-    if (!res.ok || !res.data) return null;
-    return res.data.choices?.[0]?.message?.content?.trim() || null;
+    }, options);
   } catch (err) {
-    console.error('[lm-bridge] cloud error:', err.message);
+    if (!options.signal?.aborted) console.error('[lm-bridge] cloud error:', err.message);
     return null;
   }
 }
@@ -195,34 +408,43 @@ export async function cloudGenerate(systemPrompt, userMessage, options = {}) {
  *
  * @param {string} systemPrompt
  * @param {string} userMessage
- * @param {object} [options] - { history, model, maxTokens, temperature, timeout }
+ * @param {object} [options] - { history, model, maxTokens, temperature, timeout, onToken, signal, trace }
  * @returns {Promise<string|null>}
  */
 export async function generate(systemPrompt, userMessage, options = {}) {
   const cfg = FIVE_FAN.lm;
   const provider = cfg.provider || 'auto';
+  if (options.signal?.aborted) return null;
+  const span = options.trace?.child('generate', { kind: 'llm', attributes: { stream: typeof options.onToken === 'function' } });
 
-  // Explicit provider selection
-  if (provider === 'local') {
-    return localGenerate(systemPrompt, userMessage, options);
-  }
-  if (provider === 'cloud') {
-    return cloudGenerate(systemPrompt, userMessage, options);
-  }
+  // Each attempt is counted per provider in skill-metrics.js
+  const attempt = async (name, fn) => {
+    const attemptSpan = span?.child(name, { kind: 'llm', attributes: { model: name === 'local' ? cfg.model : cfg.cloudModel } });
+    const result = await fn(systemPrompt, userMessage, options);
+    const outcome = result ? 'ok' : options.signal?.aborted ? 'cancelled' : 'failed';
+    recordLlmRequest(name, outcome);
+    attemptSpan?.end(result ? { ok: true } : { ok: false, code: outcome === 'cancelled' ? 'CANCELLED' : 'LLM_FAILED' });
+    return result;
+  };
 
-  // Auto mode: try local first, then cloud
-  if (await localAvailable()) {
-    const result = await localGenerate(systemPrompt, userMessage, options);
-    if (result) return result;
-  }
+  let result = null;
+  if (provider === 'local') {
+    // Explicit provider selection
+    result = await attempt('local', localGenerate);
+  } else if (provider === 'cloud') {
+    result = await attempt('cloud', cloudGenerate);
+  } else {
+    // Auto mode: try local first, then cloud
+    if (await localAvailable()) result = await attempt('local', localGenerate);
 
-  if (cloudAvailable()) {
-    const result = await cloudGenerate(systemPrompt, userMessage, options);
-    if (result) return result;
+    // A cancelled call stops here — don't start over with the next provider
+    if (!result && !options.signal?.aborted && cloudAvailable()) result = await attempt('cloud', cloudGenerate);
   }
 
   // No LLM available — return null so caller uses template fallback
-  return null;
+  if (!result && !options.signal?.aborted) recordLlmFallback();
+  span?.end(options.signal?.aborted && !result ? { ok: false, code: 'CANCELLED' } : { ok: true, method: result ? 'llm' : 'template' });
+  return result;
 }
 
 /**
@@ -19,6 +19,7 @@ import { handleMessage as trainerMessage, getConversationInfo, clearConversation
 import { generatePost, tick as proactiveTick } from './proactive-scheduler.js';
 import { FIVE_FAN } from '../config.js';
 import appContext from '../app-context.js';
+import { buildOpenApi } from '../skill-openapi.js';
 
 /**
  * Mount all 5FAN API routes onto an Express app.
@@ -143,6 +144,13 @@ export function mountRoutes(app, options = {}) {
     }
   });
 
+  // ─── API Description ───
+
+  // OpenAPI 3.1 for every /v1/5fan/* route, skills included (mountSkillRoutes)
+  app.get('/v1/5fan/openapi.json', (req, res) => {
+    res.json(buildOpenApi({ surface: 'express', serverUrl: `${req.protocol}://${req.get('host')}` }));
+  });
+
   // ─── LLM Status ───
 
   app.get('/v1/5fan/lm/status', async (req, res) => {
@@ -0,0 +1,248 @@
+/**
+ * 5FAN Skill Grants — wallet-signed capabilities for internal skills over P2P
+ *
+ * Internal skills (tier-gate, vault-query, earn-calculator, ...) are refused
+ * to remote peers. A grant lets the peer admin open specific ones to a
+ * specific partner without opening them to everyone:
+ *
+ *   grant = {
+ *     payload: { kind: '5fan-skill-grant', version: 1, issuerPubKey,
+ *                granteePubKey, skills: ['tier-gate'], issuedAt, expiresAt, nonce },
+ *     sig: <issuer wallet signature over stableStringify(payload), hex>
+ *   }
+ *
+ * Sidechannel messages are seen by every peer on the channel, so a grant
+ * alone would be usable by anyone who saw it. Each call therefore also
+ * carries a proof signed by the grantee's wallet over the call itself
+ * (type, callId, skill/steps/calls, input, timestamp):
+ *
+ *   { type: 'skill:call', skill: 'tier-gate', callId, input, grant, proof: { ts, sig } }
+ *
+ * The skill server accepts a grant when: the issuer is its own wallet key or
+ * listed in FIVE_FAN.skills.grants.issuers, both signatures verify with
+ * trac-wallet, the grant is unexpired and names every internal skill the
+ * call reaches, and the proof is fresh and not seen before.
+ *
+ * Issue grants from the admin peer's terminal:
+ *   /skill_grant --pubkey "<partner-pubkey-hex>" --skills "tier-gate,vault-query" --ttl 86400
+ *
+ * Pure ESM — `crypto` resolves to bare-node-crypto under Pear. trac-wallet
+ * is loaded on first use, so modules that never verify a grant don't need it.
+ */
+
+import crypto from 'crypto';
+import { stableStringify } from '../skill-cache.js';
+import { FIVE_FAN } from '../config.js';
+
+export const GRANT_KIND = '5fan-skill-grant';
+export const PROOF_KIND = '5fan-skill-call';
+
+// ─── Encoding ─────────────────────────────────────────────────
+
+const normalizeKeyHex = value => String(value ?? '').trim().toLowerCase();
+
+const fromHex = hex => Uint8Array.from(String(hex).match(/[0-9a-f]{2}/gi) ?? [], byte => parseInt(byte, 16));
+
+const toHex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+const encode = text => new TextEncoder().encode(text);
+
+const sha256Hex = text => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Canonical grant payload — what the issuer signs.
+ * @param {object} payload
+ * @returns {object}
+ */
+export function normalizeGrantPayload(payload) {
+  return {
+    kind: GRANT_KIND,
+    version: Number.isFinite(payload?.version) ? Number(payload.version) : 1,
+    issuerPubKey: normalizeKeyHex(payload?.issuerPubKey),
+    granteePubKey: normalizeKeyHex(payload?.granteePubKey),
+    skills: [...new Set((Array.isArray(payload?.skills) ? payload.skills : []).map(String))].sort(),
+    issuedAt: Number(payload?.issuedAt),
+    expiresAt: Number(payload?.expiresAt),
+    nonce: String(payload?.nonce ?? ''),
+  };
+}
+
+/**
+ * What a grantee signs for one call. Only fields the caller wrote are
+ * covered — relays may add envelope fields (from, origin, sig) around them.
+ * @param {object} msg - skill:call / skill:chain / skill:batch
+ * @param {number} ts - proof timestamp
+ * @returns {string}
+ */
+export function proofMessage(msg, ts) {
+  const { type, callId, skill, skills, steps, input, output, calls, deadlineMs, stream } = msg ?? {};
+  const body = stableStringify({ type, callId, skill, skills, steps, input, output, calls, deadlineMs, stream });
+  return stableStringify({ kind: PROOF_KIND, body: sha256Hex(body), ts: Number(ts) });
+}
+
+/**
+ * Sign bytes with a trac-wallet PeerWallet. Mirrors /sc_invite: wallet.sign()
+ * may return hex or bytes; fall back to the secret key when it returns nothing.
+ * @returns {Promise<string>} hex signature ('' when the wallet can't sign)
+ */
+async function walletSign(wallet, message) {
+  const bytes = encode(message);
+  const sig = wallet.sign(bytes);
+  if (typeof sig === 'string' && sig) return sig.trim().toLowerCase();
+  if (sig && sig.length > 0) return toHex(sig);
+
+  const secret = wallet.secretKey;
+  if (!secret) return '';
+  const { default: PeerWallet } = await import('trac-wallet');
+  const fallback = PeerWallet.sign(bytes, typeof secret === 'string' ? fromHex(secret) : secret);
+  return fallback?.length ? toHex(fallback) : '';
+}
+
+/** A wallet's public key as lower-case hex */
+function walletKeyHex(wallet) {
+  const pub = wallet?.publicKey;
+  if (!pub) return '';
+  return typeof pub === 'string' ? normalizeKeyHex(pub) : toHex(pub);
+}
+
+// ─── Issuing + Attaching ──────────────────────────────────────
+
+/**
+ * Issue a grant from the admin peer's wallet.
+ *
+ * @param {object} wallet - trac-wallet PeerWallet (the issuer)
+ * @param {object} options
+ * @param {string} options.granteePubKey - partner peer's wallet key (hex)
+ * @param {string[]} options.skills - internal skills to open
+ * @param {number} options.ttlMs - lifetime
+ * @param {number} [options.now]
+ * @returns {Promise<{ ok: true, grant: object } | { ok: false, error: string, code: string }>}
+ */
+export async function issueGrant(wallet, { granteePubKey, skills, ttlMs, now = Date.now() }) {
+  const issuerPubKey = walletKeyHex(wallet);
+  if (!issuerPubKey) return { ok: false, error: 'Wallet not ready; cannot sign grant.', code: 'WALLET_UNAVAILABLE' };
+  if (!granteePubKey) return { ok: false, error: 'granteePubKey is required.', code: 'INVALID_GRANT' };
+  if (!Array.isArray(skills) || skills.length === 0) return { ok: false, error: 'skills (non-empty array) is required.', code: 'INVALID_GRANT' };
+  if (!(Number.isFinite(ttlMs) && ttlMs > 0)) return { ok: false, error: 'ttlMs must be a positive number.', code: 'INVALID_GRANT' };
+
+  const payload = normalizeGrantPayload({
+    issuerPubKey,
+    granteePubKey,
+    skills,
+    issuedAt: now,
+    expiresAt: now + ttlMs,
+    nonce: toHex(crypto.randomBytes(8)),
+  });
+  const sig = await walletSign(wallet, stableStringify(payload));
+  if (!sig) return { ok: false, error: 'Failed to sign grant; wallet secret key unavailable.', code: 'WALLET_UNAVAILABLE' };
+  return { ok: true, grant: { payload, sig } };
+}
+
+/**
+ * Attach a grant and a fresh call proof to an outgoing message (grantee side).
+ * @param {object} msg - from buildCall() / buildPipeline() / buildBatch()
+ * @param {object} grant - as issued
+ * @param {object} wallet - the grantee's PeerWallet
+ * @returns {Promise<object>} the message with `grant` and `proof`
+ */
+export async function attachGrant(msg, grant, wallet) {
+  const ts = Date.now();
+  return { ...msg, grant, proof: { ts, sig: await walletSign(wallet, proofMessage(msg, ts)) } };
+}
+
+// ─── Verifying ────────────────────────────────────────────────
+
+/** trac-wallet signature check, loaded on first use */
+let peerWalletVerify = null;
+async function defaultVerify(sig, message, publicKey) {
+  if (!peerWalletVerify) {
+    const { default: PeerWallet } = await import('trac-wallet');
+    peerWalletVerify = PeerWallet.verify.bind(PeerWallet);
+  }
+  return peerWalletVerify(sig, message, publicKey);
+}
+
+/**
+ * Create the skill server's grant checker.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.issuers] - trusted issuer keys (hex); the server's own key is added
+ * @param {string} [options.selfKey] - the server's wallet key (hex)
+ * @param {number} [options.maxSkewMs] - proof freshness window (default 5 min)
+ * @param {(sig: Uint8Array, message: Uint8Array, publicKey: Uint8Array) => boolean|Promise<boolean>} [options.verify]
+ *   - signature check, PeerWallet.verify by default
+ * @param {() => number} [options.now] - clock, for tests
+ * @returns {{ check: Function }}
+ */
+export function createGrantVerifier(options = {}) {
+  const config = FIVE_FAN.skills?.grants ?? {};
+  const issuers = new Set([...(options.issuers ?? config.issuers ?? []), options.selfKey].filter(Boolean).map(normalizeKeyHex));
+  const maxSkewMs = options.maxSkewMs ?? config.maxSkewMs ?? 5 * 60_000;
+  const verify = options.verify ?? defaultVerify;
+  const now = options.now ?? Date.now;
+  /** proof signature → expiry, so a copied call can't be replayed under another sender */
+  const seenProofs = new Map();
+
+  const deny = error => ({ ok: false, error, code: 'ACCESS_DENIED' });
+
+  async function verifyHex(sigHex, message, keyHex) {
+    if (typeof sigHex !== 'string' || !/^[0-9a-f]+$/i.test(sigHex) || !keyHex) return false;
+    try {
+      return !!(await verify(fromHex(sigHex), encode(message), fromHex(keyHex)));
+    } catch {
+      return false;
+    }
+  }
+
+  function rememberProof(sig) {
+    const t = now();
+    for (const [seen, expiresAt] of seenProofs) {
+      if (expiresAt > t) break;
+      seenProofs.delete(seen);
+    }
+    if (seenProofs.has(sig)) return false;
+    seenProofs.set(sig, t + 2 * maxSkewMs);
+    return true;
+  }
+
+  /**
+   * Check the grant + proof on a message for a set of internal skills.
+   * @param {object} msg - incoming skill:call / skill:chain / skill:batch
+   * @param {string[]} skills - internal skills the call reaches
+   * @returns {Promise<{ ok: true, grantee: string, skills: string[] } | { ok: false, error: string, code: 'ACCESS_DENIED' }>}
+   */
+  async function check(msg, skills) {
+    const grant = msg?.grant;
+    if (!grant || typeof grant !== 'object') return deny('No grant attached.');
+
+    const payload = normalizeGrantPayload(grant.payload);
+    if (!issuers.has(payload.issuerPubKey)) return deny('Grant issuer is not trusted by this peer.');
+    if (!Number.isFinite(payload.expiresAt) || payload.expiresAt <= now()) return deny('Grant has expired.');
+    const missing = skills.filter(skill => !payload.skills.includes(skill));
+    if (missing.length) return deny(`Grant does not cover ${missing.join(', ')}.`);
+    if (!(await verifyHex(grant.sig, stableStringify(payload), payload.issuerPubKey))) return deny('Grant signature is invalid.');
+
+    const proof = msg.proof;
+    if (!proof || !Number.isFinite(proof.ts) || Math.abs(now() - proof.ts) > maxSkewMs) {
+      return deny(`Call proof missing or older than ${maxSkewMs / 1000}s.`);
+    }
+    if (!(await verifyHex(proof.sig, proofMessage(msg, proof.ts), payload.granteePubKey))) {
+      return deny('Call proof is not signed by the grantee.');
+    }
+    if (!rememberProof(String(proof.sig).toLowerCase())) return deny('Call proof already used.');
+
+    return { ok: true, grantee: payload.granteePubKey, skills: payload.skills };
+  }
+
+  return { check };
+}
+
+export default {
+  GRANT_KIND,
+  PROOF_KIND,
+  normalizeGrantPayload,
+  proofMessage,
+  issueGrant,
+  attachGrant,
+  createGrantVerifier,
+};
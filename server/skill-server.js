@@ -25,13 +25,12 @@
  * └──────────────────────────────────────────────────────────────┘
  */
 
-import { scan as hearScan, fulfill as hearFulfill } from '../brains/hear/functions.js';
-import { scan as inspyreScan, fulfill as inspyreFulfill } from '../brains/inspyre/functions.js';
-import { scan as flowScan, fulfill as flowFulfill } from '../brains/flow/functions.js';
-import { scan as youScan, fulfill as youFulfill } from '../brains/you/functions.js';
-import { scan as viewScan, fulfill as viewFulfill, curateConsensus } from '../brains/view/functions.js';
+import { curateConsensus } from '../brains/view/functions.js';
+import { BRAINS } from '../brains/5fan.js';
+import { getBrain, onBrainsChanged } from '../brains/registry.js';
 import { analyze, analyzeAndRespond, buildEnrichedPrompt } from './brain-swarm.js';
 import { generate } from './lm-bridge.js';
+import { createGrantVerifier } from './skill-grants.js';
 import { FIVE_FAN } from '../config.js';
 import appContext from '../app-context.js';
 import {
@@ -43,183 +42,197 @@ import {
   skillChannel,
   buildResult,
   buildError,
+  buildProgress,
   buildChainResult,
+  buildBatchResult,
   buildManifest,
   validateCall,
+  validateInput,
+  validateOutput,
+  getSkillInfo,
+  getSkillSchema,
   isSkillMessage,
 } from '../skill-protocol.js';
 
-// ─── EQ Engine Skill Handlers ─────────────────────────────────
-
-import { handle as emotionScan } from '../skills/eq-engine/emotion-scan/handler.js';
-import { handle as emotionFamily } from '../skills/eq-engine/emotion-family/handler.js';
-import { handle as desireBridge } from '../skills/eq-engine/desire-bridge/handler.js';
-import { handle as microMove } from '../skills/eq-engine/micro-move/handler.js';
-import { handle as reframe } from '../skills/eq-engine/reframe/handler.js';
-import { handle as aliasMatch } from '../skills/eq-engine/alias-match/handler.js';
-import { handle as emotionBlend } from '../skills/eq-engine/emotion-blend/handler.js';
-import { handle as emotionTimeline } from '../skills/eq-engine/emotion-timeline/handler.js';
-import { handle as crisisDetect } from '../skills/eq-engine/crisis-detect/handler.js';
-
-// ─── Phase 2: Compass Skill Handlers ──────────────────────────
-
-import { handle as compassLocate } from '../skills/compass/compass-locate/handler.js';
-import { handle as compassInterpret } from '../skills/compass/compass-interpret/handler.js';
-import { handle as compassPoint } from '../skills/compass/compass-point/handler.js';
-import { handle as compassPractice } from '../skills/compass/compass-practice/handler.js';
-import { handle as shiftNavigator } from '../skills/compass/shift-navigator/handler.js';
-
-// ─── Phase 2: Community Skill Handlers ────────────────────────
-
-import { handle as feedReply } from '../skills/community/feed-reply/handler.js';
-import { handle as proactivePost } from '../skills/community/proactive-post/handler.js';
-import { handle as communityPulse } from '../skills/community/community-pulse/handler.js';
-import { handle as hiNoteCompose } from '../skills/community/hi-note-compose/handler.js';
-import { handle as socialCaption } from '../skills/community/social-caption/handler.js';
-
-// ─── Phase 2: AI Coach Skill Handlers ─────────────────────────
-
-import { handle as toneMatch } from '../skills/coach/tone-match/handler.js';
-import { handle as contentElevate } from '../skills/coach/content-elevate/handler.js';
-
-// ─── Phase 3: AI Coach Skill Handlers (Advanced) ──────────────
-
-import { handle as gymFacilitator } from '../skills/coach/gym-facilitator/handler.js';
-import { handle as coachChat } from '../skills/coach/coach-chat/handler.js';
-import { handle as nudgeEngine } from '../skills/coach/nudge-engine/handler.js';
-import { handle as milestoneDetect } from '../skills/coach/milestone-detect/handler.js';
-import { handle as memoryContext } from '../skills/coach/memory-context/handler.js';
-import { handle as journalPrompt } from '../skills/coach/journal-prompt/handler.js';
-import { handle as sessionSummary } from '../skills/coach/session-summary/handler.js';
-import { handle as wellnessScore } from '../skills/coach/wellness-score/handler.js';
-
-// ─── Phase 3: Internal Skill Handlers (LOCKED) ───────────────
-
-import { handle as earnCalculator } from '../skills/internal/earn-calculator/handler.js';
-import { handle as tierGate } from '../skills/internal/tier-gate/handler.js';
-import { handle as hi5ClaimCheck } from '../skills/internal/hi5-claim-check/handler.js';
-import { handle as qualityScore } from '../skills/internal/quality-score/handler.js';
-import { handle as antiBot } from '../skills/internal/anti-bot/handler.js';
-import { handle as vaultQuery } from '../skills/internal/vault-query/handler.js';
-
-// ─── Brain Dispatch Maps ──────────────────────────────────────
-
-const scanMap = {
-  hear: hearScan,
-  inspyre: inspyreScan,
-  flow: flowScan,
-  you: youScan,
-  view: viewScan,
-};
+import { SKILL_NAMES as DATA_SKILLS, SKILL_COUNT as DATA_SKILL_COUNT, onSkillsChanged, watchPlugins } from '../skill-registry.js';
+import { dispatch, hasSkill, getCacheStats, runWithDeadline, skillTimeout } from '../skill-dispatch.js';
+import { normalizeSteps, runPipeline } from '../skill-pipeline.js';
+import { batchCost, runBatch } from '../skill-batch.js';
+import { createLruCache } from '../skill-cache.js';
+import { recordSkillCall, renderMetrics } from '../skill-metrics.js';
+import { recordUsage } from '../skill-usage.js';
+import { checkRateLimit, getRateLimiter, rateLimitInfo, rateLimitHeaders } from '../skill-ratelimit.js';
+import { traced, traceRequest, openSpan, closeSpan } from '../skill-trace.js';
 
-const fulfillMap = {
-  hear: hearFulfill,
-  inspyre: inspyreFulfill,
-  flow: flowFulfill,
-  you: youFulfill,
-  view: viewFulfill,
-};
+// ─── Internal Skill Access Control ────────────────────────────
 
-// ─── Data Skill Dispatch Map ──────────────────────────────────
-
-const handlerMap = {
-  'emotion-scan': emotionScan,
-  'emotion-family': emotionFamily,
-  'desire-bridge': desireBridge,
-  'micro-move': microMove,
-  'reframe': reframe,
-  'alias-match': aliasMatch,
-  'emotion-blend': emotionBlend,
-  'emotion-timeline': emotionTimeline,
-  'crisis-detect': crisisDetect,
-  // Phase 2: Compass
-  'compass-locate': compassLocate,
-  'compass-interpret': compassInterpret,
-  'compass-point': compassPoint,
-  'compass-practice': compassPractice,
-  'shift-navigator': shiftNavigator,
-  // Phase 2: Community
-  'feed-reply': feedReply,
-  'proactive-post': proactivePost,
-  'community-pulse': communityPulse,
-  'hi-note-compose': hiNoteCompose,
-  'social-caption': socialCaption,
-  // Phase 2: AI Coach
-  'tone-match': toneMatch,
-  'content-elevate': contentElevate,
-  // Phase 3: AI Coach (Advanced)
-  'gym-facilitator': gymFacilitator,
-  'coach-chat': coachChat,
-  'nudge-engine': nudgeEngine,
-  'milestone-detect': milestoneDetect,
-  'memory-context': memoryContext,
-  'journal-prompt': journalPrompt,
-  'session-summary': sessionSummary,
-  'wellness-score': wellnessScore,
-  // Phase 3: Internal (LOCKED)
-  'earn-calculator': earnCalculator,
-  'tier-gate': tierGate,
-  'hi5-claim-check': hi5ClaimCheck,
-  'quality-score': qualityScore,
-  'anti-bot': antiBot,
-  'vault-query': vaultQuery,
-};
+/** This peer's wallet key (hex), set by initSkillServer() */
+let selfKey = '';
 
-// ─── Internal Skill Access Control ────────────────────────────
+/** Checks wallet-signed grants (see skill-grants.js) */
+let grantVerifier = createGrantVerifier();
 
 /**
- * Check if a caller is local (same peer / same machine).
- * Internal skills are locked to local peers only — prevents
- * external agents from invoking earn-calculator, tier-gate, etc.
+ * Check if a caller is this peer. Everything that arrives over a sidechannel
+ * is remote — `from` is whatever the sender wrote, so a missing or
+ * 'local' sender proves nothing. In-process callers use runSkill() directly.
  *
  * @param {string} callerId - sender's public key
- * @param {object} sidechannel - the sidechannel instance (for context)
  * @returns {boolean}
  */
-function isLocalCaller(callerId, sidechannel) {
-  // If no callerId, treat as local (HTTP invocations from same machine)
-  if (!callerId) return true;
-  // If callerId matches our key, it's us
-  if (sidechannel?._myKey && callerId === sidechannel._myKey) return true;
-  // If callerId is empty string, it's a local HTTP call
-  if (callerId === '') return true;
-  // Check for localhost-style markers
-  if (callerId === 'local' || callerId === 'localhost') return true;
-  // Default: deny external access for internal skills
-  return false;
+function isLocalCaller(callerId) {
+  return !!selfKey && callerId === selfKey;
+}
+
+/**
+ * Internal skills are locked to this peer unless the call carries a grant
+ * (issued by a trusted admin key) covering every internal skill it reaches.
+ *
+ * @param {object} msg - skill:call / skill:chain / skill:batch
+ * @param {string} callerId
+ * @param {string[]} skills - skills the call reaches
+ * @returns {Promise<{ ok: true } | { ok: false, error: string, code: 'ACCESS_DENIED' }>}
+ */
+async function checkInternalAccess(msg, callerId, skills) {
+  const locked = [...new Set(skills.filter(s => SKILL_REGISTRY[s]?.internal))];
+  if (locked.length === 0 || isLocalCaller(callerId)) return { ok: true };
+
+  const denied = `Skill "${locked[0]}" is internal-only. External access denied.`;
+  if (!msg.grant) return { ok: false, error: denied, code: 'ACCESS_DENIED' };
+
+  const access = await grantVerifier.check(msg, locked);
+  if (!access.ok) {
+    metrics.grantsRejected++;
+    return { ok: false, error: `${denied} ${access.error}`, code: 'ACCESS_DENIED' };
+  }
+  metrics.grantsAccepted++;
+  console.log(`[5FAN-skills] Grant accepted: ${locked.join(', ')} for ${access.grantee.slice(0, 8)}...`);
+  return { ok: true };
+}
+
+/**
+ * runBatch() guard for a batch's checkInternalAccess() result — refuses
+ * internal calls one by one, so the rest of the batch still runs.
+ * @param {object} access
+ * @returns {(skill: string) => object|null}
+ */
+function internalGuard(access) {
+  return (skill) => (SKILL_REGISTRY[skill]?.internal && !access.ok
+    ? { ok: false, error: access.error.replace(/^Skill "[^"]+"/, `Skill "${skill}"`), code: 'ACCESS_DENIED' }
+    : null);
 }
 
 // ─── Rate Limiting ────────────────────────────────────────────
 
-/** Per-caller rate limiter: max invocations per minute per caller */
-const callerWindows = new Map();
-const MAX_CALLS_PER_MINUTE = 30;
-const WINDOW_MS = 60_000;
+/**
+ * Charge a P2P request against the shared limiter (skill-ratelimit.js) —
+ * one token per invocation, admitted or rejected as a whole. Peers get
+ * their tier from FIVE_FAN.skills.rateLimit.callers.
+ *
+ * @param {string} callerId
+ * @param {string[]} skills - every invocation the request makes
+ * @returns {object} - rate-limit status
+ */
+function chargeCaller(callerId, skills) {
+  return checkRateLimit({ transport: 'p2p', caller: callerId, skills });
+}
+
+/**
+ * skill:error for a refused request, with when to retry.
+ * @param {string} skill
+ * @param {string} callId
+ * @param {object} status - rate-limit status
+ * @returns {object}
+ */
+function buildRateLimited(skill, callId, status) {
+  return { ...buildError(skill, callId, status.error, status.code), retryAfterMs: status.retryAfterMs, rateLimit: rateLimitInfo(status) };
+}
+
+// ─── In-Flight Calls (skill:cancel) ───────────────────────────
+
+/** callerId:callId → AbortController for calls still running */
+const inFlight = new Map();
 
 /**
- * Check if a caller is within rate limits.
+ * Register an in-flight call so skill:cancel can reach it.
  * @param {string} callerId
- * @returns {boolean}
+ * @param {string} callId
+ * @returns {{ signal: AbortSignal, end: () => void }}
  */
-function checkRateLimit(callerId) {
-  const now = Date.now();
-  let window = callerWindows.get(callerId);
-  if (!window || now - window.start > WINDOW_MS) {
-    window = { start: now, count: 0 };
-    callerWindows.set(callerId, window);
-  }
-  window.count++;
-  return window.count <= MAX_CALLS_PER_MINUTE;
+function beginCall(callerId, callId) {
+  const key = `${callerId}:${callId}`;
+  const controller = new AbortController();
+  inFlight.set(key, controller);
+  return { signal: controller.signal, end: () => inFlight.delete(key) };
 }
 
-/** Periodic cleanup of stale rate limit windows */
-function cleanupRateLimits() {
-  const now = Date.now();
-  for (const [id, window] of callerWindows) {
-    if (now - window.start > WINDOW_MS * 2) {
-      callerWindows.delete(id);
-    }
+/**
+ * Cancel a caller's in-flight call. Only the peer that sent the call can
+ * cancel it; the call itself answers with skill:error `CANCELLED`.
+ * @param {string} callerId
+ * @param {string} callId
+ * @returns {boolean} - false if no such call is running
+ */
+function cancelCall(callerId, callId) {
+  const controller = inFlight.get(`${callerId}:${callId}`);
+  if (!controller) return false;
+  controller.abort(new Error('cancelled'));
+  return true;
+}
+
+// ─── Duplicate Calls (idempotent callIds) ─────────────────────
+
+/**
+ * Relayed sidechannel messages (relayTtl, multi-path delivery) can deliver
+ * the same call twice. Each caller's callIds are remembered for a window:
+ * a duplicate of a finished call gets the original reply again, a duplicate
+ * of a running call is dropped (the original's reply is on its way).
+ * Neither runs the skill or counts against the rate limit.
+ */
+const dedupConfig = FIVE_FAN.skills?.dedup ?? {};
+const recentReplies = createLruCache({ maxEntries: dedupConfig.maxEntries ?? 1000, ttlMs: dedupConfig.windowMs ?? 5 * 60_000 });
+const pendingCalls = new Set();
+
+/**
+ * Run a call/chain/batch handler at most once per caller + callId.
+ *
+ * @param {object} sidechannel
+ * @param {string} channel
+ * @param {object} msg - skill:call, skill:chain or skill:batch
+ * @param {string} callerId
+ * @param {Function} handler - handle*Message(sidechannel, channel, msg, callerId)
+ */
+async function runOnce(sidechannel, channel, msg, callerId, handler) {
+  if (typeof msg.callId !== 'string' || !msg.callId) return handler(sidechannel, channel, msg, callerId);
+
+  const key = `${callerId}:${msg.callId}`;
+  if (pendingCalls.has(key)) {
+    metrics.duplicateCalls++;
+    return undefined;
+  }
+  const replay = recentReplies.get(key);
+  if (replay) {
+    metrics.duplicateCalls++;
+    sidechannel.broadcast(channel, replay.payload);
+    return undefined;
+  }
+
+  // Record the final reply (progress frames aren't replayed)
+  let reply = null;
+  const recorder = Object.create(sidechannel);
+  recorder.broadcast = (ch, payload) => {
+    if (JSON.parse(payload).type !== MSG.PROGRESS) reply = payload;
+    return sidechannel.broadcast(ch, payload);
+  };
+
+  pendingCalls.add(key);
+  try {
+    await handler(recorder, channel, msg, callerId);
+  } finally {
+    pendingCalls.delete(key);
+    if (reply) recentReplies.set(key, { payload: reply });
   }
+  return undefined;
 }
 
 // ─── Metrics ──────────────────────────────────────────────────
@@ -227,7 +240,11 @@ function cleanupRateLimits() {
 const metrics = {
   totalCalls: 0,
   totalChains: 0,
+  totalBatches: 0,
   totalErrors: 0,
+  duplicateCalls: 0,
+  grantsAccepted: 0,
+  grantsRejected: 0,
   callsBySkill: {},
   startedAt: Date.now(),
 };
@@ -245,57 +262,98 @@ export function getMetrics() {
   return {
     ...metrics,
     uptimeMs: Date.now() - metrics.startedAt,
-    activeCallers: callerWindows.size,
+    activeCallers: getRateLimiter().stats().callers,
+    inFlight: inFlight.size,
+    cache: getCacheStats(),
+    dedup: recentReplies.stats(),
   };
 }
 
+/**
+ * Skill metrics in Prometheus text format, with this server's gauges.
+ * @returns {string}
+ */
+export function renderPrometheus() {
+  return renderMetrics({
+    cache: getCacheStats(),
+    gauges: [
+      { name: 'fivefan_skill_in_flight', help: 'P2P calls currently running.', value: inFlight.size },
+      { name: 'fivefan_skill_active_callers', help: 'Callers with a rate-limit bucket still refilling.', value: getRateLimiter().stats().callers },
+    ],
+  });
+}
+
 // ─── Core Handlers ────────────────────────────────────────────
 
 /**
  * Handle a single brain skill:call — scan + fulfill for one brain.
  *
- * @param {string} brainName - hear | inspyre | flow | you | view
+ * @param {string} brainName - a registered brain (brains/registry.js)
  * @param {string} text - the human message
  * @param {object} [context] - optional metadata
+ * @param {object} [trace] - span to record the scan under
  * @returns {object} - brain judgment output
  */
-function handleBrainCall(brainName, text, context = {}) {
-  const scanFn = scanMap[brainName];
-  const fulfillFn = fulfillMap[brainName];
+function handleBrainCall(brainName, text, context = {}, trace = undefined) {
+  const brain = getBrain(brainName);
 
-  if (!scanFn || !fulfillFn) {
+  if (!brain) {
     throw new Error(`Unknown brain: ${brainName}`);
   }
 
-  const scanResult = scanFn(text, context);
-  const response = fulfillFn(text, scanResult);
+  const scanResult = traced(trace, brainName, () => brain.scan(text, context), { kind: 'brain' });
+  const response = brain.fulfill(text, scanResult);
+  const { tagsField } = brain;
 
   return {
     brain: brainName,
     signal: scanResult.signal,
     category: scanResult.category,
-    // Each brain has different property names for detected items
-    ...(scanResult.emotions && { emotions: scanResult.emotions }),
-    ...(scanResult.themes && { themes: scanResult.themes }),
-    ...(scanResult.markers && { markers: scanResult.markers }),
-    ...(scanResult.patterns && { patterns: scanResult.patterns }),
-    ...(scanResult.angles && { angles: scanResult.angles }),
+    // Each brain names its detected items in roleConfig.tagsField
+    ...(scanResult[tagsField] && { [tagsField]: scanResult[tagsField] }),
     ...(scanResult.isCrisis !== undefined && { isCrisis: scanResult.isCrisis }),
     response,
     summary: scanResult.summary,
+    ...(scanResult.explain && { explain: scanResult.explain }),
   };
 }
 
 /**
- * Handle a swarm skill:call — all 5 brains → View curates consensus.
+ * Handle a swarm skill:call — every registered brain → View curates consensus.
  * Tries LLM-enriched response first, falls back to template.
  *
+ * With `onProgress`, the brain analysis is delivered before the LLM runs
+ * (`stage: 'analysis'`), followed by streamed tokens (`stage: 'token'`).
+ *
  * @param {string} text - the human message
  * @param {object} [context] - optional metadata
+ * @param {Function} [onProgress] - receives partial results for streaming calls
+ * @param {AbortSignal} [signal] - aborts the LLM request on timeout/cancel
+ * @param {object} [trace] - span to record the brain scans + LLM request under
  * @returns {Promise<object>} - swarm judgment output
  */
-async function handleSwarmCall(text, context = {}) {
-  const analysis = analyze(text, context);
+async function handleSwarmCall(text, context = {}, onProgress = null, signal = undefined, trace = undefined) {
+  const analysis = analyze(text, context, trace);
+
+  // Build per-brain signal summary
+  const brainSignals = {};
+  for (const scan of analysis.scans) {
+    brainSignals[scan.brain] = {
+      signal: scan.signal,
+      category: scan.category,
+      summary: scan.summary,
+    };
+  }
+  const isCrisis = analysis.scans.some(s => s.isCrisis);
+
+  onProgress?.({
+    stage: 'analysis',
+    dominant: analysis.dominantBrain,
+    consensus: analysis.consensus.consensus,
+    brainSignals,
+    tags: analysis.tags,
+    isCrisis,
+  });
 
   // Try LLM-enriched response
   let response;
@@ -305,6 +363,9 @@ async function handleSwarmCall(text, context = {}) {
   const llmResponse = await generate(enrichedPrompt, text, {
     maxTokens: 200,
     temperature: 0.7,
+    signal,
+    trace,
+    ...(onProgress && { onToken: token => onProgress({ stage: 'token', token }) }),
   });
 
   if (llmResponse) {
@@ -315,25 +376,25 @@ async function handleSwarmCall(text, context = {}) {
     response = templateResult.response;
   }
 
-  // Build per-brain signal summary
-  const brainSignals = {};
-  for (const scan of analysis.scans) {
-    brainSignals[scan.brain] = {
-      signal: scan.signal,
-      category: scan.category,
-      summary: scan.summary,
-    };
-  }
-
   return {
     dominant: analysis.dominantBrain,
+    runnerUp: analysis.consensus.runnerUp,
+    confidence: analysis.consensus.confidence,
+    mode: analysis.consensus.mode,
     consensus: analysis.consensus.consensus,
     response,
     method,
     brainSignals,
     tags: analysis.tags,
-    isCrisis: analysis.scans.some(s => s.isCrisis),
+    isCrisis,
     activeBrainCount: analysis.consensus.activeBrainCount || 0,
+    ...(analysis.carried && { carried: analysis.carried }),
+    ...(context.explain && {
+      explain: {
+        brains: Object.fromEntries(analysis.scans.map(scan => [scan.brain, scan.explain])),
+        consensus: analysis.consensus.explain,
+      },
+    }),
   };
 }
 
@@ -344,16 +405,17 @@ async function handleSwarmCall(text, context = {}) {
  * @param {string[]} skills - ordered list of brains to invoke
  * @param {string} text - the human message
  * @param {object} [context] - optional metadata
+ * @param {object} [trace] - span to record each brain under
  * @returns {object} - chained results with optional View synthesis
  */
-function handleChainCall(skills, text, context = {}) {
+function handleChainCall(skills, text, context = {}, trace = undefined) {
   const results = [];
   let enrichedContext = { ...context };
 
   for (const brainName of skills) {
     if (brainName === '5fan-swarm') {
       // Swarm in a chain is unusual but supported — just runs analysis
-      const analysis = analyze(text, enrichedContext);
+      const analysis = traced(trace, '5fan-swarm', span => analyze(text, enrichedContext, span));
       results.push({
         brain: '5fan-swarm',
         dominant: analysis.dominantBrain,
@@ -362,7 +424,7 @@ function handleChainCall(skills, text, context = {}) {
       });
       enrichedContext.swarmAnalysis = analysis;
     } else {
-      const result = handleBrainCall(brainName, text, enrichedContext);
+      const result = traced(trace, brainName, span => handleBrainCall(brainName, text, enrichedContext, span));
       results.push(result);
       // Feed this brain's output into the next brain's context
       enrichedContext[`${brainName}Result`] = result;
@@ -390,6 +452,123 @@ function handleChainCall(skills, text, context = {}) {
   return { results, synthesized };
 }
 
+/**
+ * Run any registered skill by name.
+ * Data skills go through dispatch() (input schema + strict output check);
+ * brain and swarm outputs are checked here when strict mode is on.
+ *
+ * @param {string} skill - brain name, '5fan-swarm', or data skill name
+ * @param {object} input - { text, ...context } for brains, full input for data skills
+ * @param {object} [options] - { onProgress } for streaming calls, { cache: false } to bypass the
+ *   result cache, { deadlineMs, signal } to bound or cancel the call, { transport } for metrics
+ *   ('p2p' unless the Express routes say 'http'), { caller } for the usage ledger, { trace } to
+ *   return or nest the call's span tree (see dispatch())
+ * @returns {Promise<object>}
+ */
+async function runSkill(skill, input, options = {}) {
+  const { onProgress, cache, deadlineMs, signal, transport = 'p2p', caller, trace } = options;
+  if (hasSkill(skill)) return dispatch(skill, input, { onProgress, cache, deadlineMs, signal, transport, caller, trace });
+
+  // Brains + swarm don't pass through dispatch() — record + trace them here
+  const span = openSpan(skill, trace);
+  const started = Date.now();
+  const output = await runBrainSkill(skill, input, { ...options, trace: span ?? undefined });
+  const ms = Date.now() - started;
+  recordSkillCall(skill, output, ms, transport);
+  recordUsage({ skill, input, output, ms, caller, transport });
+  return closeSpan(span, output, trace);
+}
+
+/**
+ * Run a brain or the swarm (runSkill() minus metrics).
+ * @param {string} skill
+ * @param {object} input - { text, ...context }
+ * @param {object} options - { onProgress, deadlineMs, signal, trace } — trace is this call's span
+ * @returns {Promise<object>}
+ */
+async function runBrainSkill(skill, input, { onProgress, deadlineMs, signal, trace }) {
+  const { text, ...context } = input;
+  let output;
+  if (skill === '5fan-swarm') {
+    // The swarm waits on the LLM — same deadline + cancel rules as dispatch()
+    const run = await runWithDeadline(skill, (callSignal) => handleSwarmCall(text, context,
+      onProgress && ((event) => { if (!callSignal.aborted) onProgress(event); }), callSignal, trace),
+    { timeoutMs: skillTimeout(skill, deadlineMs), signal });
+    if (run.stopped) return run.result;
+    output = run.result;
+  } else if (getBrain(skill)) {
+    output = handleBrainCall(skill, text, context, trace);
+  } else {
+    return { ok: false, error: `Unknown skill: ${skill}`, code: 'UNKNOWN_SKILL' };
+  }
+
+  if (FIVE_FAN.skills?.strictOutput) {
+    const check = validateOutput(skill, { ok: true, ...output });
+    if (!check.valid) {
+      console.error(`[5FAN-skills] ${check.error}`);
+      return { ok: false, error: check.error, code: check.code, errors: check.errors };
+    }
+  }
+  return output;
+}
+
+/**
+ * Skill names a chain request will invoke, in order.
+ * @param {object} request - { steps } (pipeline) or { skills } (legacy)
+ * @returns {string[]}
+ */
+function chainSkills(request) {
+  return request.steps !== undefined
+    ? normalizeSteps(request.steps).map(step => step.skill)
+    : request.skills;
+}
+
+/**
+ * Run a skill:chain request in either form:
+ *   - pipeline: { steps, input, output? } — any registered skills with field mapping
+ *   - legacy:   { skills, input: { text, ...context } } — brains only, View synthesis
+ * A legacy chain that names data skills runs as a pipeline where every step
+ * receives the chain input.
+ *
+ * @param {object} request
+ * @param {object} [options] - { signal } cancels the running step, { transport, caller } for metrics + usage,
+ *   { trace } is the chain's span
+ * @returns {Promise<{ results: object[], synthesized: string|null, extra: object }>}
+ */
+async function runChainRequest({ steps, skills, input, output }, options = {}) {
+  if (steps === undefined && !skills.some(s => hasSkill(s))) {
+    const { text, ...context } = input;
+    const { results, synthesized } = handleChainCall(skills, text, context, options.trace);
+    return { results, synthesized, extra: {} };
+  }
+
+  const run = (skill, stepInput) => runSkill(skill, stepInput, options);
+  const pipeline = await runPipeline(steps ?? skills, input, { run, output });
+  const { results, ...extra } = pipeline;
+  return { results, synthesized: null, extra };
+}
+
+/**
+ * Run a chain request within a deadline, under a 'chain' span when the
+ * caller asked for a trace (or traces are exported).
+ *
+ * @param {object} request - see runChainRequest()
+ * @param {object} options - { deadlineMs, signal, transport, caller, trace } — trace as the caller sent it
+ * @returns {Promise<{ result: object, stopped: boolean, trace?: object }>} - runWithDeadline()'s shape;
+ *   `trace` is the chain's span tree when requested
+ */
+async function runChain(request, { deadlineMs, signal, trace, ...options }) {
+  const span = openSpan('chain', trace, { kind: 'chain' });
+  const chainOptions = { ...options, trace: span ?? undefined };
+  const run = deadlineMs
+    ? await runWithDeadline('chain', chainSignal => runChainRequest(request, { ...chainOptions, signal: chainSignal }), { timeoutMs: deadlineMs, signal })
+    : { result: await runChainRequest(request, { ...chainOptions, signal }), stopped: false };
+
+  const failed = run.stopped ? run.result : run.result.extra.failed;
+  const closed = closeSpan(span, failed ? { ok: false, code: failed.code } : { ok: true }, trace);
+  return closed.trace ? { ...run, trace: closed.trace } : run;
+}
+
 // ─── Intercom Integration ─────────────────────────────────────
 
 /** Track active sidechannel subscriptions */
@@ -400,7 +579,8 @@ const activeChannels = new Set();
  * Sets up listeners on all brain skill channels + discovery channel.
  *
  * @param {object} sidechannel - Intercom sidechannel instance
- * @param {object} [options] - { broadcastFn, peer }
+ * @param {object} [options] - { broadcastFn, peer, grants }
+ *   grants: overrides for the grant verifier ({ issuers, maxSkewMs, verify })
  */
 export function initSkillServer(sidechannel, options = {}) {
   if (!FIVE_FAN.enabled) {
@@ -410,23 +590,48 @@ export function initSkillServer(sidechannel, options = {}) {
 
   const { peer } = options;
   const myKey = peer?.wallet?.publicKey?.toString?.('hex') || '';
+  selfKey = myKey;
+  grantVerifier = createGrantVerifier({ ...options.grants, selfKey: myKey });
 
   console.log('[5FAN-skills] Initializing skill server...');
 
   // Subscribe to individual brain skill channels
-  for (const brainName of Object.keys(scanMap)) {
+  for (const brainName of BRAINS) {
     const channel = skillChannel(brainName);
     listenOnChannel(sidechannel, channel, myKey);
     console.log(`[5FAN-skills] Listening on ${channel}`);
   }
 
-  // Subscribe to data skill channels (EQ Engine)
-  for (const skillName of Object.keys(handlerMap)) {
-    const channel = `5fan-skill-${skillName}`;
+  // Subscribe to data skill channels (auto-discovered by skill-registry.js)
+  for (const skillName of DATA_SKILLS) {
+    const channel = SKILL_REGISTRY[skillName].channel;
     listenOnChannel(sidechannel, channel, myKey);
     console.log(`[5FAN-skills] Listening on ${channel}`);
   }
 
+  // Plugins loaded or dropped later get a channel + a fresh manifest broadcast
+  onSkillsChanged((skillName, meta) => {
+    if (meta) {
+      listenOnChannel(sidechannel, meta.channel, myKey);
+      console.log(`[5FAN-skills] Plugin ${skillName} loaded — listening on ${meta.channel}`);
+    } else {
+      console.log(`[5FAN-skills] Plugin ${skillName} unloaded`);
+    }
+    broadcastManifest(sidechannel);
+  });
+  watchPlugins();
+
+  // Brains registered or dropped later (brains/registry.js) likewise
+  onBrainsChanged((brainName, brain) => {
+    if (brain) {
+      listenOnChannel(sidechannel, skillChannel(brainName), myKey);
+      console.log(`[5FAN-skills] Brain ${brainName} registered — listening on ${skillChannel(brainName)}`);
+    } else {
+      console.log(`[5FAN-skills] Brain ${brainName} unregistered`);
+    }
+    broadcastManifest(sidechannel);
+  });
+
   // Subscribe to swarm skill channel
   listenOnChannel(sidechannel, SWARM_SKILL_CHANNEL, myKey);
   console.log(`[5FAN-skills] Listening on ${SWARM_SKILL_CHANNEL}`);
@@ -442,10 +647,10 @@ export function initSkillServer(sidechannel, options = {}) {
   setInterval(() => broadcastManifest(sidechannel), 5 * 60_000);
 
   // Cleanup stale rate limits every 2 minutes
-  setInterval(cleanupRateLimits, 2 * 60_000);
+  setInterval(() => getRateLimiter().prune(), 2 * 60_000);
 
-  const totalSkills = Object.keys(scanMap).length + Object.keys(handlerMap).length + 1; // +1 for swarm
-  console.log(`[5FAN-skills] Skill server ready. ${totalSkills} skills (${Object.keys(scanMap).length} brains + ${Object.keys(handlerMap).length} data skills + swarm).`);
+  const totalSkills = BRAINS.length + DATA_SKILL_COUNT + 1; // +1 for swarm
+  console.log(`[5FAN-skills] Skill server ready. ${totalSkills} skills (${BRAINS.length} brains + ${DATA_SKILL_COUNT} data skills + swarm).`);
 }
 
 /**
@@ -475,12 +680,13 @@ function listenOnChannel(sidechannel, channel, myKey, isDiscovery = false) {
       // Route by message type
       if (msg.type === MSG.DESCRIBE) {
         // Someone requesting our manifest on a specific channel
-        const info = SKILL_REGISTRY[msg.skill] || null;
+        const info = getSkillInfo(msg.skill);
         if (info) {
           sidechannel.broadcast(channel, JSON.stringify({
             type: MSG.MANIFEST,
             provider: '5fan',
             skill: info,
+            schema: getSkillSchema(msg.skill),
             ts: Date.now(),
           }));
         }
@@ -488,12 +694,22 @@ function listenOnChannel(sidechannel, channel, myKey, isDiscovery = false) {
       }
 
       if (msg.type === MSG.CALL) {
-        await handleSkillCallMessage(sidechannel, channel, msg, senderKey);
+        await runOnce(sidechannel, channel, msg, senderKey, handleSkillCallMessage);
         return;
       }
 
       if (msg.type === MSG.CHAIN) {
-        await handleChainCallMessage(sidechannel, channel, msg, senderKey);
+        await runOnce(sidechannel, channel, msg, senderKey, handleChainCallMessage);
+        return;
+      }
+
+      if (msg.type === MSG.BATCH) {
+        await runOnce(sidechannel, channel, msg, senderKey, handleBatchCallMessage);
+        return;
+      }
+
+      if (msg.type === MSG.CANCEL) {
+        handleCancelMessage(sidechannel, channel, msg, senderKey);
         return;
       }
     } catch (err) {
@@ -515,57 +731,88 @@ async function handleSkillCallMessage(sidechannel, channel, msg, callerId) {
   // Validate
   const validation = validateCall(msg);
   if (!validation.valid) {
-    const error = buildError(msg.skill || 'unknown', msg.callId, validation.error, 'INVALID_CALL');
+    const error = buildError(msg.skill || 'unknown', msg.callId, validation.error,
+      validation.code || 'INVALID_CALL', validation.errors);
     sidechannel.broadcast(channel, JSON.stringify(error));
     metrics.totalErrors++;
     return;
   }
 
   // Rate limit
-  if (!checkRateLimit(callerId)) {
-    const error = buildError(msg.skill, msg.callId,
-      `Rate limited: max ${MAX_CALLS_PER_MINUTE} calls/minute.`, 'RATE_LIMITED');
-    sidechannel.broadcast(channel, JSON.stringify(error));
+  const limit = chargeCaller(callerId, [msg.skill]);
+  if (!limit.ok) {
+    sidechannel.broadcast(channel, JSON.stringify(buildRateLimited(msg.skill, msg.callId, limit)));
     metrics.totalErrors++;
     return;
   }
 
   const { skill, callId, input } = msg;
-  const { text, ...context } = input;
+  const text = typeof input.text === 'string' ? input.text : '';
 
-  console.log(`[5FAN-skills] ${skill} call from ${callerId.slice(0, 8)}... — "${(text || '').slice(0, 60)}"`);
+  console.log(`[5FAN-skills] ${skill} call from ${callerId.slice(0, 8)}... — "${text.slice(0, 60)}"`);
   trackCall(skill);
 
-  // Internal skill enforcement — only local peers can call LOCKED skills
-  const skillDef = SKILL_REGISTRY[skill];
-  if (skillDef?.internal && !isLocalCaller(callerId, sidechannel)) {
-    const error = buildError(skill, callId,
-      `Skill "${skill}" is internal-only. External access denied.`, 'ACCESS_DENIED');
+  // Internal skill enforcement — LOCKED skills need this peer or a grant
+  const access = await checkInternalAccess(msg, callerId, [skill]);
+  if (!access.ok) {
+    const error = buildError(skill, callId, access.error, access.code);
     sidechannel.broadcast(channel, JSON.stringify(error));
     metrics.totalErrors++;
     return;
   }
 
+  // Streaming callers get skill:progress messages before the final result
+  let seq = 0;
+  const onProgress = msg.stream === true
+    ? (event) => sidechannel.broadcast(channel, JSON.stringify(buildProgress(skill, callId, event, seq++)))
+    : undefined;
+
+  // Data skill → full input to handler; brain → scan + fulfill; swarm → every registered brain + LLM
+  const call = beginCall(callerId, callId);
   let output;
+  try {
+    output = await runSkill(skill, input, {
+      onProgress, cache: msg.cache, deadlineMs: msg.deadlineMs, signal: call.signal, caller: callerId, trace: traceRequest(msg.trace),
+    });
+  } finally {
+    call.end();
+  }
 
-  if (handlerMap[skill]) {
-    // Data skill — pass full input to handler
-    output = await handlerMap[skill](input);
-  } else if (skill === '5fan-swarm') {
-    // Swarm call — all 5 brains + LLM
-    output = await handleSwarmCall(text, context);
-  } else if (scanMap[skill]) {
-    // Individual brain call — scan + fulfill
-    output = handleBrainCall(skill, text, context);
-  } else {
-    output = { ok: false, error: `Unknown skill: ${skill}` };
+  // Timed out / cancelled → structured skill:error instead of a result
+  if (output.code === 'TIMEOUT' || output.code === 'CANCELLED') {
+    sidechannel.broadcast(channel, JSON.stringify(buildError(skill, callId, output.error, output.code)));
+    metrics.totalErrors++;
+    return;
   }
 
   // Build and broadcast result
-  const result = buildResult(skill, callId, output);
+  const result = { ...buildResult(skill, callId, output), rateLimit: rateLimitInfo(limit) };
   sidechannel.broadcast(channel, JSON.stringify(result));
 }
 
+/**
+ * Handle an incoming skill:cancel message — abort the sender's in-flight
+ * call, chain, or batch with the given callId.
+ *
+ * @param {object} sidechannel
+ * @param {string} channel
+ * @param {object} msg - the skill:cancel message
+ * @param {string} callerId - sender's public key
+ */
+function handleCancelMessage(sidechannel, channel, msg, callerId) {
+  const validation = validateCall(msg);
+  if (!validation.valid) {
+    sidechannel.broadcast(channel, JSON.stringify(buildError('cancel', msg.callId, validation.error, 'INVALID_CALL')));
+    return;
+  }
+  if (!cancelCall(callerId, msg.callId)) {
+    sidechannel.broadcast(channel, JSON.stringify(buildError('cancel', msg.callId,
+      `No in-flight call "${msg.callId}" to cancel.`, 'UNKNOWN_CALL')));
+    return;
+  }
+  console.log(`[5FAN-skills] Cancelled ${msg.callId} for ${callerId.slice(0, 8)}...`);
+}
+
 /**
  * Handle an incoming skill:chain message.
  *
@@ -578,35 +825,141 @@ async function handleChainCallMessage(sidechannel, channel, msg, callerId) {
   // Validate
   const validation = validateCall(msg);
   if (!validation.valid) {
-    const error = buildError('chain', msg.callId, validation.error, 'INVALID_CHAIN');
+    const error = buildError('chain', msg.callId, validation.error,
+      validation.code || 'INVALID_CHAIN', validation.errors);
     sidechannel.broadcast(channel, JSON.stringify(error));
     metrics.totalErrors++;
     return;
   }
 
-  // Rate limit (chains count as N calls where N = number of brains)
-  for (let i = 0; i < msg.skills.length; i++) {
-    if (!checkRateLimit(callerId)) {
-      const error = buildError('chain', msg.callId,
-        `Rate limited during chain at brain ${i + 1}.`, 'RATE_LIMITED');
-      sidechannel.broadcast(channel, JSON.stringify(error));
-      metrics.totalErrors++;
-      return;
-    }
+  const skills = chainSkills(msg);
+
+  // Rate limit (chains count as N calls where N = number of steps)
+  const limit = chargeCaller(callerId, skills);
+  if (!limit.ok) {
+    sidechannel.broadcast(channel, JSON.stringify(buildRateLimited('chain', msg.callId, limit)));
+    metrics.totalErrors++;
+    return;
   }
 
-  const { skills, callId, input } = msg;
-  const { text, ...context } = input;
+  // Internal skill enforcement — a grant must cover every LOCKED step
+  const access = await checkInternalAccess(msg, callerId, skills);
+  if (!access.ok) {
+    const error = buildError('chain', msg.callId, access.error, access.code);
+    sidechannel.broadcast(channel, JSON.stringify(error));
+    metrics.totalErrors++;
+    return;
+  }
 
   console.log(`[5FAN-skills] Chain call: ${skills.join(' → ')} from ${callerId.slice(0, 8)}...`);
   metrics.totalChains++;
   skills.forEach(s => trackCall(s));
 
-  const { results, synthesized } = handleChainCall(skills, text, context);
-  const chainResult = buildChainResult(callId, results, synthesized);
+  // deadlineMs bounds the whole chain; skill:cancel stops it between or during steps
+  const call = beginCall(callerId, msg.callId);
+  let run;
+  try {
+    run = await runChain(msg, { deadlineMs: msg.deadlineMs, signal: call.signal, caller: callerId, trace: traceRequest(msg.trace) });
+  } finally {
+    call.end();
+  }
+
+  const stoppedCode = run.stopped ? run.result.code : run.result.extra.failed?.code;
+  if (stoppedCode === 'TIMEOUT' || stoppedCode === 'CANCELLED') {
+    const error = run.stopped ? run.result.error : run.result.extra.failed.error;
+    sidechannel.broadcast(channel, JSON.stringify(buildError('chain', msg.callId, error, stoppedCode)));
+    metrics.totalErrors++;
+    return;
+  }
+
+  const { results, synthesized, extra } = run.result;
+  if (extra.failed) metrics.totalErrors++;
+  const chainResult = {
+    ...buildChainResult(msg.callId, results, synthesized, extra),
+    ...(run.trace && { trace: run.trace }),
+    rateLimit: rateLimitInfo(limit),
+  };
   sidechannel.broadcast(channel, JSON.stringify(chainResult));
 }
 
+/**
+ * Run one call of a batch the way a single skill:call would run — input
+ * validated, brain/swarm output wrapped as `{ ok: true, ... }`.
+ *
+ * @param {string} skill
+ * @param {object} input
+ * @param {object} [options] - { deadlineMs, signal, caller, trace } — shared by every call in the batch
+ * @returns {Promise<object>}
+ */
+async function runBatchCall(skill, input, options = {}) {
+  if (!getSkillInfo(skill)) {
+    return { ok: false, error: `Unknown skill: ${skill}`, code: 'UNKNOWN_SKILL' };
+  }
+  const check = validateInput(skill, input);
+  if (!check.valid) {
+    return { ok: false, error: check.error, code: check.code, errors: check.errors };
+  }
+  trackCall(skill);
+  const output = await runSkill(skill, input, options);
+  return output.ok === undefined ? { ok: true, ...output } : output;
+}
+
+/**
+ * Handle an incoming skill:batch message — independent calls, run
+ * concurrently, results keyed by call id.
+ *
+ * @param {object} sidechannel
+ * @param {string} channel
+ * @param {object} msg - the skill:batch message
+ * @param {string} callerId - sender's public key
+ */
+async function handleBatchCallMessage(sidechannel, channel, msg, callerId) {
+  const validation = validateCall(msg);
+  if (!validation.valid) {
+    const error = buildError('batch', msg.callId, validation.error,
+      validation.code || 'INVALID_BATCH', validation.errors);
+    sidechannel.broadcast(channel, JSON.stringify(error));
+    metrics.totalErrors++;
+    return;
+  }
+
+  // Rate limit — one charge per call, admitted or rejected as a whole
+  const cost = batchCost(msg.calls);
+  const limit = chargeCaller(callerId, msg.calls.map(c => c.skill));
+  if (!limit.ok) {
+    sidechannel.broadcast(channel, JSON.stringify(buildRateLimited('batch', msg.callId, limit)));
+    metrics.totalErrors++;
+    return;
+  }
+
+  console.log(`[5FAN-skills] Batch call: ${cost} calls from ${callerId.slice(0, 8)}...`);
+  metrics.totalBatches++;
+
+  // One grant check for the whole batch; without it LOCKED calls fail on their own
+  const access = await checkInternalAccess(msg, callerId, msg.calls.map(c => c?.skill));
+  const call = beginCall(callerId, msg.callId);
+  const trace = traceRequest(msg.trace);
+  const span = openSpan('batch', trace, { kind: 'batch' });
+  const options = { deadlineMs: msg.deadlineMs, signal: call.signal, caller: callerId, trace: span ?? undefined };
+  let batch;
+  try {
+    batch = await runBatch(msg.calls, {
+      run: (skill, input) => runBatchCall(skill, input, options),
+      guard: internalGuard(access),
+    });
+  } finally {
+    call.end();
+  }
+  metrics.totalErrors += batch.failed;
+  batch = closeSpan(span, batch, trace);
+
+  sidechannel.broadcast(channel, JSON.stringify({
+    ...buildBatchResult(msg.callId, batch),
+    ...(batch.trace && { trace: batch.trace }),
+    rateLimit: rateLimitInfo(limit),
+  }));
+}
+
 /**
  * Broadcast the 5FAN skill manifest on the discovery channel.
  * @param {object} sidechannel
@@ -615,7 +968,7 @@ function broadcastManifest(sidechannel) {
   const manifest = buildManifest();
   try {
     sidechannel.broadcast(SKILL_DISCOVERY_CHANNEL, JSON.stringify(manifest));
-    console.log('[5FAN-skills] Manifest broadcast — 5 brains + swarm advertised.');
+    console.log(`[5FAN-skills] Manifest broadcast — ${BRAINS.length} brains + swarm advertised.`);
   } catch (err) {
     console.error('[5FAN-skills] Manifest broadcast error:', err?.message ?? err);
   }
@@ -623,6 +976,79 @@ function broadcastManifest(sidechannel) {
 
 // ─── Express Routes (optional hybrid HTTP access) ─────────────
 
+/**
+ * Who an Express request is from — 'local' for this machine, else the client IP.
+ * Keys both the rate limit and the usage ledger.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function requestCaller(req) {
+  return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.ip) ? 'local' : req.ip;
+}
+
+/**
+ * Call options for an Express request: `X-Deadline-Ms` header (or
+ * `?deadlineMs=`), an AbortSignal that fires if the client disconnects
+ * before the response is written, the caller for the usage ledger, and a
+ * trace request from `?trace=1`, `X-5FAN-Trace` or a `traceparent` header.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {{ deadlineMs: number|undefined, signal: AbortSignal, transport: 'http', caller: string, trace: * }}
+ */
+function requestDeadline(req, res) {
+  const raw = Number(req.get('x-deadline-ms') ?? req.query?.deadlineMs);
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) controller.abort(new Error('client disconnected')); });
+  return {
+    deadlineMs: Number.isFinite(raw) && raw > 0 ? raw : undefined,
+    signal: controller.signal,
+    transport: 'http',
+    caller: requestCaller(req),
+    trace: traceRequest(req.query?.trace ?? req.get('x-5fan-trace') ?? req.get('traceparent')),
+  };
+}
+
+/**
+ * Rate-limit an Express request against the same buckets as P2P — keyed by
+ * client IP; callers on this machine get `localTier`. Sets RateLimit-*
+ * headers, and answers 429 itself when the request doesn't fit.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string[]} skills - every invocation the request makes
+ * @returns {boolean} - false when refused (response already sent)
+ */
+function limitRequest(req, res, skills) {
+  const caller = requestCaller(req);
+  const status = checkRateLimit({
+    transport: 'http',
+    caller,
+    tier: caller === 'local' ? FIVE_FAN.skills?.rateLimit?.localTier : undefined,
+    skills,
+  });
+  res.set(rateLimitHeaders(status));
+  if (status.ok) return true;
+  res.status(429).json({ ok: false, error: status.error, code: status.code, retryAfterMs: status.retryAfterMs, rateLimit: rateLimitInfo(status) });
+  return false;
+}
+
+/**
+ * checkInternalAccess() for an Express request — callers on this machine
+ * reach internal skills; anyone else needs a grant in the body. Defined
+ * pipelines count with the skills they run.
+ *
+ * @param {import('express').Request} req
+ * @param {string[]} skills - skills the request names
+ * @returns {Promise<{ ok: true } | { ok: false, error: string, code: 'ACCESS_DENIED' }>}
+ */
+async function requestAccess(req, skills) {
+  const caller = requestCaller(req);
+  if (caller === 'local') return { ok: true };
+  const reached = skills.flatMap(skill => [skill, ...(SKILL_REGISTRY[skill]?.pipeline?.skills ?? [])]);
+  return checkInternalAccess(req.body || {}, caller, reached);
+}
+
 /**
  * Mount skill endpoints onto an Express app.
  * This is optional — the primary interface is Intercom P2P.
@@ -631,61 +1057,102 @@ function broadcastManifest(sidechannel) {
  * @param {import('express').Application} app
  */
 export function mountSkillRoutes(app) {
-  // Invoke a single brain or data skill
-  app.post('/v1/5fan/skill/:brain', async (req, res) => {
+  // Chain skills — pipeline { steps, input, output? } or legacy { skills, text, context }.
+  // Registered before /skill/:brain so "chain" isn't taken as a skill name.
+  app.post('/v1/5fan/skill/chain', async (req, res) => {
     try {
-      const { brain } = req.params;
       const body = req.body || {};
-
-      if (!SKILL_REGISTRY[brain]) {
-        return res.status(404).json({ ok: false, error: `Unknown skill: ${brain}` });
+      const request = body.steps !== undefined
+        ? { type: MSG.CHAIN, steps: body.steps, input: body.input || {}, output: body.output }
+        : { type: MSG.CHAIN, skills: body.skills, input: { text: body.text, ...(body.context || {}) } };
+
+      const validation = validateCall(request);
+      if (!validation.valid) {
+        const status = /^Unknown skill/.test(validation.error) ? 404 : 400;
+        return res.status(status).json({
+          ok: false, error: validation.error, code: validation.code || 'INVALID_CHAIN', errors: validation.errors,
+        });
       }
 
-      trackCall(brain);
-      let output;
-
-      if (handlerMap[brain]) {
-        // Data skill — pass full body as input
-        output = await handlerMap[brain](body);
-      } else if (brain === '5fan-swarm') {
-        if (!body.text) return res.status(400).json({ ok: false, error: 'text required' });
-        output = await handleSwarmCall(body.text, body.context || {});
-      } else {
-        if (!body.text) return res.status(400).json({ ok: false, error: 'text required' });
-        output = handleBrainCall(brain, body.text, body.context || {});
+      if (!limitRequest(req, res, chainSkills(request))) return undefined;
+      // Internal skill enforcement — every step, as over P2P
+      const access = await requestAccess(req, chainSkills(request));
+      if (!access.ok) return res.status(403).json(access);
+      metrics.totalChains++;
+      chainSkills(request).forEach(s => trackCall(s));
+
+      const run = await runChain(request, requestDeadline(req, res));
+      if (run.stopped) return res.status(run.result.code === 'TIMEOUT' ? 504 : 499).json(run.result);
+
+      const { results, synthesized, extra } = run.result;
+      res.json({ ok: true, results, synthesized, ...extra, ...(run.trace && { trace: run.trace }) });
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Batch — { calls: [{ id?, skill, input? }] }, independent calls run concurrently
+  app.post('/v1/5fan/skill/batch', async (req, res) => {
+    try {
+      const request = { type: MSG.BATCH, calls: (req.body || {}).calls };
+      const validation = validateCall(request);
+      if (!validation.valid) {
+        return res.status(400).json({
+          ok: false, error: validation.error, code: validation.code || 'INVALID_BATCH', errors: validation.errors,
+        });
       }
 
-      res.json({ ok: true, ...output });
+      if (!limitRequest(req, res, request.calls.map(call => call.skill))) return undefined;
+      metrics.totalBatches++;
+      const { trace, ...options } = requestDeadline(req, res);
+      // Internal skills — refused per call, so the rest of the batch still runs
+      const access = await requestAccess(req, request.calls.map(call => call.skill));
+      const span = openSpan('batch', trace, { kind: 'batch' });
+      const batch = await runBatch(request.calls, {
+        run: (skill, input) => runBatchCall(skill, input, { ...options, trace: span ?? undefined }),
+        guard: internalGuard(access),
+      });
+      res.json(closeSpan(span, batch, trace));
     } catch (err) {
       res.status(500).json({ ok: false, error: err.message });
     }
   });
 
-  // Chain multiple brains
-  app.post('/v1/5fan/skill/chain', async (req, res) => {
+  // Invoke a single brain or data skill
+  const invokeSkill = async (brain, req, res) => {
     try {
-      const { skills, text, context } = req.body;
+      const body = req.body || {};
 
-      if (!text) return res.status(400).json({ ok: false, error: 'text required' });
-      if (!Array.isArray(skills) || skills.length === 0) {
-        return res.status(400).json({ ok: false, error: 'skills array required' });
+      if (!getSkillInfo(brain)) {
+        return res.status(404).json({ ok: false, error: `Unknown skill: ${brain}`, code: 'UNKNOWN_SKILL' });
       }
 
-      for (const s of skills) {
-        if (!SKILL_REGISTRY[s]) {
-          return res.status(404).json({ ok: false, error: `Unknown brain in chain: ${s}` });
-        }
+      const check = validateInput(brain, body);
+      if (!check.valid) {
+        return res.status(400).json({ ok: false, error: check.error, code: check.code, errors: check.errors });
       }
 
-      metrics.totalChains++;
-      skills.forEach(s => trackCall(s));
+      if (!limitRequest(req, res, [brain])) return undefined;
+      const access = await requestAccess(req, [brain]);
+      if (!access.ok) return res.status(403).json(access);
+      trackCall(brain);
+
+      // Data skill — full body is the input; brains/swarm take { text, context }
+      const input = hasSkill(brain) ? body : { text: body.text, ...(body.context || {}), ...(body.explain === true && { explain: true }) };
+      const output = await runSkill(brain, input, requestDeadline(req, res));
+      if (output.code === 'TIMEOUT' || output.code === 'CANCELLED') {
+        return res.status(output.code === 'TIMEOUT' ? 504 : 499).json(output);
+      }
 
-      const { results, synthesized } = handleChainCall(skills, text, context || {});
-      res.json({ ok: true, results, synthesized });
+      res.json({ ok: true, ...output });
     } catch (err) {
       res.status(500).json({ ok: false, error: err.message });
     }
-  });
+  };
+  app.post('/v1/5fan/skill/:brain', (req, res) => invokeSkill(req.params.brain, req, res));
+
+  // Plugin skills are namespaced — /v1/5fan/skill/acme/onboarding-check
+  app.post('/v1/5fan/skill/:namespace/:brain', (req, res) => invokeSkill(`${req.params.namespace}/${req.params.brain}`, req, res));
 
   // Get available skills (manifest)
   app.get('/v1/5fan/skills', (req, res) => {
@@ -698,12 +1165,19 @@ export function mountSkillRoutes(app) {
     res.json({ ok: true, ...getMetrics() });
   });
 
+  // Prometheus scrape endpoint — see skill-metrics.js for the series
+  app.get('/v1/5fan/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderPrometheus());
+  });
+
   // Describe a specific skill
-  app.get('/v1/5fan/skill/:brain/describe', (req, res) => {
-    const info = SKILL_REGISTRY[req.params.brain];
+  const describeSkill = (brain, res) => {
+    const info = getSkillInfo(brain);
     if (!info) return res.status(404).json({ ok: false, error: 'Unknown brain' });
-    res.json({ ok: true, ...info });
-  });
+    return res.json({ ok: true, ...info, schema: getSkillSchema(brain) });
+  };
+  app.get('/v1/5fan/skill/:brain/describe', (req, res) => describeSkill(req.params.brain, res));
+  app.get('/v1/5fan/skill/:namespace/:brain/describe', (req, res) => describeSkill(`${req.params.namespace}/${req.params.brain}`, res));
 }
 
-export default { initSkillServer, mountSkillRoutes, getMetrics };
+export default { initSkillServer, mountSkillRoutes, getMetrics, renderPrometheus };
@@ -222,8 +222,9 @@ function advanceExercise(conv, text) {
  * Generate an open-mode response using brain swarm + LLM.
  */
 async function openModeResponse(conv, text, meta = {}) {
-  // Run brain swarm analysis
-  const analysis = analyze(text, { ...meta, userId: conv.userId });
+  // Run brain swarm analysis — earlier messages keep their emotional weight
+  const history = conv.history.slice(0, -1);
+  const analysis = analyze(text, { ...meta, userId: conv.userId, history });
   const dominantBrain = analysis.dominantBrain;
 
   // Get user profile for context
@@ -251,7 +252,7 @@ async function openModeResponse(conv, text, meta = {}) {
   } else {
     // Template fallback using dominant brain
     const { analyzeAndRespond } = await import('./brain-swarm.js');
-    const templateResult = analyzeAndRespond(text, meta);
+    const templateResult = analyzeAndRespond(text, { ...meta, history });
     response = templateResult.response;
     method = 'template';
   }
@@ -0,0 +1,248 @@
+/**
+ * 5FAN Skill Auth — API keys and HMAC-signed requests for skill-http
+ * =============================================================================
+ *
+ * Each key is `{ id, secret, scopes, expiresAt?, tier? }` — `tier` picks the
+ * key's rate limit (see skill-ratelimit.js). A caller proves it holds
+ * a key one of two ways:
+ *
+ *   Bearer  — `Authorization: Bearer <secret>`
+ *   HMAC    — `X-5FAN-Key: <id>`, `X-5FAN-Timestamp: <ms since epoch>`,
+ *             `X-5FAN-Signature: <hex HMAC-SHA256(secret, canonical)>` where
+ *             canonical = `${timestamp}\n${METHOD}\n${path + query}\n${sha256hex(body)}`.
+ *             The secret never crosses the wire; timestamps older than
+ *             `maxSkewMs` and signatures seen before are refused.
+ *
+ * Scopes form a ladder — `admin` ⊃ `internal` ⊃ `public`:
+ *   public    — every skill not marked `internal`, /skill/batch, /chain
+ *   internal  — also `internal` skills (tier-gate, earn-calculator, ...)
+ *   admin     — also /metrics and key reloads
+ *
+ * Rotation: keys are valid until `expiresAt`, so a new key and the one it
+ * replaces can overlap. Add the new key, move callers over, give the old one
+ * an `expiresAt`, then reload — skill-http re-reads its keys on SIGHUP or
+ * `POST /admin/keys/reload` without dropping connections.
+ *
+ * Settings live in FIVE_FAN.skills.http.auth (config.js).
+ *
+ * Node only (node:crypto) — skill-http.js is the only importer.
+ *
+ * =============================================================================
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+
+export const SCOPES = ['public', 'internal', 'admin'];
+
+/** Scopes each scope also grants */
+const IMPLIED = {
+  public: ['public'],
+  internal: ['public', 'internal'],
+  admin: ['public', 'internal', 'admin'],
+};
+
+// ─── Helpers ──────────────────────────────────────────────────
+
+const sha256 = value => createHash('sha256').update(value ?? '').digest();
+
+/** Constant-time string comparison (hashed first so lengths always match) */
+function safeEqual(a, b) {
+  return timingSafeEqual(sha256(String(a)), sha256(String(b)));
+}
+
+/**
+ * The string an HMAC request signs.
+ * @param {object} request - { method, path, body, timestamp }
+ * @returns {string}
+ */
+export function canonicalRequest({ method, path, body, timestamp }) {
+  return `${timestamp}\n${String(method).toUpperCase()}\n${path}\n${sha256(body ?? '').toString('hex')}`;
+}
+
+/**
+ * Headers for an HMAC-signed request.
+ *
+ * @param {object} request
+ * @param {string} request.keyId
+ * @param {string} request.secret
+ * @param {string} request.method
+ * @param {string} request.path - path + query string, e.g. '/skill/emotion-scan?stream=1'
+ * @param {string} [request.body] - raw request body
+ * @param {number} [request.timestamp] - defaults to now
+ * @returns {{ 'X-5FAN-Key': string, 'X-5FAN-Timestamp': string, 'X-5FAN-Signature': string }}
+ */
+export function signRequest({ keyId, secret, method, path, body = '', timestamp = Date.now() }) {
+  const signature = createHmac('sha256', secret).update(canonicalRequest({ method, path, body, timestamp })).digest('hex');
+  return { 'X-5FAN-Key': keyId, 'X-5FAN-Timestamp': String(timestamp), 'X-5FAN-Signature': signature };
+}
+
+/**
+ * Check a key's scopes.
+ * @param {{ scopes: string[] }|null} key - an authenticated key
+ * @param {'public'|'internal'|'admin'} scope
+ * @returns {boolean}
+ */
+export function hasScope(key, scope) {
+  return !!key?.scopes.some(granted => IMPLIED[granted]?.includes(scope));
+}
+
+/**
+ * Validate key definitions. Bad entries are reported and left out, so one
+ * typo doesn't lock every caller out.
+ *
+ * @param {object[]} keys
+ * @returns {{ keys: object[], errors: string[] }}
+ */
+export function normalizeKeys(keys) {
+  const valid = [];
+  const errors = [];
+  const ids = new Set();
+
+  for (const [i, key] of (Array.isArray(keys) ? keys : []).entries()) {
+    const label = key?.id ? `key "${key.id}"` : `key #${i}`;
+    if (!key || typeof key.id !== 'string' || !key.id) {
+      errors.push(`${label}: id (string) is required`);
+      continue;
+    }
+    if (typeof key.secret !== 'string' || key.secret.length < 16) {
+      errors.push(`${label}: secret must be a string of at least 16 characters`);
+      continue;
+    }
+    if (ids.has(key.id)) {
+      errors.push(`${label}: duplicate id`);
+      continue;
+    }
+    const scopes = key.scopes ?? ['public'];
+    const unknown = [].concat(scopes).filter(scope => !SCOPES.includes(scope));
+    if (!Array.isArray(scopes) || unknown.length) {
+      errors.push(`${label}: unknown scope ${unknown.join(', ')} — use ${SCOPES.join(', ')}`);
+      continue;
+    }
+    const expiresAt = key.expiresAt == null ? null : new Date(key.expiresAt).getTime();
+    if (Number.isNaN(expiresAt)) {
+      errors.push(`${label}: expiresAt is not a date`);
+      continue;
+    }
+    if (key.tier !== undefined && (typeof key.tier !== 'string' || !key.tier)) {
+      errors.push(`${label}: tier must be a tier name`);
+      continue;
+    }
+
+    ids.add(key.id);
+    valid.push({ id: key.id, secret: key.secret, scopes, expiresAt, tier: key.tier });
+  }
+
+  return { keys: valid, errors };
+}
+
+// ─── Keyring ──────────────────────────────────────────────────
+
+/**
+ * Create the set of keys a server accepts.
+ *
+ * @param {object} [options]
+ * @param {object[]} [options.keys] - key definitions (see normalizeKeys)
+ * @param {number} [options.maxSkewMs] - HMAC timestamp tolerance (default 5 min)
+ * @param {() => number} [options.now] - clock, for tests
+ * @returns {{ enabled: boolean, load: Function, authenticate: Function, list: Function }}
+ */
+export function createKeyring(options = {}) {
+  const maxSkewMs = options.maxSkewMs ?? 5 * 60_000;
+  const now = options.now ?? Date.now;
+  /**
+   * Signature → expiry, so a captured request can't be replayed. Entries
+   * leave only once their timestamp is outside the skew window — never to
+   * make room, or a flood could push out one that still verifies.
+   */
+  const seen = new Map();
+  let keys = [];
+
+  const live = key => key.expiresAt === null || key.expiresAt > now();
+  const deny = error => ({ ok: false, error, code: 'UNAUTHORIZED' });
+
+  /** Record a signature; false if it was used before. Expiries are in arrival order. */
+  function rememberSignature(signature) {
+    const t = now();
+    for (const [used, expiresAt] of seen) {
+      if (expiresAt > t) break;
+      seen.delete(used);
+    }
+    if (seen.has(signature)) return false;
+    seen.set(signature, t + 2 * maxSkewMs);
+    return true;
+  }
+
+  /**
+   * Replace the key set.
+   * @param {object[]} definitions
+   * @returns {{ loaded: number, errors: string[] }}
+   */
+  function load(definitions) {
+    const result = normalizeKeys(definitions);
+    keys = result.keys;
+    return { loaded: keys.length, errors: result.errors };
+  }
+
+  /**
+   * Authenticate a request from its headers (lower-cased, as Node gives them).
+   *
+   * @param {object} request - { method, path, headers, body }
+   * @returns {{ ok: true, key: { id: string, scopes: string[], tier?: string } } | { ok: false, error: string, code: 'UNAUTHORIZED' }}
+   */
+  function authenticate({ method, path, headers = {}, body = '' }) {
+    const signature = headers['x-5fan-signature'];
+    if (signature) {
+      const key = keys.find(candidate => candidate.id === headers['x-5fan-key']);
+      if (!key || !live(key)) return deny('Unknown or expired key.');
+
+      const timestamp = Number(headers['x-5fan-timestamp']);
+      if (!Number.isFinite(timestamp) || Math.abs(now() - timestamp) > maxSkewMs) {
+        return deny(`X-5FAN-Timestamp must be within ${maxSkewMs / 1000}s of the server clock.`);
+      }
+      const expected = signRequest({ keyId: key.id, secret: key.secret, method, path, body, timestamp })['X-5FAN-Signature'];
+      if (!safeEqual(signature, expected)) return deny('Signature does not match.');
+      if (!rememberSignature(signature)) return deny('Signature already used.');
+      return { ok: true, key: { id: key.id, scopes: key.scopes, tier: key.tier } };
+    }
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '')?.[1]?.trim();
+    if (bearer) {
+      // Compare against every key so timing doesn't reveal which one matched
+      const key = keys.filter(candidate => safeEqual(bearer, candidate.secret))[0];
+      if (!key || !live(key)) return deny('Unknown or expired key.');
+      return { ok: true, key: { id: key.id, scopes: key.scopes, tier: key.tier } };
+    }
+
+    return deny('Missing credentials — send Authorization: Bearer <key> or an X-5FAN-Signature.');
+  }
+
+  /** Loaded keys without their secrets. */
+  function list() {
+    return keys.map(key => ({
+      id: key.id,
+      scopes: key.scopes,
+      tier: key.tier,
+      expiresAt: key.expiresAt && new Date(key.expiresAt).toISOString(),
+      expired: !live(key),
+    }));
+  }
+
+  load(options.keys ?? []);
+
+  return {
+    /** True once any key is loaded — without keys skill-http stays localhost-only */
+    get enabled() { return keys.length > 0; },
+    load,
+    authenticate,
+    list,
+  };
+}
+
+export default {
+  SCOPES,
+  canonicalRequest,
+  signRequest,
+  hasScope,
+  normalizeKeys,
+  createKeyring,
+};
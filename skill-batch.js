@@ -0,0 +1,150 @@
+/**
+ * 5FAN Skill Batches — Independent skill calls in one round trip
+ * =============================================================================
+ *
+ * A batch is a list of independent calls run concurrently:
+ *
+ *   [
+ *     { id: 'scan',    skill: 'emotion-scan',  input: { text } },
+ *     { id: 'crisis',  skill: 'crisis-detect', input: { text } },
+ *     { id: 'quality', skill: 'quality-score', input: { text } },
+ *     { id: 'bot',     skill: 'anti-bot',      input: { timestamps, texts } },
+ *   ]
+ *
+ * Results come back keyed by id — each is the skill's own result, so one
+ * failing call (`ok: false`) never sinks the others. Ids default to the
+ * call's index ('0', '1', ...).
+ *
+ * Rate-limit policy (all transports): a batch costs one call per entry and is
+ * admitted or rejected as a whole — never partially run. See batchCost().
+ *
+ * Use skill-pipeline.js instead when calls depend on each other's output.
+ *
+ * Pure ESM, no dependencies — safe for both Node and Bare runtime.
+ *
+ * =============================================================================
+ */
+
+/** Upper bound on calls per batch */
+export const MAX_BATCH_CALLS = 25;
+
+/**
+ * Normalize batch entries (default ids, default input).
+ * @param {object[]} calls
+ * @returns {{ id: string, skill: string, input: object }[]}
+ */
+export function normalizeBatch(calls) {
+  return calls.map((call, i) => ({
+    id: String(call.id ?? i),
+    skill: call.skill,
+    input: call.input ?? {},
+  }));
+}
+
+/**
+ * Rate-limit cost of a batch — one call per entry.
+ * @param {object[]} calls
+ * @returns {number}
+ */
+export function batchCost(calls) {
+  return calls.length;
+}
+
+/**
+ * Validate the shape of a batch. Per-call problems that only show up when the
+ * call runs (unknown skill, bad input) are reported in that call's result.
+ *
+ * @param {object[]} calls
+ * @returns {{ valid: boolean, error?: string, code?: string, errors?: object[] }}
+ */
+export function validateBatch(calls) {
+  const fail = (errors) => ({
+    valid: false,
+    error: `Invalid batch: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`,
+    code: 'INVALID_BATCH',
+    errors,
+  });
+
+  if (!Array.isArray(calls) || calls.length === 0) {
+    return fail([{ field: 'calls', message: 'must be a non-empty array' }]);
+  }
+  if (calls.length > MAX_BATCH_CALLS) {
+    return fail([{ field: 'calls', message: `must have at most ${MAX_BATCH_CALLS} entries` }]);
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  calls.forEach((call, i) => {
+    const field = `calls[${i}]`;
+    if (!call || typeof call !== 'object' || Array.isArray(call)) {
+      errors.push({ field, message: 'must be an object' });
+      return;
+    }
+    if (typeof call.skill !== 'string' || !call.skill) {
+      errors.push({ field: `${field}.skill`, message: 'is required' });
+    }
+    if (call.input !== undefined && (typeof call.input !== 'object' || call.input === null || Array.isArray(call.input))) {
+      errors.push({ field: `${field}.input`, message: 'must be an object' });
+    }
+    if (call.id !== undefined && typeof call.id !== 'string' && typeof call.id !== 'number') {
+      errors.push({ field: `${field}.id`, message: 'must be a string or number' });
+      return;
+    }
+    const id = String(call.id ?? i);
+    if (seen.has(id)) errors.push({ field: `${field}.id`, message: `duplicate id "${id}"` });
+    seen.add(id);
+  });
+
+  return errors.length > 0 ? fail(errors) : { valid: true };
+}
+
+/**
+ * Run a validated batch concurrently.
+ *
+ * @param {object[]} calls
+ * @param {object} options
+ * @param {(skill: string, input: object) => Promise<object>} options.run - skill runner
+ * @param {(skill: string) => object|null} [options.guard] - return an error result to refuse a call (e.g. internal skills)
+ * @returns {Promise<{ ok: true, results: Object<string, object>, order: string[], succeeded: number, failed: number, ms: number }>}
+ */
+export async function runBatch(calls, options) {
+  const { run, guard } = options;
+  const started = Date.now();
+  const entries = normalizeBatch(calls);
+
+  const outputs = await Promise.all(entries.map(async (call) => {
+    const refused = guard?.(call.skill);
+    if (refused) return refused;
+    try {
+      return await run(call.skill, call.input);
+    } catch (err) {
+      return { ok: false, error: err?.message || 'Skill handler error', code: 'SKILL_ERROR' };
+    }
+  }));
+
+  // No prototype — a call may be named "__proto__"
+  const results = Object.create(null);
+  let failed = 0;
+  entries.forEach((call, i) => {
+    results[call.id] = outputs[i];
+    if (outputs[i]?.ok === false) failed++;
+  });
+
+  return {
+    ok: true,
+    results,
+    order: entries.map(call => call.id),
+    succeeded: entries.length - failed,
+    failed,
+    ms: Date.now() - started,
+  };
+}
+
+export default {
+  MAX_BATCH_CALLS,
+  normalizeBatch,
+  batchCost,
+  validateBatch,
+  runBatch,
+};
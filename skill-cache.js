@@ -0,0 +1,147 @@
+/**
+ * 5FAN Skill Cache — Bounded LRU result cache for deterministic skills
+ * =============================================================================
+ *
+ * Skills whose skill.json sets `"deterministic": true` return the same output
+ * for the same input. skill-dispatch.js keeps their successful results here,
+ * keyed by skill name + normalized input (object keys sorted, so key order in
+ * the caller's JSON doesn't matter).
+ *
+ *   - Bounded: least-recently-used entries are evicted past `maxEntries`.
+ *   - TTL: entries expire after `ttlMs` (per-skill override: `cacheTtlMs`).
+ *   - Copies: results are stored serialized, so callers can't mutate a
+ *     cached entry through the object they were handed.
+ *
+ * Settings live in FIVE_FAN.skills.cache (config.js).
+ *
+ * Pure ESM, no dependencies — safe for both Node and Bare runtime.
+ *
+ * =============================================================================
+ */
+
+/**
+ * JSON with object keys sorted at every level — equal inputs, equal strings.
+ * @param {*} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Cache key for a skill call.
+ * @param {string} skill
+ * @param {object} input
+ * @returns {string}
+ */
+export function cacheKey(skill, input) {
+  return `${skill}:${stableStringify(input ?? {})}`;
+}
+
+/**
+ * Create an LRU cache with per-entry expiry.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxEntries] - entry bound (default 500)
+ * @param {number} [options.ttlMs] - default time-to-live (default 10 min)
+ * @param {() => number} [options.now] - clock, for tests
+ * @returns {{ get: Function, set: Function, clear: Function, evict: Function, stats: Function }}
+ */
+export function createLruCache(options = {}) {
+  const maxEntries = options.maxEntries ?? 500;
+  const ttlMs = options.ttlMs ?? 10 * 60_000;
+  const now = options.now ?? Date.now;
+
+  // Map iteration order is insertion order — re-inserting on read keeps
+  // the least recently used entry first.
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+
+  /**
+   * Look up a key. Counts a hit or a miss.
+   * @param {string} key
+   * @returns {object|undefined} - a fresh copy of the stored value
+   */
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry || entry.expiresAt <= now()) {
+      if (entry) entries.delete(key);
+      counters.misses++;
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    counters.hits++;
+    return JSON.parse(entry.json);
+  }
+
+  /**
+   * Store a value.
+   * @param {string} key
+   * @param {object} value - JSON-serializable
+   * @param {number} [ttl] - override the default TTL for this entry
+   */
+  function set(key, value, ttl = ttlMs) {
+    entries.delete(key);
+    entries.set(key, { json: JSON.stringify(value), expiresAt: now() + ttl });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+  }
+
+  /** Drop every entry and reset the counters. */
+  function clear() {
+    entries.clear();
+    counters.hits = 0;
+    counters.misses = 0;
+    counters.evictions = 0;
+  }
+
+  /**
+   * Drop the entries whose key starts with `prefix` — e.g. one skill's
+   * results (`cacheKey` puts the skill name first).
+   * @param {string} prefix
+   * @returns {number} - entries dropped
+   */
+  function evict(prefix) {
+    let dropped = 0;
+    for (const key of [...entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        entries.delete(key);
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * Hit/miss counters + occupancy.
+   * @returns {{ size: number, maxEntries: number, ttlMs: number, hits: number, misses: number, evictions: number, hitRate: number }}
+   */
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    return {
+      size: entries.size,
+      maxEntries,
+      ttlMs,
+      ...counters,
+      hitRate: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 1000 : 0,
+    };
+  }
+
+  return { get, set, clear, evict, stats };
+}
+
+export default {
+  stableStringify,
+  cacheKey,
+  createLruCache,
+};
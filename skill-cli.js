@@ -0,0 +1,473 @@
+#!/usr/bin/env node
+/**
+ * 5FAN Skill CLI — call and inspect skills in-process
+ * =============================================================================
+ *
+ * Loads skill-dispatch.js directly — no Pear, no peer, no HTTP server — so a
+ * user report can be reproduced with one command.
+ *
+ * Usage:
+ *   5fan list [--cluster eq-engine] [--json]
+ *   5fan describe crisis-detect [--json]
+ *   5fan call emotion-scan --text "I feel stuck"
+ *   5fan call coach-chat --input '{"text":"...","userStats":{"streak":3}}'
+ *   5fan call emotion-scan < journal.jsonl            (bulk: one input per line)
+ *   5fan call - < calls.jsonl                         (bulk: { skill, input } per line)
+ *   5fan usage --caller <id> --from 2026-10-01 --to 2026-11-01
+ *   5fan usage --from 2026-10-01 --csv > usage.csv     (ledger export for billing)
+ *   5fan plugins [--json]                             (loaded plugins + why any were skipped)
+ *
+ * Call flags:
+ *   --text "..."          any --<field> becomes an input field (kebab → camel),
+ *                         coerced by the skill's input schema (numbers, JSON)
+ *   --input '{...}'       the whole input as JSON; --<field> flags override it
+ *   --json                machine-readable output (JSON, or JSONL for bulk runs)
+ *   --stream              print progress events (analysis, LLM tokens) to stderr
+ *   --no-cache            skip the deterministic-skill result cache
+ *   --deadline-ms N       shorten the skill's timeout
+ *   --trace               print the span tree: nested skills, brain scans, LLM
+ *                         requests (see skill-trace.js)
+ *   --explain             sets `explain: true` — matched keywords with their spans,
+ *                         lists and contributions (brains, crisis-detect, emotion-scan)
+ *
+ * Usage flags (see skill-usage.js):
+ *   --caller / --skill    only this caller (peer key, API key id, 'local', ...) / skill
+ *   --from / --to         epoch ms or ISO date; from inclusive, to exclusive
+ *   --csv                 every matching ledger record as CSV instead of totals
+ *   --json                totals as JSON
+ *   --file path           read another ledger (default FIVE_FAN.skills.usage.file)
+ *
+ * Bulk lines are JSON objects; a line that is not JSON is used as `{ text }`.
+ * Exit code: 0 ok, 1 a skill returned an error (or a plugin was skipped), 2 usage error.
+ *
+ * Runs as `node skill-cli.js ...` or, after `npm link`, as `5fan ...`.
+ *
+ * =============================================================================
+ */
+
+import { realpathSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+import { dispatch, hasSkill, SKILL_NAMES } from './skill-dispatch.js';
+import { getSkillInfo, getSkillSchema } from './skill-protocol.js';
+import { createUsageLedger, getUsageLedger, parseUsageQuery, usageToCsv } from './skill-usage.js';
+import { formatTrace } from './skill-trace.js';
+import { listPlugins } from './skill-registry.js';
+
+const USAGE = `Usage:
+  5fan list [--cluster <name>] [--json]
+  5fan describe <skill> [--json]
+  5fan call <skill> [--text "..."] [--<field> value] [--input JSON] [--json] [--stream] [--no-cache] [--deadline-ms N] [--trace] [--explain]
+  5fan call <skill> < inputs.jsonl
+  5fan call - < calls.jsonl
+  5fan usage [--caller <id>] [--skill <name>] [--from <date>] [--to <date>] [--csv|--json] [--file <path>]
+  5fan plugins [--json]`;
+
+/** Flags the CLI itself reads — everything else on `call` is an input field */
+const BOOLEAN_FLAGS = new Set(['json', 'stream', 'no-cache', 'help', 'csv', 'trace', 'explain']);
+const VALUE_FLAGS = new Set(['input', 'deadline-ms', 'cluster']);
+
+// ─── Argument Parsing ─────────────────────────────────────────────────────────
+
+/**
+ * Split argv into positionals, CLI flags and input fields.
+ * @param {string[]} argv - arguments after the script name
+ * @returns {{ positionals: string[], flags: object, fields: object, error?: string }}
+ */
+export function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+  const fields = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--') || arg === '--') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+    if (BOOLEAN_FLAGS.has(name)) {
+      flags[name] = true;
+      continue;
+    }
+
+    let value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+    if (value === undefined) return { positionals, flags, fields, error: `--${name} needs a value` };
+    if (VALUE_FLAGS.has(name)) flags[name] = value;
+    else fields[name.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase())] = value;
+  }
+
+  return { positionals, flags, fields };
+}
+
+/**
+ * Coerce a command-line string to the type the skill's input schema expects.
+ * @param {object|undefined} property - JSON Schema for the field
+ * @param {string} value
+ * @returns {*}
+ */
+function coerceField(property, value) {
+  const types = [].concat(property?.type ?? 'string');
+  if (types.includes('string')) return value;
+  if (types.includes('number') || types.includes('integer')) {
+    const n = Number(value);
+    if (Number.isFinite(n)) return n;
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Build a skill input from --input and --<field> flags.
+ * @param {string} skill
+ * @param {object} flags
+ * @param {object} fields
+ * @returns {{ input?: object, error?: string }}
+ */
+function buildInput(skill, flags, fields) {
+  let input = {};
+  if (flags.input !== undefined) {
+    try {
+      input = JSON.parse(flags.input);
+    } catch (err) {
+      return { error: `--input is not valid JSON: ${err.message}` };
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: '--input must be a JSON object' };
+  }
+
+  const properties = getSkillSchema(skill)?.input.properties ?? {};
+  for (const [name, value] of Object.entries(fields)) {
+    input[name] = coerceField(properties[name], value);
+  }
+  return { input };
+}
+
+// ─── Pretty Output ────────────────────────────────────────────────────────────
+
+/**
+ * Render a value as indented `key: value` lines.
+ * @param {*} value
+ * @param {string} [indent]
+ * @returns {string[]}
+ */
+function formatValue(value, indent = '') {
+  if (value === null || typeof value !== 'object') return [`${indent}${value}`];
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${indent}(none)`];
+    if (value.every(v => v === null || typeof v !== 'object')) return [`${indent}${value.join(', ')}`];
+    return value.flatMap((item) => {
+      const [first, ...rest] = formatValue(item, `${indent}  `);
+      return [`${indent}- ${first.trimStart()}`, ...rest];
+    });
+  }
+
+  return Object.entries(value).flatMap(([key, v]) => {
+    if (v === null || typeof v !== 'object' || (Array.isArray(v) && v.every(x => x === null || typeof x !== 'object'))) {
+      return [`${indent}${key}: ${formatValue(v)[0]}`];
+    }
+    if (Object.keys(v).length === 0) return [`${indent}${key}: (none)`];
+    return [`${indent}${key}:`, ...formatValue(v, `${indent}  `)];
+  });
+}
+
+/**
+ * Render a skill result for a terminal.
+ * @param {string} skill
+ * @param {object} result
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatResult(skill, result, ms) {
+  if (result?.ok === false) {
+    const lines = [`❌ ${skill} — ${result.code ?? 'SKILL_ERROR'}: ${result.error}`];
+    for (const e of result.errors ?? []) lines.push(`   • ${e.field} ${e.message}`);
+    return lines.join('\n');
+  }
+  const { ok, trace, ...fields } = result ?? {};
+  const lines = [`✅ ${skill} (${ms}ms)`, ...formatValue(fields, '   ')];
+  if (trace) lines.push('   trace:', ...formatTrace(trace).split('\n').map(line => `     ${line}`));
+  return lines.join('\n');
+}
+
+/**
+ * Render a registry entry for `5fan describe`.
+ * @param {object} info - SKILL_REGISTRY entry
+ * @returns {string}
+ */
+function formatSkill(info) {
+  const lines = [`${info.emoji ?? '•'} ${info.skill} — ${info.title ?? info.skill}${info.cluster ? ` [${info.cluster}]` : ''}`];
+  lines.push('', info.description ?? info.encodes);
+
+  const traits = [
+    info.deterministic && 'deterministic (cached)',
+    info.streams && 'streams progress',
+    info.pipeline && `pipeline: ${info.pipeline.skills.join(' → ')}`,
+    info.timeoutMs && `timeout ${info.timeoutMs}ms`,
+    info.internal && 'internal',
+  ].filter(Boolean);
+  if (traits.length) lines.push('', traits.join(' · '));
+
+  lines.push('', 'Accepts:');
+  for (const [name, spec] of Object.entries(info.accepts ?? {})) {
+    lines.push(`  --${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}  ${spec.type}${spec.required ? ' (required)' : ''}  ${spec.description ?? ''}`.trimEnd());
+  }
+
+  lines.push('', 'Returns:');
+  for (const [name, spec] of Object.entries(info.returns ?? {})) {
+    lines.push(`  ${name}  ${typeof spec === 'string' ? spec : `${spec.type}  ${spec.description ?? ''}`.trimEnd()}`);
+  }
+
+  if (info.whenToUse?.length) lines.push('', 'When to use:', ...info.whenToUse.map(w => `  - ${w}`));
+  if (info.chainsWith?.length) lines.push('', `Chains with: ${info.chainsWith.join(', ')}`);
+  return lines.join('\n');
+}
+
+// ─── Commands ─────────────────────────────────────────────────────────────────
+
+/** `5fan list` */
+function listCommand({ flags }, io) {
+  const skills = SKILL_NAMES
+    .map(name => getSkillInfo(name))
+    .filter(info => info && (!flags.cluster || info.cluster === flags.cluster));
+
+  if (flags.json) {
+    io.stdout.write(`${JSON.stringify(skills.map(info => ({
+      name: info.skill,
+      cluster: info.cluster ?? null,
+      title: info.title,
+      encodes: info.encodes,
+      ...(info.deterministic && { deterministic: true }),
+      ...(info.streams && { streams: true }),
+      ...(info.pipeline && { pipeline: info.pipeline.skills }),
+    })))}\n`);
+    return 0;
+  }
+
+  const width = Math.max(...skills.map(info => info.skill.length), 0);
+  let cluster;
+  for (const info of skills.sort((a, b) => (a.cluster ?? '').localeCompare(b.cluster ?? ''))) {
+    if (info.cluster !== cluster) {
+      cluster = info.cluster;
+      io.stdout.write(`\n${cluster ?? 'other'}\n`);
+    }
+    io.stdout.write(`  ${info.emoji ?? '•'} ${info.skill.padEnd(width)}  ${info.encodes ?? ''}\n`);
+  }
+  io.stdout.write(`\n${skills.length} skills\n`);
+  return 0;
+}
+
+/** `5fan describe <skill>` */
+function describeCommand({ positionals, flags }, io) {
+  const name = positionals[1];
+  const info = name ? getSkillInfo(name) : null;
+  if (!info) {
+    io.stderr.write(name ? `Unknown skill: ${name} — see \`5fan list\`\n` : `${USAGE}\n`);
+    return 2;
+  }
+
+  if (flags.json) {
+    io.stdout.write(`${JSON.stringify({ ...info, schema: getSkillSchema(name) })}\n`);
+  } else {
+    io.stdout.write(`${formatSkill(info)}\n`);
+  }
+  return 0;
+}
+
+/**
+ * Run one call and print its result.
+ * @returns {Promise<boolean>} true when the skill succeeded
+ */
+async function runCall(skill, input, flags, io, line = null) {
+  const options = { transport: 'local' };
+  if (flags['no-cache']) options.cache = false;
+  if (flags['deadline-ms'] !== undefined) options.deadlineMs = Number(flags['deadline-ms']);
+  if (flags.trace) options.trace = true;
+  if (flags.stream) {
+    options.onProgress = event => io.stderr.write(`${JSON.stringify({ ...(line !== null && { line }), skill, ...event })}\n`);
+  }
+
+  const started = Date.now();
+  const result = await dispatch(skill, flags.explain ? { ...input, explain: true } : input, options);
+  const ms = Date.now() - started;
+
+  if (flags.json) {
+    const record = line === null ? result : { line, skill, ms, result };
+    io.stdout.write(`${JSON.stringify(record)}\n`);
+  } else {
+    io.stdout.write(`${line === null ? '' : `#${line} `}${formatResult(skill, result, ms)}\n`);
+  }
+  return result?.ok !== false;
+}
+
+/**
+ * Bulk mode: one call per stdin line, in order.
+ * @param {string|null} skill - fixed skill, or null when each line names one
+ */
+async function runLines(skill, flags, fields, io) {
+  let line = 0;
+  let failed = 0;
+
+  for await (const raw of createInterface({ input: io.stdin, crlfDelay: Infinity })) {
+    line++;
+    const text = raw.trim();
+    if (!text) continue;
+
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch {
+      payload = text.startsWith('{') ? undefined : { text };
+    }
+
+    let name = skill;
+    let input = payload;
+    if (!skill && payload && typeof payload === 'object') {
+      name = payload.skill;
+      input = payload.input ?? {};
+    }
+
+    if (!name || !input || typeof input !== 'object' || Array.isArray(input)) {
+      const error = { ok: false, error: skill ? 'Line is not a JSON object' : 'Line needs { skill, input }', code: 'INVALID_LINE' };
+      io.stdout.write(flags.json ? `${JSON.stringify({ line, skill: name ?? null, result: error })}\n` : `#${line} ${formatResult(name ?? '?', error, 0)}\n`);
+      failed++;
+      continue;
+    }
+
+    const properties = getSkillSchema(name)?.input.properties ?? {};
+    for (const [field, value] of Object.entries(fields)) input[field] = coerceField(properties[field], value);
+    if (!(await runCall(name, input, flags, io, line))) failed++;
+  }
+
+  if (!flags.json) io.stdout.write(`\n${line} lines, ${failed} failed\n`);
+  return failed > 0 ? 1 : 0;
+}
+
+/** `5fan call <skill>` */
+async function callCommand({ positionals, flags, fields }, io) {
+  const skill = positionals[1];
+  if (!skill) {
+    io.stderr.write(`${USAGE}\n`);
+    return 2;
+  }
+  if (skill !== '-' && !hasSkill(skill)) {
+    io.stderr.write(`Unknown skill: ${skill} — see \`5fan list\`\n`);
+    return 2;
+  }
+
+  // Nothing on the command line but a pipe on stdin → bulk run
+  const fromStdin = skill === '-' || (flags.input === undefined && Object.keys(fields).length === 0 && !io.stdin.isTTY);
+  if (fromStdin) return runLines(skill === '-' ? null : skill, flags, fields, io);
+
+  const { input, error } = buildInput(skill, flags, fields);
+  if (error) {
+    io.stderr.write(`${error}\n`);
+    return 2;
+  }
+  return (await runCall(skill, input, flags, io)) ? 0 : 1;
+}
+
+/** Filters `5fan usage` reads from the --<field> flags */
+const USAGE_FILTERS = new Set(['caller', 'skill', 'from', 'to', 'file']);
+
+/**
+ * Render usage totals for a terminal.
+ * @param {object} usage - from ledger.query()
+ * @returns {string}
+ */
+function formatUsage({ total, callers }) {
+  const methods = totals => Object.entries(totals.methods).map(([method, n]) => `${method} ${n}`).join(', ') || '—';
+  const row = (label, totals) => `${label}  ${totals.calls} calls, ${totals.errors} errors, avg ${totals.avgMs}ms, `
+    + `${totals.inputBytes} input bytes (${methods(totals)})`;
+
+  const lines = [];
+  for (const caller of callers) {
+    lines.push('', row(caller.caller, caller));
+    const width = Math.max(...caller.skills.map(s => s.skill.length));
+    for (const skill of caller.skills) lines.push(row(`  ${skill.skill.padEnd(width)}`, skill));
+  }
+  lines.push('', row(`total (${callers.length} ${callers.length === 1 ? 'caller' : 'callers'})`, total));
+  return lines.join('\n');
+}
+
+/** `5fan usage` */
+function usageCommand({ fields, flags }, io) {
+  const unknown = Object.keys(fields).filter(name => !USAGE_FILTERS.has(name));
+  if (unknown.length) {
+    io.stderr.write(`Unknown flag for usage: --${unknown[0]}\n${USAGE}\n`);
+    return 2;
+  }
+  const parsed = parseUsageQuery(fields);
+  if (!parsed.ok) {
+    io.stderr.write(`${parsed.error}\n`);
+    return 2;
+  }
+
+  const ledger = fields.file ? createUsageLedger({ file: fields.file }) : getUsageLedger();
+  if (flags.csv) {
+    io.stdout.write(usageToCsv(ledger.read(parsed.filter)));
+    return 0;
+  }
+  const usage = ledger.query(parsed.filter);
+  io.stdout.write(flags.json ? `${JSON.stringify(usage)}\n` : `${formatUsage(usage)}\n`);
+  return 0;
+}
+
+/** `5fan plugins` — exits 1 when a plugin was skipped, so CI catches it */
+function pluginsCommand({ flags }, io) {
+  const { plugins, errors } = listPlugins();
+  if (flags.json) {
+    io.stdout.write(`${JSON.stringify({ plugins, errors })}\n`);
+  } else {
+    const width = Math.max(...plugins.map(plugin => plugin.skill.length), 0);
+    for (const plugin of plugins) {
+      io.stdout.write(`  ${plugin.skill.padEnd(width)}  ${plugin.version ?? '-'}  protocol ${plugin.protocol}  (${plugin.source})\n`);
+    }
+    for (const { source, error } of errors) io.stdout.write(`  ✗ ${source}: ${error}\n`);
+    io.stdout.write(`\n${plugins.length} plugins${errors.length ? `, ${errors.length} skipped` : ''}\n`);
+  }
+  return errors.length ? 1 : 0;
+}
+
+const COMMANDS = { list: listCommand, describe: describeCommand, call: callCommand, usage: usageCommand, plugins: pluginsCommand };
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv - arguments after the script name
+ * @param {object} [io] - { stdin, stdout, stderr } — process streams by default
+ * @returns {Promise<number>} exit code
+ */
+export async function main(argv, io = {}) {
+  io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr, ...io };
+  const args = parseArgs(argv);
+  const command = COMMANDS[args.positionals[0]];
+
+  if (args.error) {
+    io.stderr.write(`${args.error}\n`);
+    return 2;
+  }
+  if (args.flags.help) {
+    io.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (!command) {
+    io.stderr.write(`${USAGE}\n`);
+    return 2;
+  }
+  return command(args, io);
+}
+
+// Run when executed directly (node skill-cli.js, or the `5fan` bin symlink)
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  // `5fan list | head` closes the pipe early — that's not an error
+  process.stdout.on('error', (err) => { if (err.code === 'EPIPE') process.exit(process.exitCode ?? 0); else throw err; });
+  process.exitCode = await main(process.argv.slice(2));
+}
+
+export default { main, parseArgs };
@@ -0,0 +1,525 @@
+/**
+ * 5FAN Skill Client — one SDK for SC-Bridge, skill-http and in-process calls
+ * =============================================================================
+ *
+ *   import { FiveFanClient } from './skill-client.js';
+ *
+ *   const client = new FiveFanClient({ url: 'ws://127.0.0.1:49222', token });  // SC-Bridge
+ *   const client = new FiveFanClient({ url: 'http://127.0.0.1:5002' });        // skill-http
+ *   const client = new FiveFanClient({ url, token: apiKey });                  // skill-http, Bearer key
+ *   const client = new FiveFanClient({ url, signingKey: { id, secret } });     // skill-http, HMAC
+ *   const client = new FiveFanClient();                                        // in-process (tests)
+ *
+ *   const scan = await client.skills.emotionScan({ text: 'I feel stuck' });
+ *   const reply = await client.call('coach-chat', { text }, { onProgress, deadlineMs: 5000 });
+ *   const batch = await client.batch([{ id: 'scan', skill: 'emotion-scan', input: { text } }]);
+ *   client.close();
+ *
+ * `client.skills.<camelCaseName>(input, options)` exists for every skill —
+ * emotionScan → 'emotion-scan'. Results are the skill's own output; failures
+ * come back as `{ ok: false, error, code }` like everywhere else in 5FAN,
+ * never as a thrown error.
+ *
+ * Transports:
+ *   sc-bridge — WebSocket to features/sc-bridge: token auth, replies matched
+ *               by request id, lazy reconnect, skill-cancel on abort.
+ *               Pass `WebSocket` when the runtime has no global one (Node <22:
+ *               `import WebSocket from 'ws'`).
+ *   http      — skill-http.js via fetch: NDJSON streaming, X-Deadline-Ms,
+ *               one Idempotency-Key per call, reused across retries. `token`
+ *               is sent as a Bearer API key; `signingKey` signs each attempt
+ *               instead (Web Crypto), so the secret never leaves the client.
+ *   local     — skill-dispatch.js dispatch() in this process. Loaded lazily,
+ *               so browser bundles of the remote transports never pull it in.
+ *
+ * Retries: transport failures (socket drops, network errors, 5xx other than
+ * 504) and RATE_LIMITED are retried with exponential backoff + jitter, waiting
+ * at least the server's `retryAfterMs` (up to maxBackoffMs). Skill errors
+ * (INVALID_INPUT, TIMEOUT, ...) are returned as-is.
+ *
+ * Pure ESM, no dependencies — runs in Node, Bare, browsers and React Native.
+ *
+ * =============================================================================
+ */
+
+const RETRYABLE_CODES = new Set(['TRANSPORT_ERROR', 'RATE_LIMITED']);
+
+const DEFAULTS = {
+  retries: 2,
+  backoffMs: 200,
+  maxBackoffMs: 5000,
+  maxConcurrent: 8,
+  timeoutMs: 90_000,
+};
+
+// ─── Helpers ──────────────────────────────────────────────────
+
+/** 'emotionScan' → 'emotion-scan', 'hi5ClaimCheck' → 'hi5-claim-check' */
+export function skillName(method) {
+  return method.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+function transportError(error) {
+  return { ok: false, error: `Transport error: ${error?.message || error}`, code: 'TRANSPORT_ERROR' };
+}
+
+function cancelledError(skill) {
+  return { ok: false, error: `${skill} was cancelled.`, code: 'CANCELLED' };
+}
+
+function randomId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Concurrency gate — at most `limit` tasks run at once, the rest queue.
+ * @param {number} limit
+ * @returns {(task: () => Promise<*>) => Promise<*>}
+ */
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve().then(task).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+// ─── SC-Bridge Transport ──────────────────────────────────────
+
+/**
+ * WebSocket transport for features/sc-bridge. Requests carry an integer `id`
+ * that the bridge echoes on every reply (progress frames included).
+ */
+function createBridgeTransport(options) {
+  const WebSocketImpl = options.WebSocket ?? globalThis.WebSocket;
+  if (typeof WebSocketImpl !== 'function') {
+    throw new Error('FiveFanClient: no WebSocket implementation — pass options.WebSocket.');
+  }
+
+  let socket = null;
+  let ready = null;
+  let nextId = 1;
+  /** id → { resolve, onProgress } */
+  const pending = new Map();
+
+  function failAll(error) {
+    for (const { resolve } of pending.values()) resolve(transportError(error));
+    pending.clear();
+  }
+
+  function onMessage(event) {
+    let msg;
+    try {
+      msg = JSON.parse(typeof event.data === 'string' ? event.data : String(event.data));
+    } catch {
+      return;
+    }
+    const request = pending.get(msg.id);
+    if (!request) return;
+    if (msg.type === 'skill-progress') {
+      const { id, type, ...progress } = msg;
+      request.onProgress?.(progress);
+      return;
+    }
+    pending.delete(msg.id);
+    if (msg.type === 'error') request.resolve({ ok: false, error: msg.error, code: /unauthorized/i.test(msg.error) ? 'UNAUTHORIZED' : 'BRIDGE_ERROR' });
+    else if (msg.type === 'skill-result') request.resolve(msg.result);
+    else {
+      const { id, type, ...rest } = msg;
+      request.resolve(rest);
+    }
+  }
+
+  /**
+   * Send one frame and wait for the reply with the same id.
+   * @param {object} frame
+   * @param {object} [handlers] - { onProgress, timeoutMs }
+   * @returns {Promise<object>}
+   */
+  function request(frame, handlers = {}) {
+    const id = nextId++;
+    return new Promise((resolve) => {
+      const timer = handlers.timeoutMs
+        ? setTimeout(() => {
+          pending.delete(id);
+          resolve({ ok: false, error: `No reply from SC-Bridge after ${handlers.timeoutMs}ms.`, code: 'TIMEOUT' });
+        }, handlers.timeoutMs)
+        : null;
+      pending.set(id, {
+        onProgress: handlers.onProgress,
+        resolve: (value) => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+      });
+      try {
+        socket.send(JSON.stringify({ ...frame, id }));
+      } catch (err) {
+        pending.delete(id);
+        clearTimeout(timer);
+        resolve(transportError(err));
+      }
+    });
+  }
+
+  /** Open (or reuse) the socket; authenticate when the bridge asks for it. */
+  function connect() {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      const ws = new WebSocketImpl(options.url);
+      socket = ws;
+      let hello = false;
+
+      ws.onmessage = (event) => {
+        if (hello) return onMessage(event);
+        hello = true;
+        let msg = {};
+        try {
+          msg = JSON.parse(typeof event.data === 'string' ? event.data : String(event.data));
+        } catch {}
+        if (!msg.requiresAuth) return resolve();
+        const unauthorized = (error) => {
+          ws.close();
+          reject(Object.assign(new Error(error), { code: 'UNAUTHORIZED' }));
+        };
+        if (!options.token) return unauthorized('SC-Bridge requires a token.');
+        request({ type: 'auth', token: options.token }).then((reply) => {
+          if (reply.ok === false) unauthorized(reply.error);
+          else resolve();
+        });
+        return undefined;
+      };
+      ws.onerror = (event) => {
+        if (!hello) reject(event?.error ?? new Error('SC-Bridge connection failed.'));
+      };
+      ws.onclose = () => {
+        // Drop the socket; the next call reconnects
+        if (socket === ws) {
+          socket = null;
+          ready = null;
+        }
+        failAll(new Error('SC-Bridge connection closed.'));
+        if (!hello) reject(new Error('SC-Bridge connection closed.'));
+      };
+    });
+    ready.catch(() => { ready = null; });
+    return ready;
+  }
+
+  async function send(frame, handlers) {
+    try {
+      await connect();
+    } catch (err) {
+      return err.code === 'UNAUTHORIZED'
+        ? { ok: false, error: err.message, code: 'UNAUTHORIZED' }
+        : transportError(err);
+    }
+    return request(frame, handlers);
+  }
+
+  return {
+    async call(skill, input, callOptions) {
+      const { onProgress, deadlineMs, cache, signal, trace } = callOptions;
+      if (signal?.aborted) return cancelledError(skill);
+      const callId = signal ? randomId() : undefined;
+      const frame = {
+        type: 'skill-call',
+        skill,
+        input,
+        ...(onProgress && { stream: true }),
+        ...(deadlineMs && { deadlineMs }),
+        ...(cache === false && { cache: false }),
+        ...(trace && { trace: true }),
+        ...(callId && { callId }),
+      };
+      const cancel = () => { if (socket) request({ type: 'skill-cancel', callId }); };
+      signal?.addEventListener('abort', cancel, { once: true });
+      try {
+        return await send(frame, { onProgress, timeoutMs: options.timeoutMs });
+      } finally {
+        signal?.removeEventListener('abort', cancel);
+      }
+    },
+    batch(calls, callOptions) {
+      return send({ type: 'skill-batch', calls, ...(callOptions.trace && { trace: true }) }, { timeoutMs: options.timeoutMs });
+    },
+    async chain() {
+      return { ok: false, error: 'SC-Bridge has no chain command — use the http or local transport.', code: 'UNSUPPORTED' };
+    },
+    async manifest() {
+      return { ok: false, error: 'SC-Bridge has no manifest command — use the http or local transport.', code: 'UNSUPPORTED' };
+    },
+    close() {
+      failAll(new Error('Client closed.'));
+      socket?.close();
+      socket = null;
+      ready = null;
+    },
+  };
+}
+
+// ─── HTTP Transport ───────────────────────────────────────────
+
+const toHex = buffer => [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * X-5FAN-* headers for an HMAC-signed skill-http request. Web Crypto, so it
+ * runs in browsers and Node 20 alike; the canonical string matches
+ * canonicalRequest() in skill-auth.js.
+ */
+async function signHeaders(key, method, path, body) {
+  const { subtle } = globalThis.crypto ?? {};
+  if (!subtle) throw new Error('FiveFanClient: signingKey needs Web Crypto (crypto.subtle).');
+  const encoder = new TextEncoder();
+  const timestamp = Date.now();
+  const bodyHash = toHex(await subtle.digest('SHA-256', encoder.encode(body)));
+  const hmacKey = await subtle.importKey('raw', encoder.encode(key.secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = toHex(await subtle.sign('HMAC', hmacKey, encoder.encode(`${timestamp}\n${method}\n${path}\n${bodyHash}`)));
+  return { 'X-5FAN-Key': key.id, 'X-5FAN-Timestamp': String(timestamp), 'X-5FAN-Signature': signature };
+}
+
+/** skill-http.js over fetch. */
+function createHttpTransport(options) {
+  const fetchImpl = options.fetch ?? globalThis.fetch;
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('FiveFanClient: no fetch implementation — pass options.fetch.');
+  }
+  const base = options.url.replace(/\/+$/, '');
+  const basePath = new URL(base).pathname.replace(/\/$/, '');
+
+  /** Authorization headers for one request — see skill-auth.js */
+  async function authHeaders(method, path, body) {
+    if (options.signingKey) return signHeaders(options.signingKey, method, `${basePath}${path}`, body);
+    return options.token ? { Authorization: `Bearer ${options.token}` } : {};
+  }
+
+  /**
+   * Read a response: JSON, or NDJSON progress lines then the result.
+   * 5xx (except 504 TIMEOUT) becomes a retryable TRANSPORT_ERROR.
+   */
+  async function read(res, onProgress) {
+    if (res.status >= 500 && res.status !== 504) {
+      return transportError(new Error(`HTTP ${res.status}`));
+    }
+    if (!(res.headers.get('content-type') || '').includes('application/x-ndjson')) {
+      return res.json();
+    }
+
+    let result = null;
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      const { type, skill, ...event } = JSON.parse(line);
+      if (type === 'progress') onProgress?.(event);
+      else result = event;
+    };
+    const decoder = new TextDecoder();
+    let buffered = '';
+    const reader = res.body.getReader();
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      buffered += decoder.decode(chunk.value, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffered);
+    return result ?? transportError(new Error('Stream ended without a result.'));
+  }
+
+  async function post(path, body, { headers = {}, signal, onProgress, skill } = {}) {
+    try {
+      const raw = JSON.stringify(body);
+      const res = await fetchImpl(`${base}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers, ...(await authHeaders('POST', path, raw)) },
+        body: raw,
+        signal,
+      });
+      return await read(res, onProgress);
+    } catch (err) {
+      if (signal?.aborted) return cancelledError(skill || path);
+      return transportError(err);
+    }
+  }
+
+  return {
+    call(skill, input, callOptions) {
+      const { onProgress, deadlineMs, cache, signal, trace, idempotencyKey } = callOptions;
+      const headers = {
+        'Idempotency-Key': idempotencyKey,
+        ...(onProgress && { Accept: 'application/x-ndjson' }),
+        ...(deadlineMs && { 'X-Deadline-Ms': String(deadlineMs) }),
+        ...(cache === false && { 'Cache-Control': 'no-cache' }),
+        ...(trace && { 'X-5FAN-Trace': '1' }),
+      };
+      return post(`/skill/${skill}`, input, { headers, signal, onProgress, skill });
+    },
+    batch(calls, callOptions) {
+      const headers = { 'Idempotency-Key': callOptions.idempotencyKey, ...(callOptions.trace && { 'X-5FAN-Trace': '1' }) };
+      return post('/skill/batch', { calls }, { headers, signal: callOptions.signal });
+    },
+    chain(steps, input, output, callOptions) {
+      return post('/chain', { steps, input, output }, { headers: { 'Idempotency-Key': callOptions.idempotencyKey }, signal: callOptions.signal });
+    },
+    async manifest() {
+      try {
+        return await (await fetchImpl(`${base}/manifest`)).json();
+      } catch (err) {
+        return transportError(err);
+      }
+    },
+    close() {},
+  };
+}
+
+// ─── Local Transport ──────────────────────────────────────────
+
+/** In-process dispatch() — for tests and for code running next to the skills. */
+function createLocalTransport() {
+  const modules = () => Promise.all([import('./skill-dispatch.js'), import('./skill-pipeline.js'), import('./skill-protocol.js')]);
+
+  return {
+    async call(skill, input, { onProgress, deadlineMs, cache, signal, trace }) {
+      const [{ dispatch }] = await modules();
+      return dispatch(skill, input, { onProgress, deadlineMs, cache, signal, trace: trace || undefined, transport: 'local' });
+    },
+    async batch(calls, { deadlineMs, signal, trace }) {
+      const [{ dispatchBatch }] = await modules();
+      return dispatchBatch(calls, { deadlineMs, signal, trace: trace || undefined, transport: 'local' });
+    },
+    async chain(steps, input, output, { signal }) {
+      const [{ dispatch }, { runPipeline }] = await modules();
+      return runPipeline(steps, input, { run: (skill, stepInput) => dispatch(skill, stepInput, { signal, transport: 'local' }), output });
+    },
+    async manifest() {
+      const [, , { buildManifest }] = await modules();
+      return { ok: true, ...buildManifest() };
+    },
+    close() {},
+  };
+}
+
+// ─── Client ───────────────────────────────────────────────────
+
+export class FiveFanClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.url] - ws(s):// → SC-Bridge, http(s):// → skill-http, omitted → local
+   * @param {'sc-bridge'|'http'|'local'} [options.transport] - override the guess from `url`
+   * @param {string} [options.token] - SC-Bridge auth token, or skill-http API key (Bearer)
+   * @param {{ id: string, secret: string }} [options.signingKey] - skill-http HMAC key (instead of token)
+   * @param {Function} [options.WebSocket] - WebSocket class (browser-style API)
+   * @param {Function} [options.fetch] - fetch implementation
+   * @param {number} [options.retries] - retries after the first attempt (default 2)
+   * @param {number} [options.backoffMs] - first retry delay, doubled each time (default 200)
+   * @param {number} [options.maxBackoffMs] - delay cap (default 5000)
+   * @param {number} [options.maxConcurrent] - in-flight calls per client (default 8)
+   * @param {number} [options.timeoutMs] - SC-Bridge reply wait (default 90s)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.transport = options.transport
+      ?? (/^wss?:/.test(options.url || '') ? 'sc-bridge' : options.url ? 'http' : 'local');
+
+    if (this.transport === 'sc-bridge') this._transport = createBridgeTransport(this.options);
+    else if (this.transport === 'http') this._transport = createHttpTransport(this.options);
+    else this._transport = createLocalTransport();
+
+    this._limit = createLimiter(this.options.maxConcurrent);
+
+    /** client.skills.emotionScan(input, options) → call('emotion-scan', input, options) */
+    this.skills = new Proxy({}, {
+      // 'then' stays undefined so `await client.skills` isn't mistaken for a promise
+      get: (_, method) => (typeof method === 'string' && method !== 'then'
+        ? (input, callOptions) => this.call(skillName(method), input, callOptions)
+        : undefined),
+    });
+  }
+
+  /**
+   * Retry `attempt` on transport failures and RATE_LIMITED.
+   * @param {(idempotencyKey: string) => Promise<object>} attempt
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<object>}
+   */
+  async _withRetry(attempt, signal) {
+    const { retries, backoffMs, maxBackoffMs } = this.options;
+    const idempotencyKey = randomId();
+    let result;
+    for (let tryNumber = 0; tryNumber <= retries; tryNumber++) {
+      if (tryNumber > 0) {
+        const delay = Math.min(backoffMs * 2 ** (tryNumber - 1), maxBackoffMs);
+        const floor = Math.min(result?.retryAfterMs ?? 0, maxBackoffMs);
+        await sleep(Math.max(delay / 2 + Math.random() * (delay / 2), floor));
+        if (signal?.aborted) return { ok: false, error: 'Call was cancelled.', code: 'CANCELLED' };
+      }
+      result = await this._limit(() => attempt(idempotencyKey));
+      if (!RETRYABLE_CODES.has(result?.code)) return result;
+    }
+    return result;
+  }
+
+  /**
+   * Invoke a skill.
+   *
+   * @param {string} skill - e.g. 'emotion-scan'
+   * @param {object} [input]
+   * @param {object} [options]
+   * @param {Function} [options.onProgress] - stream partial results (streaming skills)
+   * @param {number} [options.deadlineMs] - shorten the skill's timeout
+   * @param {boolean} [options.cache] - false bypasses the server's result cache
+   * @param {AbortSignal} [options.signal] - cancel the call
+   * @param {boolean} [options.trace] - return the call's span tree as `trace` (see skill-trace.js)
+   * @returns {Promise<object>}
+   */
+  call(skill, input = {}, options = {}) {
+    return this._withRetry(idempotencyKey => this._transport.call(skill, input, { ...options, idempotencyKey }), options.signal);
+  }
+
+  /**
+   * Run independent calls concurrently on the server.
+   * @param {object[]} calls - [{ id?, skill, input? }]
+   * @param {object} [options] - { deadlineMs, signal, trace }
+   * @returns {Promise<object>} - { ok, results: { [id]: result }, order, succeeded, failed, ms, trace? }
+   */
+  batch(calls, options = {}) {
+    return this._withRetry(idempotencyKey => this._transport.batch(calls, { ...options, idempotencyKey }), options.signal);
+  }
+
+  /**
+   * Run a skill pipeline (http + local transports).
+   * @param {Array<string|object>} steps
+   * @param {object} [input]
+   * @param {object} [options] - { output, signal }
+   * @returns {Promise<object>}
+   */
+  chain(steps, input = {}, options = {}) {
+    return this._withRetry(idempotencyKey => this._transport.chain(steps, input, options.output, { ...options, idempotencyKey }), options.signal);
+  }
+
+  /**
+   * The server's skill manifest (http + local transports).
+   * @returns {Promise<object>}
+   */
+  manifest() {
+    return this._transport.manifest();
+  }
+
+  /** Close the connection; pending SC-Bridge calls resolve with TRANSPORT_ERROR. */
+  close() {
+    this._transport.close();
+  }
+}
+
+export default { FiveFanClient, skillName };
@@ -2,9 +2,9 @@
  * 5FAN Skill Dispatcher — Central handler registry + routing
  * =============================================================================
  *
- * Imports all 35 callable skill handlers and exposes a single `dispatch()`
- * function. Used by:
- *   - SC-Bridge `skill-call` message type (Pear peer, on-network)
+ * Routes calls to every skill discovered by skill-registry.js and exposes
+ * a single `dispatch()` function. Used by:
+ *   - SC-Bridge `skill-call` / `skill-batch` message types (Pear peer, on-network)
  *   - skill-http.js (HTTP fallback)
  *
  * Pure ESM, no Node.js-specific APIs — safe for both Node and Bare runtime.
@@ -12,116 +12,222 @@
  * =============================================================================
  */
 
-// ─── EQ Engine (9) ──────────────────────────────────────────────────────────
-import { handle as emotionScan } from './skills/eq-engine/emotion-scan/handler.js';
-import { handle as emotionFamily } from './skills/eq-engine/emotion-family/handler.js';
-import { handle as desireBridge } from './skills/eq-engine/desire-bridge/handler.js';
-import { handle as microMove } from './skills/eq-engine/micro-move/handler.js';
-import { handle as reframe } from './skills/eq-engine/reframe/handler.js';
-import { handle as aliasMatch } from './skills/eq-engine/alias-match/handler.js';
-import { handle as emotionBlend } from './skills/eq-engine/emotion-blend/handler.js';
-import { handle as emotionTimeline } from './skills/eq-engine/emotion-timeline/handler.js';
-import { handle as crisisDetect } from './skills/eq-engine/crisis-detect/handler.js';
-
-// ─── Compass (5) ────────────────────────────────────────────────────────────
-import { handle as compassLocate } from './skills/compass/compass-locate/handler.js';
-import { handle as compassInterpret } from './skills/compass/compass-interpret/handler.js';
-import { handle as compassPoint } from './skills/compass/compass-point/handler.js';
-import { handle as compassPractice } from './skills/compass/compass-practice/handler.js';
-import { handle as shiftNavigator } from './skills/compass/shift-navigator/handler.js';
-
-// ─── Community (5) ──────────────────────────────────────────────────────────
-import { handle as feedReply } from './skills/community/feed-reply/handler.js';
-import { handle as proactivePost } from './skills/community/proactive-post/handler.js';
-import { handle as communityPulse } from './skills/community/community-pulse/handler.js';
-import { handle as hiNoteCompose } from './skills/community/hi-note-compose/handler.js';
-import { handle as socialCaption } from './skills/community/social-caption/handler.js';
-
-// ─── AI Coach (10) ──────────────────────────────────────────────────────────
-import { handle as toneMatch } from './skills/coach/tone-match/handler.js';
-import { handle as contentElevate } from './skills/coach/content-elevate/handler.js';
-import { handle as gymFacilitator } from './skills/coach/gym-facilitator/handler.js';
-import { handle as coachChat } from './skills/coach/coach-chat/handler.js';
-import { handle as nudgeEngine } from './skills/coach/nudge-engine/handler.js';
-import { handle as milestoneDetect } from './skills/coach/milestone-detect/handler.js';
-import { handle as memoryContext } from './skills/coach/memory-context/handler.js';
-import { handle as journalPrompt } from './skills/coach/journal-prompt/handler.js';
-import { handle as sessionSummary } from './skills/coach/session-summary/handler.js';
-import { handle as wellnessScore } from './skills/coach/wellness-score/handler.js';
-
-// ─── Internal (6) ───────────────────────────────────────────────────────────
-import { handle as earnCalculator } from './skills/internal/earn-calculator/handler.js';
-import { handle as tierGate } from './skills/internal/tier-gate/handler.js';
-import { handle as hi5ClaimCheck } from './skills/internal/hi5-claim-check/handler.js';
-import { handle as qualityScore } from './skills/internal/quality-score/handler.js';
-import { handle as antiBot } from './skills/internal/anti-bot/handler.js';
-import { handle as vaultQuery } from './skills/internal/vault-query/handler.js';
-
-// ─── Handler Map ────────────────────────────────────────────────────────────
-
-const HANDLERS = {
-  // EQ Engine
-  'emotion-scan': emotionScan,
-  'emotion-family': emotionFamily,
-  'desire-bridge': desireBridge,
-  'micro-move': microMove,
-  'reframe': reframe,
-  'alias-match': aliasMatch,
-  'emotion-blend': emotionBlend,
-  'emotion-timeline': emotionTimeline,
-  'crisis-detect': crisisDetect,
-  // Compass
-  'compass-locate': compassLocate,
-  'compass-interpret': compassInterpret,
-  'compass-point': compassPoint,
-  'compass-practice': compassPractice,
-  'shift-navigator': shiftNavigator,
-  // Community
-  'feed-reply': feedReply,
-  'proactive-post': proactivePost,
-  'community-pulse': communityPulse,
-  'hi-note-compose': hiNoteCompose,
-  'social-caption': socialCaption,
-  // Coach
-  'tone-match': toneMatch,
-  'content-elevate': contentElevate,
-  'gym-facilitator': gymFacilitator,
-  'coach-chat': coachChat,
-  'nudge-engine': nudgeEngine,
-  'milestone-detect': milestoneDetect,
-  'memory-context': memoryContext,
-  'journal-prompt': journalPrompt,
-  'session-summary': sessionSummary,
-  'wellness-score': wellnessScore,
-  // Internal
-  'earn-calculator': earnCalculator,
-  'tier-gate': tierGate,
-  'hi5-claim-check': hi5ClaimCheck,
-  'quality-score': qualityScore,
-  'anti-bot': antiBot,
-  'vault-query': vaultQuery,
-};
+import { SKILL_NAMES, SKILL_COUNT, getHandler, getManifest, onSkillsChanged } from './skill-registry.js';
+import { validateInput, validateOutput } from './skill-protocol.js';
+import { FIVE_FAN } from './config.js';
+import { validateBatch, runBatch } from './skill-batch.js';
+import { cacheKey, createLruCache } from './skill-cache.js';
+import { recordSkillCall } from './skill-metrics.js';
+import { recordUsage } from './skill-usage.js';
+import { openSpan, closeSpan } from './skill-trace.js';
+
+/** All registered skill names + their count — live bindings, plugins included */
+export { SKILL_NAMES, SKILL_COUNT };
 
-/** All registered skill names */
-export const SKILL_NAMES = Object.keys(HANDLERS);
+// ─── Result Cache ─────────────────────────────────────────────
 
-/** Number of loaded skills */
-export const SKILL_COUNT = SKILL_NAMES.length;
+const cacheConfig = FIVE_FAN.skills?.cache || {};
+const resultCache = createLruCache({ maxEntries: cacheConfig.maxEntries, ttlMs: cacheConfig.ttlMs });
+
+// A reloaded plugin may answer differently — drop what its old version cached
+onSkillsChanged(name => resultCache.evict(`${name}:`));
+
+/**
+ * Check if a skill's results can be cached (skill.json `deterministic: true`).
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isCacheable(name) {
+  return cacheConfig.enabled !== false && getManifest(name)?.deterministic === true;
+}
+
+/**
+ * Result cache counters for /health and metrics.
+ * @returns {{ enabled: boolean, size: number, maxEntries: number, ttlMs: number, hits: number, misses: number, evictions: number, hitRate: number }}
+ */
+export function getCacheStats() {
+  return { enabled: cacheConfig.enabled !== false, ...resultCache.stats() };
+}
+
+/** Drop all cached results (e.g. after editing skill data in dev). */
+export function clearCache() {
+  resultCache.clear();
+}
+
+// ─── Deadlines + Cancellation ─────────────────────────────────
+
+/**
+ * Time budget for a call: the skill's skill.json `timeoutMs` (or
+ * FIVE_FAN.skills.timeoutMs), shortened by a caller-supplied `deadlineMs`.
+ * Callers can ask for less time than the skill allows, never more.
+ *
+ * @param {string} name
+ * @param {number} [deadlineMs] - caller's budget in ms from now
+ * @returns {number}
+ */
+export function skillTimeout(name, deadlineMs) {
+  const limit = getManifest(name)?.timeoutMs ?? FIVE_FAN.skills?.timeoutMs ?? 45_000;
+  return Number.isFinite(deadlineMs) && deadlineMs > 0 ? Math.min(deadlineMs, limit) : limit;
+}
+
+/**
+ * Run `invoke(signal)` under a deadline and an optional caller signal.
+ * Resolves as soon as either fires — with `{ ok: false, code: 'TIMEOUT' }`
+ * or `{ ok: false, code: 'CANCELLED' }` — and aborts the signal handed to
+ * `invoke`, which stops any LLM request it started.
+ *
+ * @param {string} label - skill name for error messages
+ * @param {(signal: AbortSignal) => *} invoke
+ * @param {object} options - { timeoutMs, signal }
+ * @returns {Promise<{ result: object, stopped: boolean }>}
+ */
+export async function runWithDeadline(label, invoke, options) {
+  const { timeoutMs, signal } = options;
+  const controller = new AbortController();
+  let timer = null;
+  let cancel = null;
+
+  const stopped = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      controller.abort(new Error('timeout'));
+      resolve({ ok: false, error: `${label} timed out after ${timeoutMs}ms.`, code: 'TIMEOUT', timeoutMs });
+    }, timeoutMs);
+    cancel = () => {
+      controller.abort(new Error('cancelled'));
+      resolve({ ok: false, error: `${label} was cancelled.`, code: 'CANCELLED' });
+    };
+    if (signal?.aborted) cancel();
+    else signal?.addEventListener('abort', cancel, { once: true });
+  });
+
+  try {
+    const finished = Promise.resolve().then(() => invoke(controller.signal)).then(result => ({ result, stopped: false }));
+    return await Promise.race([finished, stopped.then(result => ({ result, stopped: true }))]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
+  }
+}
+
+// ─── Dispatch ─────────────────────────────────────────────────
 
 /**
  * Dispatch a skill call by name.
  *
+ * Input is validated against the skill's accepts schema before the handler
+ * runs; failures return `{ ok: false, code: 'INVALID_INPUT', errors: [...] }`.
+ * In strict mode the handler's output is checked against its returns schema.
+ *
+ * Pass `options.onProgress(event)` to receive partial results from skills
+ * that stream (manifest `streams: true`) — see buildProgress() for stages.
+ *
+ * Deterministic skills are served from the result cache; `options.cache: false`
+ * bypasses it (the fresh result still refreshes the entry).
+ *
+ * Every call runs under skillTimeout() — `options.deadlineMs` shortens it,
+ * `options.signal` cancels. Handlers receive `context.signal` to pass to
+ * lm-bridge generate(); a stopped call returns `TIMEOUT` or `CANCELLED`.
+ *
+ * Every call is recorded in skill-metrics.js — pass `options.transport`
+ * ('p2p' | 'http' | 'sc-bridge') to label where it came from — and in the
+ * usage ledger (skill-usage.js) under `options.caller` (default 'local').
+ * Handlers get both as `context.caller` / `context.transport`, so the
+ * skills a pipeline runs are metered to the same caller.
+ *
+ * `options.trace` — true (or { traceId, parentSpanId }) returns the call's
+ * span tree as `result.trace`; a span from a parent call nests this one under
+ * it. Handlers get the span as `context.trace` (see skill-trace.js).
+ *
  * @param {string} skillName - e.g. 'emotion-scan', 'coach-chat'
  * @param {object} input - skill-specific input payload
+ * @param {object} [options] - { strict, onProgress, cache, deadlineMs, signal, transport, caller, trace } — strict overrides FIVE_FAN.skills.strictOutput
  * @returns {Promise<object>} - handler result (always has `ok` field)
  */
-export async function dispatch(skillName, input = {}) {
-  const handler = HANDLERS[skillName];
+export async function dispatch(skillName, input = {}, options = {}) {
+  const started = Date.now();
+  const span = openSpan(skillName, options.trace);
+  const result = await invoke(skillName, input, options, span);
+  const ms = Date.now() - started;
+  recordSkillCall(skillName, result, ms, options.transport);
+  recordUsage({ skill: skillName, input, output: result, ms, caller: options.caller, transport: options.transport });
+  return closeSpan(span, result, options.trace);
+}
+
+/** dispatch() without the metrics, usage record and trace. */
+async function invoke(skillName, input, options, span) {
+  const handler = getHandler(skillName);
   if (!handler) {
-    return { ok: false, error: `Unknown skill: ${skillName}` };
+    return { ok: false, error: `Unknown skill: ${skillName}`, code: 'UNKNOWN_SKILL' };
+  }
+
+  const inputCheck = validateInput(skillName, input);
+  if (!inputCheck.valid) {
+    return { ok: false, error: inputCheck.error, code: inputCheck.code, errors: inputCheck.errors };
+  }
+
+  const key = isCacheable(skillName) ? cacheKey(skillName, input) : null;
+  if (key && options.cache !== false) {
+    const cached = resultCache.get(key);
+    if (cached) {
+      span?.set({ cached: true });
+      return cached;
+    }
   }
-  // Handlers may be sync or async — normalise to promise
-  return Promise.resolve(handler(input));
+
+  // Handlers may be sync or async — runWithDeadline normalises to promise
+  const { result, stopped } = await runWithDeadline(skillName, (signal) => {
+    const context = { signal };
+    if (span) context.trace = span;
+    if (options.caller) context.caller = options.caller;
+    if (options.transport) context.transport = options.transport;
+    if (typeof options.onProgress === 'function') {
+      // Nothing streams out after the call has been stopped
+      context.onProgress = (event) => { if (!signal.aborted) options.onProgress(event); };
+    }
+    return handler(input, context);
+  }, { timeoutMs: skillTimeout(skillName, options.deadlineMs), signal: options.signal });
+  if (stopped) return result;
+
+  const strict = options.strict ?? FIVE_FAN.skills?.strictOutput;
+  if (strict) {
+    const outputCheck = validateOutput(skillName, result);
+    if (!outputCheck.valid) {
+      console.error(`[5FAN-skills] ${outputCheck.error}`);
+      return { ok: false, error: outputCheck.error, code: outputCheck.code, errors: outputCheck.errors };
+    }
+  }
+
+  // Only successes are cached — a failure may be transient
+  if (key && result?.ok !== false) {
+    resultCache.set(key, result, getManifest(skillName).cacheTtlMs);
+  }
+
+  return result;
+}
+
+/**
+ * Dispatch a batch of independent skill calls concurrently.
+ * See skill-batch.js for the call format and result shape.
+ *
+ * @param {object[]} calls - [{ id?, skill, input }]
+ * @param {object} [options] - { strict, cache, deadlineMs, signal, transport, caller, trace, guard } — guard(skill) returns an error result to refuse a call
+ * @returns {Promise<object>} - { ok, results: { [id]: result }, order, succeeded, failed, ms, trace? }
+ */
+export async function dispatchBatch(calls, options = {}) {
+  const check = validateBatch(calls);
+  if (!check.valid) {
+    return { ok: false, error: check.error, code: check.code, errors: check.errors };
+  }
+
+  const span = openSpan('batch', options.trace, { kind: 'batch' });
+  const batch = await runBatch(calls, {
+    run: (skill, input) => dispatch(skill, input, {
+      strict: options.strict, cache: options.cache, deadlineMs: options.deadlineMs, signal: options.signal, transport: options.transport,
+      caller: options.caller, trace: span ?? undefined,
+    }),
+    guard: options.guard,
+  });
+  return closeSpan(span, batch, options.trace);
 }
 
 /**
@@ -130,7 +236,18 @@ export async function dispatch(skillName, input = {}) {
  * @returns {boolean}
  */
 export function hasSkill(name) {
-  return name in HANDLERS;
+  return getHandler(name) !== null;
 }
 
-export default { dispatch, hasSkill, SKILL_NAMES, SKILL_COUNT };
+export default {
+  dispatch,
+  dispatchBatch,
+  hasSkill,
+  isCacheable,
+  getCacheStats,
+  clearCache,
+  skillTimeout,
+  runWithDeadline,
+  SKILL_NAMES,
+  SKILL_COUNT,
+};
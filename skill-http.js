@@ -2,7 +2,7 @@
  * 5FAN Skill HTTP Server — Lightweight Node.js skill API
  * =============================================================================
  *
- * Serves all 41 skill handlers over HTTP on port 5002.
+ * Serves every skill discovered by skill-registry.js over HTTP on port 5002.
  * No Express. No Pear runtime. Plain Node.js http.createServer().
  *
  * This runs as a standalone systemd service on the VPS alongside:
@@ -11,111 +11,75 @@
  *   - 5fan-skill (port 5002) — THIS: skill handler API
  *
  * Endpoints:
- *   POST /skill/:name   — invoke a skill handler
- *   GET  /health        — service health check
- *   GET  /manifest      — skill registry manifest
+ *   POST /skill/:name         — invoke a skill handler
+ *                               (?stream=1 or Accept: application/x-ndjson →
+ *                               chunked NDJSON progress lines, then the result;
+ *                               ?cache=0 or Cache-Control: no-cache → skip the
+ *                               deterministic-skill result cache;
+ *                               ?deadlineMs=N or X-Deadline-Ms: N → shorten the
+ *                               skill's timeout, 504 + TIMEOUT when it runs out;
+ *                               ?trace=1, X-5FAN-Trace: 1 or a traceparent header
+ *                               → the call's span tree as `trace`, see skill-trace.js)
+ *   POST /skill/batch         — run independent calls concurrently (see skill-batch.js)
+ *   POST /chain               — run a skill pipeline (see skill-pipeline.js)
+ *   GET  /skill/:name/schema  — JSON Schemas for the skill's input + output
+ *   GET  /health              — service health check
+ *   GET  /metrics             — Prometheus text format (see skill-metrics.js)
+ *   GET  /openapi.json        — OpenAPI 3.1 description (see skill-openapi.js)
+ *   GET  /manifest            — skill registry manifest
+ *   GET  /usage               — per-caller usage from the ledger (see skill-usage.js;
+ *                               ?caller=&skill=&from=&to=, admin keys see every
+ *                               caller, other keys only their own)
+ *   GET  /admin/keys          — loaded API keys, without secrets (admin)
+ *   POST /admin/keys/reload   — re-read API keys (admin; also on SIGHUP)
+ *   GET  /admin/plugins       — loaded plugins + load errors (admin)
+ *   POST /admin/plugins/reload — re-import skill plugins (admin; also on SIGHUP,
+ *                               and on change with FIVEFAN_PLUGINS_WATCH=1)
+ *
+ * Plugin skills are namespaced: POST /skill/acme/onboarding-check (see skill-plugins.js).
+ *
+ * Access: with no API keys configured the server only binds to loopback,
+ * anything local may call it, and `internal` skills + admin routes are
+ * refused to remote callers. Once FIVE_FAN.skills.http.auth has keys, every
+ * POST needs `Authorization: Bearer <key>` or an HMAC signature, scoped
+ * public / internal / admin (see skill-auth.js). /health, /manifest,
+ * /openapi.json and schemas stay open. CORS origins come from config.
+ *
+ * A client that disconnects mid-call cancels it, LLM request included.
+ *
+ * Skill calls are rate-limited per API key (or per address without keys)
+ * with the token buckets every transport shares (see skill-ratelimit.js);
+ * responses carry RateLimit-Limit / -Remaining / -Reset headers, and a
+ * refused call gets 429 RATE_LIMITED with Retry-After.
+ *
+ * POSTs may carry an `Idempotency-Key` header: a retry with the same key
+ * (from the same client address) gets the first response again, marked
+ * `Idempotent-Replayed: true`, instead of running the skill twice.
+ * Streaming responses, 429s and 5xx errors are not stored — a retry after
+ * Retry-After runs for real.
  *
  * Usage:
- *   node skill-http.js              (port 5002)
+ *   node skill-http.js              (127.0.0.1:5002)
  *   PORT=5003 node skill-http.js    (custom port)
+ *   FIVEFAN_HTTP_HOST=0.0.0.0 FIVEFAN_HTTP_KEYS_FILE=/etc/5fan/keys.json node skill-http.js
  *
  * =============================================================================
  */
 
 import { createServer } from 'node:http';
-import { SKILL_REGISTRY, buildManifest } from './skill-protocol.js';
-
-// ─── Import ALL Skill Handlers ──────────────────────────────────────────────
-
-// EQ Engine (9)
-import { handle as emotionScan } from './skills/eq-engine/emotion-scan/handler.js';
-import { handle as emotionFamily } from './skills/eq-engine/emotion-family/handler.js';
-import { handle as desireBridge } from './skills/eq-engine/desire-bridge/handler.js';
-import { handle as microMove } from './skills/eq-engine/micro-move/handler.js';
-import { handle as reframe } from './skills/eq-engine/reframe/handler.js';
-import { handle as aliasMatch } from './skills/eq-engine/alias-match/handler.js';
-import { handle as emotionBlend } from './skills/eq-engine/emotion-blend/handler.js';
-import { handle as emotionTimeline } from './skills/eq-engine/emotion-timeline/handler.js';
-import { handle as crisisDetect } from './skills/eq-engine/crisis-detect/handler.js';
-
-// Compass (5)
-import { handle as compassLocate } from './skills/compass/compass-locate/handler.js';
-import { handle as compassInterpret } from './skills/compass/compass-interpret/handler.js';
-import { handle as compassPoint } from './skills/compass/compass-point/handler.js';
-import { handle as compassPractice } from './skills/compass/compass-practice/handler.js';
-import { handle as shiftNavigator } from './skills/compass/shift-navigator/handler.js';
-
-// Community (5)
-import { handle as feedReply } from './skills/community/feed-reply/handler.js';
-import { handle as proactivePost } from './skills/community/proactive-post/handler.js';
-import { handle as communityPulse } from './skills/community/community-pulse/handler.js';
-import { handle as hiNoteCompose } from './skills/community/hi-note-compose/handler.js';
-import { handle as socialCaption } from './skills/community/social-caption/handler.js';
-
-// AI Coach (10)
-import { handle as toneMatch } from './skills/coach/tone-match/handler.js';
-import { handle as contentElevate } from './skills/coach/content-elevate/handler.js';
-import { handle as gymFacilitator } from './skills/coach/gym-facilitator/handler.js';
-import { handle as coachChat } from './skills/coach/coach-chat/handler.js';
-import { handle as nudgeEngine } from './skills/coach/nudge-engine/handler.js';
-import { handle as milestoneDetect } from './skills/coach/milestone-detect/handler.js';
-import { handle as memoryContext } from './skills/coach/memory-context/handler.js';
-import { handle as journalPrompt } from './skills/coach/journal-prompt/handler.js';
-import { handle as sessionSummary } from './skills/coach/session-summary/handler.js';
-import { handle as wellnessScore } from './skills/coach/wellness-score/handler.js';
-
-// Internal (6)
-import { handle as earnCalculator } from './skills/internal/earn-calculator/handler.js';
-import { handle as tierGate } from './skills/internal/tier-gate/handler.js';
-import { handle as hi5ClaimCheck } from './skills/internal/hi5-claim-check/handler.js';
-import { handle as qualityScore } from './skills/internal/quality-score/handler.js';
-import { handle as antiBot } from './skills/internal/anti-bot/handler.js';
-import { handle as vaultQuery } from './skills/internal/vault-query/handler.js';
-
-// ─── Handler Dispatch Map ───────────────────────────────────────────────────
-
-const handlerMap = {
-  // EQ Engine
-  'emotion-scan': emotionScan,
-  'emotion-family': emotionFamily,
-  'desire-bridge': desireBridge,
-  'micro-move': microMove,
-  'reframe': reframe,
-  'alias-match': aliasMatch,
-  'emotion-blend': emotionBlend,
-  'emotion-timeline': emotionTimeline,
-  'crisis-detect': crisisDetect,
-  // Compass
-  'compass-locate': compassLocate,
-  'compass-interpret': compassInterpret,
-  'compass-point': compassPoint,
-  'compass-practice': compassPractice,
-  'shift-navigator': shiftNavigator,
-  // Community
-  'feed-reply': feedReply,
-  'proactive-post': proactivePost,
-  'community-pulse': communityPulse,
-  'hi-note-compose': hiNoteCompose,
-  'social-caption': socialCaption,
-  // Coach
-  'tone-match': toneMatch,
-  'content-elevate': contentElevate,
-  'gym-facilitator': gymFacilitator,
-  'coach-chat': coachChat,
-  'nudge-engine': nudgeEngine,
-  'milestone-detect': milestoneDetect,
-  'memory-context': memoryContext,
-  'journal-prompt': journalPrompt,
-  'session-summary': sessionSummary,
-  'wellness-score': wellnessScore,
-  // Internal
-  'earn-calculator': earnCalculator,
-  'tier-gate': tierGate,
-  'hi5-claim-check': hi5ClaimCheck,
-  'quality-score': qualityScore,
-  'anti-bot': antiBot,
-  'vault-query': vaultQuery,
-};
+import { readFileSync } from 'node:fs';
+import { SKILL_REGISTRY, buildManifest, getSkillSchema } from './skill-protocol.js';
+import { SKILL_COUNT, getHandler, onSkillsChanged, reloadPlugins, listPlugins, watchPlugins } from './skill-registry.js';
+import { dispatch, dispatchBatch, getCacheStats, runWithDeadline } from './skill-dispatch.js';
+import { normalizeSteps, validatePipeline, runPipeline } from './skill-pipeline.js';
+import { createLruCache } from './skill-cache.js';
+import { FIVE_FAN } from './config.js';
+import { renderMetrics } from './skill-metrics.js';
+import { buildOpenApi } from './skill-openapi.js';
+import { createKeyring, hasScope } from './skill-auth.js';
+import { checkRateLimit, rateLimitHeaders, rateLimitInfo } from './skill-ratelimit.js';
+import { getUsageLedger, parseUsageQuery } from './skill-usage.js';
+import { traceRequest, openSpan, closeSpan } from './skill-trace.js';
 
 // ─── Metrics ────────────────────────────────────────────────────────────────
 
@@ -128,58 +92,178 @@ const metrics = {
 
 // ─── HTTP Request Handler ───────────────────────────────────────────────────
 
-function parseBody(req) {
+let openApiDoc = null;
+
+/** /skill/:name[/schema] — `name`, or `namespace/name` for plugins */
+const SKILL_ROUTE = /^\/skill\/((?:[a-z0-9-]+\/)?[a-z0-9-]+)$/;
+const SCHEMA_ROUTE = /^\/skill\/((?:[a-z0-9-]+\/)?[a-z0-9-]+)\/schema$/;
+
+// Rebuilt on the next request once a plugin comes or goes
+onSkillsChanged(() => { openApiDoc = null; });
+
+/** Bodies are read before authentication, so they are capped */
+const MAX_BODY_BYTES = 1_000_000;
+
+function readBody(req) {
   return new Promise((resolve, reject) => {
     const chunks = [];
-    req.on('data', (chunk) => chunks.push(chunk));
-    req.on('end', () => {
-      const raw = Buffer.concat(chunks).toString();
-      if (!raw) return resolve({});
-      try {
-        resolve(JSON.parse(raw));
-      } catch {
-        reject(new Error('Invalid JSON'));
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop buffering but drain, so the client reads the 413 instead of a reset
+        req.removeAllListeners('data');
+        req.resume();
+        return reject(Object.assign(new Error('Body too large'), { code: 'PAYLOAD_TOO_LARGE' }));
       }
+      return chunks.push(chunk);
     });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
     req.on('error', reject);
   });
 }
 
-function sendJson(res, status, data) {
+async function parseBody(req) {
+  const raw = req.rawBody ?? await readBody(req);
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error('Invalid JSON');
+  }
+}
+
+function sendJson(res, status, data, headers = {}) {
   const body = JSON.stringify(data);
   res.writeHead(status, {
     'Content-Type': 'application/json',
     'Content-Length': Buffer.byteLength(body),
-    'Access-Control-Allow-Origin': '*',
+    ...res.corsHeaders,
+    ...headers,
   });
   res.end(body);
+  res.onSent?.(status, data);
+}
+
+/** Without API keys, internal skills are only served to callers on the same machine */
+function isLocalRequest(req) {
+  const remoteIp = req.socket?.remoteAddress || '';
+  return remoteIp === '127.0.0.1' || remoteIp === '::1' || remoteIp === '::ffff:127.0.0.1';
+}
+
+/**
+ * Whether a request may use `scope`. With API keys the authenticated key
+ * decides; without, internal + admin are for local callers only.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {'public'|'internal'|'admin'} scope
+ * @returns {boolean}
+ */
+function allowed(req, scope) {
+  if (keyring.enabled) return hasScope(req.auth, scope);
+  return scope === 'public' || isLocalRequest(req);
+}
+
+function trackSkillCall(skillName) {
+  metrics.totalCalls++;
+  metrics.callsBySkill[skillName] = (metrics.callsBySkill[skillName] || 0) + 1;
+}
+
+/**
+ * Who a request is from: the API key id, 'local' for loopback without keys,
+ * else the client address. Keys both the rate limit and the usage ledger.
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {string}
+ */
+function requestCaller(req) {
+  if (req.auth) return req.auth.id;
+  return !keyring.enabled && isLocalRequest(req) ? 'local' : req.socket?.remoteAddress ?? '';
+}
+
+/**
+ * Deadline + cancellation for a request, plus the caller for the usage
+ * ledger and whether it asked for a trace. The signal aborts when the client
+ * disconnects before the response is written.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @param {URL} url
+ * @returns {{ deadlineMs: number|undefined, signal: AbortSignal, transport: 'http', caller: string, trace: * }}
+ */
+function requestDeadline(req, res, url) {
+  const raw = Number(url.searchParams.get('deadlineMs') ?? req.headers['x-deadline-ms']);
+  const controller = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+  return {
+    deadlineMs: Number.isFinite(raw) && raw > 0 ? raw : undefined,
+    signal: controller.signal,
+    transport: 'http',
+    caller: requestCaller(req),
+    trace: traceRequest(url.searchParams.get('trace') ?? req.headers['x-5fan-trace'] ?? req.headers.traceparent),
+  };
+}
+
+/**
+ * Progress writer for a streaming skill call. The NDJSON response starts on
+ * the first progress event; calls that never emit one (template paths,
+ * validation errors) get a normal JSON response with the usual status.
+ *
+ * @param {import('node:http').ServerResponse} res
+ * @param {string} skillName
+ * @returns {{ onProgress: Function, finish: (status: number, result: object) => void }}
+ */
+function createProgressStream(res, skillName) {
+  let seq = 0;
+
+  function onProgress(event) {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'application/x-ndjson',
+        'Cache-Control': 'no-cache',
+        ...res.corsHeaders,
+      });
+    }
+    res.write(`${JSON.stringify({ type: 'progress', skill: skillName, seq: seq++, ...event })}\n`);
+  }
+
+  function finish(status, result) {
+    if (!res.headersSent) return sendJson(res, status, result);
+    res.end(`${JSON.stringify({ type: 'result', skill: skillName, ...result })}\n`);
+  }
+
+  return { onProgress, finish };
 }
 
 async function handleRequest(req, res) {
   const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
   const pathname = url.pathname;
 
-  // CORS preflight
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Max-Age': '86400',
-    });
-    return res.end();
-  }
-
   // GET /health
   if (req.method === 'GET' && pathname === '/health') {
     return sendJson(res, 200, {
       ok: true,
       service: '5fan-skill',
-      skills: Object.keys(handlerMap).length,
+      skills: SKILL_COUNT,
       uptime: Date.now() - metrics.startedAt,
       totalCalls: metrics.totalCalls,
       totalErrors: metrics.totalErrors,
+      cache: getCacheStats(),
+    });
+  }
+
+  // GET /metrics — Prometheus scrape target
+  if (req.method === 'GET' && pathname === '/metrics') {
+    const body = renderMetrics({ cache: getCacheStats() });
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; version=0.0.4',
+      'Content-Length': Buffer.byteLength(body),
     });
+    return res.end(body);
+  }
+
+  // GET /openapi.json — built once, until a plugin is (re)loaded
+  if (req.method === 'GET' && pathname === '/openapi.json') {
+    openApiDoc ??= buildOpenApi({ surface: 'skill-http' });
+    return sendJson(res, 200, openApiDoc);
   }
 
   // GET /manifest
@@ -187,37 +271,164 @@ async function handleRequest(req, res) {
     return sendJson(res, 200, { ok: true, ...buildManifest() });
   }
 
+  // GET /usage — ledger totals per caller + skill; non-admin keys see only their own
+  if (req.method === 'GET' && pathname === '/usage') {
+    const params = Object.fromEntries(url.searchParams);
+    if (!allowed(req, 'admin')) params.caller = requestCaller(req);
+    const parsed = parseUsageQuery(params);
+    if (!parsed.ok) return sendJson(res, 400, parsed);
+    return sendJson(res, 200, getUsageLedger().query(parsed.filter));
+  }
+
+  // GET /admin/keys — ids, scopes and expiry only
+  if (req.method === 'GET' && pathname === '/admin/keys') {
+    return sendJson(res, 200, { ok: true, enabled: keyring.enabled, keys: keyring.list() });
+  }
+
+  // POST /admin/keys/reload — pick up rotated keys without a restart
+  if (req.method === 'POST' && pathname === '/admin/keys/reload') {
+    const reloaded = loadKeys();
+    return sendJson(res, reloaded.ok ? 200 : 500, reloaded);
+  }
+
+  // GET /admin/plugins — what loaded, what was skipped and why
+  if (req.method === 'GET' && pathname === '/admin/plugins') {
+    return sendJson(res, 200, { ok: true, ...listPlugins() });
+  }
+
+  // POST /admin/plugins/reload — pick up new or changed plugins without a restart
+  if (req.method === 'POST' && pathname === '/admin/plugins/reload') {
+    return sendJson(res, 200, await reloadPlugins());
+  }
+
+  // GET /skill/:name/schema
+  const schemaMatch = pathname.match(SCHEMA_ROUTE);
+  if (req.method === 'GET' && schemaMatch) {
+    const schema = getSkillSchema(schemaMatch[1]);
+    if (!schema) {
+      return sendJson(res, 404, { ok: false, error: `Unknown skill: ${schemaMatch[1]}`, code: 'UNKNOWN_SKILL' });
+    }
+    return sendJson(res, 200, { ok: true, skill: schemaMatch[1], ...schema });
+  }
+
+  // POST /skill/batch — { calls: [{ id?, skill, input? }] }
+  // Matched before /skill/:name so "batch" isn't taken as a skill name.
+  if (req.method === 'POST' && pathname === '/skill/batch') {
+    try {
+      const body = await parseBody(req);
+      if (Array.isArray(body.calls) && !limitRequest(req, res, body.calls.map(call => call?.skill))) return undefined;
+      const internal = allowed(req, 'internal');
+      const batch = await dispatchBatch(body.calls, {
+        ...requestDeadline(req, res, url),
+        guard: (skill) => (SKILL_REGISTRY[skill]?.internal && !internal
+          ? { ok: false, error: 'INTERNAL_ONLY', code: 'INTERNAL_ONLY' }
+          : null),
+      });
+      if (!batch.ok) {
+        metrics.totalErrors++;
+        return sendJson(res, 400, batch);
+      }
+      body.calls.forEach(call => trackSkillCall(call.skill));
+      metrics.totalErrors += batch.failed;
+      return sendJson(res, 200, batch);
+    } catch (err) {
+      metrics.totalErrors++;
+      console.error('[5fan-skill] batch error:', err.message);
+      return sendJson(res, 500, { ok: false, error: err.message });
+    }
+  }
+
   // POST /skill/:name
-  const skillMatch = pathname.match(/^\/skill\/([a-z0-9-]+)$/);
+  const skillMatch = pathname.match(SKILL_ROUTE);
   if (req.method === 'POST' && skillMatch) {
     const skillName = skillMatch[1];
-    const handler = handlerMap[skillName];
-
-    if (!handler) {
-      return sendJson(res, 404, { ok: false, error: `Unknown skill: ${skillName}` });
+    if (!getHandler(skillName)) {
+      return sendJson(res, 404, { ok: false, error: `Unknown skill: ${skillName}`, code: 'UNKNOWN_SKILL' });
     }
 
     // Check internal access
     const reg = SKILL_REGISTRY[skillName];
-    if (reg?.internal) {
-      // Only allow local callers (same machine)
-      const remoteIp = req.socket?.remoteAddress || '';
-      const isLocal = remoteIp === '127.0.0.1' || remoteIp === '::1' || remoteIp === '::ffff:127.0.0.1';
-      if (!isLocal) {
-        return sendJson(res, 403, { ok: false, error: 'INTERNAL_ONLY' });
-      }
+    if (reg?.internal && !allowed(req, 'internal')) {
+      return sendJson(res, 403, { ok: false, error: 'INTERNAL_ONLY', code: 'INTERNAL_ONLY' });
     }
+    if (!limitRequest(req, res, [skillName])) return undefined;
+
+    const wantsStream = url.searchParams.get('stream') === '1'
+      || (req.headers.accept || '').includes('application/x-ndjson');
+    const stream = wantsStream ? createProgressStream(res, skillName) : null;
+    const bypassCache = url.searchParams.get('cache') === '0'
+      || (req.headers['cache-control'] || '').includes('no-cache');
+    const respond = stream ? stream.finish : (status, data) => sendJson(res, status, data);
 
     try {
       const body = await parseBody(req);
-      metrics.totalCalls++;
-      metrics.callsBySkill[skillName] = (metrics.callsBySkill[skillName] || 0) + 1;
+      trackSkillCall(skillName);
 
-      const result = await handler(body);
-      return sendJson(res, 200, result);
+      const result = await dispatch(skillName, body, {
+        onProgress: stream?.onProgress,
+        cache: bypassCache ? false : undefined,
+        ...requestDeadline(req, res, url),
+      });
+      if (result.code === 'INVALID_INPUT') {
+        metrics.totalErrors++;
+        return respond(400, result);
+      }
+      if (result.code === 'TIMEOUT') {
+        metrics.totalErrors++;
+        return respond(504, result);
+      }
+      // CANCELLED — the client is gone, nobody to answer
+      if (result.code === 'CANCELLED') return undefined;
+      return respond(200, result);
     } catch (err) {
       metrics.totalErrors++;
       console.error(`[5fan-skill] ${skillName} error:`, err.message);
+      return respond(500, { ok: false, error: err.message });
+    }
+  }
+
+  // POST /chain — { steps, input, output? }
+  if (req.method === 'POST' && pathname === '/chain') {
+    try {
+      const body = await parseBody(req);
+      const input = body.input ?? {};
+      if (typeof input !== 'object' || Array.isArray(input)) {
+        return sendJson(res, 400, { ok: false, error: 'input (object) is required.', code: 'INVALID_INPUT' });
+      }
+
+      const check = validatePipeline(body.steps, name => !!getHandler(name));
+      if (!check.valid) {
+        metrics.totalErrors++;
+        return sendJson(res, 400, { ok: false, error: check.error, code: check.code, errors: check.errors });
+      }
+
+      const skills = normalizeSteps(body.steps).map(step => step.skill);
+      if (skills.some(name => SKILL_REGISTRY[name]?.internal) && !allowed(req, 'internal')) {
+        return sendJson(res, 403, { ok: false, error: 'INTERNAL_ONLY', code: 'INTERNAL_ONLY' });
+      }
+      if (!limitRequest(req, res, skills)) return undefined;
+      skills.forEach(trackSkillCall);
+
+      const { deadlineMs, signal, caller, trace } = requestDeadline(req, res, url);
+      const span = openSpan('chain', trace, { kind: 'chain' });
+      const stepOptions = { transport: 'http', caller, trace: span ?? undefined };
+      const run = (skill, stepInput) => dispatch(skill, stepInput, { ...stepOptions, signal });
+      const { result, stopped } = deadlineMs
+        ? await runWithDeadline('chain', chainSignal => runPipeline(body.steps, input, {
+          run: (skill, stepInput) => dispatch(skill, stepInput, { ...stepOptions, signal: chainSignal }),
+          output: body.output,
+        }), { timeoutMs: deadlineMs, signal })
+        : { result: await runPipeline(body.steps, input, { run, output: body.output }), stopped: false };
+      const response = closeSpan(span, result, trace);
+      if (stopped && result.code === 'TIMEOUT') {
+        metrics.totalErrors++;
+        return sendJson(res, 504, response);
+      }
+      if (!result.ok) metrics.totalErrors++;
+      return sendJson(res, 200, response);
+    } catch (err) {
+      metrics.totalErrors++;
+      console.error('[5fan-skill] chain error:', err.message);
       return sendJson(res, 500, { ok: false, error: err.message });
     }
   }
@@ -226,17 +437,190 @@ async function handleRequest(req, res) {
   sendJson(res, 404, { ok: false, error: 'Not found' });
 }
 
+// ─── Idempotency Keys ───────────────────────────────────────────────────────
+
+const dedupConfig = FIVE_FAN.skills?.dedup ?? {};
+const replays = createLruCache({ maxEntries: dedupConfig.maxEntries ?? 1000, ttlMs: dedupConfig.windowMs ?? 5 * 60_000 });
+/** key → Promise of the first request's response, while it is still running */
+const pendingKeys = new Map();
+
+/**
+ * Serve a POST with an Idempotency-Key at most once per client + key.
+ * A retry that arrives while the first request is still running waits for
+ * its response. Reusing a key on a different path is a 422.
+ */
+async function handleIdempotent(req, res, idempotencyKey) {
+  const pathname = new URL(req.url, 'http://localhost').pathname;
+  // Per API key when there is one — callers behind a load balancer share an address
+  const key = `${req.auth?.id ?? req.socket?.remoteAddress ?? ''}:${idempotencyKey}`;
+
+  const earlier = replays.get(key) ?? await pendingKeys.get(key);
+  if (earlier) {
+    if (earlier.pathname !== pathname) {
+      return sendJson(res, 422, {
+        ok: false,
+        error: `Idempotency-Key was already used for ${earlier.pathname}.`,
+        code: 'IDEMPOTENCY_MISMATCH',
+      });
+    }
+    return sendJson(res, earlier.status, earlier.data, { 'Idempotent-Replayed': 'true' });
+  }
+
+  let settle;
+  pendingKeys.set(key, new Promise((resolve) => { settle = resolve; }));
+  let response = null;
+  res.onSent = (status, data) => {
+    // A 429 is about when, not what — the retry it asks for must run
+    if (status < 500 && status !== 429) response = { pathname, status, data };
+  };
+  try {
+    await handleRequest(req, res);
+  } finally {
+    if (response) replays.set(key, response);
+    pendingKeys.delete(key);
+    settle(response);
+  }
+  return undefined;
+}
+
+// ─── Access Control ─────────────────────────────────────────────────────────
+
+const httpConfig = FIVE_FAN.skills?.http ?? {};
+const authConfig = httpConfig.auth ?? {};
+const keyring = createKeyring({ maxSkewMs: authConfig.maxSkewMs });
+
+/**
+ * (Re)load API keys from config + keysFile. An unreadable keysFile keeps
+ * the current keys — a bad deploy shouldn't lock everyone out (or let
+ * everyone in).
+ * @returns {object} - { ok, loaded, errors, keys } or an error result
+ */
+function loadKeys() {
+  let definitions = authConfig.keys ?? [];
+  if (authConfig.keysFile) {
+    try {
+      const parsed = JSON.parse(readFileSync(authConfig.keysFile, 'utf8'));
+      definitions = definitions.concat(Array.isArray(parsed) ? parsed : parsed.keys ?? []);
+    } catch (err) {
+      console.error(`[5fan-skill] Could not read keysFile ${authConfig.keysFile}:`, err.message);
+      return { ok: false, error: `Could not read keysFile: ${err.message}`, code: 'KEYS_UNREADABLE' };
+    }
+  }
+  const { loaded, errors } = keyring.load(definitions);
+  errors.forEach(error => console.warn(`[5fan-skill] Ignoring API ${error}`));
+  return { ok: true, loaded, errors, keys: keyring.list() };
+}
+
+/** CORS headers for the request's Origin, from FIVE_FAN.skills.http.corsOrigins */
+function corsHeaders(req) {
+  const origins = httpConfig.corsOrigins ?? [];
+  const expose = { 'Access-Control-Expose-Headers': 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After' };
+  if (origins.includes('*')) return { 'Access-Control-Allow-Origin': '*', ...expose };
+  if (origins.length === 0) return {};
+  const origin = req.headers.origin;
+  return origins.includes(origin) ? { 'Access-Control-Allow-Origin': origin, Vary: 'Origin', ...expose } : { Vary: 'Origin' };
+}
+
+/**
+ * Charge a skill request against the caller's rate-limit buckets — keyed by
+ * API key, or by address without keys (loopback callers get `localTier`).
+ * Sets the RateLimit-* headers; answers 429 itself when the request doesn't fit.
+ *
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @param {string[]} skills - every invocation the request makes
+ * @returns {boolean} - false when refused (response already sent)
+ */
+function limitRequest(req, res, skills) {
+  const caller = requestCaller(req);
+  const status = checkRateLimit({
+    transport: 'http',
+    caller,
+    tier: req.auth?.tier ?? (caller === 'local' ? FIVE_FAN.skills?.rateLimit?.localTier : undefined),
+    skills,
+  });
+  const headers = rateLimitHeaders(status);
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  if (status.ok) return true;
+  sendJson(res, 429, { ok: false, error: status.error, code: status.code, retryAfterMs: status.retryAfterMs, rateLimit: rateLimitInfo(status) });
+  return false;
+}
+
+/** Scope a route needs — null for the open ones (health, manifest, docs) */
+function routeScope(method, pathname) {
+  if (pathname === '/metrics' || pathname.startsWith('/admin/')) return 'admin';
+  return method === 'POST' || pathname === '/usage' ? 'public' : null;
+}
+
+async function route(req, res) {
+  res.corsHeaders = corsHeaders(req);
+
+  // CORS preflight
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      ...res.corsHeaders,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Accept, Cache-Control, X-Deadline-Ms, Idempotency-Key, '
+        + 'Authorization, X-5FAN-Key, X-5FAN-Timestamp, X-5FAN-Signature, X-5FAN-Trace, traceparent',
+      'Access-Control-Max-Age': '86400',
+    });
+    return res.end();
+  }
+
+  // HMAC signatures cover the body, so it is read up front
+  if (req.method === 'POST') {
+    try {
+      req.rawBody = await readBody(req);
+    } catch (err) {
+      if (err.code === 'PAYLOAD_TOO_LARGE') {
+        sendJson(res, 413, { ok: false, error: `Body over ${MAX_BODY_BYTES} bytes.`, code: 'PAYLOAD_TOO_LARGE' }, { Connection: 'close' });
+      }
+      return undefined;
+    }
+  }
+
+  const scope = routeScope(req.method, new URL(req.url, 'http://localhost').pathname);
+  if (scope && keyring.enabled) {
+    const auth = keyring.authenticate({ method: req.method, path: req.url, headers: req.headers, body: req.rawBody });
+    if (!auth.ok) return sendJson(res, 401, auth, { 'WWW-Authenticate': 'Bearer realm="5fan-skill"' });
+    req.auth = auth.key;
+  }
+  if (scope && !allowed(req, scope)) {
+    return sendJson(res, 403, { ok: false, error: `Requires the ${scope} scope.`, code: 'FORBIDDEN' });
+  }
+
+  const idempotencyKey = req.headers['idempotency-key'];
+  if (req.method === 'POST' && idempotencyKey) return handleIdempotent(req, res, idempotencyKey);
+  return handleRequest(req, res);
+}
+
 // ─── Server Start ───────────────────────────────────────────────────────────
 
-const PORT = parseInt(process.env.PORT || '5002', 10);
+const HOST = httpConfig.host || '127.0.0.1';
+const PORT = httpConfig.port || 5002;
 
-const server = createServer(handleRequest);
+loadKeys();
+if (!keyring.enabled && !['127.0.0.1', '::1', 'localhost'].includes(HOST)) {
+  console.error(`[5fan-skill] Refusing to listen on ${HOST} without API keys — set FIVE_FAN.skills.http.auth.keys or FIVEFAN_HTTP_KEYS_FILE.`);
+  process.exit(1);
+}
+
+const server = createServer(route);
+
+server.listen(PORT, HOST, () => {
+  console.log(`[5fan-skill] HTTP skill server listening on ${HOST}:${PORT}`);
+  console.log(`[5fan-skill] ${SKILL_COUNT} skills loaded`);
+  console.log(`[5fan-skill] Auth: ${keyring.enabled ? `${keyring.list().length} API key(s)` : 'none — localhost only'}`);
+  console.log(`[5fan-skill] Health: http://${HOST}:${PORT}/health`);
+});
 
-server.listen(PORT, '127.0.0.1', () => {
-  console.log(`[5fan-skill] HTTP skill server listening on 127.0.0.1:${PORT}`);
-  console.log(`[5fan-skill] ${Object.keys(handlerMap).length} skills loaded`);
-  console.log(`[5fan-skill] Health: http://127.0.0.1:${PORT}/health`);
+// Rotate keys and pick up plugin changes without a restart
+process.on('SIGHUP', () => {
+  const reloaded = loadKeys();
+  if (reloaded.ok) console.log(`[5fan-skill] Reloaded ${reloaded.loaded} API key(s)`);
+  reloadPlugins().then(result => console.log(`[5fan-skill] Reloaded plugins — ${result.loaded} loaded, ${result.errors.length} skipped`));
 });
+watchPlugins();
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
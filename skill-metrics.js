@@ -0,0 +1,191 @@
+/**
+ * 5FAN Skill Metrics — Prometheus text exposition for the skill layer
+ * =============================================================================
+ *
+ * One in-process registry shared by every transport. skill-dispatch.js
+ * records each data-skill call (P2P sidechannel, SC-Bridge, skill-http all
+ * land there); skill-server.js records brain + swarm calls; skill-ratelimit.js
+ * records rate-limit rejections; lm-bridge.js records every LLM request by provider.
+ *
+ * Served as text/plain (version 0.0.4) by:
+ *   GET /metrics            — skill-http.js
+ *   GET /v1/5fan/metrics    — skill-server.js mountSkillRoutes()
+ *
+ * Series:
+ *   fivefan_skill_calls_total{skill,transport}
+ *   fivefan_skill_duration_ms{skill}              histogram
+ *   fivefan_skill_errors_total{skill,code}
+ *   fivefan_skill_method_total{skill,method}      llm vs template vs ...
+ *   fivefan_crisis_detections_total{skill,level}
+ *   fivefan_rate_limited_total{transport}
+ *   fivefan_llm_requests_total{provider,outcome}  ok | failed | cancelled
+ *   fivefan_llm_fallbacks_total                   generate() → null (templates)
+ *   fivefan_skill_cache_*                         from the result cache stats
+ *
+ * Alert on the LLM falling over with e.g.
+ *   rate(fivefan_skill_method_total{method="template"}[10m])
+ *     / rate(fivefan_skill_method_total[10m]) > 0.5
+ *
+ * Pure ESM, no dependencies — safe for both Node and Bare runtime.
+ *
+ * =============================================================================
+ */
+
+/** Histogram bucket upper bounds, ms — template skills sit under 25ms, LLM calls in the seconds */
+export const LATENCY_BUCKETS_MS = [5, 25, 100, 250, 1000, 2500, 5000, 10_000, 30_000, 60_000];
+
+const CRISIS_LEVELS = new Set(['critical', 'elevated']);
+
+const startedAt = Date.now();
+
+/** name → { help, series: Map<labelKey, { labels, value }> } */
+const counters = new Map();
+/** skill → { buckets: number[], sum, count } */
+const durations = new Map();
+
+function counter(name, help) {
+  if (!counters.has(name)) counters.set(name, { help, series: new Map() });
+  return counters.get(name);
+}
+
+/**
+ * Add to a labelled counter.
+ * @param {string} name
+ * @param {string} help
+ * @param {object} [labels]
+ * @param {number} [by]
+ */
+function inc(name, help, labels = {}, by = 1) {
+  const { series } = counter(name, help);
+  const key = JSON.stringify(labels);
+  const entry = series.get(key) ?? { labels, value: 0 };
+  entry.value += by;
+  series.set(key, entry);
+}
+
+function observe(skill, ms) {
+  const entry = durations.get(skill) ?? { buckets: LATENCY_BUCKETS_MS.map(() => 0), sum: 0, count: 0 };
+  LATENCY_BUCKETS_MS.forEach((bound, i) => { if (ms <= bound) entry.buckets[i]++; });
+  entry.sum += ms;
+  entry.count++;
+  durations.set(skill, entry);
+}
+
+// ─── Recording ────────────────────────────────────────────────
+
+/**
+ * Record one finished skill call.
+ *
+ * @param {string} skill
+ * @param {object} output - what the caller got back
+ * @param {number} ms - wall time
+ * @param {string} [transport] - 'p2p' | 'http' | 'sc-bridge' | 'local'
+ */
+export function recordSkillCall(skill, output, ms, transport = 'local') {
+  inc('fivefan_skill_calls_total', 'Skill invocations.', { skill, transport });
+  observe(skill, ms);
+
+  if (output?.ok === false) {
+    inc('fivefan_skill_errors_total', 'Failed skill invocations by error code.', { skill, code: output.code || 'SKILL_ERROR' });
+    return;
+  }
+  if (typeof output?.method === 'string') {
+    inc('fivefan_skill_method_total', 'How a response was produced (llm, template, ...).', { skill, method: output.method });
+  }
+  const level = CRISIS_LEVELS.has(output?.riskLevel) ? output.riskLevel
+    : (output?.isCrisis === true || output?.category === 'crisis') ? 'critical' : null;
+  if (level) inc('fivefan_crisis_detections_total', 'Crisis signals detected.', { skill, level });
+}
+
+/**
+ * Record a call refused by the rate limiter.
+ * @param {string} transport
+ * @param {number} [calls] - invocations refused (a batch counts each call)
+ */
+export function recordRateLimited(transport, calls = 1) {
+  inc('fivefan_rate_limited_total', 'Invocations refused by the rate limiter.', { transport }, calls);
+}
+
+/**
+ * Record one LLM request attempt.
+ * @param {'local'|'cloud'} provider
+ * @param {'ok'|'failed'|'cancelled'} outcome
+ */
+export function recordLlmRequest(provider, outcome) {
+  inc('fivefan_llm_requests_total', 'LLM requests by provider and outcome.', { provider, outcome });
+}
+
+/** Record a generate() call that got no LLM reply, so the caller fell back to templates. */
+export function recordLlmFallback() {
+  inc('fivefan_llm_fallbacks_total', 'generate() calls that fell back to templates.');
+}
+
+// ─── Exposition ───────────────────────────────────────────────
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Render every series in Prometheus text format.
+ *
+ * @param {object} [snapshot]
+ * @param {object} [snapshot.cache] - getCacheStats() from skill-dispatch.js
+ * @param {{ name: string, help: string, value: number }[]} [snapshot.gauges] - point-in-time values (e.g. in-flight calls)
+ * @returns {string}
+ */
+export function renderMetrics(snapshot = {}) {
+  const lines = [];
+  const gauge = (name, help, value) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${value}`);
+
+  gauge('fivefan_uptime_seconds', 'Seconds since the skill layer started.', Math.round((Date.now() - startedAt) / 1000));
+
+  for (const [name, { help, series }] of counters) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+    for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+  }
+
+  if (durations.size) {
+    const name = 'fivefan_skill_duration_ms';
+    lines.push(`# HELP ${name} Skill call latency in milliseconds.`, `# TYPE ${name} histogram`);
+    for (const [skill, { buckets, sum, count }] of durations) {
+      LATENCY_BUCKETS_MS.forEach((bound, i) => lines.push(`${name}_bucket${formatLabels({ skill, le: bound })} ${buckets[i]}`));
+      lines.push(`${name}_bucket${formatLabels({ skill, le: '+Inf' })} ${count}`);
+      lines.push(`${name}_sum${formatLabels({ skill })} ${sum}`);
+      lines.push(`${name}_count${formatLabels({ skill })} ${count}`);
+    }
+  }
+
+  const { cache, gauges = [] } = snapshot;
+  if (cache) {
+    for (const key of ['hits', 'misses', 'evictions']) {
+      lines.push(`# HELP fivefan_skill_cache_${key}_total Deterministic-skill result cache ${key}.`,
+        `# TYPE fivefan_skill_cache_${key}_total counter`, `fivefan_skill_cache_${key}_total ${cache[key]}`);
+    }
+    gauge('fivefan_skill_cache_entries', 'Entries in the result cache.', cache.size);
+  }
+  for (const { name, help, value } of gauges) gauge(name, help, value);
+
+  return `${lines.join('\n')}\n`;
+}
+
+/** Drop every recorded series — for tests. */
+export function resetMetrics() {
+  counters.clear();
+  durations.clear();
+}
+
+export default {
+  LATENCY_BUCKETS_MS,
+  recordSkillCall,
+  recordRateLimited,
+  recordLlmRequest,
+  recordLlmFallback,
+  renderMetrics,
+  resetMetrics,
+};
@@ -0,0 +1,455 @@
+/**
+ * 5FAN OpenAPI — HTTP API description generated from SKILL_REGISTRY
+ * =============================================================================
+ *
+ * Builds an OpenAPI 3.1 document for either HTTP surface:
+ *
+ *   'skill-http' — skill-http.js (port 5002): POST /skill/<name> for every
+ *                  registered data skill, /skill/batch, /chain, /health, ...
+ *   'express'    — /v1/5fan/*: mountSkillRoutes() (brains, swarm, data
+ *                  skills, chain, batch) + mountRoutes() (analyze, respond,
+ *                  feed, trainer, proactive, lm)
+ *
+ * Request/response bodies come from each skill's accepts/returns via
+ * getSkillSchema(), so the document can't drift from the validators.
+ * Internal-only skills are marked `x-internal: true`; skill-http, which
+ * refuses them without the internal scope, also lists the 403 and its
+ * Bearer / HMAC security schemes (see skill-auth.js).
+ *
+ * Served at:
+ *   GET /openapi.json            — skill-http.js
+ *   GET /v1/5fan/openapi.json    — server/routes.js mountRoutes()
+ *
+ * Pure ESM, no dependencies — safe for both Node and Bare runtime.
+ *
+ * =============================================================================
+ */
+
+import { SKILL_REGISTRY, getSkillSchema, buildManifest } from './skill-protocol.js';
+import { getHandler } from './skill-registry.js';
+
+export const OPENAPI_VERSION = '3.1.0';
+
+// ─── Shared Components ────────────────────────────────────────
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  description: 'Every failure has this shape. `code` is machine-readable; `errors` lists field-level validation problems.',
+  properties: {
+    ok: { const: false },
+    error: { type: 'string', description: 'Human-readable message.' },
+    code: {
+      type: 'string',
+      description: 'UNKNOWN_SKILL, INVALID_INPUT, INVALID_OUTPUT, INVALID_CHAIN, INVALID_BATCH, INTERNAL_ONLY, '
+        + 'UNAUTHORIZED, FORBIDDEN, RATE_LIMITED, IDEMPOTENCY_MISMATCH, TIMEOUT, CANCELLED, SKILL_ERROR, ...',
+    },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string' },
+          message: { type: 'string' },
+          expected: { type: 'string' },
+        },
+        required: ['field', 'message'],
+      },
+    },
+  },
+  required: ['ok', 'error'],
+};
+
+const CHAIN_REQUEST = {
+  type: 'object',
+  properties: {
+    steps: {
+      type: 'array',
+      description: 'Skill names, or { skill, input?, map?, when?, continueOnError? } steps — see SKILL.md "Skill Pipelines".',
+      items: { oneOf: [{ type: 'string' }, { type: 'object', properties: { skill: { type: 'string' } }, required: ['skill'] }] },
+    },
+    input: { type: 'object', description: 'Pipeline input, available to every step.' },
+    output: { type: 'object', description: 'Optional output template.' },
+  },
+  required: ['steps'],
+};
+
+const CHAIN_RESULT = {
+  type: 'object',
+  properties: {
+    ok: { type: 'boolean' },
+    results: { type: 'array', items: { type: 'object' } },
+    output: { type: 'object' },
+  },
+  required: ['ok'],
+  additionalProperties: true,
+};
+
+const BATCH_REQUEST = {
+  type: 'object',
+  properties: {
+    calls: {
+      type: 'array',
+      maxItems: 25,
+      items: {
+        type: 'object',
+        properties: { id: { type: 'string' }, skill: { type: 'string' }, input: { type: 'object' } },
+        required: ['skill'],
+      },
+    },
+  },
+  required: ['calls'],
+};
+
+const BATCH_RESULT = {
+  type: 'object',
+  properties: {
+    ok: { type: 'boolean' },
+    results: { type: 'object', description: 'Skill output (or error) keyed by call id.', additionalProperties: { type: 'object' } },
+    order: { type: 'array', items: { type: 'string' } },
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' },
+    ms: { type: 'number' },
+  },
+  required: ['ok', 'results', 'order'],
+};
+
+const TEXT_META_REQUEST = {
+  type: 'object',
+  properties: { text: { type: 'string' }, meta: { type: 'object' } },
+  required: ['text'],
+};
+
+const OK_OBJECT = { type: 'object', properties: { ok: { const: true } }, required: ['ok'], additionalProperties: true };
+
+const DEADLINE_PARAMETER = {
+  name: 'X-Deadline-Ms',
+  in: 'header',
+  required: false,
+  description: 'Shorten the skill\'s timeout (never extends it). 504 + TIMEOUT when it runs out.',
+  schema: { type: 'integer', minimum: 1 },
+};
+
+const TRACE_PARAMETER = {
+  name: 'X-5FAN-Trace',
+  in: 'header',
+  required: false,
+  description: 'Set to 1 (or send ?trace=1, or a W3C traceparent header) to get the call\'s span tree back as `trace`.',
+  schema: { type: 'string', enum: ['1'] },
+};
+
+const IDEMPOTENCY_PARAMETER = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description: 'A retry with the same key gets the first response again (Idempotent-Replayed: true).',
+  schema: { type: 'string' },
+};
+
+/** Plugin skills are namespaced — `acme/onboarding-check` (see skill-plugins.js) */
+const PLUGIN_PATH_PARAMETERS = [
+  { name: 'namespace', in: 'path', required: true, schema: { type: 'string' } },
+  { name: 'name', in: 'path', required: true, schema: { type: 'string' } },
+];
+
+/** skill-http auth — enforced once API keys are configured */
+const SECURITY_SCHEMES = {
+  bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key from FIVE_FAN.skills.http.auth.' },
+  hmacSignature: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-5FAN-Signature',
+    description: 'Hex HMAC-SHA256 of `${timestamp}\\n${METHOD}\\n${path}\\n${sha256hex(body)}`, '
+      + 'sent with X-5FAN-Key and X-5FAN-Timestamp (ms).',
+  },
+};
+
+const SECURITY = [{ bearerAuth: [] }, { hmacSignature: [] }];
+
+// ─── Helpers ──────────────────────────────────────────────────
+
+/** 'emotion-scan' + 'Input' → 'EmotionScanInput' ('5fan-swarm' → 'FivefanSwarm…', 'acme/onboarding-check' → 'AcmeOnboardingCheck…') */
+function componentName(skill, suffix) {
+  const base = skill.replace(/^5fan/, 'fivefan').split(/[-/]/).map(part => part[0].toUpperCase() + part.slice(1)).join('');
+  return `${base}${suffix}`;
+}
+
+/** Skill schema without $schema/$id — OpenAPI components are addressed by $ref */
+function componentSchema(schema) {
+  const { $schema, $id, ...rest } = schema;
+  return rest;
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+function jsonBody(schema, description) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+const errorResponse = description => jsonBody(ref('Error'), description);
+
+/** 429 from the shared rate limiter (skill-ratelimit.js) */
+const RATE_LIMITED_RESPONSE = {
+  ...errorResponse('RATE_LIMITED — the caller\'s tier or per-skill budget is used up. The body adds retryAfterMs and rateLimit.'),
+  headers: {
+    'Retry-After': { description: 'Seconds until the call would fit.', schema: { type: 'integer' } },
+    'RateLimit-Reset': { description: 'Seconds until the bucket is full again.', schema: { type: 'integer' } },
+  },
+};
+
+/**
+ * Operation for one skill invocation.
+ * @param {string} skill
+ * @param {object} [options] - skill-http only: { streams } NDJSON variant, { enforcesInternal } 403,
+ *   { idempotent } Idempotency-Key header, { secured } security + 401
+ * @returns {object}
+ */
+function skillOperation(skill, options = {}) {
+  const info = SKILL_REGISTRY[skill];
+  const responses = {
+    200: {
+      description: `${info.title} result.`,
+      content: {
+        'application/json': { schema: ref(componentName(skill, 'Output')) },
+        ...(options.streams && info.streams && {
+          'application/x-ndjson': { schema: { type: 'object', description: 'One JSON object per line: progress events, then { type: "result", ... }.' } },
+        }),
+      },
+    },
+    400: errorResponse('INVALID_INPUT — the body failed the skill\'s input schema.'),
+    404: errorResponse('UNKNOWN_SKILL.'),
+    429: RATE_LIMITED_RESPONSE,
+    504: errorResponse('TIMEOUT — the skill ran past its deadline.'),
+    500: errorResponse('Unexpected server error.'),
+  };
+  if (info.internal && options.enforcesInternal) {
+    responses[403] = errorResponse('INTERNAL_ONLY — needs a key with the internal scope (without API keys: a caller on the same machine).');
+  }
+  if (options.secured) responses[401] = errorResponse('UNAUTHORIZED — missing, unknown, expired or badly signed key.');
+
+  return {
+    operationId: skill.replace(/[-/]([a-z0-9])/g, (_, c) => c.toUpperCase()).replace(/^5fan/, 'fivefan'),
+    summary: `${info.emoji ? `${info.emoji} ` : ''}${info.title}`,
+    description: [info.encodes, info.domain].filter(Boolean).join('\n\n'),
+    tags: [info.cluster || 'skills'],
+    ...(info.internal && { 'x-internal': true }),
+    ...(info.deterministic && { 'x-deterministic': true }),
+    parameters: options.idempotent ? [DEADLINE_PARAMETER, TRACE_PARAMETER, IDEMPOTENCY_PARAMETER] : [DEADLINE_PARAMETER, TRACE_PARAMETER],
+    ...(options.secured && { security: SECURITY }),
+    requestBody: { required: true, content: { 'application/json': { schema: ref(componentName(skill, 'Input')) } } },
+    responses,
+  };
+}
+
+/**
+ * Operation for a fixed route.
+ * @param {string} summary
+ * @param {string} tag
+ * @param {object} [options] - { body, response, errors: status codes (400, 404, 429, 500), parameters, scope: skill-http auth scope }
+ * @returns {object}
+ */
+function simple(summary, tag, { body, response = OK_OBJECT, errors = [400, 500], parameters, scope } = {}) {
+  const responses = { 200: jsonBody(response, 'OK.') };
+  if (scope) responses[401] = errorResponse('UNAUTHORIZED — missing, unknown, expired or badly signed key.');
+  if (scope === 'admin') responses[403] = errorResponse('FORBIDDEN — needs a key with the admin scope.');
+  if (errors.includes(400)) responses[400] = errorResponse('Missing or invalid fields.');
+  if (errors.includes(404)) responses[404] = errorResponse('Not found.');
+  if (errors.includes(429)) responses[429] = RATE_LIMITED_RESPONSE;
+  if (errors.includes(500)) responses[500] = errorResponse('Unexpected server error.');
+  return {
+    summary,
+    tags: [tag],
+    ...(parameters && { parameters }),
+    ...(scope && { security: SECURITY }),
+    ...(body && { requestBody: { required: true, content: { 'application/json': { schema: body } } } }),
+    responses,
+  };
+}
+
+// ─── Surfaces ─────────────────────────────────────────────────
+
+function skillHttpPaths(skills) {
+  const paths = {};
+  for (const skill of skills) {
+    paths[`/skill/${skill}`] = { post: skillOperation(skill, { streams: true, enforcesInternal: true, idempotent: true, secured: true }) };
+  }
+  paths['/skill/batch'] = { post: simple('Run independent skill calls concurrently', 'meta', { body: ref('BatchRequest'), response: ref('BatchResult'), parameters: [DEADLINE_PARAMETER, TRACE_PARAMETER, IDEMPOTENCY_PARAMETER], errors: [400, 429, 500], scope: 'public' }) };
+  paths['/chain'] = { post: simple('Run a skill pipeline', 'meta', { body: ref('ChainRequest'), response: ref('ChainResult'), parameters: [DEADLINE_PARAMETER, TRACE_PARAMETER, IDEMPOTENCY_PARAMETER], errors: [400, 429, 500], scope: 'public' }) };
+  paths['/skill/{name}/schema'] = {
+    get: simple('JSON Schemas for a skill\'s input and output', 'meta', {
+      errors: [404],
+      parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string', enum: skills } }],
+    }),
+  };
+  paths['/skill/{namespace}/{name}/schema'] = {
+    get: simple('JSON Schemas for a plugin skill\'s input and output', 'meta', { errors: [404], parameters: PLUGIN_PATH_PARAMETERS }),
+  };
+  paths['/health'] = { get: simple('Service health, call counts and cache stats', 'meta', { errors: [] }) };
+  paths['/manifest'] = { get: simple('Skill registry manifest', 'meta', { errors: [] }) };
+  paths['/metrics'] = {
+    get: {
+      summary: 'Prometheus metrics (admin scope)',
+      tags: ['meta'],
+      security: SECURITY,
+      responses: {
+        200: { description: 'Text exposition format.', content: { 'text/plain': { schema: { type: 'string' } } } },
+        401: errorResponse('UNAUTHORIZED — missing, unknown, expired or badly signed key.'),
+        403: errorResponse('FORBIDDEN — needs a key with the admin scope.'),
+      },
+    },
+  };
+  paths['/openapi.json'] = { get: simple('This document', 'meta', { errors: [], response: { type: 'object' } }) };
+  paths['/usage'] = {
+    get: simple('Usage per caller and skill from the ledger — admin keys see every caller, other keys their own', 'meta', {
+      errors: [400],
+      scope: 'public',
+      parameters: [
+        { name: 'caller', in: 'query', required: false, description: 'Peer key, API key id or address (admin only).', schema: { type: 'string' } },
+        { name: 'skill', in: 'query', required: false, schema: { type: 'string' } },
+        { name: 'from', in: 'query', required: false, description: 'Inclusive; epoch ms or ISO date.', schema: { type: 'string' } },
+        { name: 'to', in: 'query', required: false, description: 'Exclusive; epoch ms or ISO date.', schema: { type: 'string' } },
+      ],
+    }),
+  };
+  paths['/admin/keys'] = { get: simple('Loaded API keys — ids, scopes, expiry; never secrets', 'admin', { errors: [], scope: 'admin' }) };
+  paths['/admin/keys/reload'] = { post: simple('Re-read API keys from config and keysFile', 'admin', { errors: [500], scope: 'admin' }) };
+  paths['/admin/plugins'] = { get: simple('Loaded skill plugins and why any were skipped', 'admin', { errors: [], scope: 'admin' }) };
+  paths['/admin/plugins/reload'] = { post: simple('Re-import skill plugins — new, changed and removed', 'admin', { errors: [], scope: 'admin' }) };
+  return paths;
+}
+
+function expressPaths(skills) {
+  const prefix = '/v1/5fan';
+  const paths = {};
+
+  // mountSkillRoutes() — server/skill-server.js
+  for (const skill of skills) {
+    paths[`${prefix}/skill/${skill}`] = { post: skillOperation(skill) };
+  }
+  paths[`${prefix}/skill/chain`] = { post: simple('Run a skill pipeline (or a legacy brain chain)', 'meta', { body: ref('ChainRequest'), response: ref('ChainResult'), parameters: [DEADLINE_PARAMETER, TRACE_PARAMETER], errors: [400, 429, 500] }) };
+  paths[`${prefix}/skill/batch`] = { post: simple('Run independent skill calls concurrently', 'meta', { body: ref('BatchRequest'), response: ref('BatchResult'), parameters: [DEADLINE_PARAMETER, TRACE_PARAMETER], errors: [400, 429, 500] }) };
+  paths[`${prefix}/skill/{name}/describe`] = {
+    get: simple('Skill info and JSON Schemas', 'meta', {
+      errors: [404],
+      parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string', enum: skills } }],
+    }),
+  };
+  paths[`${prefix}/skill/{namespace}/{name}/describe`] = {
+    get: simple('Plugin skill info and JSON Schemas', 'meta', { errors: [404], parameters: PLUGIN_PATH_PARAMETERS }),
+  };
+  paths[`${prefix}/skills`] = { get: simple('Skill manifest', 'meta', { errors: [] }) };
+  paths[`${prefix}/skills/metrics`] = { get: simple('Skill server metrics (JSON)', 'meta', { errors: [] }) };
+  paths[`${prefix}/metrics`] = { get: { summary: 'Prometheus metrics', tags: ['meta'], responses: { 200: { description: 'Text exposition format.', content: { 'text/plain': { schema: { type: 'string' } } } } } } };
+
+  // mountRoutes() — server/routes.js
+  const userId = [{ name: 'userId', in: 'path', required: true, schema: { type: 'string' } }];
+  paths[`${prefix}/status`] = { get: simple('Feature flags, LLM, trainer and feed status', 'api', { errors: [500] }) };
+  paths[`${prefix}/analyze`] = { post: simple('Brain swarm analysis (no LLM)', 'api', { body: TEXT_META_REQUEST }) };
+  paths[`${prefix}/respond`] = {
+    post: simple('Analyze and reply — LLM when available, template otherwise', 'api', {
+      body: TEXT_META_REQUEST,
+      response: {
+        type: 'object',
+        properties: { ok: { const: true }, response: { type: 'string' }, brain: { type: 'string' }, method: { enum: ['llm', 'template'] } },
+        required: ['ok', 'response', 'brain', 'method'],
+      },
+    }),
+  };
+  paths[`${prefix}/feed/respond`] = { post: simple('Reply to a community feed post (null when rate-limited or disabled)', 'api', { body: TEXT_META_REQUEST }) };
+  paths[`${prefix}/feed/stats`] = { get: simple('Feed responder stats', 'api', { errors: [] }) };
+  paths[`${prefix}/trainer/message`] = {
+    post: simple('Send a 1:1 trainer message', 'api', {
+      body: { type: 'object', properties: { userId: { type: 'string' }, text: { type: 'string' }, meta: { type: 'object' } }, required: ['userId', 'text'] },
+    }),
+  };
+  paths[`${prefix}/trainer/{userId}`] = {
+    get: simple('Trainer conversation info (conversation: null when none)', 'api', { errors: [], parameters: userId }),
+    delete: simple('Clear a trainer conversation', 'api', { errors: [], parameters: userId }),
+  };
+  paths[`${prefix}/proactive/generate`] = {
+    post: simple('Generate a scheduled community post', 'api', {
+      body: { type: 'object', properties: { slot: { enum: ['morning', 'afternoon', 'evening'] }, context: { type: 'object' } }, required: ['slot'] },
+    }),
+  };
+  paths[`${prefix}/proactive/tick`] = { post: simple('Run the proactive scheduler once', 'api', { errors: [500] }) };
+  paths[`${prefix}/lm/status`] = { get: simple('LLM provider availability', 'api', { errors: [500] }) };
+  paths[`${prefix}/lm/generate`] = {
+    post: simple('Raw LLM generation (response: null when no LLM is available)', 'api', {
+      body: {
+        type: 'object',
+        properties: { systemPrompt: { type: 'string' }, userMessage: { type: 'string' }, options: { type: 'object' } },
+        required: ['userMessage'],
+      },
+    }),
+  };
+  paths[`${prefix}/openapi.json`] = { get: simple('This document', 'meta', { errors: [], response: { type: 'object' } }) };
+  return paths;
+}
+
+/**
+ * Give every operation without one an operationId derived from its method
+ * and path — GET /v1/5fan/trainer/{userId} → getTrainerByUserId.
+ * @param {object} paths
+ * @returns {object}
+ */
+function withOperationIds(paths) {
+  for (const [path, operations] of Object.entries(paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      if (operation.operationId) continue;
+      const words = path.replace(/^\/v1\/5fan/, '').split(/[/.-]/).filter(Boolean)
+        .map(word => (word.startsWith('{') ? `By${word[1].toUpperCase()}${word.slice(2, -1)}` : word[0].toUpperCase() + word.slice(1)));
+      operation.operationId = `${method}${words.join('')}`;
+    }
+  }
+  return paths;
+}
+
+// ─── Document ─────────────────────────────────────────────────
+
+/**
+ * Build the OpenAPI document for one HTTP surface.
+ *
+ * @param {object} [options]
+ * @param {'skill-http'|'express'} [options.surface] - default 'skill-http'
+ * @param {string} [options.serverUrl] - base URL for `servers`
+ * @returns {object}
+ */
+export function buildOpenApi(options = {}) {
+  const surface = options.surface ?? 'skill-http';
+  const manifest = buildManifest();
+
+  // skill-http only serves data skills; Express also serves the brains + swarm
+  const skills = Object.keys(SKILL_REGISTRY).filter(name => surface === 'express' || getHandler(name));
+
+  const schemas = {
+    Error: ERROR_SCHEMA,
+    ChainRequest: CHAIN_REQUEST,
+    ChainResult: CHAIN_RESULT,
+    BatchRequest: BATCH_REQUEST,
+    BatchResult: BATCH_RESULT,
+  };
+  for (const skill of skills) {
+    const { input, output } = getSkillSchema(skill);
+    schemas[componentName(skill, 'Input')] = componentSchema(input);
+    schemas[componentName(skill, 'Output')] = componentSchema(output);
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: surface === 'express' ? '5FAN REST API' : '5FAN Skill HTTP API',
+      version: manifest.version,
+      description: manifest.description,
+    },
+    ...(options.serverUrl && { servers: [{ url: options.serverUrl }] }),
+    tags: [...new Set(skills.map(skill => SKILL_REGISTRY[skill].cluster || 'skills'))]
+      .map(name => ({ name }))
+      .concat(surface === 'express' ? [{ name: 'api' }, { name: 'meta' }] : [{ name: 'meta' }, { name: 'admin' }]),
+    paths: withOperationIds(surface === 'express' ? expressPaths(skills) : skillHttpPaths(skills)),
+    components: { schemas, ...(surface === 'skill-http' && { securitySchemes: SECURITY_SCHEMES }) },
+  };
+}
+
+export default {
+  OPENAPI_VERSION,
+  buildOpenApi,
+};
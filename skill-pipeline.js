@@ -0,0 +1,450 @@
+/**
+ * 5FAN Skill Pipelines — Compose any registered skills into one call
+ * =============================================================================
+ *
+ * A pipeline is an ordered list of steps. Each step names a skill, builds its
+ * input from the pipeline input and earlier step outputs, and may be skipped
+ * (`when`) or end the pipeline early (`stopIf`).
+ *
+ *   {
+ *     input: { text: 'I feel hopeless and stuck' },
+ *     steps: [
+ *       { id: 'scan',   skill: 'emotion-scan',  input: { text: '$input.text' } },
+ *       { id: 'crisis', skill: 'crisis-detect', input: { text: '$input.text' },
+ *         stopIf: { path: '$crisis.riskLevel', equals: 'critical' } },
+ *       { id: 'move',   skill: 'micro-move',    input: { familyId: '$scan.families[0].id' } },
+ *       { id: 'tone',   skill: 'tone-match',
+ *         input: { text: '$move.moves[0].journalPrompt', targetTone: 'gentle' } },
+ *     ],
+ *   }
+ *
+ * References (strings starting with `$`, resolved anywhere inside `input`):
+ *   $input.<path>    — the pipeline input
+ *   $prev.<path>     — the previous executed step's output
+ *   $<stepId>.<path> — a named step's output
+ *   $$literal        — a literal string starting with `$`
+ *   { $from: '$scan.hiScale', default: 3 } — reference with a fallback
+ * Paths use dots and [n] indexes. A step without `input` receives the
+ * pipeline input unchanged. A bare string step ('emotion-scan') is shorthand
+ * for { skill: 'emotion-scan' }.
+ *
+ * Conditions (`when`, `stopIf`):
+ *   { path, equals | notEquals | in | notIn | exists | truthy | gt | gte | lt | lte }
+ *   { all: [cond, ...] } / { any: [cond, ...] }
+ *
+ * The engine is transport-agnostic: callers pass `run(skill, input)` —
+ * skill-server passes its brain-aware runner, skill-http passes dispatch().
+ *
+ * Reusable pipelines live in pipelines/<name>.json|.yaml and are registered
+ * as named skills by skill-registry.js (see "Defined Pipelines" below).
+ *
+ * Pure ESM, no dependencies — safe for both Node and Bare runtime.
+ *
+ * =============================================================================
+ */
+
+import { parseYaml } from './yaml-lite.js';
+
+/** Upper bound on steps per pipeline (each step is one rate-limit charge) */
+export const MAX_PIPELINE_STEPS = 12;
+
+/** Reference roots that step ids may not shadow */
+const RESERVED_IDS = new Set(['input', 'prev', 'steps']);
+
+const COMPARATORS = ['equals', 'notEquals', 'in', 'notIn', 'exists', 'truthy', 'gt', 'gte', 'lt', 'lte'];
+
+// ─── Definition Handling ──────────────────────────────────────
+
+/**
+ * Normalize step shorthand into full step objects with ids.
+ * @param {(string|object)[]} steps
+ * @returns {object[]}
+ */
+export function normalizeSteps(steps) {
+  return steps.map((step, i) => {
+    const def = typeof step === 'string' ? { skill: step } : { ...step };
+    def.id = def.id || `step${i + 1}`;
+    return def;
+  });
+}
+
+/**
+ * Validate a condition object.
+ * @param {object} cond
+ * @param {string} where - for error messages
+ * @returns {string|null} - error message or null
+ */
+function checkCondition(cond, where) {
+  if (!cond || typeof cond !== 'object' || Array.isArray(cond)) return `${where} must be an object.`;
+  if (cond.all || cond.any) {
+    const list = cond.all || cond.any;
+    if (!Array.isArray(list) || list.length === 0) return `${where}.${cond.all ? 'all' : 'any'} must be a non-empty array.`;
+    for (let i = 0; i < list.length; i++) {
+      const err = checkCondition(list[i], `${where}[${i}]`);
+      if (err) return err;
+    }
+    return null;
+  }
+  if (typeof cond.path !== 'string' || !cond.path.startsWith('$')) return `${where}.path must be a $reference.`;
+  if (!COMPARATORS.some(op => op in cond)) return `${where} needs one of: ${COMPARATORS.join(', ')}.`;
+  if (('in' in cond && !Array.isArray(cond.in)) || ('notIn' in cond && !Array.isArray(cond.notIn))) {
+    return `${where}.in / notIn must be an array.`;
+  }
+  return null;
+}
+
+/**
+ * Validate a pipeline definition (before any step runs).
+ *
+ * @param {(string|object)[]} steps
+ * @param {(name: string) => boolean} isKnownSkill
+ * @returns {{ valid: boolean, error?: string, code?: string, errors?: object[] }}
+ */
+export function validatePipeline(steps, isKnownSkill) {
+  const fail = (errors) => ({
+    valid: false,
+    error: `Invalid pipeline: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`,
+    code: 'INVALID_PIPELINE',
+    errors,
+  });
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return fail([{ field: 'steps', message: 'must be a non-empty array' }]);
+  }
+  if (steps.length > MAX_PIPELINE_STEPS) {
+    return fail([{ field: 'steps', message: `must have at most ${MAX_PIPELINE_STEPS} entries` }]);
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  steps.forEach((raw, i) => {
+    const field = `steps[${i}]`;
+    if (typeof raw !== 'string' && (!raw || typeof raw !== 'object' || Array.isArray(raw))) {
+      errors.push({ field, message: 'must be a skill name or step object' });
+      return;
+    }
+    const step = typeof raw === 'string' ? { skill: raw } : raw;
+    const id = step.id || `step${i + 1}`;
+
+    if (typeof step.skill !== 'string' || !isKnownSkill(step.skill)) {
+      errors.push({ field: `${field}.skill`, message: `unknown skill: ${step.skill}` });
+    }
+    if (typeof id !== 'string' || !/^[A-Za-z_][\w-]*$/.test(id)) {
+      errors.push({ field: `${field}.id`, message: 'must be an identifier (letters, digits, _ or -)' });
+    } else if (RESERVED_IDS.has(id)) {
+      errors.push({ field: `${field}.id`, message: `"${id}" is reserved` });
+    } else if (seen.has(id)) {
+      errors.push({ field: `${field}.id`, message: `duplicate id "${id}"` });
+    }
+    seen.add(id);
+
+    if (step.input !== undefined && (typeof step.input !== 'object' || step.input === null || Array.isArray(step.input))) {
+      errors.push({ field: `${field}.input`, message: 'must be an object' });
+    }
+    for (const key of ['when', 'stopIf']) {
+      if (step[key] === undefined) continue;
+      const err = checkCondition(step[key], `${field}.${key}`);
+      if (err) errors.push({ field: `${field}.${key}`, message: err.slice(err.indexOf(' ') + 1) });
+    }
+  });
+
+  return errors.length > 0 ? fail(errors) : { valid: true };
+}
+
+// ─── References ───────────────────────────────────────────────
+
+/**
+ * Read a dotted/indexed path ('families[0].id') from a value.
+ * @param {*} value
+ * @param {string} path
+ * @returns {*}
+ */
+export function getPath(value, path) {
+  if (!path) return value;
+  const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+  let current = value;
+  for (const key of keys) {
+    if (current === null || current === undefined) return undefined;
+    current = Object.hasOwn(Object(current), key) ? current[key] : undefined;
+  }
+  return current;
+}
+
+/**
+ * Resolve a `$root.path` reference against the pipeline scope.
+ * @param {string} ref
+ * @param {object} scope - { input, prev, steps: { [id]: output } }
+ * @returns {*}
+ */
+function resolveRef(ref, scope) {
+  const body = ref.slice(1);
+  const match = body.match(/^([A-Za-z_][\w-]*)(.*)$/);
+  if (!match) return undefined;
+  const [, root, rest] = match;
+  const path = rest.replace(/^\./, '');
+
+  if (root === 'input') return getPath(scope.input, path);
+  if (root === 'prev') return getPath(scope.prev, path);
+  if (root === 'steps') return getPath(scope.steps, path);
+  return Object.hasOwn(scope.steps, root) ? getPath(scope.steps[root], path) : undefined;
+}
+
+/**
+ * Recursively resolve references inside a step input template.
+ * Keys whose value resolves to undefined are dropped.
+ *
+ * @param {*} template
+ * @param {object} scope
+ * @returns {*}
+ */
+export function resolveTemplate(template, scope) {
+  if (typeof template === 'string') {
+    if (template.startsWith('$$')) return template.slice(1);
+    if (template.startsWith('$')) return resolveRef(template, scope);
+    return template;
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => resolveTemplate(item, scope));
+  }
+  if (template && typeof template === 'object') {
+    if (typeof template.$from === 'string') {
+      const value = resolveRef(template.$from, scope);
+      return value === undefined ? template.default : value;
+    }
+    const out = {};
+    for (const [key, value] of Object.entries(template)) {
+      const resolved = resolveTemplate(value, scope);
+      if (resolved !== undefined) out[key] = resolved;
+    }
+    return out;
+  }
+  return template;
+}
+
+/**
+ * Evaluate a condition against the pipeline scope.
+ * @param {object} cond
+ * @param {object} scope
+ * @returns {boolean}
+ */
+export function evaluateCondition(cond, scope) {
+  if (cond.all) return cond.all.every(c => evaluateCondition(c, scope));
+  if (cond.any) return cond.any.some(c => evaluateCondition(c, scope));
+
+  const value = resolveRef(cond.path, scope);
+  if ('equals' in cond) return value === cond.equals;
+  if ('notEquals' in cond) return value !== cond.notEquals;
+  if ('in' in cond) return cond.in.includes(value);
+  if ('notIn' in cond) return !cond.notIn.includes(value);
+  if ('exists' in cond) return (value !== undefined && value !== null) === Boolean(cond.exists);
+  if ('truthy' in cond) return Boolean(value) === Boolean(cond.truthy);
+  if (typeof value !== 'number') return false;
+  if ('gt' in cond) return value > cond.gt;
+  if ('gte' in cond) return value >= cond.gte;
+  if ('lt' in cond) return value < cond.lt;
+  if ('lte' in cond) return value <= cond.lte;
+  return false;
+}
+
+// ─── Execution ────────────────────────────────────────────────
+
+/**
+ * Run a pipeline.
+ *
+ * A failed step (`ok: false`) ends the pipeline unless it sets
+ * `continueOnError: true`. A step whose `stopIf` matches ends the pipeline
+ * successfully; its optional `return` template shapes the final output.
+ *
+ * @param {(string|object)[]} steps - pipeline definition (validate first)
+ * @param {object} input - pipeline input
+ * @param {object} options
+ * @param {(skill: string, input: object) => Promise<object>} options.run - skill runner
+ * @param {object} [options.output] - template for the final output (default: last step output)
+ * @returns {Promise<{ ok: boolean, results: object[], output: object|null, stopped?: object, failed?: object }>}
+ */
+export async function runPipeline(steps, input = {}, options = {}) {
+  const { run, output: outputTemplate } = options;
+  const scope = { input, prev: null, steps: {} };
+  const results = [];
+  let stopped = null;
+  let failed = null;
+  let finalOutput = null;
+
+  for (const step of normalizeSteps(steps)) {
+    if (step.when && !evaluateCondition(step.when, scope)) {
+      results.push({ id: step.id, skill: step.skill, skipped: true });
+      continue;
+    }
+
+    const stepInput = step.input ? resolveTemplate(step.input, scope) : { ...input };
+    const started = Date.now();
+    let stepOutput;
+    try {
+      stepOutput = await run(step.skill, stepInput);
+    } catch (err) {
+      stepOutput = { ok: false, error: err?.message || 'Skill handler error', code: 'SKILL_ERROR' };
+    }
+
+    const ok = stepOutput?.ok !== false;
+    results.push({ id: step.id, skill: step.skill, ok, output: stepOutput, ms: Date.now() - started });
+    scope.steps[step.id] = stepOutput;
+    scope.prev = stepOutput;
+
+    if (!ok && !step.continueOnError) {
+      failed = { at: step.id, skill: step.skill, error: stepOutput?.error, code: stepOutput?.code };
+      break;
+    }
+
+    if (step.stopIf && evaluateCondition(step.stopIf, scope)) {
+      stopped = { at: step.id, skill: step.skill, reason: step.stopIf.reason || 'stopIf matched' };
+      if (step.return) finalOutput = resolveTemplate(step.return, scope);
+      break;
+    }
+  }
+
+  if (!finalOutput && !failed) {
+    finalOutput = outputTemplate ? resolveTemplate(outputTemplate, scope) : scope.prev;
+  }
+
+  return {
+    ok: !failed,
+    results,
+    output: finalOutput,
+    ...(stopped && { stopped }),
+    ...(failed && { failed }),
+  };
+}
+
+// ─── Defined Pipelines ────────────────────────────────────────
+//
+// A definition file is a skill.json-style manifest plus `steps` (and an
+// optional `output` template):
+//
+//   skill: check-in-flow
+//   title: Check-In Flow
+//   accepts: { text: { type: string, required: true } }
+//   returns: { prompts: { type: "string[]", required: false } }
+//   steps: [ ... ]            # same step format as skill:chain
+//   output: { prompts: $journal.prompts }
+
+/** Manifest keys that describe execution, not the skill surface */
+const DEFINITION_KEYS = ['steps', 'output'];
+
+/**
+ * Parse a pipeline definition file.
+ * @param {string} source - file contents
+ * @param {string} filename - used to pick the format and the default name
+ * @returns {object} - raw definition
+ */
+export function parsePipelineDefinition(source, filename) {
+  const def = /\.ya?ml$/i.test(filename) ? parseYaml(source) : JSON.parse(source);
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    throw new Error('definition must be an object');
+  }
+  return def;
+}
+
+/**
+ * Validate a parsed definition and build its skill manifest.
+ * Steps may only call concrete skills (not other pipelines), so defined
+ * pipelines can't recurse.
+ *
+ * @param {string} name - skill name (file name without extension)
+ * @param {object} def - parsed definition
+ * @param {(name: string) => object|null} getStepManifest - manifest lookup for step skills
+ * @returns {{ valid: boolean, error?: string, manifest?: object }}
+ */
+export function buildPipelineManifest(name, def, getStepManifest) {
+  if (!/^[a-z0-9-]+$/.test(name)) {
+    return { valid: false, error: `pipeline name "${name}" must be lowercase letters, digits and dashes` };
+  }
+  const check = validatePipeline(def.steps, skill => !!getStepManifest(skill));
+  if (!check.valid) return check;
+  const nested = normalizeSteps(def.steps).find(step => getStepManifest(step.skill)?.pipeline);
+  if (nested) {
+    return { valid: false, error: `step "${nested.id}" calls pipeline "${nested.skill}" — pipelines can only call skills` };
+  }
+  if (def.output !== undefined && (typeof def.output !== 'object' || def.output === null)) {
+    return { valid: false, error: 'output must be an object template' };
+  }
+
+  const skills = normalizeSteps(def.steps).map(step => step.skill);
+  const surface = Object.fromEntries(Object.entries(def).filter(([key]) => !DEFINITION_KEYS.includes(key)));
+
+  return {
+    valid: true,
+    manifest: {
+      version: '1.0.0',
+      provider: '5fan',
+      title: name,
+      accepts: {},
+      returns: {},
+      chainsWith: [],
+      ...surface,
+      skill: name,
+      // A pipeline that touches an internal skill is internal itself
+      ...(skills.some(skill => getStepManifest(skill)?.internal) && { internal: true }),
+      pipeline: { skills, steps: def.steps, ...(def.output && { output: def.output }) },
+    },
+  };
+}
+
+/**
+ * Create a skill handler that runs a defined pipeline.
+ *
+ * Success: `{ ok: true, ...output, pipeline: { steps, stopped? } }`.
+ * Failure: `{ ok: false, error, code, pipeline: { steps, failed } }` — the
+ * failing step's code is passed through.
+ *
+ * @param {object} manifest - from buildPipelineManifest()
+ * @param {(skill: string, input: object, options?: { signal?: AbortSignal, trace?: object }) => Promise<object>} run - skill runner
+ * @returns {(input: object, context?: { signal?: AbortSignal, trace?: object }) => Promise<object>}
+ */
+export function createPipelineHandler(manifest, run) {
+  const { steps, output } = manifest.pipeline;
+
+  return async function handle(input = {}, { signal, trace, caller, transport } = {}) {
+    // Steps share the pipeline's signal, so a timeout or cancel stops the running
+    // step, nest their trace spans under the pipeline's, and are metered to its caller
+    const result = await runPipeline(steps, input, {
+      run: (skill, stepInput) => run(skill, stepInput, { signal, trace, caller, transport }),
+      output,
+    });
+    const stepLog = result.results.map(({ id, skill, ok, skipped, ms }) => (
+      skipped ? { id, skill, skipped } : { id, skill, ok, ms }
+    ));
+
+    if (!result.ok) {
+      const { at, skill, error, code } = result.failed;
+      return {
+        ok: false,
+        error: `${manifest.skill} failed at step "${at}" (${skill}): ${error || 'unknown error'}`,
+        code: code || 'SKILL_ERROR',
+        pipeline: { steps: stepLog, failed: result.failed },
+      };
+    }
+
+    const body = result.output && typeof result.output === 'object' && !Array.isArray(result.output)
+      ? result.output
+      : { value: result.output };
+    return {
+      ...body,
+      ok: true,
+      pipeline: { steps: stepLog, ...(result.stopped && { stopped: result.stopped }) },
+    };
+  };
+}
+
+export default {
+  MAX_PIPELINE_STEPS,
+  normalizeSteps,
+  validatePipeline,
+  getPath,
+  resolveTemplate,
+  evaluateCondition,
+  runPipeline,
+  parsePipelineDefinition,
+  buildPipelineManifest,
+  createPipelineHandler,
+};
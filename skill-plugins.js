@@ -0,0 +1,387 @@
+/**
+ * 5FAN Skill Plugins — third-party skill packages loaded at runtime
+ * =============================================================================
+ *
+ * Brand teams ship skills without forking the core. A plugin is a directory
+ * under plugins/ (FIVEFAN_PLUGINS_DIR), or an npm package named in
+ * FIVE_FAN.skills.plugins.packages, whose entry module exports:
+ *
+ *   export const manifest = {
+ *     skill: 'acme/onboarding-check',   // <namespace>/<name>, lowercase + dashes
+ *     protocol: '^2.0.0',               // skill protocol versions it was built for
+ *     version: '1.2.0',                 // the plugin's own version
+ *     title, encodes, accepts, returns, ...   // anything a skill.json holds
+ *   };
+ *   export function handle(input, context) { ... }   // same contract as handler.js
+ *
+ * (or `export default { manifest, handle }`). A directory's entry is its
+ * package.json `exports` / `main`, else index.js.
+ *
+ * Plugins are loaded by skill-registry.js at startup and registered like any
+ * other skill — dispatch(), P2P channels (`5fan-skill-acme/onboarding-check`),
+ * skill-http `/skill/acme/onboarding-check`, the CLI and the manifest.
+ *
+ * Isolation — one plugin must not take the peer down:
+ *   - a plugin that fails to import, has a bad manifest, targets another
+ *     protocol version or claims a taken name is skipped (logged);
+ *   - names are namespaced, so a plugin can never replace a core skill;
+ *   - a handler that throws, rejects or returns a non-object becomes
+ *     `{ ok: false, code: 'PLUGIN_ERROR' }`, and gets its own copy of the input;
+ *   - a reload that fails keeps the previous version of that plugin running.
+ * Plugins run in-process with the peer's permissions; this is not a sandbox
+ * against hostile code.
+ *
+ * Hot reload: reload() picks up new, changed and removed plugins; watch()
+ * does it when the plugins directory changes. A plugin counts as changed when
+ * its entry module's size or mtime does, and only the entry is re-imported —
+ * modules it imports stay cached until a restart.
+ *
+ * Pure ESM — `fs` resolves to bare-node-fs under Pear.
+ *
+ * =============================================================================
+ */
+
+import fs from 'fs';
+
+/** `<namespace>/<name>` */
+export const PLUGIN_NAME = /^[a-z0-9][a-z0-9-]*\/[a-z0-9][a-z0-9-]*$/;
+
+/** Changes inside the plugins directory are batched for this long before a reload */
+const WATCH_DEBOUNCE_MS = 250;
+
+// ─── Versions ─────────────────────────────────────────────────
+
+/**
+ * Parse 'x.y.z'. Missing parts and wildcards (x, *) are null.
+ * @param {string} version
+ * @returns {(number|null)[]|null}
+ */
+function parseVersion(version) {
+  const parts = String(version).replace(/^v/, '').split('-')[0].split('.');
+  if (parts.length > 3 || parts.some(part => !/^(\d+|x|\*)$/i.test(part))) return null;
+  const numbers = parts.map(part => (/^\d+$/.test(part) ? Number(part) : null));
+  while (numbers.length < 3) numbers.push(null);
+  return numbers;
+}
+
+/** -1, 0 or 1 */
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if ((a[i] ?? 0) !== (b[i] ?? 0)) return (a[i] ?? 0) < (b[i] ?? 0) ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Check one comparator: `^2.0.0`, `~2.1.0`, `>=2.0.0`, `<3`, `2`, `2.x`, `2.0.0`, `*`.
+ * @param {number[]} version
+ * @param {string} comparator
+ * @returns {boolean|null} - null when the comparator can't be read
+ */
+function satisfiesComparator(version, comparator) {
+  if (comparator === '*' || comparator === 'x') return true;
+  const [, operator = '', rest] = /^(\^|~|>=|<=|>|<|=)?(.+)$/.exec(comparator) ?? [];
+  const target = rest && parseVersion(rest);
+  if (!target) return null;
+  const given = target.filter(part => part !== null).length;
+  const floor = target.map(part => part ?? 0);
+
+  switch (operator) {
+    case '^': return compareVersions(version, floor) >= 0 && version[0] === floor[0];
+    case '~': return compareVersions(version, floor) >= 0 && version[0] === floor[0] && (given < 2 || version[1] === floor[1]);
+    case '>=': return compareVersions(version, floor) >= 0;
+    case '>': return compareVersions(version, floor) > 0;
+    case '<=': return compareVersions(version, floor) <= 0;
+    case '<': return compareVersions(version, floor) < 0;
+    default: return target.every((part, i) => part === null || part === version[i]);
+  }
+}
+
+/**
+ * Whether `version` satisfies a semver-style range — comparators separated
+ * by spaces must all hold, `||` separates alternatives.
+ *
+ * @param {string} version - e.g. '2.0.0'
+ * @param {string} range - e.g. '^2.0.0', '>=2.0.0 <3', '1.x || 2.x'
+ * @returns {boolean} - false for an unreadable range
+ */
+export function satisfiesVersion(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed || parsed.includes(null) || typeof range !== 'string' || !range.trim()) return false;
+  return range.split('||').some((alternative) => {
+    const comparators = alternative.trim().split(/\s+/).filter(Boolean);
+    return comparators.length > 0 && comparators.every(c => satisfiesComparator(parsed, c) === true);
+  });
+}
+
+// ─── Manifests + Isolation ────────────────────────────────────
+
+/**
+ * Check a plugin's manifest.
+ * @param {object} manifest
+ * @param {string} protocolVersion - this peer's PROTOCOL_VERSION
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function checkPluginManifest(manifest, protocolVersion) {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return { valid: false, error: 'does not export a manifest object' };
+  }
+  if (!PLUGIN_NAME.test(manifest.skill ?? '')) {
+    return { valid: false, error: `manifest.skill must be "<namespace>/<name>" (lowercase, digits, dashes), got ${JSON.stringify(manifest.skill)}` };
+  }
+  if (typeof manifest.protocol !== 'string') {
+    return { valid: false, error: 'manifest.protocol must name the protocol versions it supports, e.g. "^2.0.0"' };
+  }
+  if (!satisfiesVersion(protocolVersion, manifest.protocol)) {
+    return { valid: false, error: `needs protocol ${manifest.protocol}; this peer speaks ${protocolVersion}` };
+  }
+  for (const field of ['accepts', 'returns']) {
+    if (manifest[field] !== undefined && (typeof manifest[field] !== 'object' || Array.isArray(manifest[field]))) {
+      return { valid: false, error: `manifest.${field} must be an object` };
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * Wrap a plugin's handle() so it can only fail with a result: throws,
+ * rejections and non-object results become `{ ok: false, code: 'PLUGIN_ERROR' }`.
+ * The handler gets its own copy of the input.
+ *
+ * @param {string} name
+ * @param {Function} handle
+ * @returns {(input: object, context: object) => Promise<object>}
+ */
+export function isolatePlugin(name, handle) {
+  return async (input, context) => {
+    let result;
+    try {
+      result = await handle(structuredClone(input), context);
+    } catch (err) {
+      console.error(`[5FAN-skills] Plugin ${name} failed:`, err?.message ?? err);
+      return { ok: false, error: `Plugin ${name} failed: ${err?.message ?? err}`, code: 'PLUGIN_ERROR' };
+    }
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+      return { ok: false, error: `Plugin ${name} returned ${Array.isArray(result) ? 'an array' : typeof result}, not a result object.`, code: 'PLUGIN_ERROR' };
+    }
+    return result;
+  };
+}
+
+// ─── Discovery ────────────────────────────────────────────────
+
+/**
+ * Entry module of a plugin directory: package.json `exports` / `main`, else index.js.
+ * @param {URL} dir
+ * @returns {URL|null}
+ */
+function pluginEntry(dir) {
+  let entry = 'index.js';
+  try {
+    const pkg = JSON.parse(fs.readFileSync(new URL('package.json', dir), 'utf8'));
+    const exported = typeof pkg.exports === 'string' ? pkg.exports : pkg.exports?.['.'];
+    entry = (typeof exported === 'string' ? exported : exported?.import ?? exported?.default) ?? pkg.main ?? entry;
+  } catch {
+    // No (readable) package.json — plain directory
+  }
+  const url = new URL(entry, dir);
+  return fs.existsSync(url) ? url : null;
+}
+
+/**
+ * Every plugin source: sub-directories of `dir`, then `packages`.
+ * @param {URL|null} dir
+ * @param {string[]} packages - npm package names
+ * @returns {{ source: string, url?: URL, error?: string }[]}
+ */
+function discoverPlugins(dir, packages) {
+  const sources = [];
+  let names = [];
+  try {
+    names = dir ? fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name).sort() : [];
+  } catch {
+    // No plugins directory
+  }
+  for (const name of names) {
+    const url = pluginEntry(new URL(`${name}/`, dir));
+    sources.push(url ? { source: `plugins/${name}`, url } : { source: `plugins/${name}`, error: 'no entry module (package.json main/exports or index.js)' });
+  }
+  for (const name of packages) {
+    try {
+      sources.push({ source: name, url: new URL(import.meta.resolve(name)) });
+    } catch (err) {
+      sources.push({ source: name, error: `cannot resolve package: ${err?.message ?? err}` });
+    }
+  }
+  return sources;
+}
+
+/**
+ * Size + mtime of an entry module — a reload skips plugins whose entry is unchanged.
+ * @param {URL} url
+ * @returns {string}
+ */
+function fileStamp(url) {
+  try {
+    const stat = fs.statSync(url);
+    return `${stat.size}:${stat.mtimeMs}`;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Import one plugin and check it.
+ * @param {{ source: string, url: URL }} found
+ * @param {number} generation - > 0 re-imports past the module cache
+ * @param {string} protocolVersion
+ * @returns {Promise<{ ok: boolean, manifest?: object, handle?: Function, error?: string }>}
+ */
+async function importPlugin(found, generation, protocolVersion) {
+  try {
+    const href = generation > 0 ? `${found.url.href}?v=${generation}` : found.url.href;
+    const mod = await import(href);
+    const plugin = mod.manifest ? mod : (mod.default ?? {});
+    const check = checkPluginManifest(plugin.manifest, protocolVersion);
+    if (!check.valid) return { ok: false, error: check.error };
+    if (typeof plugin.handle !== 'function') return { ok: false, error: 'does not export handle()' };
+    return { ok: true, manifest: plugin.manifest, handle: plugin.handle };
+  } catch (err) {
+    return { ok: false, error: `failed to load: ${err?.message ?? err}` };
+  }
+}
+
+// ─── Host ─────────────────────────────────────────────────────
+
+/**
+ * Create the plugin host skill-registry.js runs. It owns which plugins are
+ * loaded and tells the registry through `register` / `unregister`.
+ *
+ * @param {object} options
+ * @param {URL|null} options.dir - plugins directory (file: URL ending in '/')
+ * @param {string[]} [options.packages] - npm package names
+ * @param {string} options.protocolVersion - checked against each manifest.protocol
+ * @param {(name: string, meta: object, handle: Function) => boolean} options.register
+ * @param {(name: string) => boolean} options.unregister
+ * @returns {{ load: Function, reload: Function, watch: Function, list: Function }}
+ */
+export function createPluginHost({ dir, packages = [], protocolVersion, register, unregister }) {
+  /** name → { skill, version, protocol, source, loadedAt, stamp } */
+  const loaded = new Map();
+  let errors = [];
+  let generation = 0;
+  let pending = Promise.resolve();
+
+  async function run() {
+    const passErrors = [];
+    const fail = (source, error) => {
+      console.error(`[5FAN-skills] Skipping plugin ${source}: ${error}`);
+      passErrors.push({ source, error });
+    };
+
+    // name → source for every plugin that stays: unchanged entries and, when
+    // a reload fails, the version already running
+    const kept = new Map();
+    const bySource = new Map([...loaded.values()].map(record => [record.source, record]));
+    const candidates = [];
+    for (const found of discoverPlugins(dir, packages)) {
+      if (found.error) { fail(found.source, found.error); continue; }
+      const stamp = fileStamp(found.url);
+      const running = bySource.get(found.source);
+      if (running && running.stamp === stamp) { kept.set(running.skill, found.source); continue; }
+
+      const plugin = await importPlugin(found, generation, protocolVersion);
+      if (plugin.ok) candidates.push({ ...found, ...plugin, stamp });
+      else {
+        fail(found.source, plugin.error);
+        if (running) kept.set(running.skill, found.source);
+      }
+    }
+
+    for (const candidate of candidates) {
+      const name = candidate.manifest.skill;
+      if (kept.has(name)) { fail(candidate.source, `"${name}" is already provided by ${kept.get(name)}`); continue; }
+      const meta = {
+        ...candidate.manifest,
+        cluster: candidate.manifest.cluster || name.split('/')[0],
+        channel: `5fan-skill-${name}`,
+        plugin: { source: candidate.source, version: candidate.manifest.version ?? null },
+      };
+      if (!register(name, meta, isolatePlugin(name, candidate.handle))) {
+        fail(candidate.source, `"${name}" collides with a registered skill`);
+        continue;
+      }
+      kept.set(name, candidate.source);
+      loaded.set(name, {
+        skill: name, version: meta.plugin.version, protocol: candidate.manifest.protocol, source: candidate.source, loadedAt: Date.now(), stamp: candidate.stamp,
+      });
+    }
+
+    // Gone from disk / config, or renamed → unregistered
+    for (const [name, record] of loaded) {
+      if (kept.get(name) === record.source) continue;
+      unregister(name);
+      loaded.delete(name);
+    }
+
+    generation++;
+    errors = passErrors;
+    return { ok: passErrors.length === 0, loaded: loaded.size, errors: passErrors };
+  }
+
+  /**
+   * (Re)load every plugin. Calls are serialised.
+   * @returns {Promise<{ ok: boolean, loaded: number, errors: { source: string, error: string }[] }>}
+   */
+  function reload() {
+    pending = pending.then(run, run);
+    return pending;
+  }
+
+  /**
+   * Reload when the plugins directory changes. The watcher doesn't keep the
+   * process alive.
+   * @returns {Function|null} - stops watching; null when there is nothing to watch
+   */
+  function watch() {
+    if (!dir || !fs.existsSync(dir)) return null;
+    let timer = null;
+    const onChange = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        reload().then(result => console.log(`[5FAN-skills] Plugins reloaded — ${result.loaded} loaded, ${result.errors.length} skipped`));
+      }, WATCH_DEBOUNCE_MS);
+    };
+    let watcher;
+    try {
+      watcher = fs.watch(dir, { recursive: true }, onChange);
+    } catch {
+      try {
+        watcher = fs.watch(dir, onChange);
+      } catch (err) {
+        console.error('[5FAN-skills] Cannot watch plugins:', err?.message ?? err);
+        return null;
+      }
+    }
+    watcher.unref?.();
+    return () => { clearTimeout(timer); watcher.close(); };
+  }
+
+  /**
+   * Loaded plugins + the errors from the last (re)load.
+   * @returns {{ plugins: object[], errors: object[] }}
+   */
+  function list() {
+    return { plugins: [...loaded.values()].map(({ stamp, ...record }) => record), errors };
+  }
+
+  return { load: reload, reload, watch, list };
+}
+
+export default {
+  PLUGIN_NAME,
+  satisfiesVersion,
+  checkPluginManifest,
+  isolatePlugin,
+  createPluginHost,
+};
@@ -0,0 +1,254 @@
+/**
+ * 5FAN Skill Rate Limits — token buckets shared by every transport
+ * =============================================================================
+ *
+ * One limiter for P2P sidechannels (skill-server.js), skill-http, the Express
+ * routes and SC-Bridge `skill-call` / `skill-batch`, so a caller gets the same
+ * budget whichever way its calls come in.
+ *
+ * Buckets (each holds `burst` tokens, default `perMinute`, and refills at
+ * `perMinute` per minute):
+ *   caller         — every invocation a caller makes, sized by its tier
+ *   caller + skill — skills listed under `skills` (the LLM-backed ones) also
+ *                    get a smaller bucket of their own
+ *
+ * Tiers are tier-gate's names (free → collective). A caller's tier is, in
+ * order: the one its credentials carry (an API key's `tier`), `callers[id]`,
+ * then `defaultTier`. Callers on this machine — skill-http on loopback
+ * without keys, SC-Bridge clients — get `localTier`.
+ *
+ * A call takes one token per invocation (chains: per step, batches: per call)
+ * from every bucket it touches, all or nothing. take() reports the tightest
+ * bucket as { limit, remaining, resetMs }; refusals also carry retryAfterMs.
+ *
+ * Settings live in FIVE_FAN.skills.rateLimit (config.js).
+ *
+ * Pure ESM, no dependencies — safe for both Node and Bare runtime.
+ *
+ * =============================================================================
+ */
+
+import { FIVE_FAN } from './config.js';
+import { recordRateLimited } from './skill-metrics.js';
+
+// ─── Token Bucket ─────────────────────────────────────────────
+
+/**
+ * Create a token bucket.
+ *
+ * @param {object} options
+ * @param {number} options.perMinute - refill rate
+ * @param {number} [options.burst] - capacity (default perMinute)
+ * @param {() => number} [options.now] - clock, for tests
+ * @returns {{ take: Function, peek: Function, status: Function, isFull: Function, reset: Function }}
+ */
+export function createTokenBucket({ perMinute, burst = perMinute, now = Date.now }) {
+  const perMs = perMinute / 60_000;
+  let tokens = burst;
+  let updatedAt = now();
+
+  function refill() {
+    const t = now();
+    tokens = Math.min(burst, tokens + (t - updatedAt) * perMs);
+    updatedAt = t;
+    return tokens;
+  }
+
+  /** Tokens available now (fractional) */
+  const peek = () => refill();
+
+  /**
+   * Take `cost` tokens if they are all there.
+   * @param {number} [cost]
+   * @returns {boolean}
+   */
+  function take(cost = 1) {
+    if (refill() < cost) return false;
+    tokens -= cost;
+    return true;
+  }
+
+  /**
+   * @param {number} [cost] - what the caller wants, for retryAfterMs
+   * @returns {{ limit: number, remaining: number, resetMs: number, retryAfterMs: number|null }}
+   */
+  function status(cost = 1) {
+    refill();
+    return {
+      limit: burst,
+      remaining: Math.floor(tokens),
+      resetMs: Math.ceil((burst - tokens) / perMs),
+      // null: more than the bucket can ever hold
+      retryAfterMs: cost > burst ? null : Math.max(0, Math.ceil((cost - tokens) / perMs)),
+    };
+  }
+
+  return {
+    take,
+    peek,
+    status,
+    isFull: () => refill() >= burst,
+    reset: () => { tokens = burst; updatedAt = now(); },
+  };
+}
+
+// ─── Limiter ──────────────────────────────────────────────────
+
+/**
+ * Create a rate limiter.
+ *
+ * @param {object} [options] - defaults to FIVE_FAN.skills.rateLimit
+ * @param {boolean} [options.enabled]
+ * @param {Object<string, { perMinute: number, burst?: number }|null>} [options.tiers] - null = unlimited
+ * @param {string} [options.defaultTier]
+ * @param {Object<string, { perMinute: number, burst?: number, tiers?: object }>} [options.skills]
+ * @param {Object<string, string>} [options.callers] - caller id → tier
+ * @param {() => number} [options.now] - clock, for tests
+ * @returns {{ take: Function, tierFor: Function, prune: Function, stats: Function, reset: Function }}
+ */
+export function createRateLimiter(options = FIVE_FAN.skills?.rateLimit ?? {}) {
+  const tiers = options.tiers ?? {};
+  const skills = options.skills ?? {};
+  const callers = options.callers ?? {};
+  const defaultTier = options.defaultTier ?? 'free';
+  const now = options.now ?? Date.now;
+  /** 'caller' or 'caller\0skill' → bucket */
+  const buckets = new Map();
+
+  function bucketFor(key, limit) {
+    if (!buckets.has(key)) buckets.set(key, createTokenBucket({ ...limit, now }));
+    return buckets.get(key);
+  }
+
+  /**
+   * Resolve a caller's tier.
+   * @param {string} caller
+   * @param {string} [tier] - tier from the caller's credentials
+   * @returns {string}
+   */
+  function tierFor(caller, tier) {
+    const resolved = tier ?? callers[caller] ?? defaultTier;
+    return resolved in tiers ? resolved : defaultTier;
+  }
+
+  /**
+   * Charge a request against the caller's buckets.
+   *
+   * @param {object} request
+   * @param {string} request.caller - peer key, API key id, or address
+   * @param {string} [request.tier] - from the caller's credentials
+   * @param {string[]} [request.skills] - every invocation the request makes (repeats count)
+   * @returns {{ ok: true, tier: string, limit: number|null, remaining: number|null, resetMs: number }
+   *   | { ok: false, error: string, code: 'RATE_LIMITED', tier: string, limit: number, remaining: number, resetMs: number, retryAfterMs: number|null }}
+   */
+  function take({ caller, tier, skills: called = [] }) {
+    const resolved = tierFor(caller, tier);
+    const cost = Math.max(called.length, 1);
+    const tierLimit = tiers[resolved];
+    if (options.enabled === false || !tierLimit) {
+      return { ok: true, tier: resolved, limit: null, remaining: null, resetMs: 0 };
+    }
+
+    const charges = [{ bucket: bucketFor(caller, tierLimit), cost, label: `${resolved} tier`, perMinute: tierLimit.perMinute }];
+    const counts = new Map();
+    for (const skill of called) {
+      if (skills[skill]) counts.set(skill, (counts.get(skill) ?? 0) + 1);
+    }
+    for (const [skill, count] of counts) {
+      const limit = skills[skill].tiers?.[resolved] ?? skills[skill];
+      charges.push({ bucket: bucketFor(`${caller}\0${skill}`, limit), cost: count, label: skill, perMinute: limit.perMinute });
+    }
+
+    const short = charges.find(charge => charge.bucket.peek() < charge.cost);
+    if (short) {
+      const { limit, remaining, resetMs, retryAfterMs } = short.bucket.status(short.cost);
+      const what = short.cost > 1 ? `${short.cost} calls exceed` : 'call exceeds';
+      return {
+        ok: false,
+        error: `Rate limited: ${what} ${short.label} limit of ${short.perMinute} calls/minute.`,
+        code: 'RATE_LIMITED',
+        tier: resolved,
+        limit,
+        remaining,
+        resetMs,
+        retryAfterMs,
+      };
+    }
+
+    charges.forEach(charge => charge.bucket.take(charge.cost));
+    const tightest = charges.map(charge => charge.bucket.status()).sort((a, b) => a.remaining - b.remaining)[0];
+    return { ok: true, tier: resolved, limit: tightest.limit, remaining: tightest.remaining, resetMs: tightest.resetMs };
+  }
+
+  /** Drop buckets that have refilled — an idle caller costs nothing */
+  function prune() {
+    for (const [key, bucket] of buckets) {
+      if (bucket.isFull()) buckets.delete(key);
+    }
+  }
+
+  /** @returns {{ buckets: number, callers: number }} */
+  function stats() {
+    let callerBuckets = 0;
+    for (const key of buckets.keys()) if (!key.includes('\0')) callerBuckets++;
+    return { buckets: buckets.size, callers: callerBuckets };
+  }
+
+  return { take, tierFor, prune, stats, reset: () => buckets.clear() };
+}
+
+// ─── Shared Limiter ───────────────────────────────────────────
+
+let shared = null;
+
+/** The process-wide limiter every transport charges */
+export function getRateLimiter() {
+  shared ??= createRateLimiter();
+  return shared;
+}
+
+/**
+ * Charge a request against the shared limiter; refusals are counted in
+ * skill-metrics as fivefan_rate_limited_total{transport}.
+ *
+ * @param {object} request - { transport, caller, tier?, skills }
+ * @returns {object} - see createRateLimiter().take()
+ */
+export function checkRateLimit({ transport, ...request }) {
+  const status = getRateLimiter().take(request);
+  if (!status.ok) recordRateLimited(transport, Math.max(request.skills?.length ?? 1, 1));
+  return status;
+}
+
+/**
+ * The `rateLimit` field attached to results and replies.
+ * @param {object} status - from take() / checkRateLimit()
+ * @returns {{ tier: string, limit: number|null, remaining: number|null, resetMs: number }}
+ */
+export function rateLimitInfo({ tier, limit, remaining, resetMs }) {
+  return { tier, limit, remaining, resetMs };
+}
+
+/**
+ * HTTP response headers for a rate-limit status (IETF RateLimit fields).
+ * @param {object} status - from take() / checkRateLimit()
+ * @returns {object}
+ */
+export function rateLimitHeaders(status) {
+  if (status.limit === null) return {};
+  return {
+    'RateLimit-Limit': String(status.limit),
+    'RateLimit-Remaining': String(status.remaining),
+    'RateLimit-Reset': String(Math.ceil(status.resetMs / 1000)),
+    ...(!status.ok && status.retryAfterMs !== null && { 'Retry-After': String(Math.ceil(status.retryAfterMs / 1000)) }),
+  };
+}
+
+export default {
+  createTokenBucket,
+  createRateLimiter,
+  getRateLimiter,
+  checkRateLimit,
+  rateLimitInfo,
+  rateLimitHeaders,
+};
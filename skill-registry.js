@@ -0,0 +1,362 @@
+/**
+ * 5FAN Skill Registry — Auto-discovered skill metadata + handlers
+ * =============================================================================
+ *
+ * Walks `skills/<category>/<name>/` once at startup. Every folder that holds
+ * a `skill.json` manifest and a `handler.js` exporting `handle()` becomes a
+ * callable skill. Shared by:
+ *   - skill-protocol.js (SKILL_REGISTRY + manifest)
+ *   - skill-dispatch.js (SC-Bridge `skill-call`)
+ *   - skill-http.js (HTTP fallback)
+ *   - server/skill-server.js (P2P sidechannels)
+ *
+ * Adding a skill = adding one folder:
+ *   skills/<category>/<name>/skill.json   — metadata (accepts, returns, ...)
+ *   skills/<category>/<name>/handler.js   — export function handle(input, context?)
+ *
+ * Folders without a skill.json (e.g. skills/eq-engine/data) are ignored.
+ * Optional skill.json flags: `internal` (local callers only), `streams`
+ * (emits progress), `deterministic` (results cached by skill-dispatch.js,
+ * `cacheTtlMs` overrides the TTL), `timeoutMs` (per-call time budget).
+ *
+ * Declarative pipelines in `pipelines/<name>.json|.yaml|.yml` are registered
+ * alongside them as named skills — no handler.js needed (see skill-pipeline.js).
+ *
+ * Plugins — namespaced third-party skills (`acme/onboarding-check`) from
+ * plugins/ or npm — are loaded after them and can be reloaded at runtime
+ * (see skill-plugins.js). The exports below are live: subscribe with
+ * onSkillsChanged() to follow plugins as they come and go.
+ *
+ * =============================================================================
+ */
+
+import fs from 'fs';
+import { parsePipelineDefinition, buildPipelineManifest, createPipelineHandler } from './skill-pipeline.js';
+import { createPluginHost } from './skill-plugins.js';
+import { PROTOCOL_VERSION } from './brains/5fan.js';
+import { FIVE_FAN } from './config.js';
+
+/** Root directory scanned for skill folders */
+const SKILLS_ROOT = new URL('./skills/', import.meta.url);
+
+/** Directory scanned for pipeline definitions */
+const PIPELINES_ROOT = new URL('./pipelines/', import.meta.url);
+
+/** Pipeline definition file extensions */
+const PIPELINE_FILE = /\.(json|ya?ml)$/i;
+
+const pluginConfig = FIVE_FAN.skills?.plugins ?? {};
+
+/** Directory scanned for plugins — FIVEFAN_PLUGINS_DIR is relative to the working directory */
+const PLUGINS_ROOT = pluginConfig.dir
+  ? new URL(pluginConfig.dir.endsWith('/') ? pluginConfig.dir : `${pluginConfig.dir}/`, `file://${process.cwd()}/`)
+  : new URL('./plugins/', import.meta.url);
+
+/**
+ * List sub-directory names of a directory URL, sorted for stable ordering.
+ * @param {URL} dirUrl
+ * @returns {string[]}
+ */
+function listDirs(dirUrl) {
+  try {
+    return fs.readdirSync(dirUrl, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Find every skill folder under skills/ and read its manifest.
+ * @returns {{ name: string, cluster: string, dir: URL, meta: object }[]}
+ */
+function discoverSkills() {
+  const found = [];
+
+  for (const cluster of listDirs(SKILLS_ROOT)) {
+    const clusterUrl = new URL(`${cluster}/`, SKILLS_ROOT);
+
+    for (const name of listDirs(clusterUrl)) {
+      const dir = new URL(`${name}/`, clusterUrl);
+      const manifestUrl = new URL('skill.json', dir);
+      if (!fs.existsSync(manifestUrl)) continue;
+
+      let meta;
+      try {
+        meta = JSON.parse(fs.readFileSync(manifestUrl, 'utf8'));
+      } catch (err) {
+        console.error(`[5FAN-skills] Bad skill.json in ${cluster}/${name}:`, err?.message ?? err);
+        continue;
+      }
+
+      if (meta.skill && meta.skill !== name) {
+        console.warn(`[5FAN-skills] skill.json in ${cluster}/${name} names "${meta.skill}" — using folder name.`);
+      }
+
+      found.push({
+        name,
+        cluster,
+        dir,
+        meta: {
+          ...meta,
+          skill: name,
+          cluster: meta.cluster || cluster,
+          channel: meta.channel || `5fan-skill-${name}`,
+        },
+      });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Import each discovered skill's handler. Folders whose handler is missing
+ * or fails to load are skipped (logged) so one bad skill can't take the peer down.
+ *
+ * @param {{ name: string, cluster: string, dir: URL, meta: object }[]} entries
+ * @returns {Promise<{ manifests: object, handlers: object }>}
+ */
+async function loadSkills(entries) {
+  const manifests = {};
+  const handlers = {};
+
+  const loaded = await Promise.all(entries.map(async (entry) => {
+    try {
+      const mod = await import(new URL('handler.js', entry.dir).href);
+      if (typeof mod.handle !== 'function') {
+        throw new Error('handler.js does not export handle()');
+      }
+      return { entry, handle: mod.handle };
+    } catch (err) {
+      console.error(`[5FAN-skills] Skipping ${entry.cluster}/${entry.name}:`, err?.message ?? err);
+      return null;
+    }
+  }));
+
+  for (const item of loaded) {
+    if (!item) continue;
+    manifests[item.entry.name] = item.entry.meta;
+    handlers[item.entry.name] = item.handle;
+  }
+
+  return { manifests, handlers };
+}
+
+/**
+ * Register each pipelines/<name>.(json|yaml|yml) as a skill. Definitions that
+ * fail to parse, name an unknown step skill, or collide with an existing
+ * skill are skipped (logged).
+ *
+ * @param {object} manifests - skill manifests (mutated)
+ * @param {object} handlers - skill handlers (mutated)
+ * @returns {string[]} - registered pipeline names
+ */
+function loadPipelines(manifests, handlers) {
+  let files;
+  try {
+    files = fs.readdirSync(PIPELINES_ROOT).filter(file => PIPELINE_FILE.test(file)).sort();
+  } catch {
+    return [];
+  }
+
+  const stepManifest = (name) => (Object.hasOwn(manifests, name) ? manifests[name] : null);
+  // Steps go through dispatch() for input validation — imported lazily, since
+  // skill-dispatch.js imports this module
+  const run = async (skill, input, options) => (await import('./skill-dispatch.js')).dispatch(skill, input, options);
+  const names = [];
+
+  for (const file of files) {
+    const name = file.replace(PIPELINE_FILE, '');
+    if (Object.hasOwn(manifests, name)) {
+      console.warn(`[5FAN-skills] Pipeline ${file} collides with skill "${name}" — skipped.`);
+      continue;
+    }
+
+    let built;
+    try {
+      const def = parsePipelineDefinition(fs.readFileSync(new URL(file, PIPELINES_ROOT), 'utf8'), file);
+      if (def.skill && def.skill !== name) {
+        console.warn(`[5FAN-skills] Pipeline ${file} names "${def.skill}" — using file name.`);
+      }
+      built = buildPipelineManifest(name, def, stepManifest);
+    } catch (err) {
+      built = { valid: false, error: err?.message ?? String(err) };
+    }
+    if (!built.valid) {
+      console.error(`[5FAN-skills] Skipping pipeline ${file}:`, built.error);
+      continue;
+    }
+
+    const meta = {
+      ...built.manifest,
+      cluster: built.manifest.cluster || 'pipelines',
+      channel: built.manifest.channel || `5fan-skill-${name}`,
+    };
+    manifests[name] = meta;
+    handlers[name] = createPipelineHandler(meta, run);
+    names.push(name);
+  }
+
+  return names;
+}
+
+const { manifests, handlers } = await loadSkills(discoverSkills());
+const pipelineNames = loadPipelines(manifests, handlers);
+
+/** Skills from skills/ + pipelines/ — plugins can't replace these */
+const BUILT_IN = new Set(Object.keys(handlers));
+
+/** Skill metadata keyed by name — the contents of each skill.json (plugins included) */
+export const SKILL_MANIFESTS = manifests;
+
+/** Skill handlers keyed by name — each is `handle(input, { signal, onProgress?, trace?, caller?, transport? }) → result | Promise<result>` */
+export const SKILL_HANDLERS = handlers;
+
+/** All registered skill names */
+export const SKILL_NAMES = Object.keys(SKILL_HANDLERS);
+
+/** Number of registered skills */
+export let SKILL_COUNT = SKILL_NAMES.length;
+
+/** Skills defined declaratively in pipelines/ */
+export const PIPELINE_NAMES = Object.freeze(pipelineNames);
+
+// ─── Runtime Changes (plugins) ────────────────────────────────
+
+const changeListeners = new Set();
+
+/**
+ * Follow skills registered or removed at runtime.
+ * @param {(name: string, meta: object|null) => void} listener - meta is null on removal
+ * @returns {() => void} - unsubscribe
+ */
+export function onSkillsChanged(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+function notifyChanged(name, meta) {
+  for (const listener of changeListeners) {
+    try {
+      listener(name, meta);
+    } catch (err) {
+      console.error(`[5FAN-skills] Skill change listener failed for ${name}:`, err?.message ?? err);
+    }
+  }
+}
+
+/** Add or replace a plugin skill. Built-in skills can't be replaced. */
+function registerSkill(name, meta, handle) {
+  if (BUILT_IN.has(name)) return false;
+  manifests[name] = meta;
+  handlers[name] = handle;
+  if (!SKILL_NAMES.includes(name)) SKILL_NAMES.push(name);
+  SKILL_COUNT = SKILL_NAMES.length;
+  notifyChanged(name, meta);
+  return true;
+}
+
+/** Remove a plugin skill. */
+function unregisterSkill(name) {
+  if (BUILT_IN.has(name) || !Object.hasOwn(handlers, name)) return false;
+  delete manifests[name];
+  delete handlers[name];
+  SKILL_NAMES.splice(SKILL_NAMES.indexOf(name), 1);
+  SKILL_COUNT = SKILL_NAMES.length;
+  notifyChanged(name, null);
+  return true;
+}
+
+const pluginHost = createPluginHost({
+  dir: PLUGINS_ROOT,
+  packages: pluginConfig.packages ?? [],
+  protocolVersion: PROTOCOL_VERSION,
+  register: registerSkill,
+  unregister: unregisterSkill,
+});
+await pluginHost.load();
+
+/**
+ * Re-import every plugin: new ones are added, changed ones replaced, removed
+ * ones dropped. A plugin that fails to reload keeps its previous version.
+ * @returns {Promise<{ ok: boolean, loaded: number, errors: { source: string, error: string }[] }>}
+ */
+export function reloadPlugins() {
+  return pluginHost.reload();
+}
+
+/**
+ * Reload plugins whenever the plugins directory changes — only when
+ * FIVE_FAN.skills.plugins.watch is on (or `force`). For long-running servers.
+ * @param {boolean} [force]
+ * @returns {Function|null} - stops watching
+ */
+export function watchPlugins(force = false) {
+  return pluginConfig.watch || force ? pluginHost.watch() : null;
+}
+
+/**
+ * Loaded plugins (name, version, protocol range, source) + load errors.
+ * @returns {{ plugins: object[], errors: object[] }}
+ */
+export function listPlugins() {
+  return pluginHost.list();
+}
+
+/**
+ * Get the handler for a skill.
+ * @param {string} name
+ * @returns {Function|null}
+ */
+export function getHandler(name) {
+  return Object.hasOwn(SKILL_HANDLERS, name) ? SKILL_HANDLERS[name] : null;
+}
+
+/**
+ * Get the skill.json metadata for a skill.
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function getManifest(name) {
+  return Object.hasOwn(SKILL_MANIFESTS, name) ? SKILL_MANIFESTS[name] : null;
+}
+
+/**
+ * Check if a skill is a defined pipeline.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isPipeline(name) {
+  return PIPELINE_NAMES.includes(name);
+}
+
+/**
+ * Count discovered skills per cluster (eq-engine, compass, coach, ...).
+ * @returns {Object<string, number>}
+ */
+export function countByCluster() {
+  const counts = {};
+  for (const meta of Object.values(SKILL_MANIFESTS)) {
+    counts[meta.cluster] = (counts[meta.cluster] || 0) + 1;
+  }
+  return counts;
+}
+
+export default {
+  SKILL_MANIFESTS,
+  SKILL_HANDLERS,
+  SKILL_NAMES,
+  SKILL_COUNT,
+  PIPELINE_NAMES,
+  getHandler,
+  getManifest,
+  isPipeline,
+  countByCluster,
+  onSkillsChanged,
+  reloadPlugins,
+  watchPlugins,
+  listPlugins,
+};
@@ -0,0 +1,295 @@
+/**
+ * 5FAN Skill Schemas — JSON Schema from skill `accepts` / `returns`
+ * =============================================================================
+ *
+ * Turns the field specs in each skill.json (and the brain entries in
+ * SKILL_REGISTRY) into JSON Schema (draft 2020-12 subset), and validates
+ * values against them with structured, field-level errors.
+ *
+ * Field spec forms understood:
+ *   { type: 'string', required: true, enum: [...], description }   (skill.json)
+ *   'string[] — detected markers'                                   (legacy)
+ *   'pain | joy | neutral'                                          (legacy enum)
+ *   '0-1 float — signal strength'                                   (legacy range)
+ *
+ * Type strings: string, number, boolean, object, array, T[], A|B (e.g. object|null).
+ *
+ * Pure ESM, no dependencies — safe for both Node and Bare runtime.
+ *
+ * =============================================================================
+ */
+
+export const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+const JSON_TYPES = new Set(['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']);
+const TYPE_ALIASES = { float: 'number', int: 'integer' };
+
+// ─── Spec → Schema ────────────────────────────────────────────
+
+/**
+ * Convert a type string ('string', 'object[]', 'number|null') to a schema.
+ * Unknown types produce an unconstrained schema rather than a false failure.
+ *
+ * @param {string} typeStr
+ * @returns {object}
+ */
+export function typeToSchema(typeStr) {
+  const parts = String(typeStr || '').split('|').map(t => t.trim()).filter(Boolean);
+  if (parts.length === 0) return {};
+
+  const schemas = parts.map((part) => {
+    if (part.endsWith('[]')) {
+      return { type: 'array', items: typeToSchema(part.slice(0, -2)) };
+    }
+    const type = TYPE_ALIASES[part] || part;
+    return JSON_TYPES.has(type) ? { type } : {};
+  });
+
+  if (schemas.length === 1) return schemas[0];
+  if (schemas.every(s => s.type && !s.items)) return { type: schemas.map(s => s.type) };
+  return { anyOf: schemas };
+}
+
+/**
+ * Parse a legacy one-line return spec ('0-1 float — signal strength').
+ * @param {string} line
+ * @returns {object} - field spec in skill.json form
+ */
+function parseLegacySpec(line) {
+  const [head, ...rest] = line.split(' — ');
+  const description = rest.join(' — ').trim() || undefined;
+  const trimmed = head.trim();
+
+  // 'pain | joy | neutral' — an enum of literal strings
+  if (trimmed.includes(' | ')) {
+    return { type: 'string', enum: trimmed.split('|').map(s => s.trim()), description };
+  }
+
+  // '0-1 float' — a numeric range
+  const range = trimmed.match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)\s+(\S+)/);
+  if (range) {
+    return { type: range[3], minimum: Number(range[1]), maximum: Number(range[2]), description };
+  }
+
+  return { type: trimmed.split(/\s+/)[0], description };
+}
+
+/**
+ * Convert one field spec to a JSON Schema.
+ * @param {object|string} spec
+ * @returns {object}
+ */
+export function fieldToSchema(spec) {
+  const field = typeof spec === 'string' ? parseLegacySpec(spec) : (spec || {});
+  const schema = typeToSchema(field.type);
+
+  if (Array.isArray(field.enum)) {
+    const nullable = Array.isArray(schema.type) && schema.type.includes('null');
+    schema.enum = nullable ? [...field.enum, null] : [...field.enum];
+  }
+  if (typeof field.minimum === 'number') schema.minimum = field.minimum;
+  if (typeof field.maximum === 'number') schema.maximum = field.maximum;
+  if (field.description) schema.description = field.description;
+
+  return schema;
+}
+
+/**
+ * Build the input schema for a skill from its `accepts` map.
+ * Required string fields must contain non-whitespace.
+ *
+ * @param {object} meta - registry entry / skill.json contents
+ * @returns {object}
+ */
+export function buildInputSchema(meta) {
+  const properties = {};
+  const required = [];
+
+  for (const [name, spec] of Object.entries(meta?.accepts || {})) {
+    const schema = fieldToSchema(spec);
+    if (spec?.required) {
+      required.push(name);
+      if (schema.type === 'string') schema.pattern = '\\S';
+    }
+    properties[name] = schema;
+  }
+
+  return {
+    $schema: SCHEMA_DIALECT,
+    $id: `5fan:${meta?.skill}/input`,
+    title: `${meta?.title || meta?.skill} input`,
+    type: 'object',
+    properties,
+    required,
+    additionalProperties: true,
+  };
+}
+
+/**
+ * Build the output schema for a skill from its `returns` map.
+ * Success results (`ok: true`) must carry every declared field unless the
+ * spec says `required: false`; error results only need `ok` + `error`.
+ *
+ * @param {object} meta - registry entry / skill.json contents
+ * @returns {object}
+ */
+export function buildOutputSchema(meta) {
+  const properties = {};
+  const required = [];
+
+  for (const [name, spec] of Object.entries(meta?.returns || {})) {
+    properties[name] = fieldToSchema(spec);
+    if (typeof spec !== 'object' || spec.required !== false) required.push(name);
+  }
+
+  return {
+    $schema: SCHEMA_DIALECT,
+    $id: `5fan:${meta?.skill}/output`,
+    title: `${meta?.title || meta?.skill} output`,
+    oneOf: [
+      {
+        type: 'object',
+        properties: { ok: { const: true }, ...properties },
+        required: ['ok', ...required],
+        additionalProperties: true,
+      },
+      {
+        type: 'object',
+        properties: { ok: { const: false }, error: { type: 'string' }, code: { type: 'string' } },
+        required: ['ok', 'error'],
+        additionalProperties: true,
+      },
+    ],
+  };
+}
+
+// ─── Validation ───────────────────────────────────────────────
+
+/**
+ * JSON type name of a value (distinguishes array, null, integer).
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function describeType(schema) {
+  if (schema.enum) return `one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`;
+  if (Array.isArray(schema.type)) return schema.type.join(' | ');
+  if (schema.type === 'array' && schema.items?.type) return `${schema.items.type}[]`;
+  return schema.type || 'any';
+}
+
+/**
+ * Validate a value against a schema produced by this module.
+ * Supports: type, enum, const, pattern, minimum, maximum, items,
+ * properties, required, anyOf, oneOf.
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path] - field path prefix for error reporting
+ * @returns {{ field: string, message: string, expected?: string, received?: string }[]}
+ */
+export function validate(schema, value, path = '') {
+  const errors = [];
+  const field = path || '(root)';
+
+  if (schema.oneOf || schema.anyOf) {
+    const branches = schema.oneOf || schema.anyOf;
+
+    // Discriminate on `const` properties (e.g. ok: true vs ok: false) so
+    // errors come from the shape the value claims to be
+    const claimed = branches.filter(branch => Object.entries(branch.properties || {})
+      .every(([name, prop]) => !('const' in prop) || value?.[name] === prop.const));
+    if (claimed.length === 1) return validate(claimed[0], value, path);
+
+    const results = branches.map(branch => validate(branch, value, path));
+    const passing = results.filter(r => r.length === 0).length;
+    if (passing === 0) {
+      // Report the branch closest to matching
+      return results.sort((a, b) => a.length - b.length)[0];
+    }
+    if (schema.oneOf && passing > 1) {
+      errors.push({ field, message: 'matches more than one allowed shape' });
+    }
+    return errors;
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ field, message: `must be ${JSON.stringify(schema.const)}`, received: JSON.stringify(value) });
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ field, message: `must be ${describeType(schema)}`, expected: describeType(schema), received: typeOf(value) });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be ${describeType(schema)}`, expected: describeType(schema), received: JSON.stringify(value) });
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ field, message: schema.pattern === '\\S' ? 'cannot be empty' : `must match ${schema.pattern}` });
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}`, received: String(value) });
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}`, received: String(value) });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validate(schema.items, item, `${path}[${i}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: path ? `${path}.${name}` : name, message: 'is required', expected: describeType(schema.properties?.[name] || {}) });
+      }
+    }
+    for (const [name, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[name] === undefined) continue;
+      errors.push(...validate(propSchema, value[name], path ? `${path}.${name}` : name));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Render field-level errors as one human-readable sentence.
+ * @param {{ field: string, message: string }[]} errors
+ * @returns {string}
+ */
+export function formatErrors(errors) {
+  return errors.map(e => `${e.field} ${e.message}`).join('; ');
+}
+
+export default {
+  SCHEMA_DIALECT,
+  typeToSchema,
+  fieldToSchema,
+  buildInputSchema,
+  buildOutputSchema,
+  validate,
+  formatErrors,
+};
@@ -0,0 +1,305 @@
+/**
+ * 5FAN Skill Tracing — trace trees through nested skills, brains and the LLM
+ * =============================================================================
+ *
+ * An orchestrator skill (shift-navigator, hi-note-compose, a pipeline) hands
+ * back one result; a trace shows which sub-step was slow or fell back to
+ * templates. Every span has W3C-sized ids:
+ *
+ *   { traceId, spanId, parentSpanId, name, kind, start, ms, status, code,
+ *     attributes, children: [...] }
+ *
+ *   kind   — 'skill' | 'chain' | 'batch' | 'brain' | 'step' | 'llm'
+ *   status — 'ok' | 'error' | 'unfinished' (still running when the root ended)
+ *   attributes.method — 'llm' / 'template' when the step reports it
+ *
+ * Spans are passed down the same way as the abort signal: dispatch() hands
+ * handlers `context.trace`, and they pass it on to generate() and to the
+ * sub-handlers they call through traced(). Without a trace every helper here
+ * is a no-op, so untraced calls pay nothing.
+ *
+ * A trace is started when the caller asks for one — `options.trace` on
+ * dispatch(), `trace: true` on P2P / SC-Bridge messages, `?trace=1`,
+ * `X-5FAN-Trace: 1` or a W3C `traceparent` header over HTTP — and comes back
+ * as `trace` in the result. With FIVE_FAN.skills.trace.file set, every call is
+ * traced and its spans appended there as JSON lines (one span per line,
+ * children replaced by parentSpanId) for offline analysis.
+ *
+ * Pure ESM — `fs` / `path` resolve to bare-node-fs / bare-node-path under Pear.
+ *
+ * =============================================================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { FIVE_FAN } from './config.js';
+
+const traceConfig = FIVE_FAN.skills?.trace ?? {};
+
+// ─── Ids + Context ────────────────────────────────────────────
+
+const randomHex = bytes => Array.from({ length: bytes }, () => Math.floor(Math.random() * 256).toString(16).padStart(2, '0')).join('');
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+
+/**
+ * Read a W3C traceparent header.
+ * @param {string} header - '00-<traceId>-<parentSpanId>-<flags>'
+ * @returns {{ traceId: string, parentSpanId: string }|null}
+ */
+export function parseTraceparent(header) {
+  const match = TRACEPARENT.exec(String(header ?? '').trim().toLowerCase());
+  return match ? { traceId: match[1], parentSpanId: match[2] } : null;
+}
+
+/**
+ * W3C traceparent for a span (sampled).
+ * @param {object} span
+ * @returns {string}
+ */
+export function formatTraceparent(span) {
+  return `00-${span.traceId}-${span.spanId}-01`;
+}
+
+/** Whether a value is a live span (as opposed to `true` or a remote context) */
+export function isSpan(value) {
+  return typeof value?.child === 'function';
+}
+
+/**
+ * Normalise what a caller sent to ask for a trace: true, '1', a traceparent
+ * string, or { traceId, parentSpanId } to continue the caller's own trace.
+ * @param {*} value
+ * @returns {true|{ traceId: string, parentSpanId?: string }|undefined}
+ */
+export function traceRequest(value) {
+  if (value === true || value === '1' || value === 'true') return true;
+  if (typeof value === 'string') return parseTraceparent(value) ?? undefined;
+  if (value && typeof value === 'object' && /^[0-9a-f]{32}$/i.test(value.traceId ?? '')) {
+    return {
+      traceId: value.traceId.toLowerCase(),
+      ...(/^[0-9a-f]{16}$/i.test(value.parentSpanId ?? '') && { parentSpanId: value.parentSpanId.toLowerCase() }),
+    };
+  }
+  return undefined;
+}
+
+// ─── Spans ────────────────────────────────────────────────────
+
+/**
+ * Create a span.
+ *
+ * @param {string} name - skill, brain or step name
+ * @param {object} [options]
+ * @param {string} [options.kind] - default 'skill'
+ * @param {string} [options.traceId] - default a new trace
+ * @param {string} [options.parentSpanId]
+ * @param {object} [options.attributes]
+ * @param {() => number} [options.now] - clock, for tests
+ * @returns {object} - span with child(), set(), end()
+ */
+export function startSpan(name, { kind = 'skill', traceId = randomHex(16), parentSpanId = null, attributes = {}, now = Date.now } = {}) {
+  const span = {
+    traceId,
+    spanId: randomHex(8),
+    parentSpanId,
+    name,
+    kind,
+    start: now(),
+    ms: null,
+    status: null,
+    code: null,
+    attributes: { ...attributes },
+    children: [],
+  };
+
+  /** Start a span under this one */
+  span.child = (childName, options = {}) => {
+    const child = startSpan(childName, { now, ...options, traceId, parentSpanId: span.spanId });
+    span.children.push(child);
+    return child;
+  };
+
+  /** Add attributes */
+  span.set = (attributes) => {
+    Object.assign(span.attributes, attributes);
+    return span;
+  };
+
+  /**
+   * Close the span from a skill-style result: `ok: false` → error + code,
+   * a string `method` becomes attributes.method. Only the first end() counts.
+   * @param {object} [result]
+   */
+  span.end = (result) => {
+    if (span.ms !== null) return span;
+    span.ms = now() - span.start;
+    span.status = result?.ok === false ? 'error' : 'ok';
+    if (result?.ok === false) span.code = result.code || 'SKILL_ERROR';
+    if (typeof result?.method === 'string') span.attributes.method = result.method;
+    return span;
+  };
+
+  return span;
+}
+
+/**
+ * Run `fn` in a child span of `span`, closing it from the result. Sync
+ * functions stay sync. Without a span, just runs fn().
+ *
+ * @param {object|undefined} span - parent span
+ * @param {string} name
+ * @param {(child: object|undefined) => *} fn
+ * @param {object} [options] - { kind, attributes }
+ * @returns {*} - fn's result
+ */
+export function traced(span, name, fn, options = {}) {
+  if (!isSpan(span)) return fn(undefined);
+  const child = span.child(name, options);
+  const fail = (err) => {
+    child.end({ ok: false, code: err?.code || 'SKILL_ERROR' });
+    throw err;
+  };
+
+  let out;
+  try {
+    out = fn(child);
+  } catch (err) {
+    fail(err);
+  }
+  if (typeof out?.then === 'function') {
+    return out.then((result) => { child.end(result); return result; }, fail);
+  }
+  child.end(out);
+  return out;
+}
+
+/**
+ * Plain-JSON copy of a span tree. Spans still running are reported as
+ * 'unfinished' with the time so far.
+ * @param {object} span
+ * @param {number} [at] - when the root ended
+ * @returns {object}
+ */
+export function traceTree(span, at = Date.now()) {
+  const { traceId, spanId, parentSpanId, name, kind, start, ms, status, code, attributes, children } = span;
+  return {
+    traceId,
+    spanId,
+    parentSpanId,
+    name,
+    kind,
+    start,
+    ms: ms ?? at - start,
+    status: status ?? 'unfinished',
+    code,
+    attributes,
+    children: children.map(child => traceTree(child, at)),
+  };
+}
+
+/**
+ * A trace tree as a flat list of spans, parents first.
+ * @param {object} tree - from traceTree()
+ * @returns {object[]}
+ */
+export function flattenTrace(tree) {
+  const { children, ...span } = tree;
+  return [span, ...children.flatMap(flattenTrace)];
+}
+
+/**
+ * Render a trace tree for a terminal, one span per line.
+ * @param {object} tree
+ * @returns {string}
+ */
+export function formatTrace(tree) {
+  const lines = [];
+  const walk = (span, depth) => {
+    const method = span.attributes?.method ? ` [${span.attributes.method}]` : '';
+    const status = span.status === 'ok' ? '' : ` ${span.code ?? span.status}`;
+    lines.push(`${'  '.repeat(depth)}${span.name} (${span.kind}) ${span.ms}ms${method}${status}`);
+    span.children.forEach(child => walk(child, depth + 1));
+  };
+  walk(tree, 0);
+  return lines.join('\n');
+}
+
+// ─── Export ───────────────────────────────────────────────────
+
+let exportDirReady = false;
+let exportWarned = false;
+
+/**
+ * Append a trace's spans to a JSONL file. A failed write is logged once.
+ * @param {object} tree - from traceTree()
+ * @param {string|null} [file] - default FIVE_FAN.skills.trace.file
+ * @returns {boolean} - false when there is no file or the write failed
+ */
+export function exportTrace(tree, file = traceConfig.file) {
+  if (!file) return false;
+  try {
+    if (!exportDirReady) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      exportDirReady = true;
+    }
+    fs.appendFileSync(file, flattenTrace(tree).map(span => `${JSON.stringify(span)}\n`).join(''));
+    return true;
+  } catch (err) {
+    if (!exportWarned) console.error(`[5FAN-skills] Trace export failed (${file}):`, err?.message ?? err);
+    exportWarned = true;
+    return false;
+  }
+}
+
+// ─── Skill Calls ──────────────────────────────────────────────
+
+/**
+ * Span for one invocation: a child when `trace` is a span (a nested call),
+ * a new root when the caller asked for a trace or traces are exported,
+ * otherwise null.
+ *
+ * @param {string} name
+ * @param {*} trace - options.trace as the caller passed it
+ * @param {object} [options] - { kind, attributes }
+ * @returns {object|null}
+ */
+export function openSpan(name, trace, options = {}) {
+  if (isSpan(trace)) return trace.child(name, options);
+  const request = traceRequest(trace);
+  if (!request && !traceConfig.file) return null;
+  return startSpan(name, { ...options, ...(typeof request === 'object' && request) });
+}
+
+/**
+ * Close an invocation's span. A root span is exported and, when the caller
+ * asked for it, its tree is returned as `trace` on a copy of the result.
+ *
+ * @param {object|null} span - from openSpan()
+ * @param {object} result
+ * @param {*} trace - options.trace as the caller passed it
+ * @returns {object} - the result, with `trace` when requested
+ */
+export function closeSpan(span, result, trace) {
+  if (!span) return result;
+  span.end(result);
+  if (isSpan(trace)) return result;
+  const tree = traceTree(span);
+  exportTrace(tree);
+  return traceRequest(trace) ? { ...result, trace: tree } : result;
+}
+
+export default {
+  parseTraceparent,
+  formatTraceparent,
+  isSpan,
+  traceRequest,
+  startSpan,
+  traced,
+  traceTree,
+  flattenTrace,
+  formatTrace,
+  exportTrace,
+  openSpan,
+  closeSpan,
+};
@@ -0,0 +1,291 @@
+/**
+ * 5FAN Skill Usage — per-caller metering ledger for billing partners
+ * =============================================================================
+ *
+ * skill-metrics.js counts calls for the whole process and forgets them on
+ * restart. This ledger keeps one durable record per invocation, keyed by who
+ * made it, so partner usage can be billed:
+ *
+ *   { ts, caller, skill, transport, method, ok, code, ms, inputBytes }
+ *
+ *   caller     — peer key (P2P), API key id or client address (HTTP),
+ *                'sc-bridge', or 'local' (CLI, in-process, loopback without keys)
+ *   method     — how the output was produced ('llm', 'template', ...), null
+ *                when the skill doesn't say
+ *   code       — error code of a failed call, else null
+ *   inputBytes — size of the JSON input
+ *
+ * skill-dispatch.js records every data-skill call; skill-server.js records
+ * brain + swarm calls. Records are appended as JSON lines to
+ * FIVE_FAN.skills.usage.file and never rewritten — rotate by moving the file
+ * aside; the next call starts a new one.
+ *
+ * Read back by:
+ *   GET /usage?caller=&from=&to=&skill=            — skill-http.js
+ *   5fan usage [--caller] [--from] [--to] [--csv]  — skill-cli.js
+ *
+ * Pure ESM — `fs` / `path` resolve to bare-node-fs / bare-node-path under Pear.
+ *
+ * =============================================================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { FIVE_FAN } from './config.js';
+
+/** Ledger columns, in CSV order */
+export const USAGE_FIELDS = ['ts', 'caller', 'skill', 'transport', 'method', 'ok', 'code', 'ms', 'inputBytes'];
+
+// ─── Records ──────────────────────────────────────────────────
+
+/** Size of an input as JSON, 0 when it can't be serialised */
+function inputSize(input) {
+  try {
+    return new TextEncoder().encode(JSON.stringify(input ?? {})).length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Build the ledger record for one invocation.
+ *
+ * @param {object} call
+ * @param {string} call.skill
+ * @param {object} call.input
+ * @param {object} call.output - the skill result (ok, code, method)
+ * @param {number} call.ms - wall time
+ * @param {string} [call.caller] - default 'local'
+ * @param {string} [call.transport] - default 'local'
+ * @param {number} [call.ts] - default now
+ * @returns {object}
+ */
+export function usageRecord({ skill, input, output, ms, caller, transport, ts = Date.now() }) {
+  const failed = output?.ok === false;
+  return {
+    ts,
+    caller: caller || 'local',
+    skill,
+    transport: transport || 'local',
+    method: typeof output?.method === 'string' ? output.method : null,
+    ok: !failed,
+    code: failed ? output.code || 'SKILL_ERROR' : null,
+    ms,
+    inputBytes: inputSize(input),
+  };
+}
+
+// ─── Queries ──────────────────────────────────────────────────
+
+/**
+ * A time bound: epoch ms, or anything Date.parse() reads ('2026-10-01',
+ * '2026-10-01T12:00:00Z').
+ * @param {string|number|undefined} value
+ * @returns {number|undefined|null} - undefined when absent, null when unreadable
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const ms = Number(value);
+    return Number.isFinite(ms) ? ms : null;
+  }
+  const ms = Date.parse(String(value));
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Read a usage query from string parameters (HTTP query, CLI flags).
+ *
+ * @param {object} params - { caller?, skill?, from?, to? }; from is inclusive, to exclusive
+ * @returns {{ ok: true, filter: { caller?: string, skill?: string, from?: number, to?: number } }
+ *   | { ok: false, error: string, code: 'INVALID_INPUT' }}
+ */
+export function parseUsageQuery(params = {}) {
+  const filter = {};
+  for (const bound of ['from', 'to']) {
+    const ms = parseTime(params[bound]);
+    if (ms === null) return { ok: false, error: `${bound} must be epoch ms or an ISO date.`, code: 'INVALID_INPUT' };
+    if (ms !== undefined) filter[bound] = ms;
+  }
+  if (filter.from !== undefined && filter.to !== undefined && filter.from > filter.to) {
+    return { ok: false, error: 'from must not be after to.', code: 'INVALID_INPUT' };
+  }
+  if (params.caller) filter.caller = String(params.caller);
+  if (params.skill) filter.skill = String(params.skill);
+  return { ok: true, filter };
+}
+
+/** Whether a record matches a filter from parseUsageQuery() */
+function matches(record, { caller, skill, from, to }) {
+  return (caller === undefined || record.caller === caller)
+    && (skill === undefined || record.skill === skill)
+    && (from === undefined || record.ts >= from)
+    && (to === undefined || record.ts < to);
+}
+
+function emptyTotals() {
+  return { calls: 0, errors: 0, ms: 0, avgMs: 0, inputBytes: 0, methods: {} };
+}
+
+function addTo(totals, record) {
+  totals.calls++;
+  if (!record.ok) totals.errors++;
+  totals.ms += record.ms;
+  totals.inputBytes += record.inputBytes;
+  if (record.method) totals.methods[record.method] = (totals.methods[record.method] ?? 0) + 1;
+}
+
+const finish = totals => ({ ...totals, avgMs: totals.calls ? Math.round(totals.ms / totals.calls) : 0 });
+
+/**
+ * Aggregate records per caller, and per skill within each caller.
+ * Callers and skills are ordered by call count, highest first.
+ *
+ * @param {object[]} records
+ * @returns {{ total: object, callers: Array<{ caller: string, skills: object[] }> }}
+ *   totals are { calls, errors, ms, avgMs, inputBytes, methods: { llm, template, ... } }
+ */
+export function summarizeUsage(records) {
+  const total = emptyTotals();
+  /** caller → { totals, skills: Map<skill, totals> } */
+  const callers = new Map();
+
+  for (const record of records) {
+    addTo(total, record);
+    if (!callers.has(record.caller)) callers.set(record.caller, { totals: emptyTotals(), skills: new Map() });
+    const entry = callers.get(record.caller);
+    addTo(entry.totals, record);
+    if (!entry.skills.has(record.skill)) entry.skills.set(record.skill, emptyTotals());
+    addTo(entry.skills.get(record.skill), record);
+  }
+
+  const byCalls = (a, b) => b.calls - a.calls;
+  return {
+    total: finish(total),
+    callers: [...callers].map(([caller, { totals, skills }]) => ({
+      caller,
+      ...finish(totals),
+      skills: [...skills].map(([skill, skillTotals]) => ({ skill, ...finish(skillTotals) })).sort(byCalls),
+    })).sort(byCalls),
+  };
+}
+
+/** One CSV field (RFC 4180 quoting) */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Records as CSV with a header row; `ts` becomes an ISO timestamp.
+ * @param {object[]} records
+ * @returns {string}
+ */
+export function usageToCsv(records) {
+  const rows = records.map(record => USAGE_FIELDS
+    .map(field => csvField(field === 'ts' ? new Date(record.ts).toISOString() : record[field]))
+    .join(','));
+  return `${[USAGE_FIELDS.join(','), ...rows].join('\n')}\n`;
+}
+
+// ─── Ledger ───────────────────────────────────────────────────
+
+/**
+ * Create an append-only usage ledger.
+ *
+ * @param {object} [options] - defaults to FIVE_FAN.skills.usage
+ * @param {string} [options.file] - JSONL path (directories are created)
+ * @param {boolean} [options.enabled] - false: record() is a no-op
+ * @returns {{ file: string, enabled: boolean, record: Function, read: Function, query: Function }}
+ */
+export function createUsageLedger(options = FIVE_FAN.skills?.usage ?? {}) {
+  const file = options.file ?? 'stores/5fan-usage.jsonl';
+  const enabled = options.enabled !== false;
+  let dirReady = false;
+  let warned = false;
+
+  /**
+   * Append a record. A failed write is logged once and never fails the call.
+   * @param {object} entry - from usageRecord()
+   * @returns {boolean} - false when disabled or the write failed
+   */
+  function record(entry) {
+    if (!enabled) return false;
+    try {
+      if (!dirReady) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        dirReady = true;
+      }
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+      return true;
+    } catch (err) {
+      if (!warned) console.error(`[5FAN-skills] Usage ledger write failed (${file}):`, err?.message ?? err);
+      warned = true;
+      return false;
+    }
+  }
+
+  /**
+   * Records matching a filter, oldest first. Lines that don't parse (a write
+   * cut short by a crash) are skipped.
+   * @param {object} [filter] - { caller, skill, from, to } from parseUsageQuery()
+   * @returns {object[]}
+   */
+  function read(filter = {}) {
+    if (!fs.existsSync(file)) return [];
+    const records = [];
+    for (const line of String(fs.readFileSync(file, 'utf8')).split('\n')) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (entry && typeof entry === 'object' && matches(entry, filter)) records.push(entry);
+    }
+    return records;
+  }
+
+  /**
+   * Aggregated usage for a filter.
+   * @param {object} [filter] - { caller, skill, from, to }
+   * @returns {{ ok: true, filter: object, total: object, callers: object[] }}
+   */
+  function query(filter = {}) {
+    return { ok: true, filter, ...summarizeUsage(read(filter)) };
+  }
+
+  return { file, enabled, record, read, query };
+}
+
+// ─── Shared Ledger ────────────────────────────────────────────
+
+let shared = null;
+
+/** The process-wide ledger every transport appends to */
+export function getUsageLedger() {
+  shared ??= createUsageLedger();
+  return shared;
+}
+
+/**
+ * Record one invocation in the shared ledger.
+ * @param {object} call - see usageRecord()
+ * @returns {boolean}
+ */
+export function recordUsage(call) {
+  const ledger = getUsageLedger();
+  return ledger.enabled ? ledger.record(usageRecord(call)) : false;
+}
+
+export default {
+  USAGE_FIELDS,
+  usageRecord,
+  parseUsageQuery,
+  summarizeUsage,
+  usageToCsv,
+  createUsageLedger,
+  getUsageLedger,
+  recordUsage,
+};
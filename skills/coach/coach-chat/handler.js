@@ -15,6 +15,8 @@
  *   - conversationHistory?: object[] — [{ role, content }] array
  *   - userStats?: object — { streak, tier, hiIndex, username, ... }
  *   - brainContext?: object — pre-existing brain analysis
+ * @param {object} [context] — { onProgress } — streaming callers receive the
+ *   brain scan (`stage: 'analysis'`) and LLM tokens (`stage: 'token'`) early
  * @returns {Promise<object>}
  *   - { ok, reply, method, brainScan, detectedIntent, suggestions }
  */
@@ -27,6 +29,7 @@ import { scan as viewScan, curateConsensus } from '../../../brains/view/function
 import { generate } from '../../../server/lm-bridge.js';
 import { BRIDGE_LIBRARY } from '../../eq-engine/data/bridge-library.js';
 import { FAMILY_MAP } from '../../eq-engine/data/emotion-families.js';
+import { traced } from '../../../skill-trace.js';
 
 // ── Intent Detection ─────────────────────────────────────────────────────────
 
@@ -87,12 +90,13 @@ function buildStatsReply(stats) {
 
 // ── Brain Analysis ───────────────────────────────────────────────────────────
 
-function analyzeFull(text) {
-  const hear = hearScan(text, {});
-  const inspyre = inspyreScan(text, {});
-  const flow = flowScan(text, {});
-  const you = youScan(text, {});
-  const view = viewScan(text, {});
+function analyzeFull(text, trace) {
+  const scan = (name, fn) => traced(trace, name, () => fn(text, {}), { kind: 'brain' });
+  const hear = scan('hear', hearScan);
+  const inspyre = scan('inspyre', inspyreScan);
+  const flow = scan('flow', flowScan);
+  const you = scan('you', youScan);
+  const view = scan('view', viewScan);
 
   const scans = [
     { brain: 'hear', ...hear },
@@ -183,8 +187,9 @@ Respond to the user's message. Mirror what you detect. Don't rush to solve — h
 
 // ── Main Handler ─────────────────────────────────────────────────────────────
 
-export async function handle(input) {
+export async function handle(input, context = {}) {
   const text = input?.text;
+  const onProgress = typeof context.onProgress === 'function' ? context.onProgress : null;
   if (!text || typeof text !== 'string' || !text.trim()) {
     return { ok: false, error: 'text is required for coach-chat.' };
   }
@@ -213,7 +218,18 @@ export async function handle(input) {
   }
 
   // Open mode — full brain analysis + LLM
-  const analysis = analyzeFull(text);
+  const analysis = analyzeFull(text, context.trace);
+  const brainScan = {
+    emotions: analysis.emotions,
+    signal: analysis.signal,
+    dominant: analysis.dominant,
+    themes: analysis.themes,
+    isCrisis: analysis.isCrisis,
+    consensus: analysis.consensus?.consensus,
+  };
+
+  // Streaming callers see the scan while the LLM is still working
+  onProgress?.({ stage: 'analysis', detectedIntent: 'open', brainScan });
 
   let reply = null;
   let method = 'template';
@@ -224,6 +240,9 @@ export async function handle(input) {
     const llmResponse = await generate(systemPrompt, text, {
       maxTokens: 200,
       temperature: 0.7,
+      signal: context.signal,
+      trace: context.trace,
+      ...(onProgress && { onToken: token => onProgress({ stage: 'token', token }) }),
     });
     if (llmResponse && llmResponse.length > 10 && llmResponse.length < 500) {
       reply = llmResponse;
@@ -249,14 +268,7 @@ export async function handle(input) {
     reply,
     method,
     detectedIntent: 'open',
-    brainScan: {
-      emotions: analysis.emotions,
-      signal: analysis.signal,
-      dominant: analysis.dominant,
-      themes: analysis.themes,
-      isCrisis: analysis.isCrisis,
-      consensus: analysis.consensus?.consensus,
-    },
+    brainScan,
     suggestions,
   };
 }
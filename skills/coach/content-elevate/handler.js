@@ -12,6 +12,7 @@
  * Brain-enhanced skill — uses Hear + Inspyre brains + LLM + template fallback.
  *
  * @param {object} input - { text: string, familyId?: string, tone?: string, format?: string }
+ * @param {object} [context] - { onProgress } — streams emotionalCore + LLM tokens
  * @returns {Promise<object>} - { ok, elevated, original, method, tone, emotionalCore }
  */
 
@@ -20,6 +21,7 @@ import { scan as inspyreScan } from '../../../brains/inspyre/functions.js';
 import { FAMILY_MAP, matchFamilyByText } from '../../eq-engine/data/emotion-families.js';
 import { generate } from '../../../server/lm-bridge.js';
 import { pick } from '../../../brains/5fan.js';
+import { traced } from '../../../skill-trace.js';
 
 /** Elevated prose templates — grouped by emotional territory */
 const ELEVATED_TEMPLATES = {
@@ -103,16 +105,17 @@ const ELEVATE_SYSTEM_PROMPT = [
   '- This is for a Hi-Note (shareable branded graphic) — make it timeless.',
 ].join('\n');
 
-export async function handle(input) {
+export async function handle(input, context = {}) {
   const { text, familyId, tone, format } = input || {};
+  const onProgress = typeof context.onProgress === 'function' ? context.onProgress : null;
 
   if (!text) {
     return { ok: false, error: 'text is required.' };
   }
 
   // Detect emotional territory
-  const hear = hearScan(text);
-  const inspyre = inspyreScan(text);
+  const hear = traced(context.trace, 'hear', () => hearScan(text), { kind: 'brain' });
+  const inspyre = traced(context.trace, 'inspyre', () => inspyreScan(text), { kind: 'brain' });
 
   // Resolve family (explicit or detected)
   let resolvedFamily = familyId;
@@ -131,6 +134,9 @@ export async function handle(input) {
     isCrisis: hear.isCrisis || false,
   };
 
+  // Streaming callers see the emotional read while the LLM is still working
+  onProgress?.({ stage: 'analysis', emotionalCore });
+
   // Build LLM prompt with emotional context
   const emotionContext = resolvedFamily
     ? `\nEmotional territory: ${family?.label || resolvedFamily}`
@@ -150,6 +156,9 @@ export async function handle(input) {
   const llmResult = await generate(ELEVATE_SYSTEM_PROMPT, prompt, {
     maxTokens: 200,
     temperature: 0.8,
+    signal: context.signal,
+    trace: context.trace,
+    ...(onProgress && { onToken: token => onProgress({ stage: 'token', token }) }),
   });
 
   if (llmResult) {
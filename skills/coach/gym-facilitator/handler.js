@@ -17,6 +17,7 @@
  *   - gymStep: number — current step (1-8), 0 = start new session
  *   - sessionHistory?: string[] — prior user messages in this session
  *   - brainContext?: object — external brain analysis to incorporate
+ * @param {object} [context] — { onProgress } — streams the step's brain scan + LLM tokens
  * @returns {Promise<object>}
  *   - { ok, gymStep, stepTitle, prompt, facilitation, method, sessionComplete }
  */
@@ -26,6 +27,7 @@ import { scan as inspyreScan } from '../../../brains/inspyre/functions.js';
 import { scan as flowScan } from '../../../brains/flow/functions.js';
 import { generate } from '../../../server/lm-bridge.js';
 import { BRIDGE_LIBRARY } from '../../eq-engine/data/bridge-library.js';
+import { traced } from '../../../skill-trace.js';
 
 // ── Hi Scale Reference (inline for standalone skill) ─────────────────────────
 
@@ -156,10 +158,11 @@ function pickRandom(arr) {
 
 // ── Brain Analysis per Step ──────────────────────────────────────────────────
 
-function analyzeForStep(text, step) {
-  const hear = hearScan(text, {});
-  const inspyre = inspyreScan(text, {});
-  const flow = flowScan(text, {});
+function analyzeForStep(text, step, trace) {
+  const scan = (name, fn) => traced(trace, name, () => fn(text, {}), { kind: 'brain' });
+  const hear = scan('hear', hearScan);
+  const inspyre = scan('inspyre', inspyreScan);
+  const flow = scan('flow', flowScan);
 
   const emotions = hear.emotions || [];
   const signal = hear.signal || 0;
@@ -207,8 +210,9 @@ RULES:
 
 // ── Main Handler ─────────────────────────────────────────────────────────────
 
-export async function handle(input) {
+export async function handle(input, context = {}) {
   const text = input?.text || '';
+  const onProgress = typeof context.onProgress === 'function' ? context.onProgress : null;
   let step = input?.gymStep ?? 0;
   const sessionHistory = input?.sessionHistory || [];
 
@@ -238,7 +242,15 @@ export async function handle(input) {
   }
 
   // Analyze the user's response with brain scans
-  const analysis = analyzeForStep(text, step);
+  const analysis = analyzeForStep(text, step, context.trace);
+  const brainScan = {
+    emotions: analysis.emotions,
+    signal: analysis.signal,
+    themes: analysis.themes,
+  };
+
+  // Streaming callers see the scan while the LLM is still working
+  onProgress?.({ stage: 'analysis', gymStep: step, brainScan });
 
   // Build session summary for context
   const fullHistory = [...sessionHistory, text];
@@ -254,6 +266,9 @@ export async function handle(input) {
         const llmResponse = await generate(promptText, text, {
           maxTokens: 200,
           temperature: 0.7,
+          signal: context.signal,
+          trace: context.trace,
+          ...(onProgress && { onToken: token => onProgress({ stage: 'token', token }) }),
         });
         if (llmResponse && llmResponse.length > 10 && llmResponse.length < 500) {
           facilitation = llmResponse;
@@ -302,11 +317,7 @@ export async function handle(input) {
     facilitation: nextStepDef?.instruction || 'Session complete. You did the work.',
     method,
     sessionComplete: isComplete,
-    brainScan: {
-      emotions: analysis.emotions,
-      signal: analysis.signal,
-      themes: analysis.themes,
-    },
+    brainScan,
     ...(sessionSummary && { sessionSummary }),
   };
 }
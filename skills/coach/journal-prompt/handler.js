@@ -23,6 +23,7 @@ import { FAMILY_MAP, matchFamilyByText } from '../../eq-engine/data/emotion-fami
 import { BRIDGE_LIBRARY } from '../../eq-engine/data/bridge-library.js';
 import { ALL_EMOTIONS } from '../../eq-engine/data/emotions.js';
 import { generate } from '../../../server/lm-bridge.js';
+import { traced } from '../../../skill-trace.js';
 
 // ── Template Prompts by Emotion Family ───────────────────────────────────────
 
@@ -142,7 +143,7 @@ function resolveFamily(input) {
 
 // ── Main Handler ─────────────────────────────────────────────────────────────
 
-export async function handle(input) {
+export async function handle(input, { signal, trace } = {}) {
   const count = Math.min(input?.count || 3, 5);
 
   // Resolve emotional territory
@@ -152,8 +153,8 @@ export async function handle(input) {
   // Brain analysis for personalization (if text provided)
   let brainScan = null;
   if (text.trim()) {
-    const hear = hearScan(text, {});
-    const inspyre = inspyreScan(text, {});
+    const hear = traced(trace, 'hear', () => hearScan(text, {}), { kind: 'brain' });
+    const inspyre = traced(trace, 'inspyre', () => inspyreScan(text, {}), { kind: 'brain' });
     brainScan = {
       emotions: hear.emotions || [],
       signal: hear.signal || 0,
@@ -187,7 +188,7 @@ RULES:
 - Return ONLY the numbered prompts, nothing else.`;
 
     try {
-      const llmResponse = await generate(llmPrompt, '', { maxTokens: 300, temperature: 0.8 });
+      const llmResponse = await generate(llmPrompt, '', { maxTokens: 300, temperature: 0.8, signal, trace });
       if (llmResponse && llmResponse.length > 30) {
         // Parse numbered list
         const parsed = llmResponse
@@ -80,7 +80,7 @@ function pickTemplate(category, ...args) {
 
 // ── LLM Celebration Generator ────────────────────────────────────────────────
 
-async function generateCelebration(milestoneType, data) {
+async function generateCelebration(milestoneType, data, signal, trace) {
   const name = data.username || 'a Stay Hi member';
   let description = '';
 
@@ -111,7 +111,7 @@ PRIVACY RULES (MANDATORY):
 Write 1-2 sentence celebration. Warm, direct, grounded — not cheesy. Hi-speak (Hi5, Stay Hi). One emoji max. End with Hi5 ✋ or Stay Hi ✋.`;
 
   try {
-    const reply = await generate(prompt, '', { maxTokens: 100, temperature: 0.8 });
+    const reply = await generate(prompt, '', { maxTokens: 100, temperature: 0.8, signal, trace });
     if (reply && reply.length > 10 && reply.length < 300) return reply;
   } catch {
     // Fall through
@@ -121,7 +121,7 @@ Write 1-2 sentence celebration. Warm, direct, grounded — not cheesy. Hi-speak
 
 // ── Main Handler ─────────────────────────────────────────────────────────────
 
-export async function handle(input) {
+export async function handle(input, { signal, trace } = {}) {
   const op = input?.op;
   const stats = input?.stats;
   const txResult = input?.txResult || {};
@@ -140,7 +140,7 @@ export async function handle(input) {
       if (stats.currentStreak === milestone) {
         const key = `${input.address || 'anon'}:streak:${milestone}`;
         if (!wasRecentlyCelebrated(key)) {
-          const llmText = await generateCelebration('streak', { username: name, streakDays: milestone });
+          const llmText = await generateCelebration('streak', { username: name, streakDays: milestone }, signal, trace);
           const text = llmText || pickTemplate('streak', name, milestone);
           if (llmText) method = 'llm';
           if (text) {
@@ -160,7 +160,7 @@ export async function handle(input) {
       if (prevBalance < threshold && stats.balance >= threshold) {
         const key = `${input.address || 'anon'}:balance:${threshold}`;
         if (!wasRecentlyCelebrated(key)) {
-          const llmText = await generateCelebration('balance', { username: name, balanceThreshold: threshold, balance: stats.balance });
+          const llmText = await generateCelebration('balance', { username: name, balanceThreshold: threshold, balance: stats.balance }, signal, trace);
           const text = llmText || pickTemplate('balance', name, threshold);
           if (llmText) method = 'llm';
           if (text) {
@@ -183,7 +183,7 @@ export async function handle(input) {
       const key = `${input.address || 'anon'}:tier:${tier}`;
       if (!wasRecentlyCelebrated(key)) {
         const tierName = tier.charAt(0).toUpperCase() + tier.slice(1);
-        const llmText = await generateCelebration('tier', { username: name, newTier: tierName });
+        const llmText = await generateCelebration('tier', { username: name, newTier: tierName }, signal, trace);
         const text = llmText || pickTemplate('tier', name, tierName);
         if (llmText) method = 'llm';
         if (text) {
@@ -198,7 +198,7 @@ export async function handle(input) {
   if (op === 'claim_hi5') {
     const key = `${input.address || 'anon'}:claim:first`;
     if (!wasRecentlyCelebrated(key)) {
-      const llmText = await generateCelebration('claim', { username: name });
+      const llmText = await generateCelebration('claim', { username: name }, signal, trace);
       const text = llmText || pickTemplate('claim', name);
       if (llmText) method = 'llm';
       if (text) {
@@ -231,7 +231,7 @@ function buildCandidates(stats) {
 
 // ── Main Handler ─────────────────────────────────────────────────────────────
 
-export async function handle(input) {
+export async function handle(input, { signal, trace } = {}) {
   const stats = normalizeStats(input?.stats);
   if (!stats || typeof stats !== 'object') {
     return { ok: false, error: 'stats object is required.' };
@@ -276,7 +276,7 @@ export async function handle(input) {
   if (allowLlmForSelection) {
     try {
       const prompt = `${nudgeDef.prompt(stats)}\n${LLM_METRIC_GUARD}`;
-      const llmText = await generate(prompt, '', { maxTokens: 100, temperature: 0.8 });
+      const llmText = await generate(prompt, '', { maxTokens: 100, temperature: 0.8, signal, trace });
       if (llmText && llmText.length > 10 && llmText.length < 300) {
         text = llmText;
         method = 'llm';
@@ -17,6 +17,7 @@
 import { scan as hearScan } from '../../../brains/hear/functions.js';
 import { scan as viewScan, curateConsensus } from '../../../brains/view/functions.js';
 import { generate } from '../../../server/lm-bridge.js';
+import { traced } from '../../../skill-trace.js';
 
 // ── Emotional Arc Tracker ────────────────────────────────────────────────────
 
@@ -112,7 +113,7 @@ function buildTemplateSummary(messages, emotionalArc, themes, sessionType) {
 
 // ── Main Handler ─────────────────────────────────────────────────────────────
 
-export async function handle(input) {
+export async function handle(input, { signal, trace } = {}) {
   const messages = input?.messages;
   if (!Array.isArray(messages) || messages.length === 0) {
     return { ok: false, error: 'messages array is required.' };
@@ -122,10 +123,10 @@ export async function handle(input) {
   const userStats = input?.userStats || null;
 
   // Track emotional arc
-  const emotionalArc = trackEmotionalArc(messages);
+  const emotionalArc = traced(trace, 'hear', () => trackEmotionalArc(messages), { kind: 'brain' });
 
   // Extract themes
-  const themes = extractThemes(messages);
+  const themes = traced(trace, 'view', () => extractThemes(messages), { kind: 'brain' });
 
   // Try LLM-generated summary
   let summary = null;
@@ -157,7 +158,7 @@ Write a 3-5 sentence summary. Include:
 Voice: Direct, warm, grounded. Hi-speak. End with "Stay Hi ✋".`;
 
   try {
-    const llmResponse = await generate(llmPrompt, '', { maxTokens: 200, temperature: 0.6 });
+    const llmResponse = await generate(llmPrompt, '', { maxTokens: 200, temperature: 0.6, signal, trace });
     if (llmResponse && llmResponse.length > 30 && llmResponse.length < 500) {
       summary = llmResponse;
       method = 'llm';
@@ -14,6 +14,7 @@
 import { scan as hearScan } from '../../../brains/hear/functions.js';
 import { BRIDGE_LIBRARY } from '../../eq-engine/data/bridge-library.js';
 import { generate } from '../../../server/lm-bridge.js';
+import { traced } from '../../../skill-trace.js';
 
 /** Valid tones — derived from bridge-library tone tags + community needs */
 const VALID_TONES = ['gentle', 'direct', 'reflective', 'celebratory'];
@@ -108,7 +109,7 @@ const TONE_REWRITE_PROMPT = {
   ].join('\n'),
 };
 
-export async function handle(input) {
+export async function handle(input, { signal, trace } = {}) {
   const { text, targetTone, detectOnly = false } = input || {};
 
   if (!text) {
@@ -119,7 +120,7 @@ export async function handle(input) {
   const detection = detectTone(text);
 
   // Run Hear scan for emotional context
-  const hear = hearScan(text);
+  const hear = traced(trace, 'hear', () => hearScan(text), { kind: 'brain' });
 
   if (detectOnly || !targetTone) {
     return {
@@ -161,6 +162,8 @@ export async function handle(input) {
   const llmResult = await generate(systemPrompt, text, {
     maxTokens: 120,
     temperature: 0.7,
+    signal,
+    trace,
   });
 
   if (llmResult) {
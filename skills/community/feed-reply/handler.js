@@ -52,7 +52,7 @@ const FEED_SYSTEM = [
   '- Never use hashtags or promotional language. Be real.',
 ].join('\n');
 
-export async function handle(input) {
+export async function handle(input, { signal, trace } = {}) {
   const { text, origin, tier, stats } = input || {};
 
   if (!text || text.trim().length < 3) {
@@ -62,7 +62,7 @@ export async function handle(input) {
   const meta = { origin, tier, stats, channel: 'feed' };
 
   // Run brain swarm analysis
-  const analysis = analyze(text, meta);
+  const analysis = analyze(text, meta, trace);
   const dominantBrain = analysis.dominantBrain;
 
   // Build brain tags from analysis
@@ -79,6 +79,8 @@ export async function handle(input) {
   const llmResult = await generate(systemPrompt, text, {
     maxTokens: 120,
     temperature: 0.75,
+    signal,
+    trace,
   });
 
   let response;
@@ -16,6 +16,7 @@ import { handle as emotionScan } from '../../eq-engine/emotion-scan/handler.js';
 import { handle as contentElevate } from '../../coach/content-elevate/handler.js';
 import { handle as socialCaption } from '../social-caption/handler.js';
 import { FAMILY_MAP } from '../../eq-engine/data/emotion-families.js';
+import { traced } from '../../../skill-trace.js';
 
 /** Hi5FAN pose options — broader variety tied to emotional zone */
 const POSES = {
@@ -220,7 +221,7 @@ function qualityRails({ bodyLines, titleBubble, pose, doodles, elevated }) {
   };
 }
 
-export async function handle(input) {
+export async function handle(input, { signal, trace } = {}) {
   const { text, replyText, userName, origin } = input || {};
 
   if (!text) {
@@ -228,47 +229,47 @@ export async function handle(input) {
   }
 
   // ── Step 1: Emotion Scan ────────────────────────────────────────
-  const scan = emotionScan({ text });
+  const scan = traced(trace, 'emotion-scan', () => emotionScan({ text }));
   const zone = resolveZone(scan);
   const familyId = scan.ok && scan.families?.length > 0 ? scan.families[0].id : null;
 
   // ── Step 2: Context Distill ─────────────────────────────────────
-  const distilled = contextDistill({ text, replyText, scan, zone });
+  const distilled = traced(trace, 'context-distill', () => contextDistill({ text, replyText, scan, zone }), { kind: 'step' });
 
   // ── Step 3: Copy Elevation ──────────────────────────────────────
-  const elevation = await contentElevate({
+  const elevation = await traced(trace, 'content-elevate', span => contentElevate({
     text: distilled.source,
     familyId,
     tone: distilled.tone,
-  });
+  }, { signal, trace: span }));
 
   const elevated = elevation.ok ? elevation.elevated : distilled.source;
   const bodyLines = toBodyLines(elevated);
 
   // ── Step 4: Imagery Director ────────────────────────────────────
-  const imagery = imageryDirector({ zone, universalTheme: distilled.universalTheme });
+  const imagery = traced(trace, 'imagery-director', () => imageryDirector({ zone, universalTheme: distilled.universalTheme }), { kind: 'step' });
 
   // Title bubble — family label or universal-theme default
   const family = familyId ? FAMILY_MAP[familyId] : null;
   const titleBubble = chooseTitleBubble(family, distilled.universalTheme);
 
   // ── Step 5: Quality Rails ───────────────────────────────────────
-  const quality = qualityRails({
+  const quality = traced(trace, 'quality-rails', () => qualityRails({
     bodyLines,
     titleBubble,
     pose: imagery.pose,
     doodles: imagery.doodles,
     elevated,
-  });
+  }), { kind: 'step' });
 
   // ── Step 6: Caption Craft ───────────────────────────────────────
-  const captionResult = await socialCaption({
+  const captionResult = await traced(trace, 'social-caption', span => socialCaption({
     text: elevated,
     platform: 'general',
     userName,
     hashtags: true,
     cta: false,
-  });
+  }, { signal, trace: span }));
 
   // Footer — attribution
   const footer = {
@@ -65,7 +65,7 @@ const TEMPLATES = {
   ],
 };
 
-export async function handle(input) {
+export async function handle(input, { signal, trace } = {}) {
   const { type, communityStats, recentTopics } = input || {};
 
   if (!type) {
@@ -111,6 +111,8 @@ export async function handle(input) {
   const llmResult = await generate(systemPrompt, `Write a ${type} community post.`, {
     maxTokens: 100,
     temperature: 0.85,
+    signal,
+    trace,
   });
 
   if (llmResult) {
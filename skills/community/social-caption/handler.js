@@ -113,7 +113,7 @@ const CAPTION_SYSTEM_PROMPT = [
   '- The caption should make someone stop scrolling.',
 ].join('\n');
 
-export async function handle(input) {
+export async function handle(input, { signal, trace } = {}) {
   const { text, platform = 'general', userName, hashtags: includeHashtags = true, cta = true } = input || {};
 
   if (!text) {
@@ -138,6 +138,8 @@ export async function handle(input) {
   const llmResult = await generate(CAPTION_SYSTEM_PROMPT, prompt, {
     maxTokens: Math.min(rules.maxChars / 2, 200),
     temperature: 0.8,
+    signal,
+    trace,
   });
 
   let caption;
@@ -16,6 +16,7 @@ import { FAMILY_MAP } from '../../eq-engine/data/emotion-families.js';
 import { scan as inspyreScan } from '../../../brains/inspyre/functions.js';
 import { generate } from '../../../server/lm-bridge.js';
 import { pick } from '../../../brains/5fan.js';
+import { traced } from '../../../skill-trace.js';
 
 /** System prompt for LLM bridge personalization */
 const BRIDGE_SYSTEM_PROMPT = [
@@ -31,7 +32,7 @@ const BRIDGE_SYSTEM_PROMPT = [
   '- Match the requested tone: gentle, direct, or reflective.',
 ].join('\n');
 
-export async function handle(input) {
+export async function handle(input, { signal, trace } = {}) {
   const { familyId, context = {}, tone } = input || {};
 
   if (!familyId) {
@@ -82,6 +83,8 @@ export async function handle(input) {
   const llmResult = await generate(BRIDGE_SYSTEM_PROMPT, prompt, {
     maxTokens: 120,
     temperature: 0.7,
+    signal,
+    trace,
   });
 
   if (llmResult) {
@@ -90,7 +93,7 @@ export async function handle(input) {
   }
 
   // Run Inspyre scan on the bridge text for growth/motivation signals
-  const inspyre = inspyreScan(personalizedText);
+  const inspyre = traced(trace, 'inspyre', () => inspyreScan(personalizedText), { kind: 'brain' });
 
   return {
     ok: true,
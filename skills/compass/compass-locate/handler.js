@@ -13,6 +13,7 @@
 import { ALL_EMOTIONS } from '../../eq-engine/data/emotions.js';
 import { EMOTION_FAMILIES, FAMILY_MAP, matchFamilyByText } from '../../eq-engine/data/emotion-families.js';
 import { scan as hearScan } from '../../../brains/hear/functions.js';
+import { traced } from '../../../skill-trace.js';
 
 /**
  * Find an emotion by ID.
@@ -75,7 +76,7 @@ function resolveFromText(text) {
   return { emotion: null, family: null, matchType: 'none' };
 }
 
-export async function handle(input) {
+export async function handle(input, { trace } = {}) {
   const { text, emotionId } = input || {};
 
   if (!text && !emotionId) {
@@ -107,7 +108,7 @@ export async function handle(input) {
 
   // Run Hear brain scan on the text (or emotion name if only ID was given)
   const scanText = text || emotion?.name || '';
-  const hear = scanText ? hearScan(scanText) : null;
+  const hear = scanText ? traced(trace, 'hear', () => hearScan(scanText), { kind: 'brain' }) : null;
 
   if (!emotion && !family) {
     return {
@@ -17,6 +17,7 @@ import { FAMILY_MAP } from '../../eq-engine/data/emotion-families.js';
 import { scan as flowScan } from '../../../brains/flow/functions.js';
 import { generate } from '../../../server/lm-bridge.js';
 import { pick } from '../../../brains/5fan.js';
+import { traced } from '../../../skill-trace.js';
 
 /** System prompt for LLM move personalization */
 const PRACTICE_SYSTEM_PROMPT = [
@@ -31,7 +32,7 @@ const PRACTICE_SYSTEM_PROMPT = [
   '- Never add disclaimers or "if you want to" hedging. Be confident.',
 ].join('\n');
 
-export async function handle(input) {
+export async function handle(input, { signal, trace } = {}) {
   const { familyId, desireId, type } = input || {};
 
   if (!familyId) {
@@ -91,6 +92,8 @@ export async function handle(input) {
   const llmResult = await generate(PRACTICE_SYSTEM_PROMPT, prompt, {
     maxTokens: 150,
     temperature: 0.7,
+    signal,
+    trace,
   });
 
   if (llmResult) {
@@ -99,7 +102,7 @@ export async function handle(input) {
   }
 
   // Run Flow scan on the instruction for momentum/consistency signals
-  const flow = flowScan(personalizedInstruction);
+  const flow = traced(trace, 'flow', () => flowScan(personalizedInstruction), { kind: 'brain' });
 
   return {
     ok: true,
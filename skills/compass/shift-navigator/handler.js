@@ -15,8 +15,9 @@ import { handle as locate } from '../compass-locate/handler.js';
 import { handle as interpret } from '../compass-interpret/handler.js';
 import { handle as point } from '../compass-point/handler.js';
 import { handle as practice } from '../compass-practice/handler.js';
+import { traced } from '../../../skill-trace.js';
 
-export async function handle(input) {
+export async function handle(input, { signal, trace } = {}) {
   const { text, context = {}, emotionId } = input || {};
 
   if (!text && !emotionId) {
@@ -24,7 +25,7 @@ export async function handle(input) {
   }
 
   // ── Gate 1: LOCATE ──────────────────────────────────────────────
-  const locateResult = await locate({ text, emotionId });
+  const locateResult = await traced(trace, 'compass-locate', span => locate({ text, emotionId }, { trace: span }));
 
   if (!locateResult.ok) {
     return {
@@ -47,22 +48,22 @@ export async function handle(input) {
   }
 
   // ── Gate 2: INTERPRET ───────────────────────────────────────────
-  const interpretResult = await interpret({
+  const interpretResult = await traced(trace, 'compass-interpret', span => interpret({
     familyId,
     context: { text, ...context },
-  });
+  }, { signal, trace: span }));
 
   // ── Gate 3: POINT ───────────────────────────────────────────────
-  const pointResult = point({ familyId });
+  const pointResult = traced(trace, 'compass-point', () => point({ familyId }));
 
   // ── Gate 4: PRACTICE ────────────────────────────────────────────
   // If a desire was linked to the bridge, use it for practice targeting
   const desireId = interpretResult.ok ? interpretResult.bridge?.forDesire : null;
 
-  const practiceResult = await practice({
+  const practiceResult = await traced(trace, 'compass-practice', span => practice({
     familyId,
     desireId: desireId || undefined,
-  });
+  }, { signal, trace: span }));
 
   // ── Composite Result ────────────────────────────────────────────
   return {
@@ -7,6 +7,10 @@
  * Server-side version of stay-hi-trac's alias-matcher.js.
  * No learned aliases (API-dependent) — uses static data only.
  *
+ * Matching is word-aware (brains/lexicon.js): a partial query has to start a
+ * word of the alias ("heart" → "broken heart", but "read" ✗ "dread"), and an
+ * alias found as whole words inside longer text counts as `contains`.
+ *
  * Pure data skill — no LLM.
  *
  * @param {object} input - { text: string }
@@ -15,6 +19,10 @@
 
 import { ALL_EMOTIONS } from '../data/emotions.js';
 import { EMOTION_FAMILIES } from '../data/emotion-families.js';
+import { createMatcher, startsWord, tokenize } from '../../../brains/5fan.js';
+
+/** Words of a phrase, normalized and re-joined — "Can’t breathe" → "cant breathe" */
+const normalize = phrase => tokenize(phrase).map(token => token.word).join(' ');
 
 export function handle(input) {
   const text = (input?.text || '').trim().toLowerCase();
@@ -22,6 +30,8 @@ export function handle(input) {
     return { ok: false, error: 'text must be at least 2 characters.' };
   }
 
+  const query = normalize(text);
+  const matcher = createMatcher(text);
   const familyScores = {}; // familyId → { score, matchType, matchedOn }
 
   function scoreFamily(familyId, score, type, matched) {
@@ -33,11 +43,14 @@ export function handle(input) {
   // 1. Static family aliases (130+ words across 10 families)
   for (const family of EMOTION_FAMILIES) {
     for (const alias of family.aliases) {
-      if (alias === text) {
+      const words = normalize(alias);
+      if (words === query) {
         scoreFamily(family.id, 100, 'exact', alias);
-      } else if (alias.startsWith(text)) {
+      } else if (words.startsWith(query)) {
         scoreFamily(family.id, 80, 'starts', alias);
-      } else if (text.length >= 3 && alias.includes(text)) {
+      } else if (matcher.has(alias)) {
+        scoreFamily(family.id, 70, 'contains', alias);
+      } else if (query.length >= 3 && startsWord(alias, query)) {
         scoreFamily(family.id, 60, 'partial', alias);
       }
     }
@@ -45,12 +58,14 @@ export function handle(input) {
 
   // 2. Emotion names (40 emotions)
   for (const emo of ALL_EMOTIONS) {
-    const name = emo.name.toLowerCase();
-    if (name === text) {
+    const name = normalize(emo.name);
+    if (name === query) {
       scoreFamily(emo.family, 100, 'emotion', emo.name);
-    } else if (name.startsWith(text)) {
+    } else if (name.startsWith(query)) {
       scoreFamily(emo.family, 85, 'emotion-starts', emo.name);
-    } else if (text.length >= 3 && name.includes(text)) {
+    } else if (matcher.has(emo.name)) {
+      scoreFamily(emo.family, 75, 'emotion-contains', emo.name);
+    } else if (query.length >= 3 && startsWord(emo.name, query)) {
       scoreFamily(emo.family, 65, 'emotion-partial', emo.name);
     }
   }
@@ -7,16 +7,32 @@
  * DETECTION ONLY — no intervention, no counseling, no advice.
  * Ships FREE to all callers on the network.
  *
+ * Phrases match whole words (brains/lexicon.js) — "skills" is not `kill`,
+ * "spills" is not `pills`. Only inflections are implied, so derived forms
+ * ("hopelessness") are listed alongside their base phrase.
+ *
+ * Negation stays conservative: a negated critical phrase ("I'm not
+ * suicidal") drops one tier — the level is at least `elevated` — and counts
+ * as an elevated phrase; it lowers the level but never clears it. Negated
+ * elevated phrases ("not hopeless") don't count. Both are listed under
+ * `matches.negated`.
+ *
  * Risk levels:
  *   - critical: Direct self-harm or suicidal language
  *   - elevated: Despair, hopelessness, isolation language
  *   - low: General emotional pain, no crisis indicators
  *   - none: No crisis signals detected
  *
- * @param {object} input - { text: string }
- * @returns {object} - { ok, riskLevel, matches, resources }
+ * With `explain: true` the result also carries `explain`: every matched
+ * phrase with its character spans, tier, and effect on riskLevel, plus the
+ * rule that set the level.
+ *
+ * @param {object} input - { text: string, explain?: boolean }
+ * @returns {object} - { ok, riskLevel, matches, resources, explain? }
  */
 
+import { createMatcher } from '../../../brains/5fan.js';
+
 const CRISIS_PHRASES = {
   critical: [
     'suicide', 'kill myself', 'end it all', 'want to die', 'no reason to live',
@@ -29,10 +45,10 @@ const CRISIS_PHRASES = {
     'no way out', 'only way out', "can't take it anymore",
   ],
   elevated: [
-    'hopeless', 'no hope', "can't see a future", "what's the point",
+    'hopeless', 'hopelessness', 'no hope', "can't see a future", "what's the point",
     'nobody cares', 'nobody would notice', 'nobody would miss me',
     'burden to everyone', "i'm a burden", 'everyone is better off',
-    "i don't matter", 'worthless', "i'm nothing", 'i have nothing',
+    "i don't matter", 'worthless', 'worthlessness', "i'm nothing", 'i have nothing',
     'completely alone', 'nobody understands', 'trapped', 'no escape',
     "can't do this", "can't keep going", 'giving up', 'done trying',
     'exhausted from living', 'tired of everything', 'tired of fighting',
@@ -78,25 +94,36 @@ export function handle(input) {
     return { ok: false, error: 'text is required' };
   }
 
+  const matcher = createMatcher(input.text);
   const criticalMatches = [];
   const elevatedMatches = [];
+  const negatedMatches = [];
 
   for (const phrase of CRISIS_PHRASES.critical) {
-    if (text.includes(phrase)) {
+    const found = matcher.assess(phrase);
+    if (!found) continue;
+    if (found.negated) {
+      negatedMatches.push(phrase);
+      elevatedMatches.push(phrase);
+    } else {
       criticalMatches.push(phrase);
     }
   }
 
   for (const phrase of CRISIS_PHRASES.elevated) {
-    if (text.includes(phrase)) {
-      elevatedMatches.push(phrase);
-    }
+    const found = matcher.assess(phrase);
+    if (!found) continue;
+    if (found.negated) negatedMatches.push(phrase);
+    else elevatedMatches.push(phrase);
   }
 
+  // A negated critical phrase drops exactly one tier — never to low
+  const negatedCritical = negatedMatches.filter(phrase => CRISIS_PHRASES.critical.includes(phrase));
+
   let riskLevel;
   if (criticalMatches.length > 0) {
     riskLevel = 'critical';
-  } else if (elevatedMatches.length >= 2) {
+  } else if (negatedCritical.length > 0 || elevatedMatches.length >= 2) {
     riskLevel = 'elevated';
   } else if (elevatedMatches.length === 1) {
     riskLevel = 'low';
@@ -112,6 +139,7 @@ export function handle(input) {
     matches: {
       critical: criticalMatches,
       elevated: elevatedMatches,
+      negated: negatedMatches,
       totalPhrases: criticalMatches.length + elevatedMatches.length,
     },
     resources: riskLevel !== 'none' ? RESOURCES : null,
@@ -122,5 +150,35 @@ export function handle(input) {
         : riskLevel === 'low'
           ? 'LOW: Some distress signals present but no immediate crisis indicators.'
           : 'No crisis signals detected.',
+    ...(input.explain === true && { explain: explainRisk(matcher, criticalMatches, elevatedMatches, negatedMatches, riskLevel) }),
+  };
+}
+
+/**
+ * Explain block. Spans are offsets into the caller's text (case-insensitive).
+ * Any critical phrase sets the level on its own, a negated one sets at
+ * least `elevated`; elevated phrases count toward the 2 needed for
+ * `elevated` (1 gives `low`).
+ */
+function explainRisk(matcher, criticalMatches, elevatedMatches, negatedMatches, riskLevel) {
+  const match = (term, tier, contribution) => {
+    const { spans, cues } = matcher.assess(term);
+    return { term, spans, list: `crisis-detect.${tier}`, cues, contribution };
+  };
+  const critical = new Set(CRISIS_PHRASES.critical);
+  return {
+    matches: [
+      ...criticalMatches.map(term => match(term, 'critical', { field: 'riskLevel', value: 'critical' })),
+      ...elevatedMatches.map(term => match(term, critical.has(term) ? 'critical' : 'elevated',
+        critical.has(term) ? { field: 'riskLevel', value: 'elevated' } : { field: 'riskLevel', delta: 1 })),
+      ...negatedMatches.filter(term => !critical.has(term)).map(term => match(term, 'elevated', { field: 'riskLevel', delta: 0 })),
+    ],
+    riskLevel: {
+      value: riskLevel,
+      critical: criticalMatches.length,
+      elevated: elevatedMatches.length,
+      negated: negatedMatches.length,
+      rule: 'any critical phrase → critical; a negated critical phrase or 2+ elevated phrases → elevated; 1 → low; none → none. A negated critical phrase also counts as elevated; a negated elevated phrase counts for nothing.',
+    },
   };
 }
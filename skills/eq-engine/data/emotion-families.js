@@ -17,6 +17,8 @@
  *   3-5 (Hi Inspo):     peace, drive, joy
  */
 
+import { createMatcher } from '../../../brains/5fan.js';
+
 export const EMOTION_FAMILIES = [
   // ── Hi Opportunity Zone (Hi Scale 1–2) ──────────────────────────────────
   {
@@ -223,19 +225,17 @@ export function getFamiliesInRange(min, max) {
 
 /**
  * Find which family best matches a free-text phrase.
- * Checks aliases across all families. Returns the family with the most hits.
+ * Checks aliases across all families (whole words — see brains/lexicon.js).
+ * Returns the family with the most hits.
  * This is the seed for the self-learning system — aliases grow over time.
  */
 export function matchFamilyByText(text) {
-  const lower = (text || '').toLowerCase();
+  const matcher = createMatcher(text);
   let best = null;
   let bestScore = 0;
 
   for (const family of EMOTION_FAMILIES) {
-    let score = 0;
-    for (const alias of family.aliases) {
-      if (lower.includes(alias)) score++;
-    }
+    const score = matcher.count(family.aliases);
     if (score > bestScore) {
       bestScore = score;
       best = family;
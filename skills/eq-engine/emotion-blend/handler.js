@@ -10,6 +10,10 @@
  * Also produces a Hi Scale vector (position per family) and an overall
  * blend signature for longitudinal tracking.
  *
+ * Aliases and emotion names match whole words (brains/lexicon.js). Each hit
+ * scores by its weight (intensifiers, "but" clauses); negated hits ("not
+ * angry") don't activate a family.
+ *
  * Pure data skill — no LLM.
  *
  * @param {object} input - { text: string }
@@ -18,6 +22,7 @@
 
 import { ALL_EMOTIONS } from '../data/emotions.js';
 import { EMOTION_FAMILIES, FAMILY_MAP } from '../data/emotion-families.js';
+import { createMatcher } from '../../../brains/5fan.js';
 
 export function handle(input) {
   const text = (input?.text || '').toLowerCase().trim();
@@ -26,6 +31,7 @@ export function handle(input) {
   }
 
   // Score each family by alias + emotion name hits
+  const matcher = createMatcher(input.text);
   const familyScores = {};
   for (const family of EMOTION_FAMILIES) {
     let score = 0;
@@ -33,8 +39,9 @@ export function handle(input) {
 
     // Check aliases
     for (const alias of family.aliases) {
-      if (text.includes(alias)) {
-        score += alias.length >= 5 ? 2 : 1; // Longer aliases are more specific
+      const found = matcher.assess(alias);
+      if (found && !found.negated) {
+        score += (alias.length >= 5 ? 2 : 1) * found.weight; // Longer aliases are more specific
         hits.push(alias);
       }
     }
@@ -42,9 +49,9 @@ export function handle(input) {
     // Check emotion names in this family
     const familyEmotions = ALL_EMOTIONS.filter(e => e.family === family.id);
     for (const emo of familyEmotions) {
-      const name = emo.name.toLowerCase();
-      if (text.includes(name)) {
-        score += 3; // Direct emotion name is strongest signal
+      const found = matcher.assess(emo.name);
+      if (found && !found.negated) {
+        score += 3 * found.weight; // Direct emotion name is strongest signal
         hits.push(emo.name);
       }
     }
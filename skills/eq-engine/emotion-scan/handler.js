@@ -3,15 +3,50 @@
  *
  * Matches free text against the 40-emotion vocabulary (3 categories, 10 families).
  * Returns all matched emotions with Hi Scale placement, family, valence, and arousal.
+ * Names, ids, aliases and family emoji match whole words (brains/lexicon.js).
+ *
+ * What surrounds a match shapes it: intensifiers, caps and the clause after
+ * a "but" weigh more in the averaged hiScale, diminishers and the clause
+ * before "but" less. A negated emotion ("not happy") is mirrored halfway
+ * across neutral (5 → 2, 2 → 3.5), with valence and category to match, and
+ * carries `negated: true`.
  *
  * Pure data skill — no LLM, no brains, no external calls.
  *
- * @param {object} input - { text: string }
- * @returns {object} - { ok, matches, families, hiScale, dominantCategory }
+ * With `explain: true` the result also carries `explain`: the character
+ * spans of every name, id or alias that matched, the list it came from, and
+ * its share of the averaged hiScale.
+ *
+ * @param {object} input - { text: string, explain?: boolean }
+ * @returns {object} - { ok, matches, families, hiScale, dominantCategory, explain? }
  */
 
 import { ALL_EMOTIONS, EMOTION_CATEGORIES } from '../data/emotions.js';
 import { EMOTION_FAMILIES } from '../data/emotion-families.js';
+import { createMatcher } from '../../../brains/5fan.js';
+
+/** Strongest reading among several terms for one emotion — affirmative first */
+function assessAny(matcher, terms) {
+  const found = terms.map(term => matcher.assess(term)).filter(Boolean);
+  const pool = found.some(f => !f.negated) ? found.filter(f => !f.negated) : found;
+  return pool.reduce((best, f) => (!best || f.weight > best.weight ? f : best), null);
+}
+
+/** A negated emotion, mirrored halfway across neutral (3) */
+function negateHiScale(hiScale) {
+  return 3 + (3 - hiScale) / 2;
+}
+
+function categoryFor(hiScale) {
+  return hiScale > 3.5 ? 'hi' : hiScale < 2.5 ? 'opportunity' : 'neutral';
+}
+
+/** Weight + polarity applied to a match */
+function shape(match, found) {
+  if (!found.negated) return { ...match, weight: found.weight };
+  const hiScale = negateHiScale(match.hiScale);
+  return { ...match, hiScale, valence: -match.valence, category: categoryFor(hiScale), negated: true, weight: found.weight };
+}
 
 export function handle(input) {
   const text = (input?.text || '').toLowerCase().trim();
@@ -19,6 +54,7 @@ export function handle(input) {
     return { ok: false, error: 'text is required' };
   }
 
+  const matcher = createMatcher(input.text);
   const matches = [];
   const familyHits = new Set();
 
@@ -28,8 +64,9 @@ export function handle(input) {
     const id = emotion.id;
 
     // Direct match on emotion name or id
-    if (text.includes(name) || text.includes(id)) {
-      matches.push({
+    const found = assessAny(matcher, [name, id]);
+    if (found) {
+      matches.push(shape({
         id: emotion.id,
         name: emotion.name,
         emoji: emotion.emoji,
@@ -39,18 +76,19 @@ export function handle(input) {
         valence: emotion.valence,
         arousal: emotion.arousal,
         matchType: 'emotion',
-      });
+      }, found));
       familyHits.add(emotion.family);
     }
   }
 
-  // Check family aliases for additional coverage
+  // Check family aliases (and the family emoji) for additional coverage
   for (const family of EMOTION_FAMILIES) {
-    for (const alias of family.aliases) {
-      if (text.includes(alias) && !familyHits.has(family.id)) {
+    for (const alias of [...family.aliases, family.emoji]) {
+      const found = !familyHits.has(family.id) && matcher.assess(alias);
+      if (found) {
         // Found a family alias not already covered by a direct emotion match
         familyHits.add(family.id);
-        matches.push({
+        matches.push(shape({
           id: `alias:${alias}`,
           name: alias,
           emoji: family.emoji,
@@ -60,7 +98,7 @@ export function handle(input) {
           valence: family.valence,
           arousal: 2, // default moderate
           matchType: 'alias',
-        });
+        }, found));
       }
     }
   }
@@ -80,9 +118,10 @@ export function handle(input) {
   const dominantCategory = Object.entries(categoryCounts)
     .sort((a, b) => b[1] - a[1])[0]?.[0] || 'neutral';
 
-  // Average Hi Scale
+  // Average Hi Scale, weighted
+  const totalWeight = matches.reduce((sum, m) => sum + m.weight, 0);
   const avgHiScale = matches.length > 0
-    ? Math.round((matches.reduce((sum, m) => sum + m.hiScale, 0) / matches.length) * 10) / 10
+    ? Math.round((matches.reduce((sum, m) => sum + m.hiScale * m.weight, 0) / totalWeight) * 10) / 10
     : 3;
 
   // Unique families hit
@@ -99,5 +138,35 @@ export function handle(input) {
     familyCount: families.length,
     hiScale: avgHiScale,
     dominantCategory,
+    ...(input.explain === true && { explain: explainScan(matcher, matches, totalWeight, avgHiScale, dominantCategory, categoryCounts) }),
+  };
+}
+
+/**
+ * Explain block. Spans are offsets into the caller's text (case-insensitive);
+ * a direct emotion match lists both its name and id when both appear.
+ */
+function explainScan(matcher, matches, totalWeight, hiScale, dominantCategory, categoryCounts) {
+  const share = m => Math.round(((m.hiScale * m.weight) / totalWeight) * 100) / 100;
+  return {
+    matches: matches.map((m) => {
+      const terms = m.matchType === 'emotion' ? [...new Set([m.name.toLowerCase(), m.id])] : [m.name];
+      return {
+        term: m.name,
+        spans: terms.flatMap(term => matcher.spans(term)).sort((a, b) => a[0] - b[0]),
+        list: m.matchType === 'emotion' ? 'emotion-scan.emotions' : `emotion-scan.aliases.${m.family}`,
+        cues: assessAny(matcher, terms).cues,
+        contribution: { field: 'hiScale', value: m.hiScale, weight: m.weight, delta: share(m) },
+      };
+    }),
+    hiScale: {
+      value: hiScale,
+      rule: 'weighted mean hiScale of all matches (1 decimal); 3 when nothing matched. Weights: ×1.5 intensified, caps, after "but"; ×0.5 diminished, before "but", negated. A negated match is mirrored halfway across 3. An alias only counts when no emotion or earlier alias of its family matched; aliases score the middle of the family range.',
+    },
+    dominantCategory: {
+      value: dominantCategory,
+      counts: categoryCounts,
+      rule: 'category with the most matches; ties favour hi, then neutral, then opportunity',
+    },
   };
 }
@@ -0,0 +1,179 @@
+/**
+ * Auth Test — API keys, HMAC signatures, scopes and rotation for skill-http
+ * Run: node tests/test-auth.js
+ *
+ * Unit-tests the keyring, then spawns skill-http.js with a keys file and
+ * CORS origins from the environment.
+ */
+
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:net';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(base) {
+  for (let i = 0; i < 50; i++) {
+    try {
+      return await (await fetch(`${base}/health`)).json();
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('skill-http did not start');
+}
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { createKeyring, normalizeKeys, hasScope, signRequest } = await import('../skill-auth.js');
+  const { FiveFanClient } = await import('../skill-client.js');
+
+  const PUBLIC = { id: 'backend', secret: 'public-secret-0123456789', scopes: ['public'] };
+  const INTERNAL = { id: 'billing', secret: 'internal-secret-0123456789', scopes: ['internal'] };
+  const ADMIN = { id: 'ops', secret: 'admin-secret-0123456789', scopes: ['admin'] };
+
+  console.log('\n=== Keyring ===\n');
+
+  const { keys, errors } = normalizeKeys([PUBLIC, { id: 'short', secret: 'x' }, { ...PUBLIC }, { id: 'odd', secret: 'y'.repeat(20), scopes: ['root'] }]);
+  check('bad keys reported and skipped', { ok: keys.length === 1 && errors.length === 3, error: errors.join('; ') });
+  check('scopes are a ladder', { ok: hasScope({ scopes: ['admin'] }, 'public') && hasScope({ scopes: ['internal'] }, 'public') && !hasScope({ scopes: ['public'] }, 'internal') && !hasScope(null, 'public') });
+
+  let clock = Date.parse('2026-01-01T00:00:00Z');
+  const ring = createKeyring({ keys: [PUBLIC, { ...ADMIN, expiresAt: '2026-01-02T00:00:00Z' }], now: () => clock });
+  const bearer = secret => ring.authenticate({ method: 'POST', path: '/skill/x', headers: { authorization: `Bearer ${secret}` } });
+  check('bearer key accepted', { ok: bearer(PUBLIC.secret).key?.id === 'backend' });
+  check('unknown bearer key refused', { ok: bearer('nope-nope-nope-nope').code === 'UNAUTHORIZED' });
+  check('no credentials refused', { ok: ring.authenticate({ method: 'POST', path: '/', headers: {} }).code === 'UNAUTHORIZED' });
+
+  const signed = (overrides = {}) => {
+    const request = { method: 'POST', path: '/skill/emotion-scan?stream=1', body: '{"text":"hi"}', ...overrides };
+    const headers = signRequest({ keyId: PUBLIC.id, secret: PUBLIC.secret, timestamp: clock, ...request });
+    return { ...request, headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])) };
+  };
+  const good = signed();
+  check('HMAC signature accepted', { ok: ring.authenticate(good).ok === true });
+  check('HMAC replay refused', { ok: /already used/.test(ring.authenticate(good).error) });
+  for (let i = 0; i < 12_000; i++) ring.authenticate(signed({ path: `/skill/emotion-scan?n=${i}` }));
+  check('replay still refused after 12k other signatures', { ok: /already used/.test(ring.authenticate(good).error) });
+  check('tampered body refused', { ok: ring.authenticate({ ...signed(), body: '{"text":"bye"}' }).code === 'UNAUTHORIZED' });
+  const stale = signed();
+  clock += 10 * 60_000;
+  check('stale timestamp refused', { ok: /within/.test(ring.authenticate(stale).error) });
+
+  check('key valid before expiresAt', { ok: bearer(ADMIN.secret).ok });
+  clock = Date.parse('2026-01-03T00:00:00Z');
+  check('expired key refused', { ok: bearer(ADMIN.secret).code === 'UNAUTHORIZED' && ring.list().find(k => k.id === 'ops').expired });
+  check('list() never exposes secrets', { ok: !JSON.stringify(ring.list()).includes('secret') });
+
+  console.log('\n=== skill-http ===\n');
+
+  const dir = mkdtempSync(join(tmpdir(), '5fan-auth-'));
+  const keysFile = join(dir, 'keys.json');
+  writeFileSync(keysFile, JSON.stringify({ keys: [PUBLIC, INTERNAL, ADMIN] }));
+  const script = fileURLToPath(new URL('../skill-http.js', import.meta.url));
+  const port = await freePort();
+  const child = spawn(process.execPath, [script], {
+    env: { ...process.env, PORT: String(port), FIVEFAN_HTTP_KEYS_FILE: keysFile, FIVEFAN_CORS_ORIGINS: 'https://app.example' },
+    stdio: 'ignore',
+  });
+
+  try {
+    const base = `http://127.0.0.1:${port}`;
+    await waitForHealth(base);
+    const post = (path, body, headers = {}) => fetch(`${base}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+    const auth = key => ({ Authorization: `Bearer ${key.secret}` });
+    const text = 'I feel calm today';
+
+    let res = await post('/skill/emotion-scan', { text });
+    check('no key → 401 even from localhost', { ok: res.status === 401 && res.headers.get('www-authenticate')?.startsWith('Bearer') && (await res.json()).code === 'UNAUTHORIZED' });
+    check('/health stays open', { ok: (await fetch(`${base}/health`)).status === 200 });
+
+    res = await post('/skill/emotion-scan', { text }, auth(PUBLIC));
+    check('public key calls public skill', { ok: res.status === 200 && (await res.json()).ok === true });
+    res = await post('/skill/tier-gate', { tier: 'free', feature: 'x' }, auth(PUBLIC));
+    check('public key → 403 on internal skill', { ok: res.status === 403 && (await res.json()).code === 'INTERNAL_ONLY' });
+    res = await post('/skill/batch', { calls: [{ skill: 'tier-gate', input: { tier: 'free', feature: 'x' } }] }, auth(PUBLIC));
+    check('batch refuses internal calls per call', { ok: (await res.json()).results['0'].code === 'INTERNAL_ONLY' });
+    res = await post('/skill/tier-gate', { tier: 'free', feature: 'x' }, auth(INTERNAL));
+    check('internal key calls internal skill', { ok: res.status === 200 });
+
+    res = await fetch(`${base}/metrics`, { headers: auth(INTERNAL) });
+    check('/metrics needs admin', { ok: res.status === 403 && (await res.json()).code === 'FORBIDDEN' });
+    res = await fetch(`${base}/metrics`, { headers: auth(ADMIN) });
+    check('admin key reads /metrics', { ok: res.status === 200 && (await res.text()).includes('fivefan_skill_calls_total') });
+    const listed = await (await fetch(`${base}/admin/keys`, { headers: auth(ADMIN) })).json();
+    check('/admin/keys lists ids, not secrets', { ok: listed.keys.length === 3 && !JSON.stringify(listed).includes(PUBLIC.secret) });
+
+    const signedClient = new FiveFanClient({ url: base, signingKey: { id: PUBLIC.id, secret: PUBLIC.secret } });
+    check('client HMAC signing matches the server', { ok: (await signedClient.skills.emotionScan({ text })).ok === true });
+    const tokenClient = new FiveFanClient({ url: base, token: PUBLIC.secret, retries: 0 });
+    check('client Bearer token', { ok: (await tokenClient.call('crisis-detect', { text })).ok === true });
+    const badClient = new FiveFanClient({ url: base, token: 'wrong-wrong-wrong-wrong', retries: 0 });
+    check('client gets UNAUTHORIZED, not a throw', { ok: (await badClient.call('crisis-detect', { text })).code === 'UNAUTHORIZED' });
+
+    res = await fetch(`${base}/health`, { headers: { Origin: 'https://app.example' } });
+    check('configured origin allowed', { ok: res.headers.get('access-control-allow-origin') === 'https://app.example' });
+    res = await fetch(`${base}/health`, { headers: { Origin: 'https://evil.example' } });
+    check('other origins get no CORS header', { ok: res.headers.get('access-control-allow-origin') === null });
+
+    res = await post('/skill/emotion-scan', { text: 'x'.repeat(1_100_000) }, auth(PUBLIC));
+    check('oversized body → 413', { ok: res.status === 413 });
+
+    // Rotation: the new key overlaps, the old one expires, reload picks it up
+    const ROTATED = { id: 'backend-2', secret: 'rotated-secret-0123456789', scopes: ['public'] };
+    writeFileSync(keysFile, JSON.stringify([{ ...PUBLIC, expiresAt: '2000-01-01T00:00:00Z' }, ROTATED, INTERNAL, ADMIN]));
+    res = await post('/admin/keys/reload', {}, auth(ADMIN));
+    check('reload endpoint', { ok: res.status === 200 && (await res.json()).loaded === 4 });
+    check('expired key refused after reload', { ok: (await post('/skill/emotion-scan', { text }, auth(PUBLIC))).status === 401 });
+    check('rotated key accepted', { ok: (await post('/skill/emotion-scan', { text }, auth(ROTATED))).status === 200 });
+
+    writeFileSync(keysFile, JSON.stringify([ADMIN]));
+    child.kill('SIGHUP');
+    await new Promise(resolve => setTimeout(resolve, 300));
+    check('SIGHUP reloads keys', { ok: (await post('/skill/emotion-scan', { text }, auth(ROTATED))).status === 401 });
+
+    writeFileSync(keysFile, '{ not json');
+    res = await post('/admin/keys/reload', {}, auth(ADMIN));
+    check('unreadable keysFile keeps current keys', { ok: res.status === 500 && (await post('/skill/emotion-scan', { text }, auth(ADMIN))).status === 200 });
+  } finally {
+    child.kill();
+  }
+
+  const exposed = spawnSync(process.execPath, [script], {
+    env: { ...process.env, PORT: String(await freePort()), FIVEFAN_HTTP_HOST: '0.0.0.0', FIVEFAN_HTTP_KEYS_FILE: '' },
+    encoding: 'utf8',
+    timeout: 20_000,
+  });
+  check('refuses a public bind without keys', { ok: exposed.status === 1 && exposed.stderr.includes('Refusing') });
+  rmSync(dir, { recursive: true, force: true });
+
+  console.log(`\n=== Auth Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
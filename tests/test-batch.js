@@ -0,0 +1,162 @@
+/**
+ * Skill Batch Test — skill:batch + dispatchBatch
+ * Run: node tests/test-batch.js
+ *
+ * Covers batch validation, concurrent execution with results keyed by id,
+ * per-call failures, internal-skill guards (P2P and the Express routes),
+ * and the all-or-nothing rate-limit charge over P2P.
+ */
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { validateBatch, runBatch, batchCost, MAX_BATCH_CALLS } = await import('../skill-batch.js');
+  const { dispatchBatch } = await import('../skill-dispatch.js');
+  const { MSG, validateCall, buildBatch } = await import('../skill-protocol.js');
+
+  const text = 'I feel so anxious and alone about tomorrow';
+  const calls = [
+    { id: 'scan', skill: 'emotion-scan', input: { text } },
+    { id: 'crisis', skill: 'crisis-detect', input: { text } },
+    { id: 'tone', skill: 'tone-match', input: { text, detectOnly: true } },
+  ];
+
+  console.log('\n=== Validation ===\n');
+
+  check('valid batch', { ok: validateBatch(calls).valid });
+  check('empty batch rejected', { ok: validateBatch([]).code === 'INVALID_BATCH' });
+  check('oversized batch rejected', { ok: !validateBatch(Array.from({ length: MAX_BATCH_CALLS + 1 }, () => ({ skill: 'emotion-scan' }))).valid });
+  const dupe = validateBatch([{ id: 'a', skill: 'emotion-scan' }, { id: 'a', skill: 'crisis-detect' }]);
+  check('duplicate id rejected', { ok: !dupe.valid && dupe.errors[0].field === 'calls[1].id' });
+  check('missing skill rejected', { ok: validateBatch([{ input: {} }]).errors[0].field === 'calls[0].skill' });
+  check('non-object input rejected', { ok: !validateBatch([{ skill: 'emotion-scan', input: 'x' }]).valid });
+  check('cost is one per call', { ok: batchCost(calls) === 3 });
+  check('buildBatch → valid skill:batch', { ok: validateCall(buildBatch(calls)).valid });
+  check('skill:batch without calls → INVALID_BATCH', { ok: validateCall({ type: MSG.BATCH }).code === 'INVALID_BATCH' });
+
+  console.log('\n=== Execution ===\n');
+
+  const batch = await dispatchBatch(calls);
+  check('results keyed by id', { ok: batch.ok && batch.order.join() === 'scan,crisis,tone' && Object.keys(batch.results).length === 3 });
+  check('each result is the skill output', { ok: Array.isArray(batch.results.scan.families) && typeof batch.results.crisis.riskLevel === 'string' });
+  check('succeeded/failed counts', { ok: batch.succeeded === 3 && batch.failed === 0 });
+
+  const mixed = await dispatchBatch([
+    { skill: 'emotion-scan', input: { text } },
+    { skill: 'nope' },
+    { skill: 'tier-gate', input: {} },
+  ]);
+  check('ids default to index', { ok: mixed.order.join() === '0,1,2' });
+  check('unknown skill fails only its call', { ok: mixed.results['1'].code === 'UNKNOWN_SKILL' && mixed.results['0'].ok !== false });
+  check('bad input fails only its call', { ok: mixed.results['2'].code === 'INVALID_INPUT' && mixed.failed === 2 });
+
+  const guarded = await dispatchBatch([{ skill: 'quality-score', input: { text } }, { skill: 'emotion-scan', input: { text } }], {
+    guard: skill => (skill === 'quality-score' ? { ok: false, error: 'INTERNAL_ONLY', code: 'INTERNAL_ONLY' } : null),
+  });
+  const proto = await dispatchBatch([{ id: '__proto__', skill: 'emotion-scan', input: { text } }, { id: 'constructor', skill: 'crisis-detect', input: { text } }]);
+  const wire = JSON.parse(JSON.stringify(proto));
+  check('"__proto__" and "constructor" are ordinary ids', { ok: Object.keys(wire.results).join() === '__proto__,constructor' && Array.isArray(wire.results.__proto__.families) && typeof wire.results.constructor.riskLevel === 'string' });
+  check('guard refuses a call without running it', { ok: guarded.results['0'].code === 'INTERNAL_ONLY' && guarded.succeeded === 1 });
+
+  let active = 0;
+  let peak = 0;
+  await runBatch([{ skill: 'a' }, { skill: 'b' }, { skill: 'c' }], {
+    run: async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      active--;
+      return { ok: true };
+    },
+  });
+  check('calls run concurrently', { ok: peak === 3 });
+
+  const thrown = await runBatch([{ skill: 'a' }], { run: async () => { throw new Error('boom'); } });
+  check('thrown runner error → SKILL_ERROR', { ok: thrown.results['0'].code === 'SKILL_ERROR' });
+
+  console.log('\n=== P2P skill:batch ===\n');
+
+  const { initSkillServer } = await import('../server/skill-server.js');
+  const handlers = {};
+  const sent = [];
+  const sidechannel = {
+    on: (channel, fn) => { handlers[channel] = fn; },
+    broadcast: (channel, payload) => sent.push(JSON.parse(payload)),
+  };
+  initSkillServer(sidechannel, {});
+  const channel = handlers['5fan-skill-emotion-scan'];
+
+  await channel({ ...buildBatch([...calls, { id: 'q', skill: 'quality-score', input: { text } }], 'b1'), from: 'peer-a' });
+  const result = sent.find(m => m.callId === 'b1');
+  check('skill:batch-result broadcast', { ok: result?.type === MSG.BATCH_RESULT && result.order.length === 4 });
+  check('internal skill denied per call', { ok: result?.results.q.code === 'ACCESS_DENIED' && result.results.scan.ok === true });
+
+  // peer-b: 30 calls/minute — 25 fit, the next batch of 6 doesn't, a single call still does
+  const big = Array.from({ length: 25 }, (_, i) => ({ skill: 'emotion-scan', input: { text: `calm ${i}` } }));
+  await channel({ ...buildBatch(big, 'b2'), from: 'peer-b' });
+  await channel({ ...buildBatch(big.slice(0, 6), 'b3'), from: 'peer-b' });
+  check('batch within the limit runs', { ok: sent.find(m => m.callId === 'b2')?.succeeded === 25 });
+  const limited = sent.find(m => m.callId === 'b3');
+  check('over-limit batch rejected as a whole', { ok: limited?.code === 'RATE_LIMITED' && !limited.results });
+  await channel({ ...buildBatch(big.slice(0, 3), 'b4'), from: 'peer-b' });
+  check('rejection charged once, not per call', { ok: sent.find(m => m.callId === 'b4')?.succeeded === 3 });
+
+  console.log('\n=== Express /v1/5fan/skill/batch ===\n');
+
+  const { mountSkillRoutes } = await import('../server/skill-server.js');
+  const routes = {};
+  mountSkillRoutes({ post: (path, fn) => { routes[path] = fn; }, get: () => {} });
+  const expressBatch = async (ip, body) => {
+    const res = {
+      statusCode: 200, body: null,
+      set() { return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { this.body = payload; return this; },
+      on() {},
+    };
+    await routes['/v1/5fan/skill/batch']({ ip, body, query: {}, get: () => undefined }, res);
+    return res;
+  };
+  const withInternal = { calls: [calls[0], { id: 'q', skill: 'quality-score', input: { text } }] };
+  let res = await expressBatch('203.0.113.7', withInternal);
+  check('remote caller: internal skill denied per call', { ok: res.statusCode === 200 && res.body.results.q.code === 'ACCESS_DENIED' && res.body.results.scan.ok === true, error: JSON.stringify(res.body?.results?.q) });
+  res = await expressBatch('127.0.0.1', withInternal);
+  check('loopback caller reaches internal skills', { ok: res.body.results.q.code !== 'ACCESS_DENIED' });
+
+  const expressCall = async (ip, skill, body) => {
+    const res = {
+      statusCode: 200, body: null,
+      set() { return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { this.body = payload; return this; },
+      on() {},
+    };
+    await routes['/v1/5fan/skill/:brain']({ ip, params: { brain: skill }, body, query: {}, get: () => undefined }, res);
+    return res;
+  };
+  res = await expressCall('203.0.113.7', 'quality-score', { text });
+  check('single route: remote caller refused an internal skill', { ok: res.statusCode === 403 && res.body.code === 'ACCESS_DENIED', error: JSON.stringify(res.body) });
+  res = await expressCall('127.0.0.1', 'quality-score', { text });
+  check('single route: loopback caller served', { ok: res.statusCode === 200 && res.body.ok === true });
+  res = await expressCall('203.0.113.7', 'emotion-scan', { text });
+  check('single route: public skills still served remotely', { ok: res.statusCode === 200 });
+
+  console.log(`\n=== Batch Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
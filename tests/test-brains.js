@@ -0,0 +1,168 @@
+/**
+ * Brain Registry Test — brains added and dropped without touching the swarm
+ * Run: node tests/test-brains.js
+ *
+ * Starts with Inspyre disabled (FIVEFAN_BRAINS_DISABLED) and a sixth
+ * "craving" brain loaded from a throwaway folder (FIVEFAN_BRAINS), both set
+ * before the registry is imported, then registers and drops one at runtime.
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const dir = mkdtempSync(join(tmpdir(), '5fan-brains-'));
+const cravingDir = join(dir, 'craving');
+process.env.FIVEFAN_BRAINS_DISABLED = 'inspyre';
+process.env.FIVEFAN_BRAINS = cravingDir;
+process.env.FIVEFAN_USAGE_FILE = join(dir, 'usage.jsonl');
+
+const shared = new URL('../brains/5fan.js', import.meta.url).href;
+mkdirSync(cravingDir);
+writeFileSync(join(cravingDir, 'roleConfig.js'), `
+export default {
+  name: 'craving',
+  title: 'Craving',
+  emoji: '🌊',
+  tagsField: 'urges',
+  triggers: ['craving', 'crave', 'urge', 'relapse', 'drink', 'using again'],
+};
+`);
+writeFileSync(join(cravingDir, 'functions.js'), `
+import { createMatcher, signalStrength } from ${JSON.stringify(shared)};
+import roleConfig from './roleConfig.js';
+
+export function scan(text) {
+  const matcher = createMatcher(text);
+  const urges = matcher.filter(roleConfig.triggers);
+  return {
+    brain: 'craving',
+    signal: signalStrength(text, roleConfig.triggers, matcher),
+    category: urges.length ? 'urge' : 'neutral',
+    urges,
+    summary: urges.length ? 'Urge: ' + urges.join(', ') : 'No urge detected.',
+  };
+}
+
+export function fulfill() {
+  return 'That pull is real. Ride it out with me for ten minutes.';
+}
+`);
+writeFileSync(join(cravingDir, 'skill.json'), JSON.stringify({
+  title: 'Craving',
+  emoji: '🌊',
+  encodes: 'Recovery support — notices urges and stays with them.',
+  domain: 'Cravings, urges and relapse risk.',
+  accepts: { text: { type: 'string', required: true, description: 'The human message to scan for urges.' } },
+  returns: {
+    signal: '0-1 float — urge strength',
+    category: 'urge | neutral',
+    urges: { type: 'array', description: 'Urge words detected' },
+    response: 'string — a steadying response',
+  },
+  chainsWith: ['hear', 'inspyre', '5fan-swarm'],
+}));
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const registry = await import('../brains/registry.js');
+  const { BRAINS } = await import('../brains/5fan.js');
+  const { analyze, analyzeAndRespond } = await import('../server/brain-swarm.js');
+  const { SKILL_REGISTRY, buildManifest, buildCall, validateInput } = await import('../skill-protocol.js');
+
+  console.log('\n=== Startup ===\n');
+
+  check('inspyre dropped, craving added after the built-ins', { ok: BRAINS.join() === 'hear,flow,you,view,craving', error: BRAINS.join() });
+  check('getBrain + listBrains', { ok: registry.getBrain('inspyre') === null && registry.getBrain('craving').tagsField === 'urges' && registry.listBrains().length === 5 });
+  check('built-ins carry their skill.json', { ok: registry.getBrain('hear').skill.skill === 'hear' });
+
+  console.log('\n=== Swarm ===\n');
+
+  const text = "I'm craving a drink so bad tonight";
+  let analysis = analyze(text, { explain: true });
+  check('analyze() scans every registered brain', { ok: analysis.scans.map(s => s.brain).join() === BRAINS.join() });
+  check('curateConsensus() picks the new brain', { ok: analysis.dominantBrain === 'craving' && analysis.consensus.allSignals.craving > 0 && !('inspyre' in analysis.consensus.allSignals) });
+  check('tags come from its tagsField', { ok: analysis.tags.includes('craving') && analysis.tags.includes('drink') });
+  check('consensus rule lists the scan order', { ok: analysis.consensus.explain.rule.includes('hear, flow, you, view, craving') });
+  const responded = analyzeAndRespond(text);
+  check('analyzeAndRespond() uses its fulfill()', { ok: responded.brain === 'craving' && responded.response.startsWith('That pull is real') });
+
+  console.log('\n=== Protocol ===\n');
+
+  check('registry entry from skill.json', { ok: SKILL_REGISTRY.craving?.channel === '5fan-skill-craving' && SKILL_REGISTRY.craving.encodes.startsWith('Recovery') && !SKILL_REGISTRY.inspyre });
+  check('dropped brains leave chainsWith', { ok: SKILL_REGISTRY.craving.chainsWith.join() === 'hear,5fan-swarm' && !SKILL_REGISTRY.hear.chainsWith.includes('inspyre') });
+  const names = buildManifest().skills.map(s => s.name);
+  check('manifest lists craving, not inspyre', { ok: names.includes('craving') && !names.includes('inspyre') });
+  check('input validated against its accepts', { ok: validateInput('craving', {}).valid === false && validateInput('craving', { text: 'x' }).valid === true });
+
+  console.log('\n=== P2P ===\n');
+
+  const { initSkillServer } = await import('../server/skill-server.js');
+  const handlers = {};
+  const sent = [];
+  initSkillServer({
+    on: (channel, fn) => { handlers[channel] = fn; },
+    broadcast: (channel, payload) => sent.push({ channel, ...JSON.parse(payload) }),
+  }, {});
+  const reply = callId => sent.find(m => m.callId === callId);
+
+  check('channel per registered brain', { ok: typeof handlers['5fan-skill-craving'] === 'function' && !handlers['5fan-skill-inspyre'] });
+  await handlers['5fan-skill-craving']({ ...buildCall('craving', 'the urge is back', {}, 'c1'), from: 'peer-x' });
+  const output = reply('c1')?.output;
+  check('skill:call answered by the brain', { ok: output?.brain === 'craving' && output.urges.includes('urge') && output.response.startsWith('That pull') });
+  await handlers['5fan-skill-hear']({ ...buildCall('inspyre', 'quit', {}, 'c2'), from: 'peer-x' });
+  check('dropped brain is an unknown skill', { ok: reply('c2')?.type === 'skill:error' });
+
+  console.log('\n=== Runtime ===\n');
+
+  const focus = {
+    roleConfig: { name: 'focus', tagsField: 'distractions' },
+    scan: t => ({ brain: 'focus', signal: t.includes('distracted') ? 1 : 0, category: 'focus', distractions: ['distracted'], summary: 'Distracted.' }),
+    fulfill: () => 'One thing at a time.',
+  };
+  const manifestsBefore = sent.filter(m => m.type === 'skill:manifest').length;
+  check('registerBrain()', { ok: registry.registerBrain(focus).ok === true && BRAINS.at(-1) === 'focus' });
+  check('joins analyze()', { ok: analyze('so distracted today').dominantBrain === 'focus' });
+  check('gets a channel + manifest broadcast', {
+    ok: typeof handlers['5fan-skill-focus'] === 'function' && sent.filter(m => m.type === 'skill:manifest').length > manifestsBefore && SKILL_REGISTRY.focus?.version === '1.0.0',
+  });
+  check('duplicate → BRAIN_EXISTS', { ok: registry.registerBrain(focus).code === 'BRAIN_EXISTS' });
+  check('bad name → INVALID_BRAIN', { ok: registry.registerBrain({ ...focus, name: 'focus-two' }).code === 'INVALID_BRAIN' });
+  check('no fulfill → INVALID_BRAIN', { ok: registry.registerBrain({ ...focus, name: 'focustwo', fulfill: undefined }).code === 'INVALID_BRAIN' });
+
+  check('unregisterBrain()', { ok: registry.unregisterBrain('focus').ok === true && !BRAINS.includes('focus') && !SKILL_REGISTRY.focus });
+  check('left analyze()', { ok: !analyze('so distracted today').scans.some(s => s.brain === 'focus') });
+  check('unknown → UNKNOWN_BRAIN', { ok: registry.unregisterBrain('focus').code === 'UNKNOWN_BRAIN' });
+
+  const reframe = SKILL_REGISTRY.reframe;
+  registry.registerBrain({ ...focus, name: 'reframe' });
+  check('a data skill keeps its name', { ok: SKILL_REGISTRY.reframe === reframe });
+  registry.unregisterBrain('reframe');
+  check('...also on unregister', { ok: SKILL_REGISTRY.reframe === reframe });
+
+  const broken = await registry.loadBrain(join(dir, 'missing'));
+  check('loadBrain() on a bad folder → INVALID_BRAIN', { ok: broken.ok === false && broken.code === 'INVALID_BRAIN' });
+
+  rmSync(dir, { recursive: true, force: true });
+
+  console.log(`\n=== Brains Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  rmSync(dir, { recursive: true, force: true });
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+/**
+ * Skill Cache Test — LRU result cache for deterministic skills
+ * Run: node tests/test-cache.js
+ *
+ * Covers the LRU + TTL mechanics, input normalization, dispatcher hits and
+ * misses, and the bypass flag.
+ */
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { createLruCache, cacheKey } = await import('../skill-cache.js');
+  const { dispatch, isCacheable, getCacheStats, clearCache } = await import('../skill-dispatch.js');
+  const { buildManifest } = await import('../skill-protocol.js');
+
+  console.log('\n=== LRU + TTL ===\n');
+
+  let clock = 0;
+  const lru = createLruCache({ maxEntries: 2, ttlMs: 100, now: () => clock });
+  lru.set('a', { n: 1 });
+  lru.set('b', { n: 2 });
+  lru.get('a');
+  lru.set('c', { n: 3 });
+  check('least recently used entry evicted', { ok: lru.get('b') === undefined && lru.get('a')?.n === 1 && lru.stats().evictions === 1 });
+
+  clock = 150;
+  check('expired entry misses', { ok: lru.get('a') === undefined && lru.stats().size === 1 });
+  lru.set('d', { n: 4 }, 1000);
+  clock = 900;
+  check('per-entry TTL override', { ok: lru.get('d')?.n === 4 });
+
+  const copy = lru.get('d');
+  copy.n = 99;
+  check('hits return copies', { ok: lru.get('d').n === 4 });
+  check('hit rate reported', { ok: lru.stats().hitRate > 0 && lru.stats().hits === 5 });
+
+  check('key ignores property order', { ok: cacheKey('x', { a: 1, b: { c: 2, d: 3 } }) === cacheKey('x', { b: { d: 3, c: 2 }, a: 1 }) });
+  check('key distinguishes values', { ok: cacheKey('x', { a: 1 }) !== cacheKey('x', { a: 2 }) });
+  check('key ignores undefined fields', { ok: cacheKey('x', { a: 1, b: undefined }) === cacheKey('x', { a: 1 }) });
+
+  console.log('\n=== Dispatcher ===\n');
+
+  check('eq-engine skills are cacheable', { ok: isCacheable('emotion-scan') && isCacheable('micro-move') });
+  check('clock-stamped skills are not', { ok: !isCacheable('wellness-score') });
+  check('LLM skills are not', { ok: !isCacheable('coach-chat') && !isCacheable('journal-prompt') });
+  check('manifest flags deterministic skills', { ok: buildManifest().skills.find(s => s.name === 'emotion-scan')?.deterministic === true });
+
+  clearCache();
+  const first = await dispatch('emotion-scan', { text: 'I feel calm and grateful today' });
+  const second = await dispatch('emotion-scan', { text: 'I feel calm and grateful today' });
+  let stats = getCacheStats();
+  check('first call misses, second hits', { ok: stats.misses === 1 && stats.hits === 1 && stats.size === 1, error: JSON.stringify(stats) });
+  check('cached result matches', { ok: JSON.stringify(first) === JSON.stringify(second) });
+
+  await dispatch('emotion-scan', { text: 'I feel calm and grateful today' }, { cache: false });
+  stats = getCacheStats();
+  check('cache: false bypasses lookup', { ok: stats.hits === 1 && stats.misses === 1 });
+
+  await dispatch('coach-chat', { text: 'hello' });
+  check('non-deterministic skills skip the cache', { ok: getCacheStats().size === 1 });
+
+  await dispatch('micro-move', { familyId: 'not-a-family' });
+  await dispatch('micro-move', { familyId: 'not-a-family' });
+  stats = getCacheStats();
+  check('failures are not cached', { ok: stats.size === 1 && stats.hits === 1 });
+
+  await dispatch('emotion-scan', {});
+  check('invalid input never reaches the cache', { ok: getCacheStats().misses === stats.misses });
+
+  console.log(`\n=== Cache Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
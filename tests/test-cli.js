@@ -0,0 +1,105 @@
+/**
+ * CLI Test — 5fan list / describe / call, single and bulk
+ * Run: node tests/test-cli.js
+ *
+ * Drives main() with in-memory streams, plus one real `node skill-cli.js`
+ * run for exit codes.
+ */
+
+import { spawnSync } from 'node:child_process';
+import { Readable, Writable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+
+/** Run the CLI in-process: { code, out, err } */
+async function run(main, argv, stdinText = null) {
+  let out = '';
+  let err = '';
+  const stdin = stdinText === null ? Object.assign(Readable.from([]), { isTTY: true }) : Readable.from([stdinText]);
+  const sink = append => new Writable({ write(chunk, _enc, done) { append(String(chunk)); done(); } });
+  const code = await main(argv, { stdin, stdout: sink(s => { out += s; }), stderr: sink(s => { err += s; }) });
+  return { code, out, err };
+}
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { main, parseArgs } = await import('../skill-cli.js');
+  const { SKILL_NAMES } = await import('../skill-dispatch.js');
+
+  console.log('\n=== Arguments ===\n');
+
+  const args = parseArgs(['call', 'tone-match', '--text', 'hi', '--target-tone=warm', '--json', '--deadline-ms', '500']);
+  check('fields camelCased, flags split out', { ok: args.fields.text === 'hi' && args.fields.targetTone === 'warm' && args.flags.json === true && args.flags['deadline-ms'] === '500' });
+  check('missing value is an error', { ok: !!parseArgs(['call', 'x', '--text']).error });
+
+  console.log('\n=== list / describe ===\n');
+
+  let res = await run(main, ['list', '--json']);
+  const listed = JSON.parse(res.out);
+  check('list --json covers every skill', { ok: res.code === 0 && listed.length === SKILL_NAMES.length });
+  res = await run(main, ['list', '--cluster', 'eq-engine']);
+  check('list --cluster filters', { ok: res.out.includes('crisis-detect') && !res.out.includes('coach-chat') });
+
+  res = await run(main, ['describe', 'crisis-detect']);
+  check('describe shows flags + returns', { ok: res.code === 0 && res.out.includes('--text') && res.out.includes('riskLevel') });
+  res = await run(main, ['describe', 'crisis-detect', '--json']);
+  check('describe --json includes schemas', { ok: JSON.parse(res.out).schema.input.required.includes('text') });
+  res = await run(main, ['describe', 'nope']);
+  check('unknown skill → exit 2', { ok: res.code === 2 && res.err.includes('Unknown skill') });
+
+  console.log('\n=== call ===\n');
+
+  res = await run(main, ['call', 'crisis-detect', '--text', 'I want to kill myself', '--json']);
+  check('call --json prints the result', { ok: res.code === 0 && JSON.parse(res.out).riskLevel === 'critical' });
+  res = await run(main, ['call', 'crisis-detect', '--text', 'I want to kill myself']);
+  check('pretty output', { ok: res.out.startsWith('✅ crisis-detect') && res.out.includes('riskLevel: critical') });
+
+  res = await run(main, ['call', 'emotion-scan', '--text', '']);
+  check('skill error → exit 1 with field errors', { ok: res.code === 1 && res.out.includes('INVALID_INPUT') && res.out.includes('• text') });
+
+  res = await run(main, ['call', 'coach-chat', '--input', '{"text":"so tired"}', '--conversation-history', '[]', '--json']);
+  check('--input + schema-typed fields', { ok: res.code === 0 && typeof JSON.parse(res.out).reply === 'string' });
+  res = await run(main, ['call', 'coach-chat', '--input', '{oops']);
+  check('bad --input → exit 2', { ok: res.code === 2 && res.err.includes('--input') });
+
+  res = await run(main, ['call', 'coach-chat', '--text', 'so tired', '--stream', '--json']);
+  check('--stream sends progress to stderr', { ok: JSON.parse(res.err.split('\n')[0]).stage === 'analysis' && JSON.parse(res.out).ok === true });
+
+  console.log('\n=== bulk ===\n');
+
+  res = await run(main, ['call', 'emotion-scan', '--json'], '{"text":"I feel calm"}\nso angry\n\n{broken\n');
+  const lines = res.out.trim().split('\n').map(line => JSON.parse(line));
+  check('one JSONL record per input line', { ok: lines.length === 3 && lines[0].line === 1 && lines[1].line === 2 });
+  check('plain text lines become { text }', { ok: lines[1].result.ok === true && lines[1].result.families.length > 0 });
+  check('bad line reported, run continues, exit 1', { ok: lines[2].result.code === 'INVALID_LINE' && res.code === 1 });
+
+  res = await run(main, ['call', '-'], '{"skill":"crisis-detect","input":{"text":"fine"}}\n{"skill":"emotion-scan","input":{"text":"joy"}}\n');
+  check('`call -` reads { skill, input } lines', { ok: res.code === 0 && res.out.includes('#1 ✅ crisis-detect') && res.out.includes('#2 ✅ emotion-scan') && res.out.includes('2 lines, 0 failed') });
+
+  console.log('\n=== executable ===\n');
+
+  const cli = fileURLToPath(new URL('../skill-cli.js', import.meta.url));
+  const direct = spawnSync(process.execPath, [cli, 'call', 'crisis-detect', '--text', 'ok', '--json'], { encoding: 'utf8', timeout: 20_000 });
+  check('node skill-cli.js runs main()', { ok: direct.status === 0 && JSON.parse(direct.stdout).riskLevel === 'none' });
+  const usage = spawnSync(process.execPath, [cli], { encoding: 'utf8', timeout: 20_000 });
+  check('no command → usage, exit 2', { ok: usage.status === 2 && usage.stderr.includes('Usage') });
+
+  console.log(`\n=== CLI Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
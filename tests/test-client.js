@@ -0,0 +1,211 @@
+/**
+ * Client Test — FiveFanClient over local, skill-http and SC-Bridge
+ * Run: node tests/test-client.js
+ *
+ * The SC-Bridge side uses a fake WebSocket that answers like
+ * features/sc-bridge (hello, token auth, replies echoing the request id);
+ * the HTTP side spawns skill-http.js on a free port.
+ */
+
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { fileURLToPath } from 'node:url';
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(base) {
+  for (let i = 0; i < 50; i++) {
+    try {
+      return await (await fetch(`${base}/health`)).json();
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('skill-http did not start');
+}
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { FiveFanClient, skillName } = await import('../skill-client.js');
+  const { dispatch, dispatchBatch } = await import('../skill-dispatch.js');
+  const text = 'I feel so anxious and alone about tomorrow';
+
+  console.log('\n=== Local ===\n');
+
+  check('method names map to skills', { ok: skillName('emotionScan') === 'emotion-scan' && skillName('hi5ClaimCheck') === 'hi5-claim-check' });
+
+  const local = new FiveFanClient();
+  check('no url → local transport', { ok: local.transport === 'local' });
+  const scan = await local.skills.emotionScan({ text });
+  check('client.skills.<name>() calls the skill', { ok: Array.isArray(scan.families) });
+  check('unknown skill → UNKNOWN_SKILL, not a throw', { ok: (await local.skills.notASkill({})).code === 'UNKNOWN_SKILL' });
+  check('invalid input → INVALID_INPUT', { ok: (await local.call('emotion-scan', {})).code === 'INVALID_INPUT' });
+  const localBatch = await local.batch([{ id: 'a', skill: 'emotion-scan', input: { text } }, { id: 'b', skill: 'crisis-detect', input: { text } }]);
+  check('batch', { ok: localBatch.succeeded === 2 && localBatch.order.join() === 'a,b' });
+  const localChain = await local.chain(['emotion-scan'], { text });
+  check('chain', { ok: localChain.ok === true && localChain.results.length === 1 });
+  check('manifest', { ok: (await local.manifest()).skills.some(s => s.name === 'emotion-scan') });
+
+  console.log('\n=== HTTP ===\n');
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [fileURLToPath(new URL('../skill-http.js', import.meta.url))], {
+    env: { ...process.env, PORT: String(port) },
+    stdio: 'ignore',
+  });
+  try {
+    const base = `http://127.0.0.1:${port}`;
+    await waitForHealth(base);
+
+    const http = new FiveFanClient({ url: base });
+    check('http:// → http transport', { ok: http.transport === 'http' });
+    check('call', { ok: Array.isArray((await http.skills.emotionScan({ text })).families) });
+    check('400 body returned as-is', { ok: (await http.call('emotion-scan', {})).code === 'INVALID_INPUT' });
+    check('batch', { ok: (await http.batch([{ skill: 'emotion-scan', input: { text } }])).succeeded === 1 });
+    check('chain', { ok: (await http.chain(['emotion-scan', 'crisis-detect'], { text })).results?.length === 2 });
+    check('manifest', { ok: (await http.manifest()).skills?.length > 0 });
+
+    // Flaky network: two failures, then the real server
+    const seen = [];
+    let failures = 2;
+    const flaky = new FiveFanClient({
+      url: base,
+      backoffMs: 10,
+      fetch: (url, init) => {
+        seen.push(init.headers['Idempotency-Key']);
+        if (failures-- > 0) return Promise.reject(new Error('ECONNRESET'));
+        return fetch(url, init);
+      },
+    });
+    const retried = await flaky.skills.crisisDetect({ text });
+    check('transport errors retried', { ok: typeof retried.riskLevel === 'string' && seen.length === 3 });
+    check('one Idempotency-Key across retries', { ok: new Set(seen).size === 1 });
+
+    failures = 10;
+    seen.length = 0;
+    const exhausted = await flaky.call('crisis-detect', { text });
+    check('gives up after `retries`', { ok: exhausted.code === 'TRANSPORT_ERROR' && seen.length === 3 });
+
+    seen.length = 0;
+    failures = 0;
+    await flaky.call('crisis-detect', {});
+    check('skill errors not retried', { ok: seen.length === 1 });
+
+    const down = new FiveFanClient({ url: 'http://127.0.0.1:1', retries: 0 });
+    check('unreachable server → TRANSPORT_ERROR', { ok: (await down.call('emotion-scan', { text })).code === 'TRANSPORT_ERROR' });
+  } finally {
+    child.kill();
+  }
+
+  console.log('\n=== SC-Bridge ===\n');
+
+  /** Fake WebSocket speaking the features/sc-bridge protocol */
+  const bridge = { requireAuth: true, token: 'secret', sockets: [], inFlight: 0, peak: 0, dropNextCall: false };
+  class FakeBridgeSocket {
+    constructor(url) {
+      this.url = url;
+      bridge.sockets.push(this);
+      setTimeout(() => this._emit({ type: 'hello', requiresAuth: bridge.requireAuth }), 5);
+    }
+
+    _emit(payload) {
+      if (!this.closed) this.onmessage?.({ data: JSON.stringify(payload) });
+    }
+
+    close() {
+      if (this.closed) return;
+      this.closed = true;
+      this.onclose?.();
+    }
+
+    async send(raw) {
+      const msg = JSON.parse(raw);
+      const reply = payload => this._emit({ id: msg.id, ...payload });
+      if (msg.type === 'auth') {
+        if (msg.token === bridge.token) this.authed = true;
+        return reply(this.authed ? { type: 'auth_ok' } : { type: 'error', error: 'Unauthorized.' });
+      }
+      if (bridge.requireAuth && !this.authed) return reply({ type: 'error', error: 'Unauthorized.' });
+      if (msg.type === 'skill-call') {
+        if (bridge.dropNextCall) {
+          bridge.dropNextCall = false;
+          return setTimeout(() => this.close(), 5);
+        }
+        bridge.inFlight++;
+        bridge.peak = Math.max(bridge.peak, bridge.inFlight);
+        const onProgress = msg.stream ? event => reply({ type: 'skill-progress', skill: msg.skill, ...event }) : undefined;
+        // Later calls answer first, so replies arrive out of order
+        await new Promise(resolve => setTimeout(resolve, msg.input.delay ?? 0));
+        const result = await dispatch(msg.skill, msg.input, { onProgress });
+        bridge.inFlight--;
+        return reply({ type: 'skill-result', skill: msg.skill, result, ms: 1 });
+      }
+      if (msg.type === 'skill-batch') {
+        return reply({ type: 'skill-batch-result', ...(await dispatchBatch(msg.calls)) });
+      }
+      return reply({ type: 'error', error: `Unknown type: ${msg.type}` });
+    }
+  }
+
+  const ws = new FiveFanClient({ url: 'ws://127.0.0.1:49222', token: 'secret', WebSocket: FakeBridgeSocket, backoffMs: 10, maxConcurrent: 2 });
+  check('ws:// → sc-bridge transport', { ok: ws.transport === 'sc-bridge' });
+  check('auth + call', { ok: Array.isArray((await ws.skills.emotionScan({ text })).families) });
+
+  const [slow, fast] = await Promise.all([
+    ws.call('emotion-scan', { text: 'calm and grateful', delay: 60 }),
+    ws.call('crisis-detect', { text, delay: 0 }),
+  ]);
+  check('replies matched by id, not order', { ok: Array.isArray(slow.families) && typeof fast.riskLevel === 'string' });
+
+  bridge.peak = 0;
+  await Promise.all(Array.from({ length: 5 }, (_, i) => ws.call('emotion-scan', { text: `calm ${i}`, delay: 20 })));
+  check('maxConcurrent respected', { ok: bridge.peak === 2, error: `peak ${bridge.peak}` });
+
+  const wsBatch = await ws.batch([{ id: 'x', skill: 'emotion-scan', input: { text } }]);
+  check('batch', { ok: wsBatch.ok && wsBatch.results.x && wsBatch.order[0] === 'x' });
+  check('one socket reused', { ok: bridge.sockets.length === 1 });
+
+  const progress = [];
+  const streamed = await ws.call('coach-chat', { text }, { onProgress: event => progress.push(event.stage) });
+  check('progress frames delivered before the result', { ok: progress[0] === 'analysis' && typeof streamed.reply === 'string', error: JSON.stringify({ progress, streamed }) });
+
+  bridge.dropNextCall = true;
+  const afterDrop = await ws.call('emotion-scan', { text });
+  check('dropped socket → reconnect + retry', { ok: Array.isArray(afterDrop.families) && bridge.sockets.length === 2 });
+
+  check('chain unsupported on SC-Bridge', { ok: (await ws.chain(['emotion-scan'], { text })).code === 'UNSUPPORTED' });
+
+  const wrong = new FiveFanClient({ url: 'ws://127.0.0.1:49222', token: 'nope', WebSocket: FakeBridgeSocket, backoffMs: 10 });
+  const denied = await wrong.call('emotion-scan', { text });
+  check('bad token → UNAUTHORIZED, not retried', { ok: denied.code === 'UNAUTHORIZED' && bridge.sockets.length === 3 });
+
+  ws.close();
+  wrong.close();
+
+  console.log(`\n=== Client Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+/**
+ * Consensus Test — weights, priority rules, confidence, runner-up and blend
+ * Run: node tests/test-consensus.js
+ *
+ * Tuning happens in FIVE_FAN.consensus (or per call through `consensus`);
+ * View's code stays untouched.
+ */
+
+import { curateConsensus, rankConsensus } from '../brains/view/functions.js';
+import { analyze, getDominantBrain } from '../server/brain-swarm.js';
+import { FIVE_FAN } from '../config.js';
+
+/** Synthetic scans: flow slightly ahead of a pained Hear */
+const scans = [
+  { brain: 'hear', signal: 0.4, category: 'pain', summary: 'Pain: tired.' },
+  { brain: 'inspyre', signal: 0, category: 'neutral', summary: '' },
+  { brain: 'flow', signal: 0.6, category: 'activity', summary: 'Activity: ran.' },
+  { brain: 'you', signal: 0, category: 'neutral', summary: '' },
+  { brain: 'view', signal: 0, category: 'neutral', summary: '' },
+];
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  console.log('\n=== Defaults ===\n');
+
+  let res = curateConsensus(scans, 'ran today, so tired', { explain: true });
+  check('highest signal leads, runner-up named', { ok: res.dominantBrain === 'flow' && res.runnerUp === 'hear' && res.mode === 'lead' });
+  check('confidence is the lead\'s share', { ok: res.confidence === 0.6 });
+  check('explain carries confidence + runner-up', { ok: res.explain.confidence === 0.6 && res.explain.runnerUp === 'hear' && res.explain.priorityRule === null });
+  res = curateConsensus(scans.map(scan => ({ ...scan, signal: 0 })), 'hi');
+  check('no signal → first scan, confidence 0, no runner-up', { ok: res.dominantBrain === 'hear' && res.confidence === 0 && res.runnerUp === null });
+  check('getDominantBrain() agrees — no view default', { ok: getDominantBrain(scans.map(scan => ({ ...scan, signal: 0 }))) === 'hear' && getDominantBrain(scans) === 'flow' });
+
+  console.log('\n=== Weights ===\n');
+
+  res = curateConsensus(scans, 'x', { explain: true, consensus: { weights: { hear: 2 } } });
+  check('weight moves the lead', { ok: res.dominantBrain === 'hear' && res.runnerUp === 'flow' });
+  check('confidence uses weighted scores', { ok: res.confidence === 0.571 });
+  check('explain shows signal × weight', { ok: res.explain.reason.includes('0.8 (0.4 × 2)') && res.explain.ranking[0].score === 0.8 });
+  check('weight 0 silences a brain', { ok: rankConsensus(scans, { consensus: { weights: { flow: 0 } } }).runnerUp === null });
+
+  console.log('\n=== Priority rules ===\n');
+
+  const rules = [
+    { brain: 'hear', when: { category: 'pain', minSignal: 0.5 } },
+    { brain: 'hear', when: { category: 'pain' } },
+    { brain: 'flow', when: { context: 'activityLog' } },
+  ];
+  res = curateConsensus(scans, 'x', { explain: true, consensus: { rules } });
+  check('Hear leads on pain', { ok: res.dominantBrain === 'hear' && res.runnerUp === 'flow' && res.explain.priorityRule === rules[1] });
+  check('explain names the rule', { ok: res.explain.reason.startsWith('hear leads by priority rule (category pain)') });
+  check('confidence stays honest under a rule', { ok: res.confidence === 0.4 });
+  res = curateConsensus(scans.map(scan => (scan.brain === 'hear' ? { ...scan, category: 'joy' } : scan)), 'x', { consensus: { rules: rules.slice(2) } });
+  check('context rule needs the key', { ok: res.dominantBrain === 'flow' && rankConsensus(scans, { consensus: { rules: [{ brain: 'view', when: { context: 'activityLog' } }] } }).lead.brain === 'flow' });
+  res = rankConsensus(scans, { context: { activityLog: ['run'] }, consensus: { rules: [{ brain: 'you', when: { context: 'activityLog' } }] } });
+  check('context rule leads when present', { ok: res.lead.brain === 'you' && res.rule.brain === 'you' });
+  check('empty context value doesn\'t count', { ok: rankConsensus(scans, { context: { activityLog: [] }, consensus: { rules: [{ brain: 'you', when: { context: 'activityLog' } }] } }).rule === null });
+  check('rule for an unregistered brain is ignored', { ok: rankConsensus(scans, { consensus: { rules: [{ brain: 'craving' }] } }).lead.brain === 'flow' });
+
+  console.log('\n=== Blend ===\n');
+
+  res = curateConsensus(scans, 'x', { explain: true, consensus: { mode: 'blend' } });
+  check('blend weaves the top two', { ok: res.mode === 'blend' && res.synthesisPrompt.includes('LEAD BRAINS: FLOW + HEAR') && res.synthesisPrompt.includes('Weave the flow and hear perspectives') });
+  check('blend in the consensus + explain', { ok: res.consensus.includes('flow + hear lead') && res.explain.reason.includes('Blending flow with hear') });
+  res = curateConsensus(scans.map(scan => (scan.brain === 'hear' ? { ...scan, signal: 0 } : scan)), 'x', { consensus: { mode: 'blend' } });
+  check('one brain with signal → no blend', { ok: res.mode === 'lead' && res.synthesisPrompt.includes('LEAD BRAIN: FLOW') });
+  check('lead mode prompt unchanged', { ok: curateConsensus(scans, 'x').synthesisPrompt.includes('Respond primarily from the flow perspective') });
+
+  console.log('\n=== Config ===\n');
+
+  const before = { ...FIVE_FAN.consensus };
+  FIVE_FAN.consensus.rules = [{ brain: 'flow', when: { context: 'activityLog' } }];
+  FIVE_FAN.consensus.mode = 'blend';
+  const text = 'I feel so sad and lonely';
+  const plain = analyze(text);
+  const logged = analyze(text, { activityLog: [{ type: 'run', km: 5 }] });
+  check('analyze() passes meta to the rules', { ok: plain.dominantBrain === 'hear' && logged.dominantBrain === 'flow' });
+  check('FIVE_FAN.consensus.mode applies', { ok: logged.consensus.mode === 'blend' && logged.consensus.runnerUp === 'hear' });
+  Object.assign(FIVE_FAN.consensus, before);
+  check('defaults restored', { ok: analyze(text, { activityLog: [1] }).dominantBrain === 'hear' });
+
+  console.log(`\n=== Consensus Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+/**
+ * Conversation Context Test — brain signals carried across messages
+ * Run: node tests/test-conversation.js
+ *
+ * analyze() with `history` fades each earlier message by
+ * FIVE_FAN.conversation.decay per message back; the trainer passes its own.
+ */
+
+import { analyze, analyzeAndRespond, buildEnrichedPrompt } from '../server/brain-swarm.js';
+import { handleMessage } from '../server/trainer-api.js';
+import { userProfiles } from '../brains/you/functions.js';
+import hearRole from '../brains/hear/roleConfig.js';
+import { FIVE_FAN } from '../config.js';
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  console.log('\n=== Carry forward ===\n');
+
+  const alone = analyze('ok');
+  check('a message alone has nothing carried', { ok: alone.carried === null && alone.consensus.activeBrainCount === 0 });
+
+  const history = ['my dad died', { role: 'assistant', content: 'I\'m so sorry. I\'m here.' }];
+  let res = analyze('ok', { history, explain: true });
+  const hear = res.scans.find(scan => scan.brain === 'hear');
+  check('Hear stays dominant after "ok"', { ok: res.dominantBrain === 'hear', error: res.dominantBrain });
+  check('the scan carries the pain', { ok: hear.category === 'pain' && hear.ownSignal === 0 && hear.signal > 0 && hear.summary.startsWith('Carried from 1 message back') });
+  check('carried state is exposed', {
+    ok: res.carried.messages === 1 && res.carried.brains.hear.turnsAgo === 1 && res.carried.kept.includes('hear') && res.carried.tags.some(entry => entry.tag === 'died' && entry.weight === 0.6),
+    error: JSON.stringify(res.carried),
+  });
+  check('assistant messages aren\'t scanned', { ok: !res.carried.tags.some(entry => entry.tag === 'sorry') });
+  check('explain sees the carried signal', { ok: res.consensus.explain.ranking[0].brain === 'hear' && res.consensus.explain.ranking[0].signal === hear.signal });
+  check('tags stay this message\'s own', { ok: res.tags.length === 0 });
+
+  const template = analyzeAndRespond('ok', { history: ['my dad died'] });
+  check('template reply comes from Hear\'s pain set', { ok: template.brain === 'hear' && hearRole.templates.pain.includes(template.response), error: template.response });
+
+  console.log('\n=== Decay ===\n');
+
+  const oneBack = analyze('ok', { history: ['my dad died'] }).carried.brains.hear.signal;
+  const twoBack = analyze('ok', { history: ['my dad died', 'yeah'] }).carried.brains.hear;
+  check('fades per message back', { ok: twoBack.turnsAgo === 2 && twoBack.signal < oneBack && Math.abs(twoBack.signal - oneBack * 0.6) < 0.002 });
+  const buried = ['my dad died', ...Array(FIVE_FAN.conversation.turns).fill('yeah')];
+  check('only the last `turns` messages count', { ok: !analyze('ok', { history: buried }).carried.brains.hear });
+
+  const own = analyze('I feel so happy and grateful today', { history: ['my dad died'] });
+  check('a stronger message of its own wins', { ok: own.scans.find(scan => scan.brain === 'hear').category === 'joy' && !own.carried.kept.includes('hear') });
+
+  const before = { ...FIVE_FAN.conversation };
+  FIVE_FAN.conversation.decay = 0.1;
+  FIVE_FAN.conversation.floor = 0.05;
+  check('floor drops faint signals', { ok: !analyze('ok', { history: ['my dad died'] }).carried.brains.hear });
+  Object.assign(FIVE_FAN.conversation, before);
+
+  const crisis = analyze('ok', { history: ['I want to kill myself'] });
+  check('a carried crisis leads as pain, not a new crisis', { ok: crisis.dominantBrain === 'hear' && crisis.carried.brains.hear.category === 'pain' && !crisis.scans.some(scan => scan.isCrisis) });
+
+  console.log('\n=== Prompt + profile ===\n');
+
+  const prompt = buildEnrichedPrompt('BASE', res);
+  check('enriched prompt has the conversation so far', { ok: prompt.includes('CONVERSATION SO FAR') && prompt.includes('HEAR, 1 message back') && prompt.includes('Still active: died') });
+  check('no section without history', { ok: !buildEnrichedPrompt('BASE', alone).includes('CONVERSATION SO FAR') });
+
+  analyze('ok', { userId: 'conv-profile', history: ['I feel lonely', 'so lonely'] });
+  check('history isn\'t counted into the profile again', { ok: userProfiles.get('conv-profile').messageCount === 1 });
+
+  console.log('\n=== Trainer ===\n');
+
+  // Nothing listens on port 9 — the trainer falls back to templates
+  FIVE_FAN.lm.provider = 'local';
+  FIVE_FAN.lm.port = 9;
+  await handleMessage('conv-user', 'my dad died');
+  const reply = await handleMessage('conv-user', 'ok');
+  check('trainer passes its history', { ok: reply.brain === 'hear' && reply.method === 'template' && hearRole.templates.pain.includes(reply.response), error: JSON.stringify(reply) });
+
+  console.log(`\n=== Conversation Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
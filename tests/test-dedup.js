@@ -0,0 +1,140 @@
+/**
+ * Dedup Test — idempotent callIds (P2P) + Idempotency-Key (skill-http)
+ * Run: node tests/test-dedup.js
+ *
+ * Replays the same skill:call / skill:chain / skill:batch the way a relayed
+ * sidechannel would, and retries skill-http POSTs with the same key, checking
+ * that each runs once, is rate-charged once, and duplicates get the original reply.
+ */
+
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { fileURLToPath } from 'node:url';
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(base) {
+  for (let i = 0; i < 50; i++) {
+    try {
+      return await (await fetch(`${base}/health`)).json();
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('skill-http did not start');
+}
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { MSG, buildCall, buildBatch } = await import('../skill-protocol.js');
+  const { initSkillServer, getMetrics } = await import('../server/skill-server.js');
+
+  console.log('\n=== P2P callId de-duplication ===\n');
+
+  const handlers = {};
+  const sent = [];
+  const sidechannel = {
+    on: (channel, fn) => { handlers[channel] = fn; },
+    broadcast: (channel, payload) => sent.push(JSON.parse(payload)),
+  };
+  initSkillServer(sidechannel, {});
+  const channel = handlers['5fan-skill-emotion-scan'];
+  const replies = callId => sent.filter(m => m.callId === callId);
+
+  const call = { ...buildCall('emotion-scan', 'I feel calm and grateful today', {}, 'd1'), from: 'peer-a' };
+  await channel(call);
+  const calls = getMetrics().totalCalls;
+  await channel(call);
+  check('duplicate skill:call not re-run', { ok: getMetrics().totalCalls === calls });
+  check('duplicate gets the original skill:result', { ok: replies('d1').length === 2 && JSON.stringify(replies('d1')[0]) === JSON.stringify(replies('d1')[1]) });
+  check('duplicates counted in metrics', { ok: getMetrics().duplicateCalls === 1 });
+
+  await channel({ ...call, from: 'peer-b' });
+  check('same callId from another caller runs', { ok: getMetrics().totalCalls === calls + 1 });
+
+  // Two copies arriving together — the second is dropped while the first runs
+  const twin = { ...buildCall('emotion-scan', 'so tired', {}, 'd2'), from: 'peer-a' };
+  await Promise.all([channel(twin), channel(twin)]);
+  check('in-flight duplicate dropped', { ok: replies('d2').length === 1 && getMetrics().duplicateCalls === 2 });
+
+  const batch = { ...buildBatch([{ skill: 'emotion-scan', input: { text: 'calm' } }], 'd3'), from: 'peer-a' };
+  await channel(batch);
+  await channel(batch);
+  check('duplicate skill:batch replayed', { ok: replies('d3').length === 2 && replies('d3')[1].type === MSG.BATCH_RESULT });
+
+  const chain = { type: MSG.CHAIN, callId: 'd4', steps: ['emotion-scan'], input: { text: 'calm' }, from: 'peer-a', ts: Date.now() };
+  await channel(chain);
+  await channel(chain);
+  check('duplicate skill:chain replayed', { ok: replies('d4').length === 2 && replies('d4')[1].type === MSG.CHAIN_RESULT });
+
+  // peer-c: 30 calls/minute — 30 copies of one call cost one slot
+  const relayed = { ...buildCall('emotion-scan', 'calm', {}, 'd5'), from: 'peer-c' };
+  for (let i = 0; i < 30; i++) await channel(relayed);
+  for (let i = 0; i < 29; i++) await channel({ ...buildCall('emotion-scan', `calm ${i}`, {}, `fresh-${i}`), from: 'peer-c' });
+  check('duplicates not rate-charged', { ok: replies('fresh-28')[0]?.type === MSG.RESULT });
+
+  console.log('\n=== skill-http Idempotency-Key ===\n');
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [fileURLToPath(new URL('../skill-http.js', import.meta.url))], {
+    env: { ...process.env, PORT: String(port) },
+    stdio: 'ignore',
+  });
+  try {
+    const base = `http://127.0.0.1:${port}`;
+    await waitForHealth(base);
+    const post = (path, key, body = { text: 'I feel calm and grateful today' }) => fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(key && { 'Idempotency-Key': key }) },
+      body: JSON.stringify(body),
+    });
+
+    const first = await post('/skill/emotion-scan', 'k1');
+    const retry = await post('/skill/emotion-scan', 'k1');
+    const firstBody = await first.json();
+    const retryBody = await retry.json();
+    check('retry replays the first response', { ok: JSON.stringify(firstBody) === JSON.stringify(retryBody) });
+    check('replay is marked', { ok: retry.headers.get('idempotent-replayed') === 'true' && !first.headers.get('idempotent-replayed') });
+    check('handler ran once', { ok: (await waitForHealth(base)).totalCalls === 1 });
+
+    const [a, b] = await Promise.all([post('/skill/emotion-scan', 'k2'), post('/skill/emotion-scan', 'k2')]);
+    await Promise.all([a.json(), b.json()]);
+    check('concurrent retries share one run', { ok: (await waitForHealth(base)).totalCalls === 2 });
+
+    const mismatch = await post('/skill/crisis-detect', 'k1');
+    check('key reused on another path → 422', { ok: mismatch.status === 422 && (await mismatch.json()).code === 'IDEMPOTENCY_MISMATCH' });
+
+    await post('/skill/emotion-scan');
+    await post('/skill/emotion-scan');
+    check('no key → every request runs', { ok: (await waitForHealth(base)).totalCalls === 4 });
+  } finally {
+    child.kill();
+  }
+
+  console.log(`\n=== Dedup Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
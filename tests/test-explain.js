@@ -0,0 +1,154 @@
+/**
+ * Explain Test — match spans, rule provenance and consensus reasoning
+ * Run: node tests/test-explain.js
+ *
+ * Every span reported must slice back to its term in the caller's text, and
+ * nothing changes for callers that don't ask for `explain`.
+ */
+
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable, Writable } from 'node:stream';
+import { matchesTerm } from '../brains/5fan.js';
+
+const dir = mkdtempSync(join(tmpdir(), '5fan-explain-'));
+process.env.FIVEFAN_USAGE_FILE = join(dir, 'usage.jsonl');
+
+/** Run the CLI in-process: { code, out, err } */
+async function run(main, argv) {
+  let out = '';
+  let err = '';
+  const sink = append => new Writable({ write(chunk, _enc, done) { append(String(chunk)); done(); } });
+  const stdin = Object.assign(Readable.from([]), { isTTY: true });
+  const code = await main(argv, { stdin, stdout: sink(s => { out += s; }), stderr: sink(s => { err += s; }) });
+  return { code, out, err };
+}
+
+/** Every span of every match slices back to text the term matches ("stepping back" for `step back`) */
+const spansLandOn = (text, matches) => matches.length > 0 && matches.every(m =>
+  m.spans.length > 0 && m.spans.every(([start, end]) => matchesTerm(text.slice(start, end), m.term)));
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  console.log('\n=== Helpers ===\n');
+
+  const { findSpans, explainSignal, signalStrength } = await import('../brains/5fan.js');
+  check('findSpans: every whole-word occurrence', { ok: JSON.stringify(findSpans('sad, so sad', 'sad')) === '[[0,3],[8,11]]' && JSON.stringify(findSpans('skill to kill', 'kill')) === '[[9,13]]' });
+  check('findSpans: no term, no spans', { ok: findSpans('abc', '').length === 0 && findSpans('abc', 'z').length === 0 });
+  const sig = explainSignal('Sad and tired', ['sad', 'tired', 'calm', 'joy', 'hope', 'fear', 'rest', 'goal', 'peace', 'grief'], 'test.triggers');
+  check('explainSignal: value matches signalStrength()', { ok: sig.value === signalStrength('Sad and tired', ['sad', 'tired', 'calm', 'joy', 'hope', 'fear', 'rest', 'goal', 'peace', 'grief']) });
+  check('explainSignal: divisor + per-hit delta', { ok: sig.hits === 2 && sig.divisor === 3 && sig.matches[0].contribution.delta === 0.333 && !sig.capped });
+  check('explainSignal: capped once hits exceed the divisor', { ok: explainSignal('a b', ['a', 'b'], 'x').capped === true });
+
+  console.log('\n=== Brain scans ===\n');
+
+  const hear = await import('../brains/hear/functions.js');
+  const text = 'I am so tired and sad, I want to die';
+  const explained = hear.scan(text, { explain: true });
+  const { explain } = explained;
+  check('hear: crisis phrase listed first', { ok: explain.matches[0].list === 'hear.crisis' && explain.matches[0].contribution.field === 'isCrisis' });
+  check('hear: pain + trigger matches with provenance', { ok: explain.matches.some(m => m.list === 'hear.pain' && m.term === 'tired') && explain.matches.some(m => m.list === 'hear.triggers') });
+  check('hear: spans slice back to terms', { ok: spansLandOn(text, explain.matches) });
+  check('hear: signal explained', { ok: explain.signal.value === explained.signal && explain.signal.hits === explain.matches.filter(m => m.list === 'hear.triggers').length });
+  check('hear: category rule + weighted scores ("so tired" counts 1.5)', { ok: explain.category.value === 'crisis' && explain.category.scores.pain === 2.5 && explain.category.rule.includes('crisis') });
+  check('hear: no explain unless asked', { ok: !('explain' in hear.scan(text)) });
+
+  const brains = ['inspyre', 'flow', 'you', 'view'];
+  const sample = 'Every day I keep going and found my purpose — stepping back for the big picture, I learned who I am and need to decide my path';
+  for (const brain of brains) {
+    const { scan } = await import(`../brains/${brain}/functions.js`);
+    const result = scan(sample, { explain: true });
+    check(`${brain}: explain with spans + category`, {
+      ok: spansLandOn(sample, result.explain.matches) && result.explain.matches.every(m => m.list.startsWith(`${brain}.`)) && result.explain.category.value === result.category,
+    });
+    check(`${brain}: off by default`, { ok: !('explain' in scan(sample)) });
+  }
+
+  console.log('\n=== Consensus ===\n');
+
+  const { curateConsensus } = await import('../brains/view/functions.js');
+  const fake = (brain, signal) => ({ brain, signal, category: 'x', summary: '' });
+  let consensus = curateConsensus([fake('hear', 0.2), fake('inspyre', 0.5), fake('flow', 0.1)], 'x', { explain: true });
+  check('highest signal wins, with runner-up', { ok: consensus.explain.dominantBrain === 'inspyre' && consensus.explain.reason.includes('hear') && consensus.explain.ranking[0].brain === 'inspyre' });
+  consensus = curateConsensus([fake('hear', 0.3), fake('inspyre', 0.3)], 'x', { explain: true });
+  check('tie goes to the brain scanned first', { ok: consensus.explain.dominantBrain === 'hear' && consensus.explain.reason.includes('scanned first') });
+  consensus = curateConsensus([fake('hear', 0), fake('inspyre', 0)], 'x', { explain: true });
+  check('no signal → hear leads', { ok: consensus.explain.dominantBrain === 'hear' && consensus.explain.ranking.every(r => !r.active) });
+  check('consensus explain only when asked', { ok: !('explain' in curateConsensus([fake('hear', 0.2)], 'x')) });
+
+  const { analyze } = await import('../server/brain-swarm.js');
+  const analysis = analyze('I feel stuck in the same pattern every day', { explain: true });
+  check('analyze: every scan + consensus explained', { ok: analysis.scans.every(s => s.explain) && analysis.consensus.explain.dominantBrain === analysis.consensus.dominantBrain });
+
+  console.log('\n=== EQ skills ===\n');
+
+  const { dispatch } = await import('../skill-dispatch.js');
+  let res = await dispatch('crisis-detect', { text: 'I feel hopeless and Trapped', explain: true }, { strict: true });
+  check('crisis-detect: elevated phrases counted toward the level', { ok: res.ok && res.explain.riskLevel.value === 'elevated' && res.explain.riskLevel.elevated === 2 && res.explain.matches.every(m => m.contribution.delta === 1) });
+  check('crisis-detect: spans against original casing', { ok: spansLandOn('I feel hopeless and Trapped', res.explain.matches) });
+  res = await dispatch('crisis-detect', { text: 'i want to die, hopeless', explain: true });
+  check('crisis-detect: critical sets the level alone', { ok: res.explain.riskLevel.value === 'critical' && res.explain.matches[0].list === 'crisis-detect.critical' && res.explain.matches[0].contribution.value === 'critical' });
+  res = await dispatch('crisis-detect', { text: 'i want to die' });
+  check('crisis-detect: no explain unless asked', { ok: res.ok && !('explain' in res) });
+
+  const emotionText = 'Grateful but anxious and a little lost';
+  res = await dispatch('emotion-scan', { text: emotionText, explain: true }, { strict: true });
+  const deltas = res.explain?.matches.reduce((sum, m) => sum + m.contribution.delta, 0);
+  check('emotion-scan: spans slice back to terms', { ok: res.ok && spansLandOn(emotionText, res.explain.matches) });
+  check('emotion-scan: hiScale deltas add up to hiScale', { ok: Math.abs(deltas - res.hiScale) <= 0.05 && res.explain.hiScale.value === res.hiScale });
+  check('emotion-scan: dominant category counts', { ok: res.explain.dominantCategory.value === res.dominantCategory && Object.values(res.explain.dominantCategory.counts).reduce((a, b) => a + b, 0) === res.explain.matches.length });
+  res = await dispatch('emotion-scan', { text: emotionText });
+  check('emotion-scan: no explain unless asked', { ok: res.ok && !('explain' in res) });
+
+  console.log('\n=== P2P ===\n');
+
+  const { initSkillServer } = await import('../server/skill-server.js');
+  const { buildCall, validateOutput } = await import('../skill-protocol.js');
+  const handlers = {};
+  const sent = [];
+  initSkillServer({
+    on: (channel, fn) => { handlers[channel] = fn; },
+    broadcast: (_channel, payload) => sent.push(JSON.parse(payload)),
+  }, {});
+  const reply = callId => sent.find(m => m.callId === callId)?.output;
+
+  await handlers['5fan-skill-hear']({ ...buildCall('hear', 'so sad today', { explain: true }, 'e1'), from: 'peer-e' });
+  check('brain call returns explain', { ok: reply('e1')?.explain?.matches.some(m => m.term === 'sad') });
+  check('brain output with explain is still valid', { ok: validateOutput('hear', { ok: true, ...reply('e1') }).valid });
+  await handlers['5fan-skill-hear']({ ...buildCall('hear', 'so sad today', {}, 'e2'), from: 'peer-e' });
+  check('brain call without explain', { ok: reply('e2') && !('explain' in reply('e2')) });
+  await handlers['5fan-skill-swarm']({ ...buildCall('5fan-swarm', 'I feel lost and stuck', { explain: true }, 'e3'), from: 'peer-e' });
+  const swarm = reply('e3')?.explain;
+  check('swarm: per-brain explain + consensus reasoning', { ok: Object.keys(swarm?.brains ?? {}).join() === 'hear,inspyre,flow,you,view' && swarm.consensus.dominantBrain === reply('e3').dominant });
+
+  console.log('\n=== 5fan call --explain ===\n');
+
+  const { main } = await import('../skill-cli.js');
+  res = await run(main, ['call', 'crisis-detect', '--text', 'I feel hopeless', '--explain', '--json']);
+  const out = JSON.parse(res.out || '{}');
+  check('--explain sets explain: true', { ok: res.code === 0 && out.explain?.riskLevel.value === 'low' });
+
+  rmSync(dir, { recursive: true, force: true });
+
+  console.log(`\n=== Explain Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  rmSync(dir, { recursive: true, force: true });
+  process.exit(1);
+});
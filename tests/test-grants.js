@@ -0,0 +1,147 @@
+/**
+ * Grants Test — wallet-signed capability grants for internal skills over P2P
+ * Run: node tests/test-grants.js
+ *
+ * Stands in for trac-wallet with node:crypto Ed25519 keys (the same detached
+ * signatures PeerWallet makes) and drives the skill server's handlers.
+ */
+
+import { generateKeyPairSync, createPublicKey, sign, verify } from 'node:crypto';
+
+/** A PeerWallet-shaped Ed25519 wallet */
+function fakeWallet() {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+  return {
+    publicKey: Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url'),
+    sign: bytes => sign(null, bytes, privateKey),
+  };
+}
+
+/** PeerWallet.verify(sig, message, publicKey) */
+function verifyRaw(sig, message, publicKey) {
+  const key = createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKey).toString('base64url') }, format: 'jwk' });
+  return verify(null, message, key, sig);
+}
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { issueGrant, attachGrant, createGrantVerifier } = await import('../server/skill-grants.js');
+  const { initSkillServer } = await import('../server/skill-server.js');
+  const { buildPipeline, buildBatch } = await import('../skill-protocol.js');
+
+  const admin = fakeWallet();
+  const partner = fakeWallet();
+  const stranger = fakeWallet();
+  const partnerKey = partner.publicKey.toString('hex');
+  const strangerKey = stranger.publicKey.toString('hex');
+  const TIER = { tier: 'free', feature: 'x' };
+
+  console.log('\n=== Issuing ===\n');
+
+  const issued = await issueGrant(admin, { granteePubKey: partnerKey, skills: ['tier-gate', 'quality-score', 'tier-gate'], ttlMs: 24 * 3_600_000 });
+  check('grant issued and signed', { ok: issued.ok && /^[0-9a-f]{128}$/.test(issued.grant.sig) });
+  check('skills deduped and sorted', { ok: issued.grant.payload.skills.join() === 'quality-score,tier-gate' });
+  check('issuer key from the wallet', { ok: issued.grant.payload.issuerPubKey === admin.publicKey.toString('hex') });
+  check('missing skills refused', { ok: (await issueGrant(admin, { granteePubKey: partnerKey, skills: [], ttlMs: 1 })).code === 'INVALID_GRANT' });
+  check('wallet without key refused', { ok: (await issueGrant({}, { granteePubKey: partnerKey, skills: ['tier-gate'], ttlMs: 1 })).code === 'WALLET_UNAVAILABLE' });
+  const { grant } = issued;
+
+  console.log('\n=== Verifier ===\n');
+
+  let clock = Date.now();
+  const verifier = createGrantVerifier({ selfKey: admin.publicKey.toString('hex'), issuers: [], verify: verifyRaw, now: () => clock });
+  const callMsg = (input = TIER) => ({ type: 'skill:call', skill: 'tier-gate', callId: `c-${Math.random()}`, input, ts: Date.now() });
+
+  const good = await attachGrant(callMsg(), grant, partner);
+  check('grant + proof accepted', { ok: (await verifier.check(good, ['tier-gate'])).ok });
+  check('same proof twice refused', { ok: /already used/.test((await verifier.check(good, ['tier-gate'])).error) });
+
+  const tampered = await attachGrant(callMsg(), grant, partner);
+  tampered.input = { tier: 'premium', feature: 'x' };
+  check('tampered input refused', { ok: /not signed by the grantee/.test((await verifier.check(tampered, ['tier-gate'])).error) });
+
+  const stolen = await attachGrant(callMsg(), grant, stranger);
+  check('grant reused by another peer refused', { ok: /not signed by the grantee/.test((await verifier.check(stolen, ['tier-gate'])).error) });
+
+  check('skill outside the grant refused', { ok: /does not cover vault-query/.test((await verifier.check(await attachGrant(callMsg(), grant, partner), ['vault-query'])).error) });
+
+  const forged = await attachGrant(callMsg(), { ...grant, payload: { ...grant.payload, skills: ['vault-query'] } }, partner);
+  check('edited grant payload refused', { ok: /signature is invalid/.test((await verifier.check(forged, ['vault-query'])).error) });
+
+  const selfIssued = (await issueGrant(stranger, { granteePubKey: strangerKey, skills: ['tier-gate'], ttlMs: 60_000 })).grant;
+  check('untrusted issuer refused', { ok: /not trusted/.test((await verifier.check(await attachGrant(callMsg(), selfIssued, stranger), ['tier-gate'])).error) });
+
+  const stale = await attachGrant(callMsg(), grant, partner);
+  clock += 10 * 60_000;
+  check('stale proof refused', { ok: /older than/.test((await verifier.check(stale, ['tier-gate'])).error) });
+  clock += 2 * 24 * 3_600_000;
+  check('expired grant refused', { ok: /expired/.test((await verifier.check(await attachGrant(callMsg(), grant, partner), ['tier-gate'])).error) });
+
+  const partnerIssuer = createGrantVerifier({ issuers: [strangerKey.toUpperCase()], verify: verifyRaw });
+  check('configured issuers trusted', { ok: (await partnerIssuer.check(await attachGrant(callMsg(), selfIssued, stranger), ['tier-gate'])).ok });
+
+  console.log('\n=== P2P ===\n');
+
+  const handlers = {};
+  const sent = [];
+  initSkillServer({
+    on: (channel, fn) => { handlers[channel] = fn; },
+    broadcast: (_channel, payload) => sent.push(JSON.parse(payload)),
+  }, { peer: { wallet: { publicKey: admin.publicKey } }, grants: { issuers: [], verify: verifyRaw } });
+  const channel = handlers['5fan-skill-tier-gate'];
+  const reply = callId => sent.find(m => m.callId === callId);
+
+  let msg = callMsg();
+  await channel({ ...msg, from: partnerKey });
+  check('no grant → ACCESS_DENIED', { ok: reply(msg.callId)?.code === 'ACCESS_DENIED' });
+  msg = callMsg();
+  await channel({ ...msg, from: 'local' });
+  check('from "local" is no longer trusted', { ok: reply(msg.callId)?.code === 'ACCESS_DENIED' });
+  msg = callMsg();
+  await channel(msg);
+  check('missing from is no longer trusted', { ok: reply(msg.callId)?.code === 'ACCESS_DENIED' });
+
+  msg = await attachGrant(callMsg(), grant, partner);
+  await channel({ ...msg, from: partnerKey });
+  check('granted partner calls tier-gate', { ok: reply(msg.callId)?.type === 'skill:result' });
+
+  await channel({ ...msg, callId: 'replayed', from: strangerKey });
+  check('copied call refused (proof covers callId)', { ok: reply('replayed')?.code === 'ACCESS_DENIED' });
+
+  msg = await attachGrant(buildPipeline([{ skill: 'tier-gate' }], TIER), grant, partner);
+  await channel({ ...msg, from: partnerKey });
+  check('granted chain runs', { ok: reply(msg.callId)?.type === 'skill:chain-result' });
+
+  const calls = [
+    { id: 'gate', skill: 'tier-gate', input: TIER },
+    { id: 'score', skill: 'quality-score', input: { text: 'a thoughtful post' } },
+  ];
+  msg = await attachGrant(buildBatch(calls), grant, partner);
+  await channel({ ...msg, from: partnerKey });
+  check('granted batch runs internal calls', { ok: reply(msg.callId)?.succeeded === 2 });
+
+  msg = buildBatch([...calls, { id: 'scan', skill: 'emotion-scan', input: { text: 'calm' } }]);
+  await channel({ ...msg, from: strangerKey });
+  const denied = reply(msg.callId);
+  check('ungranted batch: internal calls denied, rest runs', { ok: denied?.results.gate.code === 'ACCESS_DENIED' && denied.results.score.code === 'ACCESS_DENIED' && denied.results.scan.ok === true });
+
+  console.log(`\n=== Grants Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
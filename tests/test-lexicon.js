@@ -0,0 +1,197 @@
+/**
+ * Lexicon Test — word-boundary matching shared by the brains and EQ skills
+ * Run: node tests/test-lexicon.js
+ *
+ * CORPUS is the regression set: sentences where the old `text.includes(word)`
+ * scans fired on part of another word (`miss` in "mission"), next to
+ * sentences that must keep matching. Add a line whenever a scan misfires.
+ */
+
+import { tokenize, inflections, createMatcher, matchesTerm, startsWord } from '../brains/lexicon.js';
+import { signalStrength } from '../brains/5fan.js';
+
+/**
+ * [surface, text, term, expected] — `expected` is whether the surface should
+ * report `term` for `text`.
+ */
+const CORPUS = [
+  // Hear — pain + crisis lists
+  ['hear', 'My skills are finally improving', 'kill', false],
+  ['hear', 'Our mission this quarter is clear', 'miss', false],
+  ['hear', 'She was a dead ringer, deadline met', 'dead', true],
+  ['hear', 'Ambassadors from the embassy', 'sad', false],
+  ['hear', 'A painting of the harbor', 'pain', false],
+  ['hear', 'I hate that I lost the game', 'hate', true],
+  ['hear', 'Whatever, we are the champions', 'hate', false],
+  ['hear', 'I really miss her', 'miss', true],
+  ['hear', 'I missed my mom today', 'miss', true],
+  ['hear', 'I cant stop crying', "can't", true],
+  ['hear', 'I can’t sleep', "can't", true],
+  ['hear', 'I have been cutting myself', 'cutting', true],
+  ['hear', 'I keep thinking about self harm', 'self-harm', true],
+  // Inspyre
+  ['inspyre', 'That was quite a week', 'quit', false],
+  ['inspyre', 'My fellow runners cheered', 'fell', false],
+  ['inspyre', 'I quit my job to travel', 'quit', true],
+  ['inspyre', 'Quitting felt like failing', 'quitting', true],
+  // Flow
+  ['flow', 'We had brunch with orange juice', 'run', false],
+  ['flow', 'We had brunch with orange juice', 'ran', false],
+  ['flow', 'I already baked bread', 'read', false],
+  ['flow', 'The ozone layer is thinning', 'zone', false],
+  ['flow', 'I ran 5k this morning', 'ran', true],
+  ['flow', 'Running every day now', 'run', true],
+  // You
+  ['you', 'I posted on my blog', 'log', false],
+  ['you', 'Say hi Amy, then the catalog', 'i am', false],
+  ['you', 'A straw drawing of the racetrack', 'raw', false],
+  ['you', 'I am tracking my sleep', 'i am', true],
+  ['you', "I'm not sure who I am", "i'm", true],
+  // View
+  ['view', 'I feel sympathy for them', 'path', false],
+  ['view', 'Otherwise it went fine', 'wise', false],
+  ['view', 'I lost weight this month', 'weigh', false],
+  ['view', 'He drove the forklift', 'fork', false],
+  ['view', 'I need to decide which path to take', 'path', true],
+  ['view', 'Stepping back, it makes sense', 'step back', true],
+  // crisis-detect
+  ['crisis-detect', 'I spilled coffee, cleaning up the spills', 'pills', false],
+  ['crisis-detect', 'On weekends I upskill myself', 'kill myself', false],
+  ['crisis-detect', 'I took all the pills', 'pills', true],
+  ['crisis-detect', 'I want to kill myself', 'kill myself', true],
+  ['crisis-detect', 'I can’t go on like this', "can't go on", true],
+  ['crisis-detect', 'i cant take it anymore', "can't take it anymore", true],
+  ['crisis-detect', 'thoughts of self harm again', 'self-harm', true],
+  ['crisis-detect', 'Magicians make things vanish', 'vanish', true],
+  ['crisis-detect', 'I feel such hopelessness', 'hopelessness', true],
+  ['crisis-detect', 'The worthlessness never lifts', 'worthlessness', true],
+  // emotion-scan
+  ['emotion-scan', 'I made an average nomad trip', 'mad', false],
+  ['emotion-scan', 'I made an average nomad trip', 'rage', false],
+  ['emotion-scan', 'It was awesome though', 'awe', false],
+  ['emotion-scan', 'It was awesome though', 'ugh', false],
+  ['emotion-scan', 'Literally the best', 'lit', false],
+  ['emotion-scan', 'A dangerous road', 'anger', false],
+  ['emotion-scan', 'I enjoy cooking', 'joy', false],
+  ['emotion-scan', 'I am so mad right now', 'mad', true],
+  ['emotion-scan', "I'm worried about tomorrow", 'worry', true],
+  ['emotion-scan', 'Feeling overwhelmed at work', 'overwhelm', true],
+  ['emotion-scan', 'Pure joy today', 'joy', true],
+  // emotion-blend
+  ['emotion-blend', 'We split the bill', 'lit', false],
+  ['emotion-blend', 'The house was abandoned', 'done', false],
+  ['emotion-blend', 'I am done with this, so grateful though', 'done', true],
+];
+
+/** What each surface reports as matched, lowercased */
+async function surfaces() {
+  const brains = {};
+  for (const brain of ['hear', 'inspyre', 'flow', 'you', 'view']) {
+    brains[brain] = (await import(`../brains/${brain}/functions.js`)).scan;
+  }
+  const crisis = (await import('../skills/eq-engine/crisis-detect/handler.js')).handle;
+  const emotionScan = (await import('../skills/eq-engine/emotion-scan/handler.js')).handle;
+  const emotionBlend = (await import('../skills/eq-engine/emotion-blend/handler.js')).handle;
+  const lower = terms => terms.map(term => term.toLowerCase().replace(/^crisis:/, ''));
+
+  return {
+    hear: text => lower(brains.hear(text).emotions),
+    inspyre: text => lower(brains.inspyre(text).themes),
+    flow: text => lower(brains.flow(text).patterns),
+    you: text => lower(brains.you(text).markers),
+    view: text => lower(brains.view(text).angles),
+    'crisis-detect': (text) => {
+      const { matches } = crisis({ text });
+      return lower([...matches.critical, ...matches.elevated]);
+    },
+    'emotion-scan': text => lower(emotionScan({ text }).matches.flatMap(m => [m.name, m.id.replace(/^alias:/, '')])),
+    'emotion-blend': text => lower((emotionBlend({ text }).families ?? []).flatMap(f => f.hits)),
+  };
+}
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  console.log('\n=== Tokens + terms ===\n');
+
+  const tokens = tokenize('I can’t — SELF-harm, ok?');
+  check('tokens: lowercased, apostrophes dropped, hyphens split', { ok: tokens.map(t => t.word).join() === 'i,cant,self,harm,ok' });
+  check('tokens: offsets into the original text', { ok: tokens.every(t => 'I can’t — SELF-harm, ok?'.slice(t.start, t.end).length === t.end - t.start) && tokens[1].start === 2 && tokens[1].end === 7 });
+  check('inflections: -s, -ed, -ing, y → ies/ied, e dropped, consonant doubled', {
+    ok: ['misses', 'missed', 'missing'].every(f => inflections('miss').has(f))
+      && ['worries', 'worried', 'worrying'].every(f => inflections('worry').has(f))
+      && ['hoped', 'hoping'].every(f => inflections('hope').has(f))
+      && ['quitting', 'quits'].every(f => inflections('quit').has(f)),
+  });
+  check('inflections: never shortens the term', { ok: !inflections('cutting').has('cut') && !inflections('miss').has('mission') });
+  check('inflections: short words match exactly', { ok: inflections('mad').size > 1 && inflections('am').size === 1 });
+
+  const matcher = createMatcher('I want to end it all. End. It.');
+  check('phrases: words in a row, punctuation between is fine', { ok: matcher.spans('end it').length === 2 && JSON.stringify(matcher.spans('end it all')) === '[[10,20]]' });
+  check('phrases: no partial phrase', { ok: !matchesTerm('I want to end', 'end it') });
+  check('matcher: count + filter', { ok: matcher.count(['want', 'end', 'nope']) === 2 && matcher.filter(['all', 'ball']).join() === 'all' });
+  check('startsWord: type-ahead on word starts only', { ok: startsWord('broken heart', 'hea') && startsWord('lonely', 'lone') && !startsWord('dread', 'read') });
+  check('signalStrength: whole words only', { ok: signalStrength('mission skills', ['miss', 'kill']) === 0 && signalStrength('miss you', ['miss', 'kill']) > 0 });
+
+  console.log('\n=== Regression corpus ===\n');
+
+  const scan = await surfaces();
+  const results = CORPUS.map(([surface, text, term, expected]) => {
+    const found = scan[surface](text).includes(term.toLowerCase());
+    return { surface, text, term, expected, found, substring: text.toLowerCase().includes(term.toLowerCase()) };
+  });
+
+  for (const surface of Object.keys(scan)) {
+    const cases = results.filter(r => r.surface === surface);
+    const wrong = cases.filter(r => r.found !== r.expected);
+    check(`${surface}: ${cases.length} cases`, { ok: wrong.length === 0, error: wrong.map(r => `"${r.text}" ${r.expected ? '✗' : '✓'} ${r.term}`).join('; ') });
+  }
+
+  const negatives = results.filter(r => !r.expected);
+  const before = negatives.filter(r => r.substring).length;
+  const after = negatives.filter(r => r.found).length;
+  console.log(`    false positives: ${before} with substring matching → ${after} with word boundaries`);
+  check('every negative was a substring false positive', { ok: before === negatives.length, error: negatives.filter(r => !r.substring).map(r => r.text).join('; ') });
+  check('no false positives left', { ok: after === 0 });
+
+  console.log('\n=== crisis-detect ===\n');
+
+  const { handle: crisisDetect } = await import('../skills/eq-engine/crisis-detect/handler.js');
+  check('"such hopelessness" is still a distress signal', { ok: crisisDetect({ text: 'I feel such hopelessness' }).riskLevel === 'low' });
+  check('-ness forms count toward elevated', { ok: crisisDetect({ text: 'Hopelessness and worthlessness, every day' }).riskLevel === 'elevated' });
+  check('"not hopelessness" doesn\'t count', { ok: crisisDetect({ text: 'It is not hopelessness, just fatigue' }).matches.elevated.length === 0 });
+
+  console.log('\n=== matchFamilyByText ===\n');
+
+  const { matchFamilyByText } = await import('../skills/eq-engine/data/emotion-families.js');
+  check('"made an average nomad trip" → no family', { ok: matchFamilyByText('I made an average nomad trip') === null });
+  check('"so lonely and sad" → grief', { ok: matchFamilyByText('so lonely and sad')?.id === 'grief' });
+  check('"can’t breathe" → fear', { ok: matchFamilyByText('I can’t breathe')?.id === 'fear' });
+
+  console.log('\n=== alias-match ===\n');
+
+  const { handle: aliasMatch } = await import('../skills/eq-engine/alias-match/handler.js');
+  check('"read" no longer partial-matches "dread"', { ok: !aliasMatch({ text: 'read' }).matches.some(m => m.matchedOn === 'dread') });
+  check('"cant breathe" is exact', { ok: aliasMatch({ text: 'cant breathe' }).topMatch?.matchType === 'exact' });
+  check('alias inside a sentence → contains', { ok: aliasMatch({ text: 'I feel so lonely today' }).topMatch?.matchType === 'contains' });
+  check('word-start partial inside an alias', { ok: aliasMatch({ text: 'boiling' }).topMatch?.matchedOn === 'blood boiling' });
+
+  console.log(`\n=== Lexicon Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
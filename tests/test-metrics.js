@@ -0,0 +1,107 @@
+/**
+ * Metrics Test — Prometheus exposition for the skill layer
+ * Run: node tests/test-metrics.js
+ *
+ * Points the local LLM at a closed port so LLM-backed skills fall back to
+ * templates, then checks latency histograms, error codes, method ratios,
+ * crisis detections, rate-limit rejections and cache counters.
+ */
+
+import { createServer } from 'node:net';
+
+function closedPort() {
+  return new Promise((resolve) => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/** Value of one series line, e.g. value(text, 'fivefan_skill_calls_total{skill="x",transport="local"}') */
+function value(text, series) {
+  const line = text.split('\n').find(l => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { FIVE_FAN } = await import('../config.js');
+  FIVE_FAN.lm.provider = 'local';
+  FIVE_FAN.lm.port = await closedPort();
+
+  const { recordSkillCall, renderMetrics, resetMetrics, LATENCY_BUCKETS_MS } = await import('../skill-metrics.js');
+  const { dispatch, getCacheStats, clearCache } = await import('../skill-dispatch.js');
+
+  console.log('\n=== Registry ===\n');
+
+  resetMetrics();
+  recordSkillCall('demo', { ok: true }, 12);
+  recordSkillCall('demo', { ok: false, code: 'TIMEOUT' }, 70_000, 'http');
+  let text = renderMetrics();
+  check('calls counted per transport', { ok: value(text, 'fivefan_skill_calls_total{skill="demo",transport="local"}') === 1 && value(text, 'fivefan_skill_calls_total{skill="demo",transport="http"}') === 1 });
+  check('errors counted by code', { ok: value(text, 'fivefan_skill_errors_total{skill="demo",code="TIMEOUT"}') === 1 });
+  check('histogram buckets are cumulative', { ok: value(text, 'fivefan_skill_duration_ms_bucket{skill="demo",le="5"}') === 0 && value(text, 'fivefan_skill_duration_ms_bucket{skill="demo",le="25"}') === 1 && value(text, `fivefan_skill_duration_ms_bucket{skill="demo",le="${LATENCY_BUCKETS_MS.at(-1)}"}`) === 1 });
+  check('+Inf bucket, sum and count', { ok: value(text, 'fivefan_skill_duration_ms_bucket{skill="demo",le="+Inf"}') === 2 && value(text, 'fivefan_skill_duration_ms_sum{skill="demo"}') === 70_012 && value(text, 'fivefan_skill_duration_ms_count{skill="demo"}') === 2 });
+  check('every series has HELP + TYPE', { ok: text.includes('# TYPE fivefan_skill_calls_total counter') && text.includes('# TYPE fivefan_skill_duration_ms histogram') });
+
+  recordSkillCall('weird"name', { ok: true }, 1);
+  check('label values escaped', { ok: renderMetrics().includes('skill="weird\\"name"') });
+
+  const samples = renderMetrics({ gauges: [{ name: 'fivefan_x', help: 'x.', value: 3 }] }).trim().split('\n').filter(l => !l.startsWith('#'));
+  check('exposition lines are well-formed', { ok: samples.every(l => /^[a-z_]+(\{.*\})? -?\d+(\.\d+)?$/.test(l)), error: samples.find(l => !/^[a-z_]+(\{.*\})? -?\d+(\.\d+)?$/.test(l)) });
+
+  console.log('\n=== Dispatch ===\n');
+
+  resetMetrics();
+  clearCache();
+  await dispatch('emotion-scan', { text: 'I feel calm' }, { transport: 'sc-bridge' });
+  await dispatch('emotion-scan', { text: 'I feel calm' }, { transport: 'sc-bridge' });
+  await dispatch('emotion-scan', {});
+  await dispatch('crisis-detect', { text: 'I want to kill myself' });
+  await dispatch('coach-chat', { text: 'I feel so overwhelmed and alone lately' });
+  text = renderMetrics({ cache: getCacheStats() });
+
+  check('dispatch records each call', { ok: value(text, 'fivefan_skill_calls_total{skill="emotion-scan",transport="sc-bridge"}') === 2 });
+  check('invalid input counted as INVALID_INPUT', { ok: value(text, 'fivefan_skill_errors_total{skill="emotion-scan",code="INVALID_INPUT"}') === 1 });
+  check('crisis detection counted', { ok: value(text, 'fivefan_crisis_detections_total{skill="crisis-detect",level="critical"}') === 1 });
+  check('template fallback counted by method', { ok: value(text, 'fivefan_skill_method_total{skill="coach-chat",method="template"}') === 1 });
+  check('failed LLM request counted', { ok: value(text, 'fivefan_llm_requests_total{provider="local",outcome="failed"}') === 1 });
+  check('fallback to templates counted', { ok: value(text, 'fivefan_llm_fallbacks_total') === 1 });
+  check('cache hits exported', { ok: value(text, 'fivefan_skill_cache_hits_total') === 1 && value(text, 'fivefan_skill_cache_entries') >= 1 });
+
+  console.log('\n=== Skill server ===\n');
+
+  const { initSkillServer, renderPrometheus } = await import('../server/skill-server.js');
+  const { buildCall } = await import('../skill-protocol.js');
+  const handlers = {};
+  initSkillServer({ on: (channel, fn) => { handlers[channel] = fn; }, broadcast: () => {} }, {});
+
+  for (let i = 0; i < 31; i++) {
+    await handlers['5fan-skill-hear']({ ...buildCall('hear', `so tired ${i}`), from: 'peer-a' });
+  }
+  text = renderPrometheus();
+  check('brain calls recorded as p2p', { ok: value(text, 'fivefan_skill_calls_total{skill="hear",transport="p2p"}') === 30 });
+  check('rate-limit rejections counted', { ok: value(text, 'fivefan_rate_limited_total{transport="p2p"}') === 1 });
+  check('server gauges included', { ok: value(text, 'fivefan_skill_in_flight') === 0 && value(text, 'fivefan_skill_active_callers') === 1 });
+
+  console.log(`\n=== Metrics Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
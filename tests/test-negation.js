@@ -0,0 +1,112 @@
+/**
+ * Negation Test — negation, intensity, contrast and emoji in the scans
+ * Run: node tests/test-negation.js
+ *
+ * "I'm not sad anymore" must not score like "I'm sad", and crisis detection
+ * must only ever be lowered by negation, never cleared.
+ */
+
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createMatcher, CUE_WEIGHTS } from '../brains/lexicon.js';
+
+const dir = mkdtempSync(join(tmpdir(), '5fan-negation-'));
+process.env.FIVEFAN_USAGE_FILE = join(dir, 'usage.jsonl');
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  console.log('\n=== Cues ===\n');
+
+  const assess = (text, term) => createMatcher(text).assess(term);
+  check('negation before the word', { ok: assess("I'm not sad anymore", 'sad').negated && assess('I never feel happy', 'happy').negated });
+  check('negation ends at the clause', { ok: !assess('not suicidal, just tired', 'tired').negated && !assess('no, I am sad', 'sad').negated });
+  check('negation reaches 3 words back, no further', { ok: assess('not really that sad', 'sad').negated && !assess('not that I would ever be sad', 'sad').negated });
+  check('"can\'t stop" and "not just" don\'t negate', { ok: !assess("I can't stop crying", 'crying').negated && !assess('not just sad', 'sad').negated });
+  check('negated comparative is emphasis', { ok: (() => { const a = assess('never been happier', 'happy'); return !a.negated && a.cues.includes('comparative') && a.weight === CUE_WEIGHTS.comparative; })() });
+  check('intensifiers + diminishers', { ok: assess('really sad', 'sad').weight === 1.5 && assess('a bit sad', 'sad').weight === 0.5 && assess('kind of sad', 'sad').weight === 0.5 });
+  check('caps only count in mixed-case text', { ok: assess('I am SO SAD', 'sad').cues.includes('caps') && !assess('I AM SAD', 'sad').cues.includes('caps') });
+  check('"but": before weighs less, after more', { ok: assess('happy but sad', 'happy').weight === 0.5 && assess('happy but sad', 'sad').weight === 1.5 });
+  check('contrast stays in its sentence', { ok: assess('I was happy. But now sad', 'happy').weight === 1 });
+  check('emoji + emoticons are words', { ok: createMatcher('ok 😢 :-((( ❤️').has('😢') && createMatcher('ok :-(((').has(':(') && createMatcher('love ❤️').has('❤') });
+  check('an affirmative occurrence wins over a negated one', { ok: !assess("I'm not sad. Okay, I'm sad", 'sad').negated });
+
+  console.log('\n=== Hear ===\n');
+
+  const hear = await import('../brains/hear/functions.js');
+  let res = hear.scan("I'm not sad anymore");
+  check('"not sad anymore" leans joy', { ok: res.category === 'joy' && res.emotions.includes('not:sad') });
+  check('"sad" is still pain', { ok: hear.scan("I'm sad").category === 'pain' });
+  res = hear.scan('never been happier');
+  check('"never been happier" is joy', { ok: res.category === 'joy' });
+  check('"happy but exhausted" is pain', { ok: hear.scan('happy but exhausted').category === 'pain' });
+  check('"exhausted but happy" is joy', { ok: hear.scan('exhausted but happy').category === 'joy' });
+  check('emoji count', { ok: hear.scan('today 😭😭').category === 'pain' && hear.scan('today :)').category === 'joy' });
+  check('intensity raises the signal', { ok: hear.scan('really really sad').signal > hear.scan('a bit sad').signal });
+  res = hear.scan("I don't want to kill myself, just tired");
+  check('negated crisis phrase: no crisis, flagged, still pain', { ok: !res.isCrisis && res.crisisNegated === true && res.category === 'pain' && res.emotions.includes('crisis-negated:kill myself') });
+  check('affirmative crisis still crisis', { ok: hear.scan('I want to kill myself').isCrisis });
+  res = hear.scan("I don't want to kill myself", { explain: true });
+  check('explain: negated crisis counts toward pain', { ok: res.explain.matches[0].list === 'hear.crisis' && res.explain.matches[0].contribution.field === 'painScore' && res.explain.matches[0].cues.includes('negated') });
+
+  console.log('\n=== crisis-detect ===\n');
+
+  const { dispatch } = await import('../skill-dispatch.js');
+  res = await dispatch('crisis-detect', { text: 'not suicidal, just tired' }, { strict: true });
+  check('negated critical → elevated, one tier down', { ok: res.ok && res.riskLevel === 'elevated' && res.resources !== null && res.matches.negated.includes('suicidal') && res.matches.critical.length === 0 });
+  res = await dispatch('crisis-detect', { text: "I don't want to die" });
+  check('"don\'t want to die" is lowered to elevated, not further', { ok: res.riskLevel === 'elevated' && res.isCrisis === false && res.isElevated === true });
+  res = await dispatch('crisis-detect', { text: "I'm not going to kill myself", explain: true });
+  check('"not going to kill myself" stays elevated', { ok: res.riskLevel === 'elevated' && res.isElevated === true && res.explain.matches[0].contribution.value === 'elevated' });
+  res = await dispatch('crisis-detect', { text: 'I want to die' });
+  check('affirmative critical stays critical', { ok: res.riskLevel === 'critical' && res.matches.negated.length === 0 });
+  res = await dispatch('crisis-detect', { text: "I'm not suicidal but I feel hopeless and trapped", explain: true });
+  check('negated critical + elevated phrases → elevated', { ok: res.riskLevel === 'elevated' && res.explain.riskLevel.negated === 1 && res.explain.riskLevel.elevated === 3 });
+  res = await dispatch('crisis-detect', { text: "I'm not hopeless anymore" });
+  check('negated elevated phrase counts for nothing', { ok: res.riskLevel === 'none' && res.matches.negated.includes('hopeless') });
+  res = await dispatch('crisis-detect', { text: 'I REALLY want to die' });
+  check('intensity never changes the tier', { ok: res.riskLevel === 'critical' });
+
+  console.log('\n=== emotion-scan + emotion-blend ===\n');
+
+  res = await dispatch('emotion-scan', { text: 'I am happy' });
+  const happy = res.hiScale;
+  res = await dispatch('emotion-scan', { text: 'I am not happy' }, { strict: true });
+  check('"not happy" mirrors across neutral', { ok: res.ok && res.hiScale < 3 && res.hiScale < happy && res.matches[0].negated === true && res.dominantCategory === 'opportunity' });
+  res = await dispatch('emotion-scan', { text: 'I am not anxious' });
+  check('"not anxious" lands at neutral', { ok: res.hiScale > 3 && res.matches[0].valence === 1 });
+  const before = (await dispatch('emotion-scan', { text: 'grateful but anxious' })).hiScale;
+  const after = (await dispatch('emotion-scan', { text: 'anxious but grateful' })).hiScale;
+  check('the clause after "but" leads hiScale', { ok: after > before });
+  res = await dispatch('emotion-scan', { text: 'today 😢', explain: true });
+  check('family emoji match as aliases', { ok: res.matches.some(m => m.family === 'grief') && res.explain.matches[0].spans.length === 1 });
+  res = await dispatch('emotion-scan', { text: 'so grateful but a little anxious', explain: true });
+  const deltas = res.explain.matches.reduce((sum, m) => sum + m.contribution.delta, 0);
+  check('explain: weighted deltas add up to hiScale', { ok: Math.abs(deltas - res.hiScale) <= 0.05 && res.explain.matches.every(m => Array.isArray(m.cues)) });
+
+  res = await dispatch('emotion-blend', { text: "I'm not angry, just sad" });
+  check('emotion-blend: negated family stays inactive', { ok: res.ok && !res.families.some(f => f.familyId === 'anger') && res.families.some(f => f.familyId === 'grief') });
+
+  rmSync(dir, { recursive: true, force: true });
+
+  console.log(`\n=== Negation Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  rmSync(dir, { recursive: true, force: true });
+  process.exit(1);
+});
@@ -0,0 +1,106 @@
+/**
+ * OpenAPI Test — generated API description for both HTTP surfaces
+ * Run: node tests/test-openapi.js
+ *
+ * Checks that every registered skill and every mounted Express route is
+ * described, that all $refs resolve, and that request/response schemas are
+ * the same ones the validators use.
+ */
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { buildOpenApi } = await import('../skill-openapi.js');
+  const { SKILL_REGISTRY, getSkillSchema } = await import('../skill-protocol.js');
+  const { SKILL_NAMES } = await import('../skill-registry.js');
+
+  /** Every $ref in the document points at a component */
+  function danglingRefs(doc) {
+    const missing = [];
+    const walk = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (typeof node.$ref === 'string') {
+        const name = node.$ref.replace('#/components/schemas/', '');
+        if (!doc.components.schemas[name]) missing.push(node.$ref);
+      }
+      Object.values(node).forEach(walk);
+    };
+    walk(doc.paths);
+    return missing;
+  }
+
+  /** Collect routes an Express mount function registers */
+  function mountedRoutes(mount) {
+    const routes = [];
+    const app = {};
+    for (const method of ['get', 'post', 'put', 'delete']) {
+      app[method] = (path) => routes.push(`${method} ${path.replace(/:(\w+)/g, '{$1}')}`);
+    }
+    mount(app);
+    return routes;
+  }
+
+  const operations = doc => Object.entries(doc.paths).flatMap(([path, ops]) => Object.keys(ops).map(method => `${method} ${path}`));
+
+  console.log('\n=== skill-http ===\n');
+
+  const http = buildOpenApi();
+  check('OpenAPI 3.1 document', { ok: http.openapi === '3.1.0' && http.info.version === '2.0.0' });
+  check('every data skill has a path', { ok: SKILL_NAMES.every(name => http.paths[`/skill/${name}`]?.post) });
+  check('brains are not on skill-http', { ok: !http.paths['/skill/hear'] && !http.paths['/skill/5fan-swarm'] });
+  check('all $refs resolve', { ok: danglingRefs(http).length === 0, error: danglingRefs(http).join(', ') });
+
+  const { $schema, $id, ...scanInput } = getSkillSchema('emotion-scan').input;
+  check('request body is the validator\'s input schema', { ok: JSON.stringify(http.components.schemas.EmotionScanInput) === JSON.stringify(scanInput) });
+  check('response body is the output schema', { ok: http.components.schemas.EmotionScanOutput.oneOf?.length === 2 });
+  check('no $id left in components', { ok: !JSON.stringify(http.components).includes('"$id"') });
+
+  const gate = http.paths['/skill/tier-gate'].post;
+  check('internal skill flagged + 403', { ok: gate['x-internal'] === true && !!gate.responses[403] });
+  check('public skill has no 403', { ok: !http.paths['/skill/emotion-scan'].post.responses[403] });
+  check('error responses share one shape', { ok: gate.responses[400].content['application/json'].schema.$ref === '#/components/schemas/Error' });
+  check('streaming skills document NDJSON', { ok: !!http.paths['/skill/coach-chat'].post.responses[200].content['application/x-ndjson'] });
+  check('meta routes described', { ok: ['/skill/batch', '/chain', '/health', '/metrics', '/manifest', '/openapi.json'].every(p => http.paths[p]) });
+
+  const ids = operations(http).map(op => { const [method, path] = op.split(' '); return http.paths[path][method].operationId; });
+  check('operationIds unique', { ok: new Set(ids).size === ids.length && ids.every(Boolean) });
+
+  console.log('\n=== Express /v1/5fan ===\n');
+
+  const express = buildOpenApi({ surface: 'express', serverUrl: 'http://localhost:5055' });
+  const described = new Set(operations(express));
+  check('every registry skill has a path', { ok: Object.keys(SKILL_REGISTRY).every(name => express.paths[`/v1/5fan/skill/${name}`]) });
+  check('brain input is { text, context }', { ok: express.components.schemas.HearInput.required.includes('text') });
+  check('servers from serverUrl', { ok: express.servers?.[0].url === 'http://localhost:5055' });
+  check('all $refs resolve', { ok: danglingRefs(express).length === 0 });
+
+  const { mountRoutes } = await import('../server/routes.js');
+  const apiRoutes = mountedRoutes(mountRoutes);
+  const missingApi = apiRoutes.filter(route => !described.has(route));
+  check('every mountRoutes() route described', { ok: apiRoutes.length > 10 && missingApi.length === 0, error: missingApi.join(', ') });
+
+  const { mountSkillRoutes } = await import('../server/skill-server.js');
+  // POST /skill/:brain is described once per skill (checked above)
+  const skillRoutes = mountedRoutes(mountSkillRoutes).filter(route => !route.endsWith('{brain}'));
+  const missingSkill = skillRoutes.filter(route => !described.has(route.replace('{brain}', '{name}')));
+  check('every mountSkillRoutes() route described', { ok: missingSkill.length === 0, error: missingSkill.join(', ') });
+
+  console.log(`\n=== OpenAPI Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
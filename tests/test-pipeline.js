@@ -0,0 +1,180 @@
+/**
+ * Skill Pipeline Test — skill:chain over any registered skills
+ * Run: node tests/test-pipeline.js
+ *
+ * Covers field mapping between steps, when/stopIf short-circuits, per-step
+ * results, failure handling, the skill:chain message validation,
+ * declarative pipelines/ definitions registered as skills, and internal
+ * steps refused to remote callers on the Express route.
+ */
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { runPipeline, validatePipeline, resolveTemplate, evaluateCondition } = await import('../skill-pipeline.js');
+  const { dispatch, hasSkill } = await import('../skill-dispatch.js');
+  const { validateCall, buildPipeline, buildChainResult } = await import('../skill-protocol.js');
+
+  const run = (skill, input) => dispatch(skill, input);
+
+  // emotion-scan → crisis-detect → micro-move → tone-match
+  const checkIn = [
+    { id: 'scan', skill: 'emotion-scan', input: { text: '$input.text' } },
+    {
+      id: 'crisis', skill: 'crisis-detect', input: { text: '$input.text' },
+      stopIf: { path: '$crisis.riskLevel', equals: 'critical', reason: 'crisis' },
+      return: { riskLevel: '$crisis.riskLevel', resources: '$crisis.resources' },
+    },
+    { id: 'move', skill: 'micro-move', input: { familyId: '$scan.families[0].id' } },
+    { id: 'tone', skill: 'tone-match', input: { text: '$move.moves[0].journalPrompt', detectOnly: true } },
+  ];
+
+  console.log('\n=== References + Conditions ===\n');
+
+  const scope = { input: { text: 'hi' }, prev: { n: 3 }, steps: { scan: { families: [{ id: 'grief' }] } } };
+  check('$input reference', { ok: resolveTemplate('$input.text', scope) === 'hi' });
+  check('indexed step reference', { ok: resolveTemplate('$scan.families[0].id', scope) === 'grief' });
+  check('$prev reference', { ok: resolveTemplate({ n: '$prev.n' }, scope).n === 3 });
+  check('$$ escapes a literal', { ok: resolveTemplate('$$5', scope) === '$5' });
+  check('$from default on missing', { ok: resolveTemplate({ $from: '$scan.families[3].id', default: 'peace' }, scope) === 'peace' });
+  check('missing reference drops the key', { ok: !('x' in resolveTemplate({ x: '$nope.y' }, scope)) });
+  check('gte condition', { ok: evaluateCondition({ path: '$prev.n', gte: 3 }, scope) });
+  check('any condition', { ok: evaluateCondition({ any: [{ path: '$input.text', equals: 'no' }, { path: '$prev.n', in: [3] }] }, scope) });
+
+  console.log('\n=== Validation ===\n');
+
+  check('check-in pipeline is valid', { ok: validatePipeline(checkIn, hasSkill).valid });
+  const unknown = validatePipeline([{ skill: 'nope' }], hasSkill);
+  check('unknown skill → INVALID_PIPELINE', { ok: unknown.code === 'INVALID_PIPELINE' && unknown.errors[0].field === 'steps[0].skill' });
+  const dupe = validatePipeline([{ id: 'a', skill: 'emotion-scan' }, { id: 'a', skill: 'crisis-detect' }], hasSkill);
+  check('duplicate step id rejected', { ok: !dupe.valid && /duplicate/.test(dupe.error) });
+  check('reserved step id rejected', { ok: !validatePipeline([{ id: 'input', skill: 'emotion-scan' }], hasSkill).valid });
+  check('bad condition rejected', { ok: !validatePipeline([{ skill: 'emotion-scan', stopIf: { path: 'riskLevel' } }], hasSkill).valid });
+
+  const msg = buildPipeline(checkIn, { text: 'I feel sad' });
+  check('buildPipeline → valid skill:chain', { ok: validateCall(msg).valid });
+  check('pipeline chain needs object input', { ok: validateCall({ ...msg, input: 'x' }).code === 'INVALID_INPUT' });
+  check('legacy brain chain still validates', { ok: validateCall({ type: 'skill:chain', skills: ['hear', 'view'], input: { text: 'hi' } }).valid });
+  const result = buildChainResult('c1', [], null, { ok: true, output: { a: 1 } });
+  check('chain result carries pipeline fields', { ok: result.output?.a === 1 && result.type === 'skill:chain-result' });
+
+  console.log('\n=== Execution ===\n');
+
+  const calm = await runPipeline(checkIn, { text: 'I feel so sad and lonely since she left' }, { run });
+  check('check-in runs all four steps', { ok: calm.ok && calm.results.length === 4, error: JSON.stringify(calm.failed) });
+  check('scan family mapped into micro-move', { ok: calm.results[2].output.moves?.length > 0 });
+  check('final output is the last step', { ok: typeof calm.output?.detectedTone === 'string' });
+  check('per-step timings recorded', { ok: calm.results.every(r => typeof r.ms === 'number') });
+
+  const crisis = await runPipeline(checkIn, { text: 'I want to kill myself' }, { run });
+  check('critical risk stops the pipeline', { ok: crisis.ok && crisis.stopped?.at === 'crisis' && crisis.results.length === 2 });
+  check('stop returns crisis resources', { ok: crisis.output?.riskLevel === 'critical' && !!crisis.output.resources });
+
+  const skipped = await runPipeline([
+    { id: 'scan', skill: 'emotion-scan' },
+    { id: 'blend', skill: 'emotion-blend', when: { path: '$scan.emotionCount', gt: 99 } },
+  ], { text: 'I feel angry' }, { run });
+  check('when=false skips the step', { ok: skipped.results[1].skipped === true });
+
+  const broken = await runPipeline([
+    { id: 'gate', skill: 'tier-gate', input: {} },
+    { id: 'scan', skill: 'emotion-scan' },
+  ], { text: 'hello' }, { run });
+  check('failed step ends the pipeline', { ok: !broken.ok && broken.failed?.at === 'gate' && broken.failed.code === 'INVALID_INPUT' && broken.results.length === 1 });
+
+  const tolerant = await runPipeline([
+    { id: 'gate', skill: 'tier-gate', input: {}, continueOnError: true },
+    { id: 'scan', skill: 'emotion-scan' },
+  ], { text: 'I feel angry' }, { run });
+  check('continueOnError keeps going', { ok: tolerant.ok && tolerant.results.length === 2 });
+
+  const shaped = await runPipeline(['emotion-scan', 'crisis-detect'], { text: 'I feel calm' }, {
+    run, output: { families: '$step1.families', risk: '$step2.riskLevel' },
+  });
+  check('string steps + output template', { ok: shaped.output?.risk === 'none' && Array.isArray(shaped.output.families) });
+
+  const thrown = await runPipeline(['emotion-scan'], { text: 'x' }, { run: async () => { throw new Error('boom'); } });
+  check('thrown runner error → SKILL_ERROR', { ok: thrown.failed?.code === 'SKILL_ERROR' });
+
+  console.log('\n=== Defined Pipelines ===\n');
+
+  const { parsePipelineDefinition, buildPipelineManifest } = await import('../skill-pipeline.js');
+  const { getManifest, isPipeline } = await import('../skill-registry.js');
+  const { buildManifest } = await import('../skill-protocol.js');
+
+  const yamlDef = parsePipelineDefinition([
+    'title: Demo',
+    'steps:',
+    '  - id: scan',
+    '    skill: emotion-scan',
+    '    input: { text: $input.text }',
+    '  - skill: micro-move',
+    '    input:',
+    '      familyId: "$scan.families[0].id"',
+  ].join('\n'), 'demo.yaml');
+  check('YAML definition parses', { ok: yamlDef.steps.length === 2 && yamlDef.steps[0].input.text === '$input.text' });
+  check('JSON definition parses', { ok: parsePipelineDefinition('{"steps":["emotion-scan"]}', 'x.json').steps[0] === 'emotion-scan' });
+
+  const built = buildPipelineManifest('demo', yamlDef, getManifest);
+  check('manifest built from definition', { ok: built.valid && built.manifest.pipeline.skills.join(',') === 'emotion-scan,micro-move' });
+  check('unknown step skill rejected', { ok: !buildPipelineManifest('demo', { steps: ['nope'] }, getManifest).valid });
+  check('pipelines cannot call pipelines', { ok: !buildPipelineManifest('demo', { steps: ['check-in-flow'] }, getManifest).valid });
+  check('bad pipeline name rejected', { ok: !buildPipelineManifest('Demo Flow', yamlDef, getManifest).valid });
+  check('internal step → internal pipeline', { ok: buildPipelineManifest('gate', { steps: ['tier-gate'] }, getManifest).manifest.internal === true });
+
+  check('check-in-flow registered', { ok: isPipeline('check-in-flow') && hasSkill('check-in-flow') });
+  const entry = buildManifest().skills.find(s => s.name === 'check-in-flow');
+  check('check-in-flow in buildManifest()', { ok: entry?.pipeline?.includes('journal-prompt') });
+
+  const flow = await dispatch('check-in-flow', { text: 'I am so angry and frustrated with work' }, { strict: true });
+  check('check-in-flow runs end to end', { ok: flow.ok && flow.crisis === false && flow.prompts?.length === 3, error: flow.error });
+  check('check-in-flow maps the family into desire-bridge', { ok: flow.desires?.length > 0 });
+  check('check-in-flow reports step trace', { ok: flow.pipeline?.steps?.length === 4 });
+
+  const flowCrisis = await dispatch('check-in-flow', { text: 'I want to end my life' }, { strict: true });
+  check('check-in-flow stops at crisis gate', { ok: flowCrisis.crisis === true && !!flowCrisis.resources && flowCrisis.pipeline.stopped?.at === 'crisis' });
+  check('check-in-flow validates its own input', { ok: (await dispatch('check-in-flow', {})).code === 'INVALID_INPUT' });
+
+  console.log('\n=== Express /v1/5fan/skill/chain ===\n');
+
+  const { mountSkillRoutes } = await import('../server/skill-server.js');
+  const routes = {};
+  mountSkillRoutes({ post: (path, fn) => { routes[path] = fn; }, get: () => {} });
+  const expressChain = async (ip, body) => {
+    const res = {
+      statusCode: 200, body: null,
+      set() { return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { this.body = payload; return this; },
+      on() {},
+    };
+    await routes['/v1/5fan/skill/chain']({ ip, body, query: {}, get: () => undefined }, res);
+    return res;
+  };
+  const gated = { steps: ['emotion-scan', 'tier-gate'], input: { text: 'hi', tier: 'free', feature: 'vault' } };
+  let res = await expressChain('203.0.113.7', gated);
+  check('remote caller refused an internal step', { ok: res.statusCode === 403 && res.body.code === 'ACCESS_DENIED' && !res.body.results, error: JSON.stringify(res.body) });
+  res = await expressChain('127.0.0.1', gated);
+  check('loopback caller runs it', { ok: res.statusCode === 200 && res.body.ok === true, error: JSON.stringify(res.body) });
+  res = await expressChain('203.0.113.7', { steps: ['emotion-scan'], input: { text: 'hi' } });
+  check('public steps still run for remote callers', { ok: res.statusCode === 200 });
+
+  console.log(`\n=== Pipeline Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
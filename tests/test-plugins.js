@@ -0,0 +1,257 @@
+/**
+ * Plugin Test — namespaced third-party skills loaded, isolated and hot-reloaded
+ * Run: node tests/test-plugins.js
+ *
+ * Builds a throwaway plugins directory (FIVEFAN_PLUGINS_DIR, set before the
+ * registry is imported) with one good plugin and several broken ones.
+ */
+
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable, Writable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+
+const dir = mkdtempSync(join(tmpdir(), '5fan-plugins-'));
+const pluginsDir = join(dir, 'plugins');
+process.env.FIVEFAN_PLUGINS_DIR = pluginsDir;
+process.env.FIVEFAN_USAGE_FILE = join(dir, 'usage.jsonl');
+
+/** Write plugins/<folder>/<file> */
+function writePlugin(folder, files) {
+  mkdirSync(join(pluginsDir, folder), { recursive: true });
+  for (const [file, body] of Object.entries(files)) writeFileSync(join(pluginsDir, folder, file), body);
+}
+
+/** A plugin entry module */
+const pluginSource = ({ skill = 'acme/onboarding-check', protocol = '^2.0.0', version = '1.0.0', reply = 'welcome', extra = '', handle } = {}) => `
+export const manifest = {
+  skill: ${JSON.stringify(skill)},
+  protocol: ${JSON.stringify(protocol)},
+  version: ${JSON.stringify(version)},
+  title: 'Onboarding Check',
+  encodes: 'Whether a new member finished onboarding',
+  deterministic: true,
+  accepts: { text: { type: 'string', required: true, description: 'What they said' } },
+  returns: { ok: 'boolean', reply: 'string' },
+  ${extra}
+};
+export ${handle ?? `function handle(input) { return { ok: true, reply: ${JSON.stringify(reply)} + ':' + input.text }; }`}
+`;
+
+writePlugin('acme-onboarding', {
+  'package.json': JSON.stringify({ name: '@acme/5fan-onboarding', type: 'module', main: 'main.js' }),
+  'main.js': pluginSource(),
+});
+writePlugin('acme-default', {
+  'index.js': `export default { manifest: { skill: 'acme/echo', protocol: '2.x', accepts: {}, returns: {} }, handle: (input) => { input.mutated = true; return { ok: true, echo: input }; } };`,
+});
+writePlugin('zz-thrower', {
+  'index.js': pluginSource({ skill: 'zz/thrower', handle: 'function handle() { throw new Error("boom"); }' }).replace('deterministic: true,', ''),
+});
+writePlugin('zz-returns-string', {
+  'index.js': pluginSource({ skill: 'zz/stringy', handle: 'async function handle() { return "nope"; }' }).replace('deterministic: true,', ''),
+});
+writePlugin('bad-version', { 'index.js': pluginSource({ skill: 'old/skill', protocol: '^3.0.0' }) });
+writePlugin('bad-name', { 'index.js': pluginSource({ skill: 'emotion-scan' }) });
+writePlugin('bad-syntax', { 'index.js': 'export const manifest = {' });
+writePlugin('dup', { 'index.js': pluginSource() });
+writePlugin('empty', { 'README.md': 'no entry' });
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(base) {
+  for (let i = 0; i < 50; i++) {
+    try {
+      return await (await fetch(`${base}/health`)).json();
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('skill-http did not start');
+}
+
+/** Run the CLI in-process: { code, out, err } */
+async function run(main, argv) {
+  let out = '';
+  let err = '';
+  const sink = append => new Writable({ write(chunk, _enc, done) { append(String(chunk)); done(); } });
+  const stdin = Object.assign(Readable.from([]), { isTTY: true });
+  const code = await main(argv, { stdin, stdout: sink(s => { out += s; }), stderr: sink(s => { err += s; }) });
+  return { code, out, err };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  console.log('\n=== Versions + manifests ===\n');
+
+  const { satisfiesVersion, checkPluginManifest, isolatePlugin } = await import('../skill-plugins.js');
+  check('^ stays within the major', { ok: satisfiesVersion('2.3.1', '^2.0.0') && !satisfiesVersion('3.0.0', '^2.0.0') && !satisfiesVersion('1.9.0', '^2.0.0') });
+  check('~ stays within the minor', { ok: satisfiesVersion('2.0.9', '~2.0.0') && !satisfiesVersion('2.1.0', '~2.0.0') });
+  check('wildcards, comparators and ||', { ok: satisfiesVersion('2.0.0', '2.x') && satisfiesVersion('2.0.0', '>=2.0.0 <3') && satisfiesVersion('2.0.0', '1.x || 2') && !satisfiesVersion('2.0.0', '>2.0.0') });
+  check('unreadable ranges never match', { ok: !satisfiesVersion('2.0.0', 'latest') && !satisfiesVersion('2.0.0', '') });
+  check('manifest needs a namespaced name', { ok: !checkPluginManifest({ skill: 'scan', protocol: '^2.0.0' }, '2.0.0').valid && !checkPluginManifest({ skill: 'Acme/X', protocol: '^2.0.0' }, '2.0.0').valid });
+  check('manifest needs a protocol range', { ok: checkPluginManifest({ skill: 'a/b' }, '2.0.0').error.includes('protocol') });
+  check('valid manifest', { ok: checkPluginManifest({ skill: 'a/b', protocol: '^2.0.0', accepts: {} }, '2.0.0').valid });
+  const isolated = isolatePlugin('a/b', () => { throw new Error('kaput'); });
+  const failure = await isolated({}, {});
+  check('isolated throw → PLUGIN_ERROR', { ok: failure.ok === false && failure.code === 'PLUGIN_ERROR' && failure.error.includes('kaput') });
+
+  console.log('\n=== Startup load ===\n');
+
+  const registry = await import('../skill-registry.js');
+  const { SKILL_REGISTRY, getSkillSchema, buildManifest } = await import('../skill-protocol.js');
+  const { dispatch, SKILL_COUNT } = await import('../skill-dispatch.js');
+  const { plugins, errors } = registry.listPlugins();
+  const skipped = source => errors.find(e => e.source === `plugins/${source}`)?.error ?? '';
+
+  check('good plugins loaded', { ok: ['acme/echo', 'acme/onboarding-check', 'zz/thrower', 'zz/stringy'].every(name => plugins.some(p => p.skill === name)) });
+  check('package.json main is the entry', { ok: plugins.find(p => p.skill === 'acme/onboarding-check')?.source === 'plugins/acme-onboarding' });
+  check('wrong protocol skipped', { ok: skipped('bad-version').includes('^3.0.0') });
+  check('un-namespaced name skipped (core skills stay core)', { ok: skipped('bad-name').includes('<namespace>/<name>') && registry.getManifest('emotion-scan').plugin === undefined });
+  check('import failure skipped', { ok: skipped('bad-syntax').startsWith('failed to load') });
+  check('duplicate name skipped', { ok: skipped('dup').includes('already provided by plugins/acme-onboarding') });
+  check('folder without an entry skipped', { ok: skipped('empty').includes('no entry module') });
+
+  const meta = registry.getManifest('acme/onboarding-check');
+  check('namespace is the cluster, channel is derived', { ok: meta.cluster === 'acme' && meta.channel === '5fan-skill-acme/onboarding-check' && meta.plugin.version === '1.0.0' });
+  check('protocol registry + manifest + schema include it', {
+    ok: !!SKILL_REGISTRY['acme/onboarding-check'] && buildManifest().skills.some(s => s.name === 'acme/onboarding-check') && !!getSkillSchema('acme/onboarding-check'),
+  });
+  check('counted with the other skills', { ok: SKILL_COUNT === registry.SKILL_NAMES.length && registry.SKILL_NAMES.includes('acme/echo') });
+
+  console.log('\n=== Dispatch + isolation ===\n');
+
+  let res = await dispatch('acme/onboarding-check', { text: 'hi' });
+  check('plugin answers through dispatch()', { ok: res.ok && res.reply === 'welcome:hi' });
+  res = await dispatch('acme/onboarding-check', {});
+  check('input validated against its accepts', { ok: res.code === 'INVALID_INPUT' });
+  res = await dispatch('zz/thrower', { text: 'x' });
+  check('throwing plugin → PLUGIN_ERROR, no crash', { ok: res.ok === false && res.code === 'PLUGIN_ERROR' });
+  res = await dispatch('zz/stringy', { text: 'x' });
+  check('non-object result → PLUGIN_ERROR', { ok: res.code === 'PLUGIN_ERROR' && res.error.includes('string') });
+  const input = { text: 'keep me' };
+  res = await dispatch('acme/echo', input);
+  check('plugin gets its own copy of the input', { ok: res.echo.mutated === true && input.mutated === undefined });
+  check('core skills unaffected', { ok: (await dispatch('emotion-scan', { text: 'calm' })).ok });
+
+  console.log('\n=== P2P ===\n');
+
+  const { initSkillServer } = await import('../server/skill-server.js');
+  const { buildCall } = await import('../skill-protocol.js');
+  const handlers = {};
+  const sent = [];
+  initSkillServer({
+    on: (channel, fn) => { handlers[channel] = fn; },
+    broadcast: (channel, payload) => sent.push({ channel, ...JSON.parse(payload) }),
+  }, {});
+  const reply = callId => sent.find(m => m.callId === callId);
+
+  await handlers['5fan-skill-acme/onboarding-check']?.({ ...buildCall('acme/onboarding-check', 'yo', {}, 'p1'), from: 'peer-x' });
+  check('plugin channel answers skill:call', { ok: reply('p1')?.output?.reply === 'welcome:yo' });
+
+  console.log('\n=== Hot reload ===\n');
+
+  writePlugin('acme-onboarding', { 'main.js': pluginSource({ version: '1.1.0', reply: 'hello again' }) });
+  writePlugin('acme-new', { 'index.js': pluginSource({ skill: 'acme/new-thing', reply: 'fresh' }) });
+  rmSync(join(pluginsDir, 'acme-default'), { recursive: true });
+  const manifestsBefore = sent.filter(m => m.type === 'skill:manifest').length;
+  let reloaded = await registry.reloadPlugins();
+  check('reload reports what loaded', { ok: reloaded.loaded === 4 && reloaded.errors.length === 5 });
+  res = await dispatch('acme/onboarding-check', { text: 'hi' });
+  check('changed plugin replaced — cached result dropped', { ok: res.reply === 'hello again:hi' && registry.getManifest('acme/onboarding-check').plugin.version === '1.1.0' });
+  check('new plugin registered', { ok: (await dispatch('acme/new-thing', { text: 'a' })).reply === 'fresh:a' });
+  check('removed plugin unregistered everywhere', {
+    ok: (await dispatch('acme/echo', {})).code === 'UNKNOWN_SKILL' && !SKILL_REGISTRY['acme/echo'] && !registry.SKILL_NAMES.includes('acme/echo'),
+  });
+  check('skill server listens on the new channel', { ok: typeof handlers['5fan-skill-acme/new-thing'] === 'function' });
+  check('manifest re-broadcast on change', { ok: sent.filter(m => m.type === 'skill:manifest').length > manifestsBefore });
+
+  writePlugin('acme-onboarding', { 'main.js': 'export const manifest = {' });
+  reloaded = await registry.reloadPlugins();
+  res = await dispatch('acme/onboarding-check', { text: 'hi' });
+  check('failed reload keeps the previous version', { ok: res.reply === 'hello again:hi' && reloaded.errors.some(e => e.source === 'plugins/acme-onboarding') });
+  writePlugin('acme-onboarding', { 'main.js': pluginSource({ version: '1.2.0', reply: 'fixed' }) });
+
+  const stop = registry.watchPlugins(true);
+  writePlugin('acme-watched', { 'index.js': pluginSource({ skill: 'acme/watched', reply: 'seen' }) });
+  for (let i = 0; i < 30 && !registry.getHandler('acme/watched'); i++) await sleep(100);
+  stop?.();
+  check('watch() reloads on change', { ok: (await dispatch('acme/watched', { text: 'w' })).reply === 'seen:w' && (await dispatch('acme/onboarding-check', { text: 'x' })).reply === 'fixed:x' });
+
+  console.log('\n=== skill-http ===\n');
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [fileURLToPath(new URL('../skill-http.js', import.meta.url))], {
+    env: { ...process.env, PORT: String(port) },
+    stdio: 'ignore',
+  });
+
+  try {
+    const base = `http://127.0.0.1:${port}`;
+    await waitForHealth(base);
+    const post = (path, body) => fetch(`${base}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+    let http = await post('/skill/acme/onboarding-check', { text: 'web' });
+    check('POST /skill/<namespace>/<name>', { ok: http.status === 200 && (await http.json()).reply === 'fixed:web' });
+    http = await fetch(`${base}/skill/acme/onboarding-check/schema`);
+    check('GET plugin schema', { ok: http.status === 200 && (await http.json()).skill === 'acme/onboarding-check' });
+    http = await fetch(`${base}/admin/plugins`);
+    let body = await http.json();
+    check('GET /admin/plugins', { ok: http.status === 200 && body.plugins.some(p => p.skill === 'acme/watched') && body.errors.length > 0 });
+
+    writePlugin('acme-late', { 'index.js': pluginSource({ skill: 'acme/late', reply: 'late' }) });
+    http = await post('/admin/plugins/reload', {});
+    body = await http.json();
+    check('POST /admin/plugins/reload', { ok: http.status === 200 && body.loaded >= 6 });
+    http = await post('/skill/acme/late', { text: 'x' });
+    check('reloaded plugin served', { ok: (await http.json()).reply === 'late:x' });
+    http = await fetch(`${base}/openapi.json`);
+    check('OpenAPI picks up plugins', { ok: !!(await http.json()).paths['/skill/acme/late'] });
+  } finally {
+    child.kill();
+  }
+
+  console.log('\n=== 5fan plugins ===\n');
+
+  const { main } = await import('../skill-cli.js');
+  let cli = await run(main, ['plugins', '--json']);
+  const listed = JSON.parse(cli.out);
+  check('--json lists plugins + errors, exit 1 when any skipped', { ok: cli.code === 1 && listed.plugins.length > 0 && listed.errors.length > 0 });
+  cli = await run(main, ['call', 'acme/onboarding-check', '--text', 'cli', '--json']);
+  check('5fan call <namespace>/<name>', { ok: cli.code === 0 && JSON.parse(cli.out).reply === 'fixed:cli' });
+
+  rmSync(dir, { recursive: true, force: true });
+
+  console.log(`\n=== Plugin Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  rmSync(dir, { recursive: true, force: true });
+  process.exit(1);
+});
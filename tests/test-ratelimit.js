@@ -0,0 +1,209 @@
+/**
+ * Rate Limit Test — token buckets per caller, per skill and per tier
+ * Run: node tests/test-ratelimit.js
+ *
+ * Unit-tests the limiter with a fake clock, then checks the same buckets
+ * over P2P, the Express routes and a spawned skill-http.
+ */
+
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(base) {
+  for (let i = 0; i < 50; i++) {
+    try {
+      return await (await fetch(`${base}/health`)).json();
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('skill-http did not start');
+}
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { createTokenBucket, createRateLimiter, rateLimitHeaders } = await import('../skill-ratelimit.js');
+
+  console.log('\n=== Token bucket ===\n');
+
+  let clock = 0;
+  const now = () => clock;
+  const bucket = createTokenBucket({ perMinute: 6, now });
+  check('starts full', { ok: bucket.take(6) && !bucket.take() });
+  let status = bucket.status();
+  check('resetMs = time to refill completely', { ok: status.remaining === 0 && status.resetMs === 60_000 });
+  check('retryAfterMs for one token', { ok: status.retryAfterMs === 10_000 });
+  clock += 10_000;
+  check('refills at perMinute', { ok: bucket.take() && !bucket.take() });
+  check('cost over capacity never fits', { ok: bucket.status(7).retryAfterMs === null });
+  clock += 10 * 60_000;
+  check('never refills past burst', { ok: bucket.status().remaining === 6 && bucket.isFull() });
+
+  console.log('\n=== Limiter ===\n');
+
+  clock = 0;
+  const limiter = createRateLimiter({
+    defaultTier: 'free',
+    tiers: { free: { perMinute: 5 }, gold: { perMinute: 20 }, unlimited: null },
+    skills: { 'coach-chat': { perMinute: 2, tiers: { gold: { perMinute: 4 } } } },
+    callers: { 'peer-gold': 'gold' },
+    now,
+  });
+  const take = (caller, skills, tier) => limiter.take({ caller, skills, tier });
+
+  status = take('peer-a', ['emotion-scan']);
+  check('reports tier, limit, remaining, resetMs', { ok: status.ok && status.tier === 'free' && status.limit === 5 && status.remaining === 4 && status.resetMs === 12_000 });
+  check('callers map sets the tier', { ok: take('peer-gold', ['emotion-scan']).limit === 20 });
+  check('credential tier wins over the map', { ok: take('peer-gold', ['emotion-scan'], 'free').tier === 'free' });
+  check('unknown tier → default', { ok: take('peer-b', ['emotion-scan'], 'platinum').tier === 'free' });
+  check('null tier is unlimited', { ok: take('svc', Array(100).fill('emotion-scan'), 'unlimited').limit === null });
+
+  status = take('peer-a', Array(5).fill('emotion-scan'));
+  check('request over the budget refused whole', { ok: status.code === 'RATE_LIMITED' && status.remaining === 4 && /5 calls exceed free tier/.test(status.error) });
+  check('refusal charges nothing', { ok: take('peer-a', Array(4).fill('emotion-scan')).remaining === 0 });
+  check('retryAfterMs on refusal', { ok: take('peer-a', ['emotion-scan']).retryAfterMs === 12_000 });
+
+  check('per-skill bucket', { ok: take('peer-c', ['coach-chat']).ok && take('peer-c', ['coach-chat']).remaining === 0 });
+  status = take('peer-c', ['coach-chat']);
+  check('per-skill limit refuses before the tier limit', { ok: !status.ok && /coach-chat limit of 2/.test(status.error) });
+  check('other skills still run', { ok: take('peer-c', ['emotion-scan']).ok });
+  check('per-skill limit by tier', { ok: take('peer-gold', Array(4).fill('coach-chat')).ok && !take('peer-gold', ['coach-chat']).ok });
+  check('tightest bucket reported', { ok: take('peer-d', ['coach-chat']).remaining === 1 });
+
+  check('stats count callers', { ok: limiter.stats().callers === 5 && limiter.stats().buckets === 8 });
+  clock += 60_000;
+  limiter.prune();
+  check('prune drops refilled buckets', { ok: limiter.stats().buckets === 0 });
+  check('disabled limiter admits everything', { ok: createRateLimiter({ enabled: false, tiers: { free: { perMinute: 1 } } }).take({ caller: 'x', skills: Array(9).fill('a') }).ok });
+
+  const headers = rateLimitHeaders({ ok: false, limit: 5, remaining: 0, resetMs: 59_001, retryAfterMs: 11_500 });
+  check('RateLimit headers in seconds', { ok: headers['RateLimit-Reset'] === '60' && headers['Retry-After'] === '12' && headers['RateLimit-Limit'] === '5' });
+
+  console.log('\n=== P2P ===\n');
+
+  const { initSkillServer, mountSkillRoutes } = await import('../server/skill-server.js');
+  const { buildCall, buildBatch } = await import('../skill-protocol.js');
+  const handlers = {};
+  const sent = [];
+  initSkillServer({
+    on: (channel, fn) => { handlers[channel] = fn; },
+    broadcast: (_channel, payload) => sent.push(JSON.parse(payload)),
+  }, {});
+  const channel = handlers['5fan-skill-emotion-scan'];
+  const reply = callId => sent.find(m => m.callId === callId);
+
+  await channel({ ...buildCall('emotion-scan', 'calm', {}, 'p1'), from: 'peer-p2p' });
+  check('skill:result carries rateLimit', { ok: reply('p1')?.rateLimit?.remaining === 29 && reply('p1').rateLimit.tier === 'free' });
+  const calls = Array.from({ length: 25 }, (_, i) => ({ skill: 'emotion-scan', input: { text: `calm ${i}` } }));
+  await channel({ ...buildBatch(calls, 'p2'), from: 'peer-p2p' });
+  check('batch result carries rateLimit', { ok: reply('p2')?.rateLimit?.remaining === 4 });
+  await channel({ ...buildBatch(calls.slice(0, 5), 'p3'), from: 'peer-p2p' });
+  const refused = reply('p3');
+  check('refusal carries retryAfterMs + rateLimit', { ok: refused?.code === 'RATE_LIMITED' && refused.retryAfterMs > 0 && refused.rateLimit.remaining === 4 });
+
+  console.log('\n=== Express routes ===\n');
+
+  const routes = {};
+  mountSkillRoutes({ post: (path, fn) => { routes[path] = fn; }, get: () => {} });
+  const expressCall = async (ip, skills) => {
+    const res = {
+      statusCode: 200, headers: {}, body: null,
+      set(h) { Object.assign(this.headers, h); return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+      on() {},
+    };
+    const req = { ip, body: { calls: skills.map(skill => ({ skill, input: { text: 'calm' } })) }, query: {}, get: () => undefined };
+    await routes['/v1/5fan/skill/batch'](req, res);
+    return res;
+  };
+  let res = await expressCall('203.0.113.9', Array(20).fill('emotion-scan'));
+  check('RateLimit headers on Express responses', { ok: res.statusCode === 200 && res.headers['RateLimit-Remaining'] === '10' });
+  res = await expressCall('203.0.113.9', Array(20).fill('emotion-scan'));
+  check('Express 429 once the IP is out of budget', { ok: res.statusCode === 429 && res.body.code === 'RATE_LIMITED' && res.headers['Retry-After'] !== undefined });
+  res = await expressCall('127.0.0.1', Array(20).fill('emotion-scan'));
+  check('loopback gets the local tier', { ok: res.statusCode === 200 && res.headers['RateLimit-Limit'] === '1200' });
+
+  console.log('\n=== skill-http ===\n');
+
+  const dir = mkdtempSync(join(tmpdir(), '5fan-ratelimit-'));
+  const keysFile = join(dir, 'keys.json');
+  writeFileSync(keysFile, JSON.stringify([
+    { id: 'free-app', secret: 'free-secret-0123456789' },
+    { id: 'gold-app', secret: 'gold-secret-0123456789', tier: 'gold' },
+  ]));
+  const port = await freePort();
+  const child = spawn(process.execPath, [fileURLToPath(new URL('../skill-http.js', import.meta.url))], {
+    env: { ...process.env, PORT: String(port), FIVEFAN_HTTP_KEYS_FILE: keysFile },
+    stdio: 'ignore',
+  });
+
+  try {
+    const base = `http://127.0.0.1:${port}`;
+    await waitForHealth(base);
+    const batch = secret => fetch(`${base}/skill/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${secret}` },
+      body: JSON.stringify({ calls: calls.slice(0, 20) }),
+    });
+
+    res = await batch('free-secret-0123456789');
+    check('RateLimit headers on skill-http', { ok: res.status === 200 && res.headers.get('ratelimit-limit') === '30' && res.headers.get('ratelimit-remaining') === '10' });
+    res = await batch('free-secret-0123456789');
+    const body = await res.json();
+    check('429 + Retry-After when the key is out of budget', { ok: res.status === 429 && body.code === 'RATE_LIMITED' && Number(res.headers.get('retry-after')) > 0 && body.rateLimit.tier === 'free' });
+    res = await batch('gold-secret-0123456789');
+    await batch('gold-secret-0123456789');
+    check('key tier sizes the bucket', { ok: res.headers.get('ratelimit-limit') === '240' });
+
+    // Drain the free key, then retry one call under the same Idempotency-Key
+    const single = (secret, count, key) => fetch(`${base}/skill/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${secret}`, ...(key && { 'Idempotency-Key': key }) },
+      body: JSON.stringify({ calls: calls.slice(0, count) }),
+    });
+    for (let i = 0; i < 20 && (await single('free-secret-0123456789', 1)).status === 200; i++);
+    res = await single('free-secret-0123456789', 1, 'retry-after-429');
+    const refused = await res.json();
+    check('keyed call refused with 429', { ok: res.status === 429 && refused.code === 'RATE_LIMITED' });
+    await new Promise(resolve => setTimeout(resolve, refused.retryAfterMs + 100));
+    res = await single('free-secret-0123456789', 1, 'retry-after-429');
+    check('retry after Retry-After runs — the 429 isn\'t replayed', { ok: res.status === 200 && res.headers.get('idempotent-replayed') === null && (await res.json()).ok === true });
+  } finally {
+    child.kill();
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log(`\n=== Rate Limit Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+/**
+ * Skill Registry Test — auto-discovery shared by dispatch, HTTP, and skill-server
+ * Run: node tests/test-registry.js
+ */
+
+import fs from 'fs';
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const registry = await import('../skill-registry.js');
+  const { SKILL_REGISTRY } = await import('../skill-protocol.js');
+  const dispatcher = await import('../skill-dispatch.js');
+
+  console.log('\n=== Skill Registry ===\n');
+
+  // Every skills/<category>/<name>/skill.json folder is discovered
+  const root = new URL('../skills/', import.meta.url);
+  const onDisk = [];
+  for (const cluster of fs.readdirSync(root)) {
+    const clusterUrl = new URL(`${cluster}/`, root);
+    for (const name of fs.readdirSync(clusterUrl)) {
+      if (fs.existsSync(new URL(`${name}/skill.json`, clusterUrl))) onDisk.push(name);
+    }
+  }
+
+  for (const name of onDisk) {
+    check(`discovered: ${name}`, { ok: typeof registry.getHandler(name) === 'function' });
+  }
+  const pipelineFiles = fs.readdirSync(new URL('../pipelines/', import.meta.url)).filter(f => /\.(json|ya?ml)$/.test(f));
+  check(`count matches disk (${onDisk.length} skills + ${pipelineFiles.length} pipelines)`, {
+    ok: registry.SKILL_COUNT === onDisk.length + pipelineFiles.length,
+  });
+
+  // Folder name is authoritative; cluster + channel are filled in
+  for (const name of registry.SKILL_NAMES) {
+    const meta = registry.getManifest(name);
+    const good = meta.skill === name && !!meta.cluster && meta.channel === `5fan-skill-${name}`;
+    check(`manifest: ${name}`, { ok: good, error: JSON.stringify({ skill: meta.skill, channel: meta.channel }) });
+  }
+
+  // skill-protocol + skill-dispatch consume the same registry
+  check('SKILL_REGISTRY includes every discovered skill', { ok: registry.SKILL_NAMES.every(n => SKILL_REGISTRY[n]) });
+  check('dispatcher exposes every discovered skill', { ok: dispatcher.SKILL_COUNT === registry.SKILL_COUNT });
+  check('brains + swarm still registered', { ok: ['hear', 'inspyre', 'flow', 'you', 'view', '5fan-swarm'].every(n => SKILL_REGISTRY[n]) });
+
+  // Dispatch through the registry
+  const scan = await dispatcher.dispatch('emotion-scan', { text: 'I feel angry' });
+  check('dispatch emotion-scan', scan);
+
+  const unknown = await dispatcher.dispatch('not-a-skill', {});
+  check('dispatch unknown → rejected', { ok: !unknown.ok });
+  check('hasSkill ignores prototype keys', { ok: !dispatcher.hasSkill('toString') });
+
+  console.log(`\n=== Registry Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
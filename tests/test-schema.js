@@ -0,0 +1,113 @@
+/**
+ * Skill Schema Test — JSON Schema input validation + strict output contracts
+ * Run: node tests/test-schema.js
+ *
+ * The contract sweep runs representative inputs through dispatch() in strict
+ * mode, so a handler whose return shape drifts from its skill.json fails here.
+ */
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { dispatch } = await import('../skill-dispatch.js');
+  const { getSkillSchema, validateCall, validateOutput } = await import('../skill-protocol.js');
+  const { typeToSchema, fieldToSchema } = await import('../skill-schema.js');
+
+  console.log('\n=== Schema Conversion ===\n');
+
+  check('object[] → array of objects', { ok: JSON.stringify(typeToSchema('object[]')) === '{"type":"array","items":{"type":"object"}}' });
+  check('number|null → type union', { ok: JSON.stringify(typeToSchema('number|null')) === '{"type":["number","null"]}' });
+  const legacy = fieldToSchema('0-1 float — signal strength');
+  check('legacy range spec', { ok: legacy.type === 'number' && legacy.minimum === 0 && legacy.maximum === 1 });
+  const legacyEnum = fieldToSchema('llm | template — how the response was generated');
+  check('legacy enum spec', { ok: legacyEnum.enum?.join(',') === 'llm,template' });
+
+  const scanSchema = getSkillSchema('emotion-scan');
+  check('emotion-scan input requires text', { ok: scanSchema.input.required.includes('text') });
+  check('tier-gate input requires tier + feature', { ok: getSkillSchema('tier-gate').input.required.join(',') === 'tier,feature' });
+  check('unknown skill → no schema', { ok: getSkillSchema('nope') === null });
+
+  console.log('\n=== Input Validation (dispatch) ===\n');
+
+  const missing = await dispatch('emotion-scan', {});
+  check('missing text → INVALID_INPUT', { ok: missing.code === 'INVALID_INPUT' && missing.errors?.[0]?.field === 'text' });
+
+  const blank = await dispatch('crisis-detect', { text: '   ' });
+  check('blank text → INVALID_INPUT', { ok: blank.code === 'INVALID_INPUT' && /cannot be empty/.test(blank.error) });
+
+  const wrongType = await dispatch('emotion-timeline', { snapshots: 'yesterday' });
+  check('wrong type → field error', { ok: wrongType.errors?.[0]?.expected === 'object[]' && wrongType.errors[0].received === 'string' });
+
+  const nested = await dispatch('emotion-timeline', { snapshots: [{ ts: 1 }, 'bad'] });
+  check('array item error has index path', { ok: nested.errors?.[0]?.field === 'snapshots[1]' });
+
+  const multi = await dispatch('tier-gate', {});
+  check('every missing field reported', { ok: multi.errors?.length === 2 });
+
+  const optional = await dispatch('desire-bridge', {});
+  check('all-optional input accepted', optional);
+
+  console.log('\n=== validateCall (P2P) ===\n');
+
+  const brainCall = validateCall({ type: 'skill:call', skill: 'hear', input: { text: '' } });
+  check('brain call with empty text rejected', { ok: !brainCall.valid && brainCall.code === 'INVALID_INPUT' });
+  const dataCall = validateCall({ type: 'skill:call', skill: 'hi5-claim-check', input: { balance: '200' } });
+  check('data call with wrong type rejected', { ok: !dataCall.valid && dataCall.errors?.[0]?.field === 'balance' });
+  const goodCall = validateCall({ type: 'skill:call', skill: 'micro-move', input: { familyId: 'grief' } });
+  check('valid data call accepted', { ok: goodCall.valid });
+
+  console.log('\n=== Output Contracts (strict) ===\n');
+
+  const drift = validateOutput('emotion-scan', { ok: true, matches: [] });
+  check('missing return field → INVALID_OUTPUT', { ok: drift.code === 'INVALID_OUTPUT' });
+  const errorShape = validateOutput('emotion-scan', { ok: false, error: 'text is required' });
+  check('error results satisfy the contract', { ok: errorShape.valid });
+
+  const samples = {
+    'emotion-scan': { text: 'I feel angry and hopeless' },
+    'emotion-family': { familyId: 'grief' },
+    'desire-bridge': { familyId: 'anger' },
+    'micro-move': { familyId: 'grief' },
+    'reframe': { familyId: 'fear', tone: 'gentle' },
+    'alias-match': { text: 'zzzz' },
+    'emotion-blend': { text: 'I am grateful but also worried about tomorrow' },
+    'emotion-timeline': { snapshots: [{ ts: 1, hiScale: 2, familyId: 'grief' }, { ts: 2, hiScale: 4, familyId: 'joy' }] },
+    'crisis-detect': { text: 'i had a great day today' },
+    'compass-locate': { text: 'I feel anxious and nervous about tomorrow' },
+    'compass-point': { familyId: 'fear' },
+    'proactive-post': { type: 'morning' },
+    'tone-match': { text: 'Stop making excuses.', detectOnly: true },
+    'journal-prompt': { familyId: 'grief', count: 3 },
+    'session-summary': { messages: [{ role: 'user', text: 'I feel sad' }, { role: 'assistant', text: 'I hear you' }] },
+    'wellness-score': { stats: { streak: 10, hiIndex: 3.5, totalCheckins: 20 } },
+    'earn-calculator': { action: 'checkin', tier: 'bronze', streak: 10 },
+    'tier-gate': { tier: 'free', feature: 'gym' },
+    'hi5-claim-check': { balance: 200 },
+    'quality-score': { text: 'A thoughtful post about my day and my growth.' },
+    'anti-bot': { timestamps: [1, 2, 3], texts: ['a', 'a', 'a'] },
+  };
+
+  for (const [skill, input] of Object.entries(samples)) {
+    const result = await dispatch(skill, input, { strict: true });
+    check(`contract: ${skill}`, { ok: result.code !== 'INVALID_OUTPUT', error: result.error });
+  }
+
+  console.log(`\n=== Schema Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
@@ -0,0 +1,132 @@
+/**
+ * Streaming Test — skill:progress + lm-bridge `stream: true`
+ * Run: node tests/test-streaming.js
+ *
+ * Starts a mock OpenAI-compatible server on a free local port, points the
+ * local LLM config at it, and checks that LLM-backed skills deliver the brain
+ * analysis first, then tokens, then a final result matching the stream.
+ */
+
+import { createServer } from 'node:http';
+
+const TOKENS = ['Hi. ', 'That weight ', 'sounds real — ', 'you don\'t have ', 'to carry it alone. ', 'Stay Hi ✋'];
+
+function startMockLlm() {
+  const server = createServer((req, res) => {
+    if (req.url === '/v1/models') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ data: [{ id: 'mock' }] }));
+    }
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      if (!body.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ choices: [{ message: { content: TOKENS.join('') } }] }));
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': keep-alive\n\n');
+      for (const token of TOKENS) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: token } }] })}\n\n`);
+      }
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const server = await startMockLlm();
+  const { FIVE_FAN } = await import('../config.js');
+  FIVE_FAN.lm.provider = 'local';
+  FIVE_FAN.lm.port = server.address().port;
+
+  const { generate } = await import('../server/lm-bridge.js');
+  const { dispatch } = await import('../skill-dispatch.js');
+  const { MSG, buildProgress, buildManifest } = await import('../skill-protocol.js');
+
+  console.log('\n=== lm-bridge streaming ===\n');
+
+  const tokens = [];
+  const streamed = await generate('system', 'hello', { onToken: t => tokens.push(t) });
+  check('tokens delivered in order', { ok: tokens.join('') === TOKENS.join('') });
+  check('resolves with the full text', { ok: streamed === TOKENS.join('').trim() });
+
+  const plain = await generate('system', 'hello');
+  check('non-streaming path unchanged', { ok: plain === TOKENS.join('').trim() });
+
+  console.log('\n=== skill:progress ===\n');
+
+  const progress = buildProgress('coach-chat', 'c1', { stage: 'token', token: 'Hi' }, 3);
+  check('progress message shape', { ok: progress.type === MSG.PROGRESS && progress.callId === 'c1' && progress.seq === 3 && progress.token === 'Hi' });
+  const streaming = buildManifest().skills.filter(s => s.streams).map(s => s.name).sort();
+  check('manifest flags streaming skills', { ok: streaming.join(',') === '5fan-swarm,coach-chat,content-elevate,gym-facilitator', error: streaming.join(',') });
+
+  for (const [skill, input] of [
+    ['coach-chat', { text: 'I feel so overwhelmed and alone lately' }],
+    ['gym-facilitator', { text: 'I feel anxious about work', gymStep: 1 }],
+    ['content-elevate', { text: 'Today I finally called my mom back after months' }],
+  ]) {
+    const events = [];
+    const result = await dispatch(skill, input, { onProgress: e => events.push(e) });
+    const streamedText = events.filter(e => e.stage === 'token').map(e => e.token).join('');
+    const finalText = result.reply || result.prompt || result.elevated;
+    check(`${skill}: analysis arrives first`, { ok: events[0]?.stage === 'analysis' });
+    check(`${skill}: tokens then result`, { ok: result.ok && result.method === 'llm' && streamedText.trim() === finalText, error: JSON.stringify({ streamedText, finalText }) });
+  }
+
+  const quiet = [];
+  await dispatch('emotion-scan', { text: 'I feel calm' }, { onProgress: e => quiet.push(e) });
+  check('non-streaming skills emit nothing', { ok: quiet.length === 0 });
+
+  console.log('\n=== P2P skill:call with stream: true ===\n');
+
+  const { initSkillServer } = await import('../server/skill-server.js');
+  const handlers = {};
+  const sent = [];
+  const sidechannel = {
+    on: (channel, fn) => { handlers[channel] = fn; },
+    broadcast: (channel, payload) => sent.push(JSON.parse(payload)),
+  };
+  initSkillServer(sidechannel, {});
+
+  await handlers['5fan-skill-swarm']({
+    type: MSG.CALL, skill: '5fan-swarm', callId: 'swarm-stream', stream: true, from: 'peer-a',
+    input: { text: 'I keep quitting everything I start' },
+  });
+  const frames = sent.filter(m => m.callId === 'swarm-stream');
+  const last = frames[frames.length - 1];
+  check('swarm: analysis frame first', { ok: frames[0]?.type === MSG.PROGRESS && frames[0].stage === 'analysis' && !!frames[0].dominant });
+  check('swarm: token frames are sequenced', { ok: frames.length > 2 && frames.slice(1, -1).every((f, i) => f.stage === 'token' && f.seq === i + 1) });
+  check('swarm: skill:result closes the stream', { ok: last?.type === MSG.RESULT });
+
+  sent.length = 0;
+  await handlers['5fan-skill-swarm']({
+    type: MSG.CALL, skill: '5fan-swarm', callId: 'swarm-plain', from: 'peer-a',
+    input: { text: 'I keep quitting everything I start' },
+  });
+  check('without stream: only skill:result', { ok: sent.filter(m => m.callId === 'swarm-plain').map(m => m.type).join() === MSG.RESULT });
+
+  server.close();
+  console.log(`\n=== Streaming Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
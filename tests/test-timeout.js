@@ -0,0 +1,140 @@
+/**
+ * Timeout Test — per-call deadlines, skill:cancel, AbortSignal into lm-bridge
+ * Run: node tests/test-timeout.js
+ *
+ * Starts a mock OpenAI-compatible server that never answers a completion,
+ * points the local LLM config at it, and checks that deadlines and cancels
+ * return structured errors and actually abort the in-flight LLM request.
+ */
+
+import { createServer } from 'node:http';
+
+function startSlowLlm() {
+  const requests = { started: 0, aborted: 0 };
+  const server = createServer((req, res) => {
+    if (req.url === '/v1/models') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ data: [{ id: 'mock' }] }));
+    }
+    // Completion — hold the request open until the client gives up
+    requests.started++;
+    res.on('close', () => { if (!res.writableEnded) requests.aborted++; });
+    req.resume();
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { server, requests } = await startSlowLlm();
+  const { FIVE_FAN } = await import('../config.js');
+  FIVE_FAN.lm.provider = 'local';
+  FIVE_FAN.lm.port = server.address().port;
+
+  const { generate } = await import('../server/lm-bridge.js');
+  const { dispatch, skillTimeout, runWithDeadline } = await import('../skill-dispatch.js');
+  const { MSG, validateCall, buildCall, buildCancel } = await import('../skill-protocol.js');
+
+  console.log('\n=== Deadlines ===\n');
+
+  check('skill.json timeoutMs is the default', { ok: skillTimeout('coach-chat') === 60_000 });
+  check('config timeout for other skills', { ok: skillTimeout('emotion-scan') === FIVE_FAN.skills.timeoutMs });
+  check('deadlineMs shortens the timeout', { ok: skillTimeout('coach-chat', 500) === 500 });
+  check('deadlineMs never extends it', { ok: skillTimeout('coach-chat', 120_000) === 60_000 });
+
+  let seen = null;
+  const slow = await runWithDeadline('slow', (signal) => { seen = signal; return new Promise(() => {}); }, { timeoutMs: 30 });
+  check('runWithDeadline → TIMEOUT', { ok: slow.stopped && slow.result.code === 'TIMEOUT' && slow.result.timeoutMs === 30 });
+  check('invoke signal aborted on timeout', { ok: seen?.aborted === true });
+
+  const fast = await runWithDeadline('fast', () => ({ ok: true }), { timeoutMs: 30 });
+  check('finished work is passed through', { ok: !fast.stopped && fast.result.ok === true });
+
+  const controller = new AbortController();
+  const pending = runWithDeadline('slow', () => new Promise(() => {}), { timeoutMs: 5000, signal: controller.signal });
+  controller.abort();
+  const cancelled = await pending;
+  check('caller signal → CANCELLED', { ok: cancelled.stopped && cancelled.result.code === 'CANCELLED' });
+
+  console.log('\n=== LLM abort ===\n');
+
+  const started = Date.now();
+  const timedOut = await dispatch('coach-chat', { text: 'I feel so overwhelmed and alone lately' }, { deadlineMs: 200 });
+  check('coach-chat past its deadline → TIMEOUT', { ok: timedOut.ok === false && timedOut.code === 'TIMEOUT', error: JSON.stringify(timedOut) });
+  check('returns at the deadline', { ok: Date.now() - started < 2000 });
+  await tick();
+  check('LLM request aborted', { ok: requests.started === 1 && requests.aborted === 1, error: JSON.stringify(requests) });
+
+  const cancel = new AbortController();
+  const call = dispatch('coach-chat', { text: 'rough day' }, { signal: cancel.signal });
+  await tick(100);
+  cancel.abort();
+  check('signal abort → CANCELLED', { ok: (await call).code === 'CANCELLED' });
+  await tick();
+  check('cancel aborts the LLM request too', { ok: requests.aborted === 2, error: JSON.stringify(requests) });
+
+  const preAborted = new AbortController();
+  preAborted.abort();
+  const before = requests.started;
+  check('generate() with an aborted signal → null', { ok: await generate('system', 'hello', { signal: preAborted.signal }) === null });
+  check('and sends no request', { ok: requests.started === before });
+
+  console.log('\n=== Protocol ===\n');
+
+  check('buildCancel → valid skill:cancel', { ok: validateCall(buildCancel('c1')).valid && buildCancel('c1').type === MSG.CANCEL });
+  check('skill:cancel needs a callId', { ok: !validateCall({ type: MSG.CANCEL }).valid });
+  check('deadlineMs must be positive', { ok: validateCall({ ...buildCall('emotion-scan', 'hi'), deadlineMs: -5 }).code === 'INVALID_CALL' });
+  check('deadlineMs accepted', { ok: validateCall({ ...buildCall('emotion-scan', 'hi'), deadlineMs: 500 }).valid });
+
+  console.log('\n=== P2P skill:cancel ===\n');
+
+  const { initSkillServer, getMetrics } = await import('../server/skill-server.js');
+  const handlers = {};
+  const sent = [];
+  const sidechannel = {
+    on: (channel, fn) => { handlers[channel] = fn; },
+    broadcast: (channel, payload) => sent.push(JSON.parse(payload)),
+  };
+  initSkillServer(sidechannel, {});
+  const channel = handlers['5fan-skill-coach-chat'];
+
+  const running = channel({ ...buildCall('coach-chat', 'everything is heavy', {}, 'p1'), from: 'peer-a' });
+  await tick(100);
+  check('call tracked as in flight', { ok: getMetrics().inFlight === 1 });
+
+  await channel({ ...buildCancel('p1'), from: 'peer-b' });
+  check('other peers cannot cancel it', { ok: sent.find(m => m.callId === 'p1')?.code === 'UNKNOWN_CALL' });
+
+  await channel({ ...buildCancel('p1'), from: 'peer-a' });
+  await running;
+  const stopped = sent.filter(m => m.callId === 'p1').pop();
+  check('cancelled call → skill:error CANCELLED', { ok: stopped?.type === MSG.ERROR && stopped.code === 'CANCELLED', error: JSON.stringify(stopped) });
+  check('in-flight entry cleared', { ok: getMetrics().inFlight === 0 });
+
+  await channel({ ...buildCall('coach-chat', 'still heavy', {}, 'p2'), deadlineMs: 150, from: 'peer-a' });
+  const late = sent.find(m => m.callId === 'p2');
+  check('deadlineMs over P2P → skill:error TIMEOUT', { ok: late?.type === MSG.ERROR && late.code === 'TIMEOUT' });
+
+  server.close();
+  console.log(`\n=== Timeout Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  process.exit(1);
+});
@@ -0,0 +1,212 @@
+/**
+ * Trace Test — span trees through orchestrator skills, chains and batches
+ * Run: node tests/test-trace.js
+ *
+ * No LLM is reachable here, so every generate() span reports `template`.
+ * Exports go to a temp file via FIVEFAN_TRACE_FILE (set before import).
+ */
+
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { mkdtempSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const dir = mkdtempSync(join(tmpdir(), '5fan-trace-'));
+const traceFile = join(dir, 'traces', 'spans.jsonl');
+process.env.FIVEFAN_TRACE_FILE = traceFile;
+process.env.FIVEFAN_USAGE_FILE = join(dir, 'usage.jsonl');
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(base) {
+  for (let i = 0; i < 50; i++) {
+    try {
+      return await (await fetch(`${base}/health`)).json();
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('skill-http did not start');
+}
+
+/** Span names under a tree node */
+const names = span => span?.children.map(child => child.name) ?? [];
+const find = (span, name) => span?.children.find(child => child.name === name);
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const {
+    parseTraceparent, formatTraceparent, traceRequest, startSpan, traced, traceTree, flattenTrace, formatTrace,
+  } = await import('../skill-trace.js');
+
+  console.log('\n=== Spans ===\n');
+
+  let clock = 1000;
+  const now = () => clock;
+  const root = startSpan('shift-navigator', { now });
+  check('ids are W3C-sized', { ok: /^[0-9a-f]{32}$/.test(root.traceId) && /^[0-9a-f]{16}$/.test(root.spanId) && root.parentSpanId === null });
+  const scan = traced(root, 'hear', () => { clock += 5; return { signal: 0.4 }; }, { kind: 'brain' });
+  check('traced() keeps sync functions sync', { ok: scan.signal === 0.4 && root.children[0].ms === 5 && root.children[0].kind === 'brain' });
+  check('children share the trace, point at the parent', { ok: root.children[0].traceId === root.traceId && root.children[0].parentSpanId === root.spanId });
+  await traced(root, 'generate', async () => ({ ok: true, method: 'template' }), { kind: 'llm' });
+  check('method recorded from the result', { ok: root.children[1].attributes.method === 'template' && root.children[1].status === 'ok' });
+  await traced(root, 'cloud', async () => ({ ok: false, code: 'TIMEOUT' }));
+  check('ok: false → error + code', { ok: root.children[2].status === 'error' && root.children[2].code === 'TIMEOUT' });
+  let threw = false;
+  try {
+    traced(root, 'broken', () => { throw new Error('boom'); });
+  } catch {
+    threw = true;
+  }
+  check('throws still propagate, span closed as error', { ok: threw && root.children[3].status === 'error' });
+  check('no span → just runs fn', { ok: traced(undefined, 'x', child => child === undefined) === true });
+
+  root.child('late');
+  clock += 10;
+  root.end({ ok: true });
+  root.end({ ok: false });
+  const tree = traceTree(root);
+  check('first end() wins', { ok: tree.status === 'ok' && tree.ms === 15 });
+  check('spans still running report unfinished', { ok: tree.children[4].status === 'unfinished' });
+  check('tree is plain JSON', { ok: JSON.parse(JSON.stringify(tree)).children.length === 5 && !('child' in tree) });
+  const flat = flattenTrace(tree);
+  check('flatten: parents first, no children', { ok: flat.length === 6 && flat[0].name === 'shift-navigator' && !('children' in flat[1]) });
+  check('formatTrace indents children', { ok: formatTrace(tree).split('\n')[2] === '  generate (llm) 0ms [template]' });
+
+  const header = formatTraceparent(root);
+  check('traceparent round-trips', { ok: parseTraceparent(header)?.traceId === root.traceId && parseTraceparent(header).parentSpanId === root.spanId });
+  check('bad traceparent ignored', { ok: parseTraceparent('00-xyz-1-01') === null && traceRequest('nope') === undefined });
+  check('trace requests', { ok: traceRequest(true) === true && traceRequest('1') === true && traceRequest({ traceId: 'A'.repeat(32) }).traceId === 'a'.repeat(32) });
+
+  console.log('\n=== Orchestrator skills ===\n');
+
+  const { dispatch, dispatchBatch } = await import('../skill-dispatch.js');
+
+  let result = await dispatch('shift-navigator', { text: 'I feel stuck and anxious about work' }, { trace: true });
+  let trace = result.trace;
+  check('trace returned with the result', { ok: result.ok && trace?.name === 'shift-navigator' && trace.kind === 'skill' && trace.status === 'ok' });
+  check('sub-skills nested in order', { ok: names(trace).join() === 'compass-locate,compass-interpret,compass-point,compass-practice' });
+  check('brain scans under the sub-skill', { ok: find(find(trace, 'compass-locate'), 'hear')?.kind === 'brain' });
+  const llm = find(find(trace, 'compass-interpret'), 'generate');
+  check('generate() span, template fallback', { ok: llm?.kind === 'llm' && llm.attributes.method === 'template' });
+  check('every span in one trace', { ok: flattenTrace(trace).every(span => span.traceId === trace.traceId) });
+  check('no trace unless asked', { ok: !('trace' in await dispatch('shift-navigator', { text: 'I feel stuck' })) });
+
+  result = await dispatch('hi-note-compose', { text: 'I finally finished my first 5k run today' }, { trace: true });
+  trace = result.trace;
+  check('hi-note-compose steps', { ok: names(trace).includes('emotion-scan') && find(trace, 'quality-rails')?.kind === 'step' });
+  check('content-elevate scans + generate', { ok: names(find(trace, 'content-elevate')).join() === 'hear,inspyre,generate' });
+
+  result = await dispatch('check-in-flow', { text: 'tired but hopeful' }, { trace: true });
+  check('pipeline skill nests its steps', { ok: names(result.trace).join() === 'crisis-detect,emotion-scan,desire-bridge,journal-prompt' });
+
+  const parent = { traceId: 'ab'.repeat(16), parentSpanId: 'cd'.repeat(8) };
+  result = await dispatch('emotion-scan', { text: 'calm' }, { trace: parent });
+  check('continues a caller\'s trace', { ok: result.trace.traceId === parent.traceId && result.trace.parentSpanId === parent.parentSpanId });
+
+  await dispatch('emotion-scan', { text: 'cache me' }, { trace: true });
+  result = await dispatch('emotion-scan', { text: 'cache me' }, { trace: true });
+  check('cache hits marked', { ok: result.trace.attributes.cached === true });
+  check('traces never cached', { ok: !('trace' in await dispatch('emotion-scan', { text: 'cache me' })) });
+
+  const batch = await dispatchBatch([
+    { id: 'a', skill: 'emotion-scan', input: { text: 'a' } },
+    { id: 'b', skill: 'crisis-detect', input: { text: 'b' } },
+  ], { trace: true });
+  check('batch span with a child per call', { ok: batch.trace?.kind === 'batch' && names(batch.trace).sort().join() === 'crisis-detect,emotion-scan' });
+  check('batch results carry no per-call trace', { ok: !('trace' in batch.results.a) });
+
+  console.log('\n=== P2P ===\n');
+
+  const { initSkillServer } = await import('../server/skill-server.js');
+  const { buildCall, buildPipeline, buildBatch } = await import('../skill-protocol.js');
+  const handlers = {};
+  const sent = [];
+  initSkillServer({
+    on: (channel, fn) => { handlers[channel] = fn; },
+    broadcast: (_channel, payload) => sent.push(JSON.parse(payload)),
+  }, {});
+  const reply = callId => sent.find(m => m.callId === callId);
+
+  await handlers['5fan-skill-swarm']({ ...buildCall('5fan-swarm', 'I feel lost', {}, 't1'), trace: true, from: 'peer-t' });
+  trace = reply('t1')?.output?.trace;
+  check('swarm: five scans + curate + generate', { ok: names(trace).join() === 'hear,inspyre,flow,you,view,curate,generate' });
+  await handlers['5fan-skill-hear']({ ...buildCall('hear', 'I feel heard', {}, 't2'), from: 'peer-t' });
+  check('brain call without trace', { ok: reply('t2')?.output && !('trace' in reply('t2').output) });
+
+  await handlers['5fan-skill-emotion-scan']({ ...buildPipeline([{ skill: 'emotion-scan' }, { skill: 'crisis-detect' }], { text: 'okay' }, 't3'), trace: true, from: 'peer-t' });
+  trace = reply('t3')?.trace;
+  check('chain: root chain span, steps under it', { ok: trace?.kind === 'chain' && names(trace).join() === 'emotion-scan,crisis-detect' });
+  await handlers['5fan-skill-hear']({ type: 'skill:chain', skills: ['hear', 'view'], input: { text: 'heavy day' }, callId: 't4', trace: true, from: 'peer-t' });
+  trace = reply('t4')?.trace;
+  check('legacy brain chain traced', { ok: names(trace).join() === 'hear,view' && find(find(trace, 'hear'), 'hear')?.kind === 'brain' });
+  await handlers['5fan-skill-emotion-scan']({ ...buildBatch([{ skill: 'hear', input: { text: 'x' } }], 't5'), trace: true, from: 'peer-t' });
+  check('batch result carries trace', { ok: reply('t5')?.trace?.kind === 'batch' && names(reply('t5').trace).join() === 'hear' });
+
+  console.log('\n=== skill-http ===\n');
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [fileURLToPath(new URL('../skill-http.js', import.meta.url))], {
+    env: { ...process.env, PORT: String(port), FIVEFAN_TRACE_FILE: '' },
+    stdio: 'ignore',
+  });
+
+  try {
+    const base = `http://127.0.0.1:${port}`;
+    await waitForHealth(base);
+    const post = (path, body, headers = {}) => fetch(`${base}${path}`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body),
+    }).then(res => res.json());
+
+    let body = await post('/skill/emotion-scan?trace=1', { text: 'hello' });
+    check('?trace=1', { ok: body.trace?.name === 'emotion-scan' });
+    body = await post('/skill/emotion-scan', { text: 'hello again' }, { traceparent: `00-${'1'.repeat(32)}-${'2'.repeat(16)}-01` });
+    check('traceparent header continues the trace', { ok: body.trace?.traceId === '1'.repeat(32) && body.trace.parentSpanId === '2'.repeat(16) });
+    body = await post('/chain', { steps: ['emotion-scan', 'crisis-detect'], input: { text: 'ok' } }, { 'X-5FAN-Trace': '1' });
+    check('X-5FAN-Trace on /chain', { ok: body.ok && body.trace?.kind === 'chain' && names(body.trace).length === 2 });
+    body = await post('/skill/emotion-scan', { text: 'untraced' });
+    check('no header, no trace', { ok: body.ok && !('trace' in body) });
+  } finally {
+    child.kill();
+  }
+
+  console.log('\n=== Export ===\n');
+
+  const lines = existsSync(traceFile) ? readFileSync(traceFile, 'utf8').trim().split('\n').map(line => JSON.parse(line)) : [];
+  check('spans appended as JSON lines', { ok: lines.length > 20 && lines.every(span => span.traceId && span.spanId && !('children' in span)) });
+  check('untraced calls exported too', { ok: lines.some(span => span.name === 'hear' && span.kind === 'skill' && span.parentSpanId === null) });
+  const navigator = lines.find(span => span.name === 'shift-navigator' && span.parentSpanId === null);
+  check('children link by parentSpanId', { ok: lines.some(span => span.name === 'compass-locate' && span.parentSpanId === navigator?.spanId) });
+
+  rmSync(dir, { recursive: true, force: true });
+
+  console.log(`\n=== Trace Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  rmSync(dir, { recursive: true, force: true });
+  process.exit(1);
+});
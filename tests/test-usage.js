@@ -0,0 +1,209 @@
+/**
+ * Usage Test — per-caller metering ledger, /usage and `5fan usage --csv`
+ * Run: node tests/test-usage.js
+ *
+ * Points the shared ledger at a temp file, then checks what P2P, dispatch(),
+ * a spawned skill-http and the CLI write and read back.
+ */
+
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { mkdtempSync, writeFileSync, appendFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable, Writable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+
+const dir = mkdtempSync(join(tmpdir(), '5fan-usage-'));
+const ledgerFile = join(dir, 'ledger', 'usage.jsonl');
+process.env.FIVEFAN_USAGE_FILE = ledgerFile;
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForHealth(base) {
+  for (let i = 0; i < 50; i++) {
+    try {
+      return await (await fetch(`${base}/health`)).json();
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('skill-http did not start');
+}
+
+/** Run the CLI in-process: { code, out, err } */
+async function run(main, argv) {
+  let out = '';
+  let err = '';
+  const sink = append => new Writable({ write(chunk, _enc, done) { append(String(chunk)); done(); } });
+  const stdin = Object.assign(Readable.from([]), { isTTY: true });
+  const code = await main(argv, { stdin, stdout: sink(s => { out += s; }), stderr: sink(s => { err += s; }) });
+  return { code, out, err };
+}
+
+async function test() {
+  let passed = 0;
+  let failed = 0;
+
+  function check(name, result) {
+    if (result.ok) {
+      console.log(`  ✅ ${name}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${name}: ${result.error || JSON.stringify(result)}`);
+      failed++;
+    }
+  }
+
+  const { usageRecord, parseUsageQuery, summarizeUsage, usageToCsv, createUsageLedger, getUsageLedger } = await import('../skill-usage.js');
+
+  console.log('\n=== Records + queries ===\n');
+
+  const record = usageRecord({ skill: 'coach-chat', input: { text: 'héllo' }, output: { ok: true, method: 'llm' }, ms: 812, caller: 'peer-a', transport: 'p2p', ts: 1000 });
+  check('record fields', { ok: record.caller === 'peer-a' && record.method === 'llm' && record.ok && record.code === null && record.ms === 812 });
+  check('inputBytes counts UTF-8 bytes', { ok: record.inputBytes === JSON.stringify({ text: 'héllo' }).length + 1 });
+  const failedRecord = usageRecord({ skill: 'tier-gate', input: {}, output: { ok: false, code: 'ACCESS_DENIED' }, ms: 1 });
+  check('failure keeps its code; caller defaults to local', { ok: !failedRecord.ok && failedRecord.code === 'ACCESS_DENIED' && failedRecord.caller === 'local' && failedRecord.method === null });
+
+  const parsed = parseUsageQuery({ caller: 'peer-a', from: '2026-10-01', to: '1800000000000' });
+  check('from accepts ISO dates, to epoch ms', { ok: parsed.ok && parsed.filter.from === Date.parse('2026-10-01') && parsed.filter.to === 1800000000000 });
+  check('unreadable date refused', { ok: parseUsageQuery({ from: 'last tuesday' }).code === 'INVALID_INPUT' });
+  check('from after to refused', { ok: !parseUsageQuery({ from: '2026-10-02', to: '2026-10-01' }).ok });
+
+  const summary = summarizeUsage([
+    record,
+    { ...record, ts: 2000, method: 'template', ms: 10 },
+    { ...record, skill: 'emotion-scan', method: null, ms: 3 },
+    { ...failedRecord, caller: 'peer-b' },
+  ]);
+  const peerA = summary.callers[0];
+  check('grouped per caller, busiest first', { ok: peerA.caller === 'peer-a' && peerA.calls === 3 && summary.callers[1].caller === 'peer-b' });
+  check('per skill within the caller', { ok: peerA.skills[0].skill === 'coach-chat' && peerA.skills[0].calls === 2 && peerA.skills[0].avgMs === 411 });
+  check('llm vs template counted', { ok: peerA.skills[0].methods.llm === 1 && peerA.skills[0].methods.template === 1 });
+  check('totals', { ok: summary.total.calls === 4 && summary.total.errors === 1 });
+
+  const csv = usageToCsv([{ ...record, caller: 'key,"odd"' }]).split('\n');
+  check('CSV header + ISO ts', { ok: csv[0] === 'ts,caller,skill,transport,method,ok,code,ms,inputBytes' && csv[1].startsWith('1970-01-01T00:00:01.000Z,') });
+  check('CSV quotes commas and quotes', { ok: csv[1].includes('"key,""odd"""') });
+
+  console.log('\n=== Ledger ===\n');
+
+  const scratch = createUsageLedger({ file: join(dir, 'scratch', 'a.jsonl') });
+  scratch.record(record);
+  scratch.record({ ...record, ts: 5000, caller: 'peer-b' });
+  appendFileSync(scratch.file, '{"ts": 9000, "caller": "peer-a"');
+  check('appends across calls, creates the directory', { ok: scratch.read().length === 2 });
+  check('filters by caller + time range', { ok: scratch.read({ caller: 'peer-a', from: 0, to: 5000 }).length === 1 && scratch.read({ from: 5000 }).length === 1 });
+  check('query aggregates', { ok: scratch.query({ caller: 'peer-b' }).total.calls === 1 });
+  check('missing file reads as empty', { ok: createUsageLedger({ file: join(dir, 'none.jsonl') }).read().length === 0 });
+  const off = createUsageLedger({ enabled: false, file: join(dir, 'off.jsonl') });
+  check('disabled ledger writes nothing', { ok: off.record(record) === false && off.read().length === 0 });
+
+  console.log('\n=== dispatch + P2P ===\n');
+
+  const ledger = getUsageLedger();
+  check('shared ledger uses FIVEFAN_USAGE_FILE', { ok: ledger.file === ledgerFile });
+
+  const { dispatch, dispatchBatch } = await import('../skill-dispatch.js');
+  await dispatch('emotion-scan', { text: 'calm today' });
+  await dispatch('emotion-scan', { text: 'calm today' }, { caller: 'partner-app', transport: 'http' });
+  await dispatchBatch([{ skill: 'emotion-scan', input: { text: 'a' } }, { skill: 'crisis-detect', input: { text: 'b' } }], { caller: 'batcher' });
+  await dispatch('emotion-scan', {}, { caller: 'partner-app' });
+  let records = ledger.read();
+  check('dispatch() defaults to caller local', { ok: records[0]?.caller === 'local' && records[0].skill === 'emotion-scan' });
+  check('cached results are still metered', { ok: records[1]?.caller === 'partner-app' && records[1].transport === 'http' });
+  check('batch calls carry the caller', { ok: records.filter(r => r.caller === 'batcher').length === 2 });
+  check('invalid input metered as an error', { ok: records[4]?.ok === false && records[4].code === 'INVALID_INPUT' });
+
+  const { initSkillServer } = await import('../server/skill-server.js');
+  const { buildCall, buildPipeline } = await import('../skill-protocol.js');
+  const handlers = {};
+  initSkillServer({ on: (channel, fn) => { handlers[channel] = fn; }, broadcast: () => {} }, {});
+  await handlers['5fan-skill-hear']({ ...buildCall('hear', 'I feel heard', {}, 'u1'), from: 'peer-p2p' });
+  await handlers['5fan-skill-emotion-scan']({ ...buildPipeline([{ skill: 'emotion-scan' }, { skill: 'crisis-detect' }], { text: 'okay' }, 'u2'), from: 'peer-p2p' });
+  records = ledger.read({ caller: 'peer-p2p' });
+  check('brain calls metered under the peer key', { ok: records[0]?.skill === 'hear' && records[0].transport === 'p2p' });
+  check('chain steps metered per skill', { ok: records.length === 3 && records[2].skill === 'crisis-detect' });
+
+  console.log('\n=== skill-http /usage ===\n');
+
+  const keysFile = join(dir, 'keys.json');
+  writeFileSync(keysFile, JSON.stringify([
+    { id: 'partner-app', secret: 'partner-secret-0123456789' },
+    { id: 'ops', secret: 'ops-secret-0123456789', scopes: ['public', 'internal', 'admin'] },
+  ]));
+  const port = await freePort();
+  const child = spawn(process.execPath, [fileURLToPath(new URL('../skill-http.js', import.meta.url))], {
+    env: { ...process.env, PORT: String(port), FIVEFAN_HTTP_KEYS_FILE: keysFile },
+    stdio: 'ignore',
+  });
+
+  try {
+    const base = `http://127.0.0.1:${port}`;
+    await waitForHealth(base);
+    const as = secret => ({ headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${secret}` } });
+    await fetch(`${base}/skill/emotion-scan`, { method: 'POST', body: JSON.stringify({ text: 'hello there' }), ...as('partner-secret-0123456789') });
+
+    let res = await fetch(`${base}/usage`, as('partner-secret-0123456789'));
+    let body = await res.json();
+    check('key sees only its own usage', { ok: res.status === 200 && body.callers.length === 1 && body.callers[0].caller === 'partner-app' && body.callers[0].calls === 3 });
+    res = await fetch(`${base}/usage?caller=batcher`, as('partner-secret-0123456789'));
+    body = await res.json();
+    check('?caller= ignored for non-admin keys', { ok: body.filter.caller === 'partner-app' });
+    res = await fetch(`${base}/usage?caller=peer-p2p&from=2020-01-01`, as('ops-secret-0123456789'));
+    body = await res.json();
+    check('admin queries any caller', { ok: body.total.calls === 3 && body.callers[0].skills.length === 3 });
+    res = await fetch(`${base}/usage`, as('ops-secret-0123456789'));
+    body = await res.json();
+    check('admin sees every caller', { ok: body.callers.length === 4 });
+    res = await fetch(`${base}/usage?from=soon`, as('ops-secret-0123456789'));
+    check('bad date → 400', { ok: res.status === 400 && (await res.json()).code === 'INVALID_INPUT' });
+    res = await fetch(`${base}/usage`);
+    check('no key → 401', { ok: res.status === 401 });
+  } finally {
+    child.kill();
+  }
+
+  console.log('\n=== 5fan usage ===\n');
+
+  const { main } = await import('../skill-cli.js');
+  let res = await run(main, ['usage', '--caller', 'peer-p2p', '--csv']);
+  const lines = res.out.trim().split('\n');
+  check('--csv exports matching records', { ok: res.code === 0 && lines.length === 4 && lines[1].includes(',peer-p2p,hear,p2p,') });
+  res = await run(main, ['usage', '--json']);
+  check('--json totals', { ok: JSON.parse(res.out).total.calls === ledger.read().length });
+  res = await run(main, ['usage', '--file', scratch.file]);
+  check('--file reads another ledger', { ok: res.code === 0 && res.out.includes('peer-b') && !res.out.includes('peer-p2p') });
+  res = await run(main, ['usage', '--to', 'whenever']);
+  check('bad date → exit 2', { ok: res.code === 2 && res.err.includes('to must be') });
+  res = await run(main, ['usage', '--text', 'x']);
+  check('unknown filter → exit 2', { ok: res.code === 2 });
+
+  console.log('\n=== Pipelines ===\n');
+
+  const before = ledger.read().length;
+  const flow = await dispatch('check-in-flow', { text: 'I am so angry and frustrated with work' }, { caller: 'pipeline-app', transport: 'http' });
+  records = ledger.read().slice(before);
+  check('pipeline + each step metered to the caller', {
+    ok: flow.ok && records.length === 1 + flow.pipeline.steps.length && records.every(r => r.caller === 'pipeline-app' && r.transport === 'http'),
+    error: JSON.stringify(records.map(r => `${r.caller}/${r.transport}:${r.skill}`)),
+  });
+
+  rmSync(dir, { recursive: true, force: true });
+
+  console.log(`\n=== Usage Results: ${passed} passed, ${failed} failed ===\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+test().catch(err => {
+  console.error('TEST RUNNER FAILED:', err);
+  rmSync(dir, { recursive: true, force: true });
+  process.exit(1);
+});
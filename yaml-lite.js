@@ -0,0 +1,275 @@
+/**
+ * 5FAN YAML Lite — Minimal YAML subset parser for config-style files
+ * =============================================================================
+ *
+ * Enough YAML for hand-written definitions (pipelines/*.yaml) without adding
+ * a dependency to the Pear/Bare bundle:
+ *   - block mappings and sequences (indentation-based, `- key: value` items)
+ *   - single-line flow collections: { a: 1, b: [x, y] }
+ *   - scalars: plain, "double" / 'single' quoted, numbers, true/false, null/~
+ *   - block scalars: | (literal) and > (folded)
+ *   - # comments, a leading --- document marker
+ *
+ * Not supported: anchors/aliases, tags, multi-document streams, multi-line
+ * flow collections, complex keys. Unsupported input throws with a line number.
+ *
+ * Pure ESM, no dependencies — safe for both Node and Bare runtime.
+ *
+ * =============================================================================
+ */
+
+/**
+ * Strip a trailing `# comment` that sits outside quotes.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === '\'') {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+/**
+ * Type a plain or quoted scalar.
+ * @param {string} raw
+ * @returns {*}
+ */
+function parseScalar(raw) {
+  const text = raw.trim();
+  if (text.startsWith('"')) return JSON.parse(text);
+  if (text.startsWith('\'')) return text.slice(1, -1).replace(/''/g, '\'');
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^-?(?:\d+|\d*\.\d+)(?:e[+-]?\d+)?$/i.test(text)) return Number(text);
+  return text;
+}
+
+// ─── Flow Collections ─────────────────────────────────────────
+
+/**
+ * Parse a single-line flow value ({...}, [...], or scalar).
+ * @param {string} text
+ * @param {number} lineNo - for error messages
+ * @returns {*}
+ */
+function parseFlow(text, lineNo) {
+  let pos = 0;
+  const fail = (msg) => { throw new Error(`YAML line ${lineNo}: ${msg}`); };
+  const skipWs = () => { while (pos < text.length && /\s/.test(text[pos])) pos++; };
+
+  function readQuoted() {
+    const quote = text[pos];
+    let end = pos + 1;
+    while (end < text.length) {
+      if (text[end] === '\\' && quote === '"') { end += 2; continue; }
+      if (text[end] === quote) {
+        if (quote === '\'' && text[end + 1] === '\'') { end += 2; continue; }
+        break;
+      }
+      end++;
+    }
+    if (end >= text.length) fail('unterminated string');
+    const raw = text.slice(pos, end + 1);
+    pos = end + 1;
+    return parseScalar(raw);
+  }
+
+  function readPlain(isKey) {
+    const start = pos;
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === ',' || ch === ']' || ch === '}') break;
+      if (isKey && ch === ':' && (pos + 1 >= text.length || /[\s,\]}]/.test(text[pos + 1]))) break;
+      pos++;
+    }
+    return parseScalar(text.slice(start, pos));
+  }
+
+  function readValue(isKey = false) {
+    skipWs();
+    const ch = text[pos];
+    if (ch === '{') return readMap();
+    if (ch === '[') return readList();
+    if (ch === '"' || ch === '\'') return readQuoted();
+    return readPlain(isKey);
+  }
+
+  function readMap() {
+    pos++;
+    const out = {};
+    skipWs();
+    if (text[pos] === '}') { pos++; return out; }
+    while (pos < text.length) {
+      const key = readValue(true);
+      skipWs();
+      if (text[pos] !== ':') fail(`expected ":" after key "${key}"`);
+      pos++;
+      out[String(key)] = readValue();
+      skipWs();
+      if (text[pos] === ',') { pos++; continue; }
+      if (text[pos] === '}') { pos++; return out; }
+      fail('expected "," or "}"');
+    }
+    return fail('unterminated mapping');
+  }
+
+  function readList() {
+    pos++;
+    const out = [];
+    skipWs();
+    if (text[pos] === ']') { pos++; return out; }
+    while (pos < text.length) {
+      out.push(readValue());
+      skipWs();
+      if (text[pos] === ',') { pos++; continue; }
+      if (text[pos] === ']') { pos++; return out; }
+      fail('expected "," or "]"');
+    }
+    return fail('unterminated sequence');
+  }
+
+  const value = readValue();
+  skipWs();
+  if (pos < text.length) fail(`unexpected "${text.slice(pos)}"`);
+  return value;
+}
+
+/**
+ * Parse a value written after `key:` or `- ` — flow collections start with
+ * { or [; anything else is a scalar (plain scalars may contain commas).
+ * @param {string} text
+ * @param {number} lineNo
+ * @returns {*}
+ */
+function parseInline(text, lineNo) {
+  return /^[{[]/.test(text) ? parseFlow(text, lineNo) : parseScalar(text);
+}
+
+// ─── Block Structure ──────────────────────────────────────────
+
+/**
+ * Parse a YAML document (subset — see module header).
+ * @param {string} source
+ * @returns {*}
+ */
+export function parseYaml(source) {
+  const raw = String(source).replace(/\r\n?/g, '\n').split('\n');
+  const lines = raw.map((line, i) => {
+    if (/^\s*\t/.test(line)) throw new Error(`YAML line ${i + 1}: tabs are not allowed for indentation`);
+    const text = stripComment(line).trimEnd();
+    return { indent: text.length - text.trimStart().length, text: text.trim(), lineNo: i + 1 };
+  });
+  let index = 0;
+
+  /** Next meaningful line (skips blanks + comments), or null */
+  function peek() {
+    while (index < lines.length && (lines[index].text === '' || lines[index].text === '---')) index++;
+    return index < lines.length ? lines[index] : null;
+  }
+
+  const isSeqItem = (text) => text === '-' || text.startsWith('- ');
+  const keyMatch = (text) => text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'{[\]}#,][^:]*?)\s*:(?:\s+(.*))?$/);
+
+  function parseValue(rest, ownIndent, lineNo) {
+    if (rest === undefined || rest === '') {
+      const next = peek();
+      if (next && (next.indent > ownIndent || (next.indent === ownIndent && isSeqItem(next.text)))) {
+        return parseBlock(next.indent);
+      }
+      return null;
+    }
+    if (/^[|>][+-]?$/.test(rest)) return parseBlockScalar(rest, ownIndent);
+    return parseInline(rest, lineNo);
+  }
+
+  function parseBlockScalar(header, ownIndent) {
+    const folded = header[0] === '>';
+    const chomp = header[1];
+    const body = [];
+    let blockIndent = null;
+    while (index < raw.length) {
+      const line = raw[index];
+      if (line.trim() === '') { body.push(''); index++; continue; }
+      const indent = line.length - line.trimStart().length;
+      if (indent <= ownIndent) break;
+      if (blockIndent === null) blockIndent = indent;
+      if (indent < blockIndent) break;
+      body.push(line.slice(blockIndent));
+      index++;
+    }
+    while (body.length && body[body.length - 1] === '') body.pop();
+    const text = folded
+      ? body.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ')
+      : body.join('\n');
+    return chomp === '-' ? text : `${text}\n`;
+  }
+
+  function parseMapping(indent) {
+    const out = {};
+    let line;
+    while ((line = peek()) && line.indent === indent && !isSeqItem(line.text)) {
+      const match = keyMatch(line.text);
+      if (!match) throw new Error(`YAML line ${line.lineNo}: expected "key: value"`);
+      const key = String(parseScalar(match[1]));
+      index++;
+      out[key] = parseValue(match[2], indent, line.lineNo);
+    }
+    if (line && line.indent > indent) throw new Error(`YAML line ${line.lineNo}: unexpected indentation`);
+    return out;
+  }
+
+  function parseSequence(indent) {
+    const out = [];
+    let line;
+    while ((line = peek()) && line.indent === indent && isSeqItem(line.text)) {
+      const content = line.text.slice(1).trimStart();
+      if (content === '') {
+        index++;
+        out.push(parseValue('', indent, line.lineNo));
+      } else if (keyMatch(content) && !/^[{["']/.test(content)) {
+        // "- key: value" starts a mapping indented to the content column
+        const contentIndent = indent + (line.text.length - content.length);
+        lines[index] = { indent: contentIndent, text: content, lineNo: line.lineNo };
+        out.push(parseBlock(contentIndent));
+      } else if (isSeqItem(content)) {
+        const contentIndent = indent + (line.text.length - content.length);
+        lines[index] = { indent: contentIndent, text: content, lineNo: line.lineNo };
+        out.push(parseBlock(contentIndent));
+      } else {
+        index++;
+        out.push(parseInline(content, line.lineNo));
+      }
+    }
+    if (line && line.indent > indent) throw new Error(`YAML line ${line.lineNo}: unexpected indentation`);
+    return out;
+  }
+
+  function parseBlock(indent) {
+    const line = peek();
+    if (!line) return null;
+    if (isSeqItem(line.text)) return parseSequence(indent);
+    if (!keyMatch(line.text)) {
+      index++;
+      return parseInline(line.text, line.lineNo);
+    }
+    return parseMapping(indent);
+  }
+
+  const first = peek();
+  const doc = first ? parseBlock(first.indent) : null;
+  const rest = peek();
+  if (rest) throw new Error(`YAML line ${rest.lineNo}: unexpected content`);
+  return doc;
+}
+
+export default { parseYaml };